@@ -6,14 +6,23 @@ import 'package:path/path.dart';
 
 import '../models/transfer.dart';
 import '../models/device.dart';
+import '../models/text_snippet.dart';
 
 class DatabaseHelper {
   static final DatabaseHelper instance = DatabaseHelper._internal();
-  static Database? _database;
-  static Future<Database>? _initFuture;
+  Database? _database;
+  Future<Database>? _initFuture;
   bool _isClosed = false;
 
-  DatabaseHelper._internal();
+  // Database file - null for syndro.db in the app's databases directory
+  final String? _path;
+
+  DatabaseHelper._internal() : _path = null;
+
+  /// A helper on its own database file at [path], e.g. one left by an
+  /// older version of the app
+  @visibleForTesting
+  DatabaseHelper.at(String path) : _path = path;
 
   /// Get the database instance, initializing if necessary.
   /// Uses a simple future-based lock to prevent concurrent initialization.
@@ -40,12 +49,11 @@ class DatabaseHelper {
   }
 
   Future<Database> _initDatabase() async {
-    final databasePath = await getDatabasesPath();
-    final path = join(databasePath, 'syndro.db');
+    final path = _path ?? join(await getDatabasesPath(), 'syndro.db');
 
     return await openDatabase(
       path,
-      version: 2, // FIX: Bump version for migration
+      version: 3, // v3: snippets table
       onCreate: _onCreate,
       onUpgrade: _onUpgrade,
       onConfigure: _onConfigure,
@@ -98,6 +106,25 @@ class DatabaseHelper {
     await db.execute('''
       CREATE INDEX idx_transfers_status ON transfers(status)
     ''');
+
+    await _createSnippetsTable(db);
+  }
+
+  // Text snippets sent or received over web shares
+  Future<void> _createSnippetsTable(Database db) async {
+    await db.execute('''
+      CREATE TABLE IF NOT EXISTS snippets (
+        id TEXT PRIMARY KEY,
+        text TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        ip_address TEXT,
+        created_at INTEGER NOT NULL
+      )
+    ''');
+
+    await db.execute('''
+      CREATE INDEX IF NOT EXISTS idx_snippets_created_at ON snippets(created_at DESC)
+    ''');
   }
 
   Future<void> _onUpgrade(Database db, int oldVersion, int newVersion) async {
@@ -112,6 +139,9 @@ class DatabaseHelper {
         debugPrint('Migration error (non-fatal): $e');
       }
     }
+    if (oldVersion < 3) {
+      await _createSnippetsTable(db);
+    }
   }
 
   // FIX: Insert a transfer record using parameterized queries
@@ -344,9 +374,77 @@ class DatabaseHelper {
     await db.transaction((txn) async {
       await txn.delete('transfer_items');
       await txn.delete('transfers');
+      await txn.delete('snippets');
+    });
+  }
+
+  // Snippets kept in history - the oldest go first, so one guest can't
+  // fill the database
+  static const int maxStoredSnippets = 200;
+  static const int maxStoredSnippetsPerClient = 50;
+
+  // Save a snippet sent or received over a web share
+  Future<void> insertSnippet(TextSnippet snippet) async {
+    final db = await database;
+
+    await db.transaction((txn) async {
+      await txn.insert(
+        'snippets',
+        snippet.toMap(),
+        conflictAlgorithm: ConflictAlgorithm.replace,
+      );
+
+      if (snippet.ipAddress != null) {
+        await txn.rawDelete('''
+          DELETE FROM snippets WHERE ip_address = ? AND id NOT IN (
+            SELECT id FROM snippets WHERE ip_address = ?
+            ORDER BY created_at DESC LIMIT ?
+          )
+        ''', [
+          snippet.ipAddress,
+          snippet.ipAddress,
+          maxStoredSnippetsPerClient,
+        ]);
+      }
+
+      await txn.rawDelete('''
+        DELETE FROM snippets WHERE id NOT IN (
+          SELECT id FROM snippets ORDER BY created_at DESC LIMIT ?
+        )
+      ''', [maxStoredSnippets]);
     });
   }
 
+  // Snippets, newest first
+  Future<List<TextSnippet>> getSnippetHistory({int limit = 50}) async {
+    if (limit <= 0 || limit > 1000) {
+      limit = 50;
+    }
+
+    final db = await database;
+
+    final rows = await db.query(
+      'snippets',
+      orderBy: 'created_at DESC',
+      limit: limit,
+    );
+    return rows.map(TextSnippet.fromMap).toList();
+  }
+
+  Future<void> deleteSnippet(String snippetId) async {
+    if (snippetId.isEmpty) {
+      throw ArgumentError('snippetId cannot be empty');
+    }
+
+    final db = await database;
+
+    await db.delete(
+      'snippets',
+      where: 'id = ?',
+      whereArgs: [snippetId],
+    );
+  }
+
   // FIX: Get statistics using parameterized queries
   Future<Map<String, int>> getStatistics() async {
     final db = await database;
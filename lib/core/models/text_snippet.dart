@@ -0,0 +1,75 @@
+/// Which way a snippet went over a web share
+enum SnippetDirection {
+  incoming, // A browser guest sent it to this app
+  outgoing, // This app put it on its share page
+}
+
+/// A piece of text passed over a web share - a link, a Wi-Fi password, a
+/// code snippet
+class TextSnippet {
+  final String id;
+  final String text;
+  final SnippetDirection direction;
+  final String? ipAddress; // Guest that sent it, for incoming snippets
+  final DateTime createdAt;
+
+  TextSnippet({
+    required this.id,
+    required this.text,
+    required this.direction,
+    this.ipAddress,
+    DateTime? createdAt,
+  }) : createdAt = createdAt ?? DateTime.now();
+
+  /// Whether the whole snippet is one web link
+  bool get isLink {
+    final trimmed = text.trim();
+    if (trimmed.contains(RegExp(r'\s'))) return false;
+    final uri = Uri.tryParse(trimmed);
+    return uri != null &&
+        (uri.scheme == 'http' || uri.scheme == 'https') &&
+        uri.host.isNotEmpty;
+  }
+
+  /// First line, shortened for lists and notifications
+  String get preview => previewOf(text);
+
+  /// [preview] of any text, e.g. a snippet not posted yet
+  static String previewOf(String text) {
+    final firstLine = text.trim().split('\n').first;
+    return firstLine.length > 80
+        ? '${firstLine.substring(0, 80)}…'
+        : firstLine;
+  }
+
+  /// What share pages see - without the guest's address
+  Map<String, dynamic> toJson() => {
+        'id': id,
+        'text': text,
+        'isLink': isLink,
+        'createdAt': createdAt.toIso8601String(),
+      };
+
+  /// Row for the snippet history table
+  Map<String, dynamic> toMap() => {
+        'id': id,
+        'text': text,
+        'direction': direction.name,
+        'ip_address': ipAddress,
+        'created_at': createdAt.millisecondsSinceEpoch,
+      };
+
+  factory TextSnippet.fromMap(Map<String, dynamic> map) {
+    return TextSnippet(
+      id: map['id'] as String,
+      text: map['text'] as String,
+      direction: SnippetDirection.values.firstWhere(
+        (d) => d.name == map['direction'],
+        orElse: () => SnippetDirection.incoming,
+      ),
+      ipAddress: map['ip_address'] as String?,
+      createdAt:
+          DateTime.fromMillisecondsSinceEpoch(map['created_at'] as int),
+    );
+  }
+}
@@ -3,6 +3,8 @@ import 'dart:io';
 import 'package:flutter/foundation.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 
+import '../database/database_helper.dart';
+import '../models/text_snippet.dart';
 import '../models/transfer.dart';
 import '../utils/byte_formatter.dart';
 
@@ -17,22 +19,27 @@ class IncomingFilesState {
   final List<TransferItem> files;
   final bool hasFiles;
   final bool isProcessing;
+  // Text from web share guests, newest first - doesn't count for hasFiles
+  final List<TextSnippet> snippets;
 
   const IncomingFilesState({
     this.files = const [],
     this.hasFiles = false,
     this.isProcessing = false,
+    this.snippets = const [],
   });
 
   IncomingFilesState copyWith({
     List<TransferItem>? files,
     bool? hasFiles,
     bool? isProcessing,
+    List<TextSnippet>? snippets,
   }) {
     return IncomingFilesState(
       files: files ?? this.files,
       hasFiles: hasFiles ?? this.hasFiles,
       isProcessing: isProcessing ?? this.isProcessing,
+      snippets: snippets ?? this.snippets,
     );
   }
 }
@@ -126,6 +133,7 @@ class IncomingFilesNotifier extends StateNotifier<IncomingFilesState> {
       files: items,
       hasFiles: items.isNotEmpty,
       isProcessing: false,
+      snippets: state.snippets,
     );
 
     if (items.isNotEmpty) {
@@ -173,6 +181,7 @@ class IncomingFilesNotifier extends StateNotifier<IncomingFilesState> {
       files: files,
       hasFiles: files.isNotEmpty,
       isProcessing: false,
+      snippets: state.snippets,
     );
     if (files.isNotEmpty) {
       debugPrint('✅ Set ${files.length} file(s) directly');
@@ -188,13 +197,51 @@ class IncomingFilesNotifier extends StateNotifier<IncomingFilesState> {
     );
   }
 
-  /// Clear all incoming files
+  /// Clear all incoming files - snippets stay until dismissed
   void clear() {
-    state = const IncomingFilesState();
+    state = IncomingFilesState(snippets: state.snippets);
   }
 
   /// Get total size of all files
   int get totalSize => state.files.fold(0, (sum, item) => sum + item.size);
 
+  // Snippets listed at once - older ones are still in history
+  static const int maxSnippets = 50;
+  static const int maxSnippetsPerClient = 20;
+
+  /// Add a snippet a web share guest sent, and keep it in history
+  ///
+  /// Once the list is full the oldest snippets drop off it, the sender's
+  /// own first, so one guest can't push everyone else's out.
+  Future<void> addSnippet(TextSnippet snippet) async {
+    if (state.snippets.any((s) => s.id == snippet.id)) return;
+
+    final snippets = [snippet, ...state.snippets];
+    final fromClient =
+        snippets.where((s) => s.ipAddress == snippet.ipAddress).toList();
+    if (fromClient.length > maxSnippetsPerClient) {
+      final dropped = fromClient.skip(maxSnippetsPerClient).toSet();
+      snippets.removeWhere(dropped.contains);
+    }
+    state = state.copyWith(snippets: snippets.take(maxSnippets).toList());
+    debugPrint('📋 Incoming snippet: ${snippet.preview}');
+
+    try {
+      await DatabaseHelper.instance.insertSnippet(snippet);
+    } catch (e) {
+      debugPrint('❌ Error saving snippet to history: $e');
+    }
+  }
 
+  /// Remove a snippet from the incoming list - history keeps it
+  void dismissSnippet(String id) {
+    state = state.copyWith(
+      snippets: state.snippets.where((s) => s.id != id).toList(),
+    );
+  }
+
+  /// Remove all snippets from the incoming list
+  void clearSnippets() {
+    state = state.copyWith(snippets: const []);
+  }
 }
@@ -1,6 +1,7 @@
 import 'dart:async';
 import 'dart:collection';
 import 'dart:convert';
+import 'dart:typed_data';
 
 import 'package:cryptography/cryptography.dart';
 import 'package:flutter/foundation.dart';
@@ -146,15 +147,20 @@ class EncryptionService {
   /// The format is: 12-byte nonce + encrypted data + 16-byte MAC
   /// This allows the recipient to verify data integrity.
   ///
+  /// With a [context] the chunk is sealed in the versioned format
+  /// instead, see [ChunkContext].
+  ///
   /// Parameters:
   /// - [plaintext]: The data to encrypt
   /// - [secretKey]: The shared secret key
+  /// - [context]: Where the chunk belongs in its transfer
   ///
   /// Returns encrypted data with nonce and MAC prepended.
   ///
   /// Throws [EncryptionException] if nonce limit is reached.
   Future<Uint8List> encryptChunk(
-      Uint8List plaintext, SecretKey secretKey) async {
+      Uint8List plaintext, SecretKey secretKey,
+      {ChunkContext? context}) async {
     // Use lock for thread-safe nonce operations
     return await _nonceLock.synchronized(() async {
       // Check nonce counter
@@ -191,6 +197,10 @@ class EncryptionService {
         _usedNonces.remove(oldest);
       }
 
+      if (context != null) {
+        return context.seal(_aesGcm, plaintext, secretKey, nonce: nonce);
+      }
+
       // Encrypt with authentication
       final secretBox = await _aesGcm.encrypt(
         plaintext,
@@ -226,22 +236,21 @@ class EncryptionService {
   /// returning the decrypted data. If verification fails,
   /// throws [EncryptionException] with authentication error.
   ///
+  /// With a [context] only a chunk sealed for exactly that place in the
+  /// transfer is accepted - legacy chunks are rejected, see [ChunkContext].
+  ///
   /// Parameters:
   /// - [encryptedData]: The encrypted data with nonce and MAC
   /// - [secretKey]: The shared secret key
+  /// - [context]: Where the chunk must belong in its transfer
   ///
   /// Returns the decrypted plaintext.
   ///
   /// Throws [EncryptionException] if data is too small, too large,
   /// or authentication fails.
   Future<Uint8List> decryptChunk(
-      Uint8List encryptedData, SecretKey secretKey) async {
-    // FIX: Enhanced size validation
-    if (encryptedData.length < 28) {
-      throw EncryptionException(
-          'Data too small to decrypt: ${encryptedData.length} bytes (minimum 28)');
-    }
-
+      Uint8List encryptedData, SecretKey secretKey,
+      {ChunkContext? context}) async {
     // FIX: Sanity check on maximum size (prevent memory issues)
     const maxChunkSize = 100 * 1024 * 1024; // 100MB max
     if (encryptedData.length > maxChunkSize) {
@@ -249,6 +258,16 @@ class EncryptionService {
           'Chunk too large: ${encryptedData.length} bytes (max $maxChunkSize)');
     }
 
+    if (context != null) {
+      return context.open(_aesGcm, encryptedData, secretKey);
+    }
+
+    // FIX: Enhanced size validation
+    if (encryptedData.length < 28) {
+      throw EncryptionException(
+          'Data too small to decrypt: ${encryptedData.length} bytes (minimum 28)');
+    }
+
     // Extract components
     final nonce = encryptedData.sublist(0, 12);
     final mac = encryptedData.sublist(encryptedData.length - 16);
@@ -522,6 +541,151 @@ class EncryptionService {
   }
 }
 
+/// Where a chunk belongs in a parallel transfer
+///
+/// Chunks sealed with a context use the versioned chunk format:
+/// `[version (1 byte) | nonce (12 bytes) | ciphertext | mac (16 bytes)]`.
+/// The transfer ID, chunk index, chunk count and a last-chunk flag are
+/// authenticated as AES-GCM additional data, so a chunk that is moved to
+/// another index, duplicated, or replayed into another transfer fails
+/// authentication even though its ciphertext is intact.
+///
+/// Senders offer the format as `chunkFormat` when initiating and the
+/// receiver echoes it back. That exchange isn't authenticated, so a sender
+/// never falls back to legacy chunks (`[nonce | ciphertext | mac]`, no
+/// additional data) for an encrypted transfer - see [requireAgreed].
+/// Apps also say which format they can do when exchanging keys: a receiver
+/// that doesn't is sent the file in one stream instead, and a receiver only
+/// takes legacy chunks from a sender that didn't say so either.
+class ChunkContext {
+  /// Version byte of chunks sealed with a context
+  static const int formatVersion = 2;
+
+  /// The original format without a version byte or additional data
+  static const int legacyFormatVersion = 1;
+
+  // Domain separation, so the additional data can't collide with
+  // another protocol's
+  static final List<int> _aadPrefix = utf8.encode('syndro-chunk-v2');
+
+  final String transferId;
+  final int index;
+  final int totalChunks;
+
+  const ChunkContext({
+    required this.transferId,
+    required this.index,
+    required this.totalChunks,
+  });
+
+  bool get isFinal => index == totalChunks - 1;
+
+  /// The additional authenticated data:
+  /// `"syndro-chunk-v2" | id length (u16) | transfer ID (UTF-8) |
+  /// index (u32) | total chunks (u32) | last chunk (u8)`, big-endian
+  Uint8List toAad() {
+    final id = utf8.encode(transferId);
+    if (id.length > 0xFFFF ||
+        index < 0 ||
+        index >= totalChunks ||
+        totalChunks > 0xFFFFFFFF) {
+      throw EncryptionException('Invalid chunk context');
+    }
+
+    final aad = Uint8List(_aadPrefix.length + 2 + id.length + 9);
+    final view = ByteData.sublistView(aad);
+    var offset = 0;
+    aad.setRange(offset, offset + _aadPrefix.length, _aadPrefix);
+    offset += _aadPrefix.length;
+    view.setUint16(offset, id.length, Endian.big);
+    offset += 2;
+    aad.setRange(offset, offset + id.length, id);
+    offset += id.length;
+    view.setUint32(offset, index, Endian.big);
+    offset += 4;
+    view.setUint32(offset, totalChunks, Endian.big);
+    offset += 4;
+    aad[offset] = isFinal ? 1 : 0;
+    return aad;
+  }
+
+  /// Encrypt [plaintext] for this place in the transfer, with a fresh
+  /// random nonce unless [nonce] is given
+  Future<Uint8List> seal(
+      AesGcm aesGcm, Uint8List plaintext, SecretKey secretKey,
+      {List<int>? nonce}) async {
+    final secretBox = await aesGcm.encrypt(
+      plaintext,
+      secretKey: secretKey,
+      nonce: nonce ?? aesGcm.newNonce(),
+      aad: toAad(),
+    );
+
+    final result = Uint8List(1 + 12 + secretBox.cipherText.length + 16);
+    result[0] = formatVersion;
+    result.setRange(1, 13, secretBox.nonce);
+    result.setRange(13, 13 + secretBox.cipherText.length, secretBox.cipherText);
+    result.setRange(result.length - 16, result.length, secretBox.mac.bytes);
+    return result;
+  }
+
+  /// Decrypt a chunk sealed for this place in the transfer
+  ///
+  /// Throws [EncryptionException] for legacy or unknown formats and when
+  /// authentication fails - including a valid chunk from somewhere else.
+  Future<Uint8List> open(
+      AesGcm aesGcm, Uint8List sealed, SecretKey secretKey) async {
+    if (sealed.length < 29) {
+      throw EncryptionException(
+          'Data too small to decrypt: ${sealed.length} bytes (minimum 29)');
+    }
+    if (sealed[0] != formatVersion) {
+      throw EncryptionException('Unsupported chunk format: ${sealed[0]}');
+    }
+
+    final secretBox = SecretBox(
+      sealed.sublist(13, sealed.length - 16),
+      nonce: sealed.sublist(1, 13),
+      mac: Mac(sealed.sublist(sealed.length - 16)),
+    );
+
+    try {
+      final plaintext = await aesGcm.decrypt(
+        secretBox,
+        secretKey: secretKey,
+        aad: toAad(),
+      );
+      return Uint8List.fromList(plaintext);
+    } on SecretBoxAuthenticationError catch (e) {
+      throw EncryptionException(
+        'Decryption failed: Authentication error - chunk corrupted, tampered '
+        'or not from this place in the transfer',
+        originalError: e,
+      );
+    }
+  }
+
+  /// The chunk format to use for a transfer, given what the other side
+  /// said in [json] - legacy unless it agreed to the versioned format
+  static int negotiated(Map<String, dynamic>? json) =>
+      json?['chunkFormat'] == formatVersion ? formatVersion : legacyFormatVersion;
+
+  /// The chunk format for an encrypted transfer, given what the other side
+  /// said in [json]
+  ///
+  /// Throws [EncryptionException] unless it agreed to [formatVersion]:
+  /// anyone on the path could strip `chunkFormat` from the exchange, so
+  /// accepting legacy here would be a downgrade.
+  static int requireAgreed(Map<String, dynamic>? json) {
+    if (negotiated(json) != formatVersion) {
+      throw EncryptionException(
+          'Peer did not agree to chunk format $formatVersion - refusing '
+          'to send encrypted chunks in the legacy format');
+    }
+    return formatVersion;
+  }
+}
+
 /// Custom exception for encryption errors
 ///
 /// This exception is thrown when encryption or decryption operations fail.
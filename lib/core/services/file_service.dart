@@ -127,6 +127,37 @@ class FileService {
     return sanitized;
   }
 
+  /// Maximum folder depth accepted by [sanitizeRelativePath]
+  static const int maxRelativePathDepth = 32;
+
+  /// Sanitize a path inside an uploaded folder (e.g. 'Photos/2024/img.jpg')
+  ///
+  /// Splits on both separator styles, drops empty and `.` segments and
+  /// runs every remaining segment through [sanitizeFilename], so `..` and
+  /// absolute paths can't climb out of the folder.
+  ///
+  /// Parameters:
+  /// - [relativePath]: The path as reported by the sender
+  ///
+  /// Returns the sanitized path joined with '/', or null if it doesn't
+  /// name a file inside at least one folder or is deeper than
+  /// [maxRelativePathDepth].
+  String? sanitizeRelativePath(String? relativePath) {
+    if (relativePath == null || relativePath.contains('\x00')) return null;
+
+    final segments = relativePath
+        .split(RegExp(r'[/\\]'))
+        .where((segment) => segment.trim().isNotEmpty && segment != '.')
+        .map(sanitizeFilename)
+        .toList();
+
+    if (segments.length < 2 || segments.length > maxRelativePathDepth) {
+      return null;
+    }
+
+    return segments.join('/');
+  }
+
   /// Validate that a path is within an allowed directory
   ///
   /// Resolves symlinks to prevent symlink attacks (TOCTOU mitigation).
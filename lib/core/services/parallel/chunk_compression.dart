@@ -0,0 +1,98 @@
+import 'dart:io';
+import 'dart:math';
+import 'dart:typed_data';
+
+import '../web_share/utils/file_type_utils.dart';
+
+/// Per-chunk compression for parallel transfers with the browser
+///
+/// Uploads: the sender offers the algorithms it can compress with when
+/// initiating (`compression: ['deflate-raw']`); the receiver answers with
+/// the one it agrees to, or none for files [FileTypeUtils.isCompressed]
+/// says are compressed already. Each chunk is then compressed before
+/// encryption and sent with [header] set - or left as is, without the
+/// header, if it didn't get smaller. X-Original-Size stays the uncompressed
+/// size, and chunk hashes cover the uncompressed bytes.
+///
+/// Downloads work the same way per request: the downloader lists what it
+/// can inflate in [acceptHeader], and [negotiateServed] picks for the file.
+class ChunkCompression {
+  ChunkCompression._();
+
+  /// Raw DEFLATE (RFC 1951), as the browser's CompressionStream makes it
+  static const String deflateRaw = 'deflate-raw';
+
+  /// Names the algorithm a chunk was compressed with
+  static const String header = 'X-Compressed';
+
+  /// Lists the algorithms a downloader can inflate chunks from
+  static const String acceptHeader = 'X-Accept-Compression';
+
+  /// The algorithm to use for [fileName] given the sender's initiate
+  /// request, or null to send chunks uncompressed
+  static String? negotiate(Map<String, dynamic> data, String fileName) {
+    final offered = data['compression'];
+    if (offered is! List || !offered.contains(deflateRaw)) return null;
+    if (FileTypeUtils.isCompressed(fileName)) return null;
+    return deflateRaw;
+  }
+
+  /// The algorithm to serve a chunk of [fileName] with, given the
+  /// downloader's [acceptHeader], or null to serve it as it is
+  static String? negotiateServed(String? accepted, String fileName) {
+    if (accepted == null) return null;
+    final algorithms = accepted.split(',').map((a) => a.trim());
+    if (!algorithms.contains(deflateRaw)) return null;
+    if (FileTypeUtils.isCompressed(fileName)) return null;
+    return deflateRaw;
+  }
+
+  /// Deflate a chunk as [deflateRaw], or null if that doesn't make it
+  /// smaller
+  static Uint8List? deflate(List<int> data) {
+    final compressed = ZLibEncoder(raw: true).convert(data);
+    if (compressed.length >= data.length) return null;
+    return compressed is Uint8List ? compressed : Uint8List.fromList(compressed);
+  }
+
+  /// Inflate a [deflateRaw] chunk, refusing one that would grow past
+  /// [maxLength] bytes (a chunk is never bigger than the chunk size)
+  ///
+  /// Throws a [FormatException] for corrupt or oversized data.
+  static Uint8List inflate(Uint8List data, int maxLength) {
+    final output = _LimitedBytesSink(maxLength);
+    final input = ZLibDecoder(raw: true).startChunkedConversion(output);
+
+    // Fed in slices so an oversized chunk is stopped early rather than
+    // inflated in full first
+    const sliceSize = 64 * 1024;
+    for (var start = 0; start < data.length; start += sliceSize) {
+      final end = min(start + sliceSize, data.length);
+      input.add(Uint8List.sublistView(data, start, end));
+    }
+    input.close();
+
+    return output.takeBytes();
+  }
+}
+
+/// Collects inflated bytes, throwing once there are more than [maxLength]
+class _LimitedBytesSink implements Sink<List<int>> {
+  final int maxLength;
+  final BytesBuilder _bytes = BytesBuilder(copy: true);
+
+  _LimitedBytesSink(this.maxLength);
+
+  @override
+  void add(List<int> chunk) {
+    if (_bytes.length + chunk.length > maxLength) {
+      throw FormatException('Chunk inflates past $maxLength bytes');
+    }
+    _bytes.add(chunk);
+  }
+
+  @override
+  void close() {}
+
+  Uint8List takeBytes() => _bytes.takeBytes();
+}
@@ -139,6 +139,9 @@ class ChunkWriterService {
   /// Check if specific chunk was received
   bool hasChunk(int chunkIndex) => _receivedChunks.contains(chunkIndex);
 
+  /// Sorted indices of chunks written so far (for resume)
+  List<int> get receivedChunks => _receivedChunks.toList()..sort();
+
   /// Finalize and rename temp file to final
   Future<File> finalize() async {
     if (!_isComplete) {
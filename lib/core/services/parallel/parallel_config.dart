@@ -1,4 +1,5 @@
 import 'dart:io';
+import 'dart:math';
 
 import 'package:flutter/foundation.dart';
 
@@ -178,6 +179,26 @@ class ParallelConfig {
     isBrowser: false,
   );
 
+  /// Bounds browser clients may tune connections and chunk size within
+  static const int browserMaxConnections = 8;
+  static const int browserMinChunkSize = 256 * 1024;
+  static const int browserMaxChunkSize = 8 * 1024 * 1024;
+
+  /// Config the web share servers recommend to browser clients
+  ///
+  /// [appToBrowser], scaled down when this device is itself low-end - it
+  /// has to keep up with every connection the browser opens.
+  static Future<ParallelConfig> forBrowserClients() async {
+    final device = await autoDetect();
+    return ParallelConfig(
+      connections: min(device.connections, appToBrowser.connections),
+      chunkSize: min(device.chunkSize, appToBrowser.chunkSize),
+      minFileSize: appToBrowser.minFileSize,
+      enabled: true,
+      isBrowser: true,
+    );
+  }
+
   /// Auto-detect best config based on device
   /// OPTIMIZED: Better detection for low-end devices to handle large files
   static Future<ParallelConfig> autoDetect({bool isBrowser = false}) async {
@@ -330,6 +351,23 @@ class ParallelConfig {
     }
   }
 
+  /// Starting point and tuning bounds for adaptive_tuner.js
+  ///
+  /// The browser starts at [connections] / [chunkSize] and may go up to
+  /// twice the connections and four times the chunk size as it measures
+  /// the link, within the browser limits above.
+  Map<String, dynamic> toBrowserJson() {
+    return {
+      'connections': connections,
+      'chunkSize': chunkSize,
+      'minConnections': 1,
+      'maxConnections':
+          max(connections, min(connections * 2, browserMaxConnections)),
+      'minChunkSize': min(chunkSize, browserMinChunkSize),
+      'maxChunkSize': max(chunkSize, min(chunkSize * 4, browserMaxChunkSize)),
+    };
+  }
+
   @override
   String toString() {
     return 'ParallelConfig(connections: $connections, chunkSize: ${chunkSize ~/ 1024}KB, '
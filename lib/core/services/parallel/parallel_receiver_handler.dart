@@ -3,8 +3,10 @@ import 'dart:io';
 
 import 'package:flutter/foundation.dart';
 import 'package:cryptography/cryptography.dart';
+import 'package:crypto/crypto.dart' as crypto;
 
 import 'parallel_config.dart';
+import 'chunk_compression.dart';
 import 'chunk_writer_service.dart';
 import '../streaming_hash_service.dart';
 import '../file_service.dart';
@@ -30,10 +32,28 @@ class ParallelReceiverHandler {
 
   bool _isDisposed = false;
 
-  ParallelReceiverHandler(this._fileService);
+  static final RegExp _sha256HexPattern = RegExp(r'^[0-9a-f]{64}$');
+
+  /// Carries a chunk's plaintext SHA-256 for senders that hash each chunk
+  /// as they send it, rather than up front in a manifest
+  static const String chunkHashHeader = 'X-Chunk-Hash';
+
+  /// Where files are assembled; the download directory if null
+  final String? _targetDirectory;
+
+  /// Pass [targetDirectory] to stage files somewhere other than the download
+  /// directory (e.g. the web receive server's pending-files directory). Staged
+  /// files get a timestamp prefix so same-named uploads can't collide.
+  ParallelReceiverHandler(this._fileService, {String? targetDirectory})
+      : _targetDirectory = targetDirectory;
 
   /// Handle parallel transfer initiation
-  Future<Map<String, dynamic>> handleInitiate(Map<String, dynamic> data) async {
+  ///
+  /// Set [acceptLegacyChunks] for a sender known to be an app from before
+  /// chunks were bound to their place in the transfer, so its encrypted
+  /// transfers can still use the legacy chunk format.
+  Future<Map<String, dynamic>> handleInitiate(Map<String, dynamic> data,
+      {bool acceptLegacyChunks = false}) async {
     if (_isDisposed) {
       return {'success': false, 'error': 'Handler is disposed'};
     }
@@ -47,6 +67,24 @@ class ParallelReceiverHandler {
     final senderId = data['senderId'] as String? ?? '';
     final senderName = data['senderName'] as String? ?? '';
     final encrypted = data['encrypted'] as bool? ?? false;
+    // Encrypted chunks are bound to their place in the transfer - unless
+    // the sender is known not to do that, an offer without it may have
+    // been stripped on the way, so it's refused
+    final chunkFormat = encrypted
+        ? ChunkContext.negotiated(data)
+        : ChunkContext.legacyFormatVersion;
+    if (encrypted &&
+        chunkFormat != ChunkContext.formatVersion &&
+        !acceptLegacyChunks) {
+      return {
+        'success': false,
+        'error': 'Encrypted transfers need chunk format '
+            '${ChunkContext.formatVersion}',
+      };
+    }
+    // Compressed chunks if the sender offers it and the file isn't
+    // compressed already
+    final compression = ChunkCompression.negotiate(data, fileName);
 
     if (transferId.isEmpty ||
         fileName.isEmpty ||
@@ -55,13 +93,56 @@ class ParallelReceiverHandler {
       return {'success': false, 'error': 'Missing required fields'};
     }
 
+    // Optional per-chunk manifest: SHA-256 of each plaintext chunk
+    List<String>? chunkHashes;
+    final rawChunkHashes = data['chunkHashes'];
+    if (rawChunkHashes != null) {
+      chunkHashes = rawChunkHashes is List
+          ? rawChunkHashes.whereType<String>().toList()
+          : const <String>[];
+      if (chunkHashes.length != totalChunks ||
+          !chunkHashes.every(_sha256HexPattern.hasMatch)) {
+        return {'success': false, 'error': 'Invalid chunk manifest'};
+      }
+    }
+
+    // Resuming a transfer we already hold chunks for
+    final existing = await _getSession(transferId);
+    if (existing != null) {
+      if (existing.fileSize != fileSize ||
+          existing.totalChunks != totalChunks ||
+          existing.chunkSize != chunkSize) {
+        return {
+          'success': false,
+          'error': 'Transfer already exists with different parameters',
+        };
+      }
+
+      debugPrint('♻️ Parallel transfer resumed: $fileName '
+          '(${existing.writer.receivedChunks.length}/$totalChunks chunks held)');
+
+      return {
+        'success': true,
+        'transferId': transferId,
+        'resumed': true,
+        'chunkFormat': existing.chunkFormat,
+        'compression': existing.compression,
+        'receivedChunks': existing.writer.receivedChunks,
+        'message': 'Ready to receive remaining chunks',
+      };
+    }
+
     debugPrint('📥 Parallel transfer initiated: $fileName');
     debugPrint('   Size: ${ByteFormatter.format(fileSize)}, Chunks: $totalChunks');
 
     try {
-      final downloadDir = await _fileService.getDownloadDirectory();
+      final downloadDir =
+          _targetDirectory ?? await _fileService.getDownloadDirectory();
       final sanitizedName = _fileService.sanitizeFilename(fileName);
-      final filePath = '$downloadDir${Platform.pathSeparator}$sanitizedName';
+      final storedName = _targetDirectory != null
+          ? '${DateTime.now().millisecondsSinceEpoch}_$sanitizedName'
+          : sanitizedName;
+      final filePath = '$downloadDir${Platform.pathSeparator}$storedName';
 
       if (!_fileService.isPathWithinDirectory(filePath, downloadDir)) {
         return {'success': false, 'error': 'Invalid file path'};
@@ -92,7 +173,10 @@ class ParallelReceiverHandler {
         senderId: senderId,
         senderName: senderName,
         encrypted: encrypted,
+        chunkFormat: chunkFormat,
+        compression: compression,
         writer: writer,
+        chunkHashes: chunkHashes,
       );
 
       await _sessionsLock.synchronized(() async {
@@ -102,6 +186,8 @@ class ParallelReceiverHandler {
       return {
         'success': true,
         'transferId': transferId,
+        'chunkFormat': chunkFormat,
+        'compression': compression,
         'message': 'Ready to receive chunks',
       };
     } catch (e) {
@@ -113,7 +199,86 @@ class ParallelReceiverHandler {
     }
   }
 
+  /// Report which chunks of a transfer have been received
+  ///
+  /// Lets an interrupted sender skip the chunks the receiver already holds.
+  Future<Map<String, dynamic>> handleStatus(String transferId) async {
+    if (_isDisposed) {
+      return {'success': false, 'error': 'Handler is disposed'};
+    }
+
+    final session = await _getSession(transferId);
+    if (session == null) {
+      return {'success': false, 'error': 'Unknown transfer'};
+    }
+
+    return {
+      'success': true,
+      'transferId': transferId,
+      'fileName': session.fileName,
+      'fileSize': session.fileSize,
+      'totalChunks': session.totalChunks,
+      'chunkSize': session.chunkSize,
+      'chunkFormat': session.chunkFormat,
+      'compression': session.compression,
+      'receivedChunks': session.writer.receivedChunks,
+      'bytesReceived': session.writer.bytesReceived,
+    };
+  }
+
+  /// Return the per-chunk hashes known for a transfer - the manifest the
+  /// sender supplied at initiation, or the hashes sent with each chunk so
+  /// far (null for chunks not received yet)
+  Future<Map<String, dynamic>> handleManifest(String transferId) async {
+    if (_isDisposed) {
+      return {'success': false, 'error': 'Handler is disposed'};
+    }
+
+    final session = await _getSession(transferId);
+    if (session == null) {
+      return {'success': false, 'error': 'No manifest for transfer'};
+    }
+
+    return {
+      'success': true,
+      'transferId': transferId,
+      'algorithm': 'sha256',
+      'chunkSize': session.chunkSize,
+      'totalChunks': session.totalChunks,
+      'chunkHashes': session.chunkHashes,
+    };
+  }
+
+  /// Drop a transfer its sender gave up on
+  ///
+  /// The partially written file is deleted and the transferId is free
+  /// again straight away, instead of when the handler is disposed.
+  Future<Map<String, dynamic>> handleCancel(String transferId) async {
+    if (_isDisposed) {
+      return {'success': false, 'error': 'Handler is disposed'};
+    }
+
+    final session = await _getSession(transferId);
+    if (session == null) {
+      return {'success': false, 'error': 'Unknown transfer'};
+    }
+
+    await _cleanupSessionOnError(transferId);
+    debugPrint('🚫 Transfer cancelled by sender: ${session.fileName}');
+
+    return {
+      'success': true,
+      'transferId': transferId,
+      'cancelled': true,
+    };
+  }
+
   /// Handle incoming chunk
+  ///
+  /// [compression] is the chunk's [ChunkCompression.header], if it was
+  /// compressed - only the algorithm negotiated for the session is taken.
+  /// [chunkHash] is its [chunkHashHeader]: the plaintext is checked against
+  /// it, and it's kept for [handleComplete].
   Future<Map<String, dynamic>> handleChunk({
     required String transferId,
     required int chunkIndex,
@@ -121,6 +286,8 @@ class ParallelReceiverHandler {
     required int originalSize,
     required bool encrypted,
     SecretKey? decryptionKey,
+    String? compression,
+    String? chunkHash,
   }) async {
     if (_isDisposed) {
       return {'success': false, 'error': 'Handler is disposed'};
@@ -134,23 +301,122 @@ class ParallelReceiverHandler {
     if (session == null) {
       return {'success': false, 'error': 'Unknown transfer'};
     }
+    if (chunkIndex < 0 || chunkIndex >= session!.totalChunks) {
+      return {'success': false, 'error': 'Invalid chunk index'};
+    }
+    if (chunkHash != null && !_sha256HexPattern.hasMatch(chunkHash)) {
+      return {
+        'success': false,
+        'error': 'Invalid chunk hash',
+        'chunkIndex': chunkIndex,
+      };
+    }
+
+    // A retry of a chunk whose acknowledgement was lost - already on disk.
+    // Asked under the session's write lock, so a write of the same chunk
+    // or a cancel can't be halfway through
+    switch (await session!._chunkState(chunkIndex)) {
+      case _ChunkState.cancelled:
+        return {'success': false, 'error': 'Unknown transfer'};
+      case _ChunkState.held:
+        return _duplicateChunk(session!, chunkIndex);
+      case _ChunkState.missing:
+        break;
+    }
 
     try {
       Uint8List dataToWrite;
-      if (encrypted && decryptionKey != null) {
+      if (session!.chunkFormat == ChunkContext.formatVersion) {
+        // Negotiated - only chunks sealed for this index of this transfer
+        if (!encrypted || decryptionKey == null) {
+          return {
+            'success': false,
+            'error': 'Chunk must be encrypted',
+            'chunkIndex': chunkIndex,
+          };
+        }
+        try {
+          dataToWrite = await _decryptChunk(
+            chunkData,
+            decryptionKey,
+            context: ChunkContext(
+              transferId: transferId,
+              index: chunkIndex,
+              totalChunks: session!.totalChunks,
+            ),
+          );
+        } on EncryptionException catch (e) {
+          // Tampered with or swapped in flight - a resend can get through
+          debugPrint('❌ Chunk $chunkIndex rejected: ${e.message}');
+          return {
+            'success': false,
+            'error': 'Chunk authentication failed',
+            'chunkIndex': chunkIndex,
+            'retryable': true,
+          };
+        }
+      } else if (encrypted && decryptionKey != null) {
         dataToWrite = await _decryptChunk(chunkData, decryptionKey);
       } else {
         dataToWrite = chunkData;
       }
 
+      if (compression != null) {
+        if (compression != session!.compression) {
+          return {
+            'success': false,
+            'error': 'Chunk compression not negotiated',
+            'chunkIndex': chunkIndex,
+          };
+        }
+        try {
+          final maxLength = session!.chunkSize > 0
+              ? session!.chunkSize
+              : session!.fileSize;
+          dataToWrite = ChunkCompression.inflate(dataToWrite, maxLength);
+        } on FormatException catch (e) {
+          debugPrint('❌ Chunk $chunkIndex could not be inflated: ${e.message}');
+          return {
+            'success': false,
+            'error': 'Chunk decompression failed',
+            'chunkIndex': chunkIndex,
+            'retryable': true,
+          };
+        }
+      }
+
       if (originalSize > 0 && dataToWrite.length != originalSize) {
         debugPrint(
             '⚠️ Chunk size mismatch: expected $originalSize, got ${dataToWrite.length}');
       }
 
-      await session!.writer.writeChunk(chunkIndex, dataToWrite);
+      // Reject a corrupted chunk now so only it is resent, rather than
+      // failing the whole-file check at completion
+      final manifestHash = session!.chunkHashes[chunkIndex];
+      if (manifestHash != null || chunkHash != null) {
+        final actualHash = crypto.sha256.convert(dataToWrite).toString();
+        if ((manifestHash != null && actualHash != manifestHash) ||
+            (chunkHash != null && actualHash != chunkHash)) {
+          debugPrint('❌ Chunk $chunkIndex failed manifest check');
+          return {
+            'success': false,
+            'error': 'Chunk hash mismatch',
+            'chunkIndex': chunkIndex,
+            'retryable': true,
+          };
+        }
+      }
 
-      await session!.incrementProgress(dataToWrite.length);
+      // Checked again as it's written - a retry may have got there first
+      switch (await session!
+          ._writeChunk(chunkIndex, dataToWrite, hash: chunkHash)) {
+        case _ChunkState.cancelled:
+          return {'success': false, 'error': 'Unknown transfer'};
+        case _ChunkState.held:
+          return _duplicateChunk(session!, chunkIndex);
+        case _ChunkState.missing:
+          break;
+      }
 
       onProgress?.call(transferId, session!.bytesReceived, session!.fileSize);
 
@@ -167,9 +433,15 @@ class ParallelReceiverHandler {
   }
 
   /// Handle transfer completion notification
+  ///
+  /// The sender vouches for the file with its whole-file [fileHash], or
+  /// with [chunkHashes] - every chunk's SHA-256, in order. Those are
+  /// compared with the hashes each chunk was checked against as it
+  /// arrived, so the file isn't read again.
   Future<Map<String, dynamic>> handleComplete({
     required String transferId,
-    required String fileHash,
+    String fileHash = '',
+    List<String>? chunkHashes,
   }) async {
     if (_isDisposed) {
       return {'success': false, 'error': 'Handler is disposed'};
@@ -194,12 +466,42 @@ class ParallelReceiverHandler {
         };
       }
 
+      // Only a full-content SHA-256 is accepted; the old browser uploader's
+      // 'p'-prefixed partial hash skipped everything but the first/last MB
+      final byChunks =
+          chunkHashes != null && !_sha256HexPattern.hasMatch(fileHash);
+      if (!byChunks && !_sha256HexPattern.hasMatch(fileHash)) {
+        return {
+          'success': false,
+          'error': 'A full SHA-256 file hash is required',
+        };
+      }
+
       final file = await session!.writer.finalize();
 
-      debugPrint('📝 Verifying file hash...');
-      final calculatedHash = await StreamingHashService.calculateFileHash(file);
+      Map<String, dynamic>? mismatch;
+      if (byChunks) {
+        if (!_matchesReceivedChunks(session!, chunkHashes)) {
+          mismatch = {
+            'success': false,
+            'error': 'Chunk hashes do not match the chunks received',
+          };
+        }
+      } else {
+        debugPrint('📝 Verifying file hash...');
+        final calculatedHash =
+            await StreamingHashService.calculateFileHash(file);
+        if (calculatedHash != fileHash) {
+          mismatch = {
+            'success': false,
+            'error': 'Hash mismatch - file corrupted',
+            'expectedHash': fileHash,
+            'calculatedHash': calculatedHash,
+          };
+        }
+      }
 
-      if (calculatedHash != fileHash) {
+      if (mismatch != null) {
         debugPrint('❌ Hash mismatch! Deleting corrupted file.');
 
         try {
@@ -210,12 +512,7 @@ class ParallelReceiverHandler {
 
         await _cleanupSession(transferId);
 
-        return {
-          'success': false,
-          'error': 'Hash mismatch - file corrupted',
-          'expectedHash': fileHash,
-          'calculatedHash': calculatedHash,
-        };
+        return mismatch;
       }
 
       debugPrint('✅ File verified and saved: ${session!.filePath}');
@@ -242,6 +539,28 @@ class ParallelReceiverHandler {
     }
   }
 
+  /// Whether [chunkHashes] is every chunk's hash, each one the chunk was
+  /// checked against on arrival - a chunk that came without a hash fails
+  bool _matchesReceivedChunks(
+      ParallelReceiveSession session, List<String> chunkHashes) {
+    if (chunkHashes.length != session.totalChunks) return false;
+    for (var i = 0; i < chunkHashes.length; i++) {
+      if (session.chunkHashes[i] != chunkHashes[i]) return false;
+    }
+    return true;
+  }
+
+  Map<String, dynamic> _duplicateChunk(
+      ParallelReceiveSession session, int chunkIndex) {
+    return {
+      'success': true,
+      'chunkIndex': chunkIndex,
+      'duplicate': true,
+      'chunksReceived': session.chunksReceived,
+      'totalChunks': session.totalChunks,
+    };
+  }
+
   Future<void> _cleanupSession(String transferId) async {
     await _sessionsLock.synchronized(() async {
       _sessions.remove(transferId);
@@ -258,7 +577,7 @@ class ParallelReceiverHandler {
 
     if (session != null) {
       try {
-        await session!.writer.abort();
+        await session!.abort();
       } catch (e) {
         debugPrint('Error aborting writer: $e');
       }
@@ -278,7 +597,12 @@ class ParallelReceiverHandler {
   }
 
   Future<Uint8List> _decryptChunk(
-      Uint8List encryptedData, SecretKey secretKey) async {
+      Uint8List encryptedData, SecretKey secretKey,
+      {ChunkContext? context}) async {
+    if (context != null) {
+      return context.open(_aesGcm, encryptedData, secretKey);
+    }
+
     if (encryptedData.length < 28) {
       throw Exception(
           'Data too small to decrypt: ${encryptedData.length} bytes');
@@ -302,6 +626,14 @@ class ParallelReceiverHandler {
     return Uint8List.fromList(plaintext);
   }
 
+  Future<ParallelReceiveSession?> _getSession(String transferId) async {
+    ParallelReceiveSession? session;
+    await _sessionsLock.synchronized(() async {
+      session = _sessions[transferId];
+    });
+    return session;
+  }
+
   ParallelReceiveSession? getSession(String transferId) {
     return _sessions[transferId];
   }
@@ -326,6 +658,9 @@ class ParallelReceiverHandler {
 
 }
 
+/// Where a chunk stands, as seen under a session's write lock
+enum _ChunkState { missing, held, cancelled }
+
 /// Session state for receiving parallel transfer
 class ParallelReceiveSession {
   final String transferId;
@@ -338,12 +673,32 @@ class ParallelReceiveSession {
   final String senderId;
   final String senderName;
   final bool encrypted;
+
+  /// [ChunkContext.formatVersion] once both sides agreed to bind chunks to
+  /// their place in the transfer, else [ChunkContext.legacyFormatVersion]
+  final int chunkFormat;
+
+  /// [ChunkCompression.deflateRaw] if chunks may arrive compressed
+  final String? compression;
+
   final ChunkWriterService writer;
 
+  /// SHA-256 of each plaintext chunk - all of them if the sender supplied
+  /// a manifest, otherwise each one as it arrives with its hash; null
+  /// where unknown
+  final List<String?> chunkHashes;
+
   int _chunksReceived = 0;
   int _bytesReceived = 0;
   final SynchronizedLock<void> _lock = SynchronizedLock<void>();
 
+  /// Serializes writes against each other and against abort(), so each
+  /// chunk is written and counted once and nothing is written after a
+  /// cancel
+  final SynchronizedLock<_ChunkState> _writeLock =
+      SynchronizedLock<_ChunkState>();
+  bool _aborted = false;
+
   DateTime startTime = DateTime.now();
 
   ParallelReceiveSession({
@@ -357,8 +712,13 @@ class ParallelReceiveSession {
     required this.senderId,
     required this.senderName,
     required this.encrypted,
+    this.chunkFormat = ChunkContext.legacyFormatVersion,
+    this.compression,
     required this.writer,
-  });
+    List<String>? chunkHashes,
+  }) : chunkHashes = chunkHashes != null
+            ? List<String?>.of(chunkHashes)
+            : List<String?>.filled(totalChunks, null);
 
   int get chunksReceived => _chunksReceived;
   int get bytesReceived => _bytesReceived;
@@ -370,6 +730,40 @@ class ParallelReceiveSession {
     });
   }
 
+  Future<_ChunkState> _chunkState(int chunkIndex) {
+    return _writeLock.synchronized(() => _stateOf(chunkIndex));
+  }
+
+  /// Write a chunk unless it's already held or the session was aborted -
+  /// returns the state it found, so [_ChunkState.missing] means written now.
+  /// [hash] is recorded for the chunk once it's written
+  Future<_ChunkState> _writeChunk(int chunkIndex, Uint8List data,
+      {String? hash}) {
+    return _writeLock.synchronized(() async {
+      final state = _stateOf(chunkIndex);
+      if (state == _ChunkState.missing) {
+        await writer.writeChunk(chunkIndex, data);
+        await incrementProgress(data.length);
+        if (hash != null) chunkHashes[chunkIndex] = hash;
+      }
+      return state;
+    });
+  }
+
+  /// Stop taking chunks and delete what was written
+  Future<void> abort() {
+    return _writeLock.synchronized(() async {
+      _aborted = true;
+      await writer.abort();
+      return _ChunkState.cancelled;
+    });
+  }
+
+  _ChunkState _stateOf(int chunkIndex) {
+    if (_aborted) return _ChunkState.cancelled;
+    return writer.hasChunk(chunkIndex) ? _ChunkState.held : _ChunkState.missing;
+  }
+
   double get progress => totalChunks > 0 ? _chunksReceived / totalChunks : 0;
   bool get isComplete => _chunksReceived == totalChunks;
 
@@ -112,6 +112,10 @@ class ParallelTransferService {
         encrypted: encryptionKey != null,
       );
 
+      // Encrypted chunks are bound to their place in the transfer - a
+      // receiver that doesn't agree to it is refused, not downgraded to
+      var agreed = initResponse;
+
       // FIX: Handle pending_approval status - wait for receiver to approve
       final status = initResponse['status'] as String?;
       if (status == 'pending_approval') {
@@ -119,16 +123,17 @@ class ParallelTransferService {
         
         // Wait for approval by polling the receiver
         final requestId = initResponse['requestId'] as String? ?? transferId;
-        final approved = await _waitForApproval(
+        final approval = await _waitForApproval(
           receiver: receiver,
           requestId: requestId,
           timeout: const Duration(minutes: 5),
           senderId: sender.id,
         );
         
-        if (!approved) {
+        if (approval == null) {
           throw Exception('Transfer rejected or timed out');
         }
+        agreed = approval;
         
         debugPrint('✅ Transfer approved! Starting upload...');
       } else if (initResponse['success'] != true) {
@@ -138,6 +143,10 @@ class ParallelTransferService {
         debugPrint('✅ Receiver auto-accepted! Starting upload...');
       }
 
+      final chunkFormat = encryptionKey != null
+          ? ChunkContext.requireAgreed(agreed)
+          : ChunkContext.legacyFormatVersion;
+
       debugPrint('📤 Now calculating hash and uploading chunks in parallel...');
 
       // FIX: Calculate hash in parallel with chunk uploads
@@ -181,6 +190,7 @@ class ParallelTransferService {
           senderToken: senderToken,
           sender: sender,
           encryptionKey: encryptionKey,
+          chunkFormat: chunkFormat,
           state: state,
           onProgress: onProgress,
         ));
@@ -259,6 +269,7 @@ class ParallelTransferService {
     required Device sender,
     required ParallelTransferState state,
     SecretKey? encryptionKey,
+    int chunkFormat = ChunkContext.legacyFormatVersion,
     void Function(int bytesSent, int totalBytes)? onProgress,
   }) async {
     debugPrint(
@@ -279,8 +290,17 @@ class ParallelTransferService {
 
         Uint8List dataToSend;
         if (encryptionKey != null) {
-          dataToSend =
-              await _encryptChunk(Uint8List.fromList(data), encryptionKey);
+          dataToSend = await _encryptChunk(
+            Uint8List.fromList(data),
+            encryptionKey,
+            context: chunkFormat == ChunkContext.formatVersion
+                ? ChunkContext(
+                    transferId: transferId,
+                    index: chunk.index,
+                    totalChunks: state.totalChunks,
+                  )
+                : null,
+          );
         } else {
           dataToSend = Uint8List.fromList(data);
         }
@@ -453,6 +473,7 @@ class ParallelTransferService {
               'senderName': sender.name,
               'senderToken': senderToken,
               'encrypted': encrypted,
+              if (encrypted) 'chunkFormat': ChunkContext.formatVersion,
             }),
           )
           .timeout(
@@ -519,7 +540,8 @@ class ParallelTransferService {
   }
 
   /// Wait for receiver to approve the transfer
-  Future<bool> _waitForApproval({
+  /// Poll until the receiver decides - its answer if it approved, else null
+  Future<Map<String, dynamic>?> _waitForApproval({
     required Device receiver,
     required String requestId,
     required Duration timeout,
@@ -543,10 +565,10 @@ class ParallelTransferService {
           
           if (status == 'approved') {
             debugPrint('✅ Transfer approved by receiver');
-            return true;
+            return data;
           } else if (status == 'rejected' || status == 'expired') {
             debugPrint('❌ Transfer $status by receiver');
-            return false;
+            return null;
           }
           // status == 'pending' - continue waiting
         }
@@ -559,11 +581,16 @@ class ParallelTransferService {
     }
     
     debugPrint('⏰ Transfer approval timed out');
-    return false;
+    return null;
   }
 
   Future<Uint8List> _encryptChunk(
-      Uint8List plaintext, SecretKey secretKey) async {
+      Uint8List plaintext, SecretKey secretKey,
+      {ChunkContext? context}) async {
+    if (context != null) {
+      return context.seal(_aesGcm, plaintext, secretKey);
+    }
+
     final nonce = _aesGcm.newNonce();
 
     final secretBox = await _aesGcm.encrypt(
@@ -587,8 +614,19 @@ class ParallelTransferService {
     return result;
   }
 
+  /// Open a chunk - with a [context], only one sealed for exactly that
+  /// place in the transfer
   Future<Uint8List> decryptChunk(
-      Uint8List encryptedData, SecretKey secretKey) async {
+      Uint8List encryptedData, SecretKey secretKey,
+      {ChunkContext? context}) async {
+    if (context != null) {
+      try {
+        return await context.open(_aesGcm, encryptedData, secretKey);
+      } on EncryptionException catch (e) {
+        throw DecryptionException(e.message, originalError: e);
+      }
+    }
+
     if (encryptedData.length < 28) {
       throw ArgumentError('Data too small to decrypt: ${encryptedData.length} bytes (minimum 28)');
     }
@@ -66,8 +66,15 @@ class TransferEncryptionHandler {
     return _encryptionSessions[deviceId];
   }
 
+  /// Seal a chunk - in the versioned format bound to its place in the
+  /// transfer when a [context] is given, see [ChunkContext]
   Future<Uint8List> encryptChunk(
-      Uint8List plaintext, SecretKey secretKey) async {
+      Uint8List plaintext, SecretKey secretKey,
+      {ChunkContext? context}) async {
+    if (context != null) {
+      return context.seal(_aesGcm, plaintext, secretKey);
+    }
+
     final nonce = _aesGcm.newNonce();
     final secretBox = await _aesGcm.encrypt(
       plaintext,
@@ -87,8 +94,15 @@ class TransferEncryptionHandler {
     return result;
   }
 
+  /// Open a chunk - with a [context], only one sealed for exactly that
+  /// place in the transfer; legacy chunks are rejected
   Future<Uint8List> decryptChunk(
-      Uint8List encryptedData, SecretKey secretKey) async {
+      Uint8List encryptedData, SecretKey secretKey,
+      {ChunkContext? context}) async {
+    if (context != null) {
+      return context.open(_aesGcm, encryptedData, secretKey);
+    }
+
     if (encryptedData.length < 28) {
       throw EncryptionException(
           'Data too small to decrypt: ${encryptedData.length} bytes');
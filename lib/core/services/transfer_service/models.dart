@@ -3,6 +3,7 @@ import 'dart:typed_data';
 import 'package:cryptography/cryptography.dart';
 
 import '../../models/transfer.dart';
+import '../encryption_service.dart' show ChunkContext;
 
 /// Custom exception for transfer errors
 class TransferException implements Exception {
@@ -36,6 +37,10 @@ class PendingTransferRequest {
   /// Whether the sender is a trusted device
   final bool isTrusted;
 
+  /// Whether the parallel transfer may use the legacy chunk format - the
+  /// sender's session is from an app that can't do anything else
+  final bool acceptLegacyChunks;
+
   PendingTransferRequest({
     required this.requestId,
     required this.senderId,
@@ -47,6 +52,7 @@ class PendingTransferRequest {
     this.isParallelTransfer = false,
     this.parallelData,
     this.isTrusted = false,
+    this.acceptLegacyChunks = false,
   });
 
   int get fileCount => items.length;
@@ -146,9 +152,15 @@ class EncryptionSession {
   final SecretKey sharedSecret;
   final DateTime createdAt;
 
+  /// The newest chunk format the other side said it can do when the keys
+  /// were exchanged - [ChunkContext.legacyFormatVersion] for apps from
+  /// before chunks were bound to their place in the transfer
+  final int chunkFormat;
+
   EncryptionSession({
     required this.sessionId,
     required this.sharedSecret,
     required this.createdAt,
+    this.chunkFormat = ChunkContext.legacyFormatVersion,
   });
 }
@@ -24,9 +24,11 @@ import '../background_transfer_service.dart';
 import '../device_nickname_service.dart';
 import 'models.dart';
 
+import '../parallel/chunk_compression.dart';
 import '../parallel/parallel_config.dart';
 import '../parallel/parallel_receiver_handler.dart';
 import '../parallel/parallel_transfer_service.dart';
+import '../web_share/utils/web_share_origins.dart';
 import '../live_activity_service.dart';
 import '../../config/app_config.dart';
 import '../../utils/app_logger.dart';
@@ -89,6 +91,8 @@ class TransferService {
   late final ParallelReceiverHandler _parallelReceiver;
   ParallelTransferService? _parallelSender;
   ParallelConfig? _parallelConfig;
+  // What browser peers are told to start with - see _serveDeviceInfo
+  Future<ParallelConfig>? _browserParallelConfig;
 
   final FlutterSecureStorage _secureStorage = const FlutterSecureStorage();
   static const String _trustedDevicesKey = 'syndro_trusted_devices';
@@ -118,6 +122,13 @@ class TransferService {
   static const Duration _sessionMaxAge = Duration(hours: 1);
   Timer? _sessionCleanupTimer;
 
+  // Request headers browser peers send (parallel_upload.js,
+  // parallel_download.js, browser_session.js)
+  static const String _corsRequestHeaders =
+      'content-type, x-device-id, x-transfer-id, x-chunk-index, '
+      'x-chunk-hash, x-encrypted, x-original-size, x-compressed, '
+      'x-accept-compression';
+
   Timer? _pendingRequestsCleanupTimer;
   StreamSubscription<Map<String, dynamic>>? _notificationEventSubscription;
 
@@ -396,6 +407,22 @@ class TransferService {
         return;
       }
 
+      final acceptLegacyChunks =
+          _acceptsLegacyChunks(request.headers.value('x-device-id'));
+
+      // Resuming a transfer that was already approved - don't ask again.
+      // The sender is the session the request came in on, not whoever
+      // the body claims to be
+      final existingSession = _parallelReceiver.getSession(transferId);
+      if (existingSession != null &&
+          existingSession.senderId == request.headers.value('x-device-id')) {
+        final result = await _parallelReceiver.handleInitiate(data,
+            acceptLegacyChunks: acceptLegacyChunks);
+        await _sendResponse(request,
+            result['success'] == true ? HttpStatus.ok : HttpStatus.badRequest, result);
+        return;
+      }
+
       // Check if auto-accept is enabled for trusted devices
       final trustedDevice = _trustedDevices[senderId];
       final autoAcceptTrusted = await _settingsService.getAutoAcceptTrusted();
@@ -409,7 +436,8 @@ class TransferService {
         // Auto-accept: proceed with transfer immediately
         debugPrint('✅ Auto-accepting parallel transfer from trusted device: $senderName');
         
-        final result = await _parallelReceiver.handleInitiate(data);
+        final result = await _parallelReceiver.handleInitiate(data,
+            acceptLegacyChunks: acceptLegacyChunks);
         await _sendResponse(request,
             result['success'] == true ? HttpStatus.ok : HttpStatus.badRequest, result);
         return;
@@ -434,6 +462,7 @@ class TransferService {
         isParallelTransfer: true,
         parallelData: data,
         isTrusted: trustedDevice != null,
+        acceptLegacyChunks: acceptLegacyChunks,
       );
 
       // Notify UI via stream (this will show the transfer request dialog)
@@ -454,6 +483,54 @@ class TransferService {
     }
   }
 
+  /// Whether [deviceId]'s session was set up by an app from before
+  /// encrypted chunks were bound to their place in the transfer, so it can
+  /// only send the legacy chunk format - see [EncryptionSession.chunkFormat]
+  bool _acceptsLegacyChunks(String? deviceId) =>
+      _encryptionSessions[deviceId]?.chunkFormat !=
+      ChunkContext.formatVersion;
+
+  /// Report the chunks already received for a parallel transfer so an
+  /// interrupted sender can resume instead of starting over
+  Future<void> _handleParallelStatus(HttpRequest request) async {
+    try {
+      final transferId = request.uri.pathSegments.last;
+      final session = _parallelReceiver.getSession(transferId);
+
+      // Only the sender of a transfer may inspect it
+      if (session == null ||
+          session.senderId != request.headers.value('x-device-id')) {
+        await _sendNotFound(request, 'Transfer not found');
+        return;
+      }
+
+      final result = await _parallelReceiver.handleStatus(transferId);
+      await _sendResponse(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+    } catch (e) {
+      await _sendError(request, 'Error reading transfer status: $e');
+    }
+  }
+
+  Future<void> _handleChunkManifest(HttpRequest request) async {
+    try {
+      final transferId = request.uri.pathSegments.last;
+      final session = _parallelReceiver.getSession(transferId);
+
+      if (session == null ||
+          session.senderId != request.headers.value('x-device-id')) {
+        await _sendNotFound(request, 'Transfer not found');
+        return;
+      }
+
+      final result = await _parallelReceiver.handleManifest(transferId);
+      await _sendResponse(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+    } catch (e) {
+      await _sendError(request, 'Error reading chunk manifest: $e');
+    }
+  }
+
   Future<void> _handleChunkUpload(HttpRequest request) async {
     try {
       final transferId = request.headers.value('X-Transfer-Id');
@@ -497,10 +574,18 @@ class TransferService {
         originalSize: originalSize,
         encrypted: encrypted,
         decryptionKey: decryptionKey,
+        compression: request.headers.value(ChunkCompression.header),
+        chunkHash: request.headers
+            .value(ParallelReceiverHandler.chunkHashHeader),
       );
 
-      await _sendResponse(request,
-          result['success'] == true ? HttpStatus.ok : HttpStatus.badRequest, result);
+      // 409 tells the sender the chunk arrived corrupted and should be resent
+      final status = result['success'] == true
+          ? HttpStatus.ok
+          : result['retryable'] == true
+              ? HttpStatus.conflict
+              : HttpStatus.badRequest;
+      await _sendResponse(request, status, result);
     } catch (e) {
       await _sendError(request, 'Error receiving chunk: $e');
     }
@@ -530,17 +615,48 @@ class TransferService {
     }
   }
 
+  Future<void> _handleParallelCancel(HttpRequest request) async {
+    try {
+      final body = await utf8.decoder.bind(request).join();
+      final data = _validateAndParseJson(body);
+      final transferId = data?['transferId'];
+      final session = transferId is String
+          ? _parallelReceiver.getSession(transferId)
+          : null;
+
+      // Only the sender of a transfer may cancel it
+      if (session == null ||
+          session.senderId != request.headers.value('x-device-id')) {
+        await _sendNotFound(request, 'Transfer not found');
+        return;
+      }
+
+      final result = await _parallelReceiver.handleCancel(transferId as String);
+      await _sendResponse(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+    } catch (e) {
+      await _sendError(request, 'Error cancelling parallel transfer: $e');
+    }
+  }
+
   Future<void> _handleParallelComplete(HttpRequest request) async {
     try {
       final body = await utf8.decoder.bind(request).join();
       final data = jsonDecode(body) as Map<String, dynamic>;
 
       final transferId = data['transferId'] as String;
-      final fileHash = data['fileHash'] as String;
+      final fileHash = data['fileHash'] as String? ?? '';
+      // Browser senders vouch with each chunk's hash instead
+      final rawChunkHashes = data['chunkHashes'];
+      final chunkHashes =
+          rawChunkHashes is List && rawChunkHashes.every((h) => h is String)
+              ? rawChunkHashes.cast<String>()
+              : null;
 
       final result = await _parallelReceiver.handleComplete(
         transferId: transferId,
         fileHash: fileHash,
+        chunkHashes: chunkHashes,
       );
 
       if (result['success'] == true) {
@@ -836,6 +952,30 @@ class TransferService {
     final method = request.method;
 
     try {
+      // Browser peers (browser_session.js) run on the web share pages, which
+      // are served from other ports - only those get CORS, no other site
+      final origin = request.headers.value('origin');
+      final crossOrigin =
+          WebShareOrigins.allows(origin, request.requestedUri.host);
+      if (crossOrigin) {
+        request.response.headers
+          ..set('Access-Control-Allow-Origin', origin!)
+          ..set('Vary', 'Origin');
+      }
+
+      if (method == 'OPTIONS') {
+        if (crossOrigin) {
+          request.response.headers
+            ..set('Access-Control-Allow-Methods', 'GET, POST')
+            ..set('Access-Control-Allow-Headers', _corsRequestHeaders)
+            ..set('Access-Control-Max-Age', '600');
+        }
+        request.response.statusCode =
+            crossOrigin ? HttpStatus.noContent : HttpStatus.forbidden;
+        await request.response.close();
+        return;
+      }
+
       if (method == 'GET' && path == '/syndro.json') {
         await _serveDeviceInfo(request);
         return;
@@ -862,6 +1002,16 @@ class TransferService {
         return;
       }
 
+      if (method == 'GET' && path.startsWith('/transfer/parallel/status/')) {
+        await _handleParallelStatus(request);
+        return;
+      }
+
+      if (method == 'GET' && path.startsWith('/transfer/manifest/')) {
+        await _handleChunkManifest(request);
+        return;
+      }
+
       if (method == 'POST' && path == '/transfer/chunk') {
         await _handleChunkUpload(request);
         return;
@@ -877,6 +1027,11 @@ class TransferService {
         return;
       }
 
+      if (method == 'POST' && path == '/transfer/parallel/cancel') {
+        await _handleParallelCancel(request);
+        return;
+      }
+
       if (method == 'POST' && path == '/transfer/initiate') {
         await _handleTransferInitiate(request);
         return;
@@ -980,6 +1135,7 @@ class TransferService {
         sessionId: '$_deviceId-$theirDeviceId',
         sharedSecret: sharedSecret,
         createdAt: DateTime.now(),
+        chunkFormat: ChunkContext.negotiated(data),
       );
 
       final myPublicKey = await getPublicKey();
@@ -987,6 +1143,7 @@ class TransferService {
       await _sendResponse(request, HttpStatus.ok, {
         'deviceId': _deviceId,
         'publicKey': myPublicKey?.toList() ?? [],
+        'chunkFormat': ChunkContext.formatVersion,
       });
 
       if (kDebugMode) debugPrint('🔐 Key exchange completed with $theirDeviceId');
@@ -1009,6 +1166,8 @@ class TransferService {
     }
 
     final myPublicKey = await getPublicKey();
+    final browserConfig = await (_browserParallelConfig ??=
+        ParallelConfig.forBrowserClients());
 
     final info = {
       'id': _deviceId,
@@ -1018,6 +1177,8 @@ class TransferService {
       'version': '2.0',
       'encryption': encryptionEnabled,
       'publicKey': myPublicKey?.toList(),
+      // Starting point for parallel_download.js / parallel_upload.js
+      'parallel': browserConfig.toBrowserJson(),
     };
 
     request.response.headers.contentType = ContentType.json;
@@ -1311,7 +1472,9 @@ class TransferService {
 
     if (pending == null) {
       final transfer = _activeTransfers[requestId];
-      if (transfer != null) {
+      // An approved parallel transfer has a receiver session instead
+      final parallelSession = _parallelReceiver.getSession(requestId);
+      if (transfer != null || parallelSession != null) {
         final myPublicKey = await getPublicKey();
 
         await _sendResponse(request, HttpStatus.ok, {
@@ -1319,6 +1482,12 @@ class TransferService {
           'transferId': requestId,
           'encryption': encryptionEnabled,
           'publicKey': myPublicKey?.toList(),
+          // The chunk format and compression the parallel session was set
+          // up with
+          if (parallelSession != null) ...{
+            'chunkFormat': parallelSession.chunkFormat,
+            'compression': parallelSession.compression,
+          },
         });
         return;
       }
@@ -1396,7 +1565,9 @@ class TransferService {
     if (pending.isParallelTransfer && pending.parallelData != null) {
       // For parallel transfers, initialize the receiver session
       if (kDebugMode) debugPrint('✅ Approving parallel transfer: ${pending.requestId}');
-      final result = await _parallelReceiver.handleInitiate(pending.parallelData!);
+      final result = await _parallelReceiver.handleInitiate(
+          pending.parallelData!,
+          acceptLegacyChunks: pending.acceptLegacyChunks);
       if (result['success'] != true) {
         debugPrint('❌ Failed to initialize parallel receiver: ${result['error']}');
       }
@@ -2038,60 +2209,76 @@ class TransferService {
 
     // Store in local variable to avoid force unwrap and ensure thread safety
     final parallelSender = _parallelSender;
-    if (useParallel && items.length == 1 && parallelSender != null) {
-      if (kDebugMode) {
-        debugPrint(
-            '⚡ Using parallel transfer for large file (${totalSize ~/ (1024 * 1024)}MB)');
-      }
-
-      final item = items.first;
-      final file = File(item.path);
-
-      SecretKey? encryptionKey;
-      final shouldEncrypt = encrypted ?? encryptionEnabled;
+    var sendInParallel =
+        useParallel && items.length == 1 && parallelSender != null;
 
-      if (shouldEncrypt && encryptionEnabled) {
-        debugPrint('🔐 Starting key exchange with receiver...');
-        final myPublicKey = await getPublicKey();
-
-        final keyExchangeUrl =
-            'http://${receiver.ipAddress}:${receiver.port}/key-exchange';
+    SecretKey? encryptionKey;
+    var receiverChunkFormat = ChunkContext.legacyFormatVersion;
+    final shouldEncrypt = encrypted ?? encryptionEnabled;
 
-        try {
-          final keyResponse = await http.post(
-            Uri.parse(keyExchangeUrl),
-            headers: {'Content-Type': 'application/json'},
-            body: jsonEncode({
-              'deviceId': sender.id,
-              'publicKey': myPublicKey?.toList(),
-            }),
-          ).timeout(
-            const Duration(seconds: 10),
-            onTimeout: () => throw TimeoutException('Key exchange timeout'),
-          );
+    if (sendInParallel && shouldEncrypt && encryptionEnabled) {
+      debugPrint('🔐 Starting key exchange with receiver...');
+      final myPublicKey = await getPublicKey();
 
-          if (keyResponse.statusCode == 200) {
-            final keyData = jsonDecode(keyResponse.body);
-            final receiverPublicKeyList = keyData['publicKey'] as List?;
+      final keyExchangeUrl =
+          'http://${receiver.ipAddress}:${receiver.port}/key-exchange';
 
-            if (receiverPublicKeyList != null) {
-              final receiverPublicKey =
-                  Uint8List.fromList(receiverPublicKeyList.cast<int>());
-              encryptionKey = await _performKeyExchange(receiverPublicKey);
+      try {
+        final keyResponse = await http.post(
+          Uri.parse(keyExchangeUrl),
+          headers: {'Content-Type': 'application/json'},
+          body: jsonEncode({
+            'deviceId': sender.id,
+            'publicKey': myPublicKey?.toList(),
+            'chunkFormat': ChunkContext.formatVersion,
+          }),
+        ).timeout(
+          const Duration(seconds: 10),
+          onTimeout: () => throw TimeoutException('Key exchange timeout'),
+        );
 
-              _encryptionSessions[receiver.id] = EncryptionSession(
-                sessionId: '${sender.id}-${receiver.id}',
-                sharedSecret: encryptionKey,
-                createdAt: DateTime.now(),
-              );
-              debugPrint('🔐 Key exchange successful');
-            }
+        if (keyResponse.statusCode == 200) {
+          final keyData = jsonDecode(keyResponse.body);
+          receiverChunkFormat = ChunkContext.negotiated(
+              keyData is Map<String, dynamic> ? keyData : null);
+          final receiverPublicKeyList = keyData['publicKey'] as List?;
+
+          if (receiverPublicKeyList != null) {
+            final receiverPublicKey =
+                Uint8List.fromList(receiverPublicKeyList.cast<int>());
+            encryptionKey = await _performKeyExchange(receiverPublicKey);
+
+            _encryptionSessions[receiver.id] = EncryptionSession(
+              sessionId: '${sender.id}-${receiver.id}',
+              sharedSecret: encryptionKey,
+              createdAt: DateTime.now(),
+              chunkFormat: receiverChunkFormat,
+            );
+            debugPrint('🔐 Key exchange successful');
           }
-        } catch (e) {
-          debugPrint('❌ Key exchange failed: $e');
         }
+      } catch (e) {
+        debugPrint('❌ Key exchange failed: $e');
+      }
+    }
+
+    if (encryptionKey != null &&
+        receiverChunkFormat != ChunkContext.formatVersion) {
+      // An app from before encrypted chunks were bound to their place in
+      // the transfer - send in one stream rather than in legacy chunks
+      debugPrint('🔐 Receiver can\'t take bound chunks, sending sequentially');
+      sendInParallel = false;
+    }
+
+    if (sendInParallel && parallelSender != null) {
+      if (kDebugMode) {
+        debugPrint(
+            '⚡ Using parallel transfer for large file (${totalSize ~/ (1024 * 1024)}MB)');
       }
 
+      final item = items.first;
+      final file = File(item.path);
+
       // Create transfer with "transferring" status
       // FIX: Receiver is now notified immediately (hash calculated in parallel with upload)
       final parallelTransfer = Transfer(
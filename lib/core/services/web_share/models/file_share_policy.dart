@@ -0,0 +1,53 @@
+/// Limits on how one file in a web share may be downloaded
+class FileSharePolicy {
+  /// Downloads allowed across all guests - null for no limit
+  final int? maxDownloads;
+
+  /// How long the file stays downloadable once the policy is set - null
+  /// for as long as the share runs
+  final Duration? expiresAfter;
+
+  const FileSharePolicy({this.maxDownloads, this.expiresAfter})
+      : assert(maxDownloads == null || maxDownloads > 0);
+
+  /// A link that works for exactly one download
+  const FileSharePolicy.oneTime({this.expiresAfter}) : maxDownloads = 1;
+
+  /// Whether only one download is allowed
+  bool get isOneTime => maxDownloads == 1;
+
+  /// Whether this policy limits nothing
+  bool get isUnrestricted => maxDownloads == null && expiresAfter == null;
+
+  /// Short description for the app's file list
+  String get summary {
+    final parts = <String>[
+      if (isOneTime)
+        'One-time link'
+      else if (maxDownloads != null)
+        '$maxDownloads downloads',
+      if (expiresAfter != null) 'expires after ${_formatDuration(expiresAfter!)}',
+    ];
+    if (parts.isEmpty) return 'No limits';
+    final text = parts.join(', ');
+    return text[0].toUpperCase() + text.substring(1);
+  }
+
+  static String _formatDuration(Duration duration) {
+    if (duration.inHours > 0 && duration.inMinutes % 60 == 0) {
+      return duration.inHours == 1 ? '1 hour' : '${duration.inHours} hours';
+    }
+    return duration.inMinutes == 1
+        ? '1 minute'
+        : '${duration.inMinutes} minutes';
+  }
+
+  @override
+  bool operator ==(Object other) =>
+      other is FileSharePolicy &&
+      other.maxDownloads == maxDownloads &&
+      other.expiresAfter == expiresAfter;
+
+  @override
+  int get hashCode => Object.hash(maxDownloads, expiresAfter);
+}
@@ -0,0 +1,47 @@
+/// Which way a browser guest's file is going
+enum GuestTransferDirection {
+  download, // Guest is downloading from a share link
+  upload,   // Guest is uploading to a receive link
+}
+
+/// How far a browser guest has got with one file
+class GuestProgress {
+  final String ipAddress;
+  final String fileName;
+  final GuestTransferDirection direction;
+  final int bytesTransferred;
+  final int totalBytes;
+  final bool completed;
+  final bool failed;
+  final DateTime updatedAt;
+
+  GuestProgress({
+    required this.ipAddress,
+    required this.fileName,
+    required this.direction,
+    required this.bytesTransferred,
+    required this.totalBytes,
+    this.completed = false,
+    this.failed = false,
+    DateTime? updatedAt,
+  }) : updatedAt = updatedAt ?? DateTime.now();
+
+  /// Identifies this guest's transfer of this file
+  String get key => '${direction.name}|$ipAddress|$fileName';
+
+  /// Whether the transfer is still going
+  bool get isActive => !completed && !failed;
+
+  /// Progress from 0.0 to 1.0
+  double get fraction {
+    if (completed) return 1.0;
+    if (totalBytes <= 0) return 0.0;
+    return (bytesTransferred / totalBytes).clamp(0.0, 1.0);
+  }
+
+  @override
+  String toString() {
+    return 'GuestProgress($ipAddress, $fileName, $bytesTransferred/$totalBytes, '
+        '${completed ? 'done' : failed ? 'failed' : 'active'})';
+  }
+}
@@ -3,6 +3,10 @@ import 'dart:io';
 
 import 'package:flutter/foundation.dart';
 import 'package:path/path.dart' as path;
+
+import '../../../models/folder_structure.dart';
+import '../../../models/transfer.dart';
+import '../../file_service.dart';
 import 'received_file.dart';
 
 /// Manages pending files that have been received but not yet saved
@@ -10,6 +14,7 @@ class PendingFilesManager {
   final List<ReceivedFile> _pendingFiles = [];
   String? _tempDirectory;
   String? _finalDirectory;
+  final FileService _fileService = FileService();
 
   // Stream controller for file list updates
   final StreamController<List<ReceivedFile>> _filesController =
@@ -45,6 +50,21 @@ class PendingFilesManager {
   /// Get total count of all files
   int get totalCount => _pendingFiles.length;
 
+  /// Folders among the unsaved files, rebuilt from their relative paths
+  List<FolderStructure> get folderStructures {
+    final filesByRoot = <String, List<ReceivedFile>>{};
+    for (final file in unsavedFiles) {
+      final rootFolder = file.rootFolder;
+      if (rootFolder != null) {
+        filesByRoot.putIfAbsent(rootFolder, () => []).add(file);
+      }
+    }
+
+    return filesByRoot.entries
+        .map((entry) => _buildFolderStructure(entry.key, entry.value))
+        .toList();
+  }
+
   /// Initialize with directories
   Future<void> initialize({
     required String tempDirectory,
@@ -105,8 +125,11 @@ class PendingFilesManager {
         throw Exception('Temp file does not exist');
       }
 
-      // Generate final path
-      final finalPath = path.join(_finalDirectory!, file.name);
+      // Generate final path - files from a folder go back into it
+      final finalPath = _finalPathFor(file);
+      if (file.isInFolder) {
+        await Directory(path.dirname(finalPath)).create(recursive: true);
+      }
       file.finalPath = await _getUniqueFilePath(finalPath);
 
       // Copy to final location
@@ -136,6 +159,15 @@ class PendingFilesManager {
     int successCount = 0;
     int failCount = 0;
 
+    // Recreate uploaded folder trees before filling them
+    for (final structure in folderStructures) {
+      try {
+        await _createFolderTree(structure);
+      } catch (e) {
+        debugPrint('❌ Error creating folder ${structure.rootName}: $e');
+      }
+    }
+
     for (final file in filesToSave) {
       final success = await saveFile(file);
       if (success) {
@@ -209,6 +241,103 @@ class PendingFilesManager {
     _notifyListeners();
   }
 
+  /// Final location of [file], inside its folder if it came with one
+  String _finalPathFor(ReceivedFile file) {
+    final relativePath = file.relativePath;
+    if (relativePath == null) {
+      return path.join(_finalDirectory!, file.name);
+    }
+
+    final finalPath =
+        path.joinAll([_finalDirectory!, ...relativePath.split('/')]);
+    if (!_fileService.isPathWithinDirectory(finalPath, _finalDirectory!)) {
+      throw FileServiceException(
+        'Path traversal detected in folder upload',
+        code: 'PATH_TRAVERSAL',
+      );
+    }
+    return finalPath;
+  }
+
+  /// Create the directories of an uploaded folder under the final directory
+  Future<void> _createFolderTree(FolderStructure structure) async {
+    final rootPath = path.join(_finalDirectory!, structure.rootName);
+    final directoryPaths = [
+      rootPath,
+      for (final directory in structure.directories)
+        path.joinAll([rootPath, ...directory.relativePath.split('/')]),
+    ];
+
+    for (final directoryPath in directoryPaths) {
+      if (!_fileService.isPathWithinDirectory(directoryPath, _finalDirectory!)) {
+        throw FileServiceException(
+          'Path traversal detected in folder upload',
+          code: 'PATH_TRAVERSAL',
+        );
+      }
+      await Directory(directoryPath).create(recursive: true);
+    }
+  }
+
+  /// Build the [FolderStructure] of one uploaded folder
+  ///
+  /// Paths are relative to the folder itself, as in [FileService.scanFolder];
+  /// file items point at their temp copies.
+  FolderStructure _buildFolderStructure(
+      String rootName, List<ReceivedFile> files) {
+    final fileItems = <TransferItem>[];
+    final hierarchy = <String, List<String>>{};
+    final directoryFileCounts = <String, int>{};
+
+    void addChild(String parentPath, String childPath) {
+      final children = hierarchy.putIfAbsent(parentPath, () => []);
+      if (!children.contains(childPath)) children.add(childPath);
+    }
+
+    for (final file in files) {
+      final segments = file.relativePath!.split('/').skip(1).toList();
+      final fileName = segments.removeLast();
+
+      var parentPath = '';
+      for (final directoryName in segments) {
+        final directoryPath =
+            parentPath.isEmpty ? directoryName : '$parentPath/$directoryName';
+        addChild(parentPath, directoryPath);
+        directoryFileCounts[directoryPath] =
+            (directoryFileCounts[directoryPath] ?? 0) + 1;
+        parentPath = directoryPath;
+      }
+
+      addChild(parentPath, parentPath.isEmpty ? fileName : '$parentPath/$fileName');
+      fileItems.add(TransferItem(
+        name: fileName,
+        path: file.tempPath,
+        size: file.size,
+        parentPath: parentPath,
+      ));
+    }
+
+    final rootPath = path.join(finalDirectory, rootName);
+    final directoryItems = directoryFileCounts.entries.map((entry) {
+      final separator = entry.key.lastIndexOf('/');
+      return TransferItem(
+        name: entry.key.substring(separator + 1),
+        path: path.joinAll([rootPath, ...entry.key.split('/')]),
+        size: 0,
+        isDirectory: true,
+        parentPath: separator == -1 ? '' : entry.key.substring(0, separator),
+        itemCount: entry.value,
+      );
+    });
+
+    return FolderStructure(
+      rootPath: rootPath,
+      rootName: rootName,
+      items: [...directoryItems, ...fileItems],
+      hierarchy: hierarchy,
+    );
+  }
+
   /// Get unique file path (add number suffix if exists)
   Future<String> _getUniqueFilePath(String filePath) async {
     var file = File(filePath);
@@ -13,6 +13,7 @@ enum FileReceiveStatus {
 class ReceivedFile {
   final String name;
   final String tempPath;      // Temporary storage path
+  final String? relativePath; // Path inside an uploaded folder, null for loose files
   String? finalPath;          // Final saved path (null until saved)
   final int size;
   final DateTime receivedAt;
@@ -22,6 +23,7 @@ class ReceivedFile {
   ReceivedFile({
     required this.name,
     required this.tempPath,
+    this.relativePath,
     this.finalPath,
     required this.size,
     required this.receivedAt,
@@ -29,6 +31,12 @@ class ReceivedFile {
     this.errorMessage,
   });
 
+  /// Whether this file arrived as part of a folder
+  bool get isInFolder => relativePath != null;
+
+  /// Top-level folder this file belongs to, if any
+  String? get rootFolder => relativePath?.split('/').first;
+
   /// Check if file is an image
   bool get isImage {
     final ext = name.split('.').last.toLowerCase();
@@ -0,0 +1,68 @@
+import 'dart:convert';
+
+import '../../../models/text_snippet.dart';
+
+/// What the host decided about one file a browser guest wants to send
+enum UploadFileDecision {
+  pending,
+  accepted,
+  rejected,
+}
+
+/// One file in a browser guest's upload request
+class UploadRequestFile {
+  final String name;
+  final String? relativePath; // Set for files inside an uploaded folder
+  final int size;
+  final String? type; // MIME type, as the browser reports it
+  final String? text; // Set for a text snippet, held until the host decides
+  UploadFileDecision decision = UploadFileDecision.pending;
+  // An upload of it has started - each accepted file is sent once
+  bool claimed = false;
+
+  UploadRequestFile({
+    required this.name,
+    this.relativePath,
+    required this.size,
+    this.type,
+  }) : text = null;
+
+  /// A guest's text snippet, shown to the host like a file
+  UploadRequestFile.snippet(String this.text)
+      : name = TextSnippet.previewOf(text),
+        relativePath = null,
+        size = utf8.encode(text).length,
+        type = 'text/plain';
+
+  bool get isSnippet => text != null;
+
+  /// Name with its folder, for lists
+  String get displayName => relativePath ?? name;
+}
+
+/// A batch of files a browser guest asks to upload, waiting on the host
+class UploadPendingConfirmation {
+  final String id;
+  final String ipAddress;
+  final List<UploadRequestFile> files;
+  final DateTime requestedAt;
+
+  /// Undecided files count as rejected after this long
+  static const Duration timeout = Duration(minutes: 5);
+
+  UploadPendingConfirmation({
+    required this.id,
+    required this.ipAddress,
+    required this.files,
+    DateTime? requestedAt,
+  }) : requestedAt = requestedAt ?? DateTime.now();
+
+  bool get isExpired => DateTime.now().difference(requestedAt) > timeout;
+
+  /// Whether the host still has to decide about some of the files
+  bool get isPending =>
+      !isExpired &&
+      files.any((f) => f.decision == UploadFileDecision.pending);
+
+  int get totalSize => files.fold(0, (sum, f) => sum + f.size);
+}
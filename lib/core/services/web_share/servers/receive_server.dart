@@ -1,38 +1,31 @@
 import 'dart:async';
 import 'dart:convert';
 import 'dart:io';
+import 'dart:typed_data';
 
 import 'package:flutter/foundation.dart';
 import 'package:path/path.dart' as path;
 
+import '../../../models/text_snippet.dart';
+import '../../file_service.dart';
+import '../../parallel/chunk_compression.dart';
+import '../../parallel/parallel_config.dart';
+import '../../parallel/parallel_receiver_handler.dart';
+import '../models/guest_progress.dart';
 import '../models/received_file.dart';
 import '../models/pending_files_manager.dart';
+import '../models/upload_confirmation.dart';
+import '../utils/guest_progress_tracker.dart';
 import '../utils/network_utils.dart';
+import '../utils/share_access.dart';
+import '../utils/snippet_board.dart';
+import '../utils/upload_approvals.dart';
 // REMOVED: import '../utils/platform_paths.dart'; (unused)
 import '../utils/multipart_parser.dart';
+import '../utils/web_scripts.dart';
+import '../utils/web_share_origins.dart';
 import '../templates/receive_page_template.dart';
 
-/// Pending upload confirmation request
-class UploadPendingConfirmation {
-  final String ipAddress;
-  final String fileName;
-  final int fileSize;
-  final DateTime requestedAt;
-  bool confirmed;
-  bool denied;
-
-  UploadPendingConfirmation({
-    required this.ipAddress,
-    required this.fileName,
-    required this.fileSize,
-    DateTime? requestedAt,
-  })  : requestedAt = requestedAt ?? DateTime.now(),
-        confirmed = false,
-        denied = false;
-
-  bool get isPending => !confirmed && !denied;
-}
-
 /// HTTP server for receiving files (upload mode)
 /// Files are stored in temp location until user decides to save/discard
 class ReceiveServer {
@@ -44,6 +37,7 @@ class ReceiveServer {
 
   // Pending files manager
   final PendingFilesManager _pendingFilesManager = PendingFilesManager();
+  final FileService _fileService = FileService();
 
   // Stream controller for received files (for backward compatibility)
   final StreamController<ReceivedFile> _receivedFilesController =
@@ -51,25 +45,63 @@ class ReceiveServer {
 
   static const int _receivePort = 8767;
   static const Duration _shareExpiration = Duration(hours: 1);
+
+  /// Where pages report upload progress when /api/progress is taken - on a
+  /// two-way share it's the guest's download progress
+  static const String uploadProgressPath = '/api/upload-progress';
+
+  /// Where pages read the connections and chunk size to start uploading
+  /// with - see ParallelConfig.toBrowserJson
+  static const String transferConfigPath = '/api/transfer-config';
   
   // FIX (Bug #6): Maximum upload size limit (10GB for browser uploads)
   static const int _maxUploadSizeBytes = 10 * 1024 * 1024 * 1024;
   // Maximum single file size (5GB)
   static const int _maxFileSizeBytes = 5 * 1024 * 1024 * 1024;
+  // Keeps temp names unique when one request carries same-named files
+  int _multipartFileCounter = 0;
+
+  // Chunked uploads from the receive page (parallel_upload.js), assembled
+  // straight into the temp directory
+  ParallelReceiverHandler? _parallelReceiver;
+  // transferId -> IP that started it; only that client may continue it
+  final Map<String, String> _parallelUploadClients = {};
+  // transferId -> sanitized path inside an uploaded folder
+  final Map<String, String> _parallelUploadPaths = {};
+  static const int _minChunkSize = 64 * 1024;
+  static const int _maxChunkSize = 16 * 1024 * 1024;
+  // Detected once - it reads the device's RAM
+  Future<ParallelConfig>? _browserConfig;
+  // Initiate carries the chunk manifest: ~70 bytes per chunk
+  static const int _maxJsonBodyBytes = 8 * 1024 * 1024;
+
+  // User confirmation tracking - pages announce each batch and only send
+  // the files the host accepts
+  final UploadApprovals _approvals = UploadApprovals();
 
-  // User confirmation tracking - require user confirmation before accepting uploads
-  bool _requireConfirmation = true;
-  final Map<String, UploadPendingConfirmation> _pendingConfirmations = {};
-  final StreamController<UploadPendingConfirmation> _confirmationRequestController =
-      StreamController<UploadPendingConfirmation>.broadcast();
   // Rate limiting - track requests per IP
   static const int _maxRequestsPerMinute = 60;
   final Map<String, List<DateTime>> _requestTimestamps = {};
   static const Duration _rateLimitWindow = Duration(minutes: 1);
 
+  // How far each guest has got with each upload, as its page reports it
+  final GuestProgressTracker _guestProgress = GuestProgressTracker();
+
+  // Optional PIN / passphrase guests must enter before they can upload
+  ShareAccess _access = ShareAccess();
+
+  // Text and links guests send from the compose box
+  final SnippetBoard _snippets = SnippetBoard(SnippetDirection.incoming);
+
   /// Stream of received files
   Stream<ReceivedFile> get receivedFilesStream => _receivedFilesController.stream;
 
+  /// Stream of per-guest, per-file upload progress
+  Stream<GuestProgress> get guestProgressStream => _guestProgress.stream;
+
+  /// Stream of text snippets guests send
+  Stream<TextSnippet> get snippetStream => _snippets.stream;
+
   /// Get pending files manager for save/discard operations
   PendingFilesManager get pendingFilesManager => _pendingFilesManager;
 
@@ -86,55 +118,57 @@ class ReceiveServer {
   /// Get final directory path
   String? get finalDirectory => _finalDirectory;
 
-  /// Stream of pending upload confirmation requests
+  /// Whether guests need a PIN or passphrase to upload
+  bool get isPasscodeProtected => _access.isLocked;
+
+  /// Set or remove ([passcode] null) the PIN without restarting, so
+  /// pending files stay put; every guest has to unlock again
+  void setPasscode(String? passcode) {
+    _access = ShareAccess(passcode: passcode);
+  }
+
+  /// Stream of batches guests ask to upload - the UI should let the user
+  /// accept or reject each file
   Stream<UploadPendingConfirmation> get uploadConfirmationRequestStream =>
-      _confirmationRequestController.stream;
+      _approvals.stream;
 
   /// Get list of pending upload confirmations
   List<UploadPendingConfirmation> get pendingUploadConfirmations =>
-      _pendingConfirmations.values.where((c) => c.isPending).toList();
+      _approvals.pending;
 
   /// Enable or disable requiring user confirmation before accepting uploads
   void setRequireConfirmation(bool require) {
-    _requireConfirmation = require;
+    _approvals.requireApproval = require;
   }
 
-  /// Confirm an upload by its ID
-  bool confirmUpload(String uploadId) {
-    final confirmation = _pendingConfirmations[uploadId];
-    if (confirmation != null && confirmation.isPending) {
-      confirmation.confirmed = true;
-      debugPrint('✅ Upload confirmed for $uploadId');
-      return true;
-    }
-    return false;
-  }
-
-  /// Deny an upload by its ID
-  bool denyUpload(String uploadId) {
-    final confirmation = _pendingConfirmations[uploadId];
-    if (confirmation != null && confirmation.isPending) {
-      confirmation.denied = true;
-      debugPrint('❌ Upload denied for $uploadId');
-      return true;
-    }
-    return false;
-  }
-
-  /// Check if an upload is allowed
-  bool isUploadAllowed(String uploadId) {
-    if (!_requireConfirmation) return true;
-    
-    final confirmation = _pendingConfirmations[uploadId];
-    if (confirmation == null) {
-      // No confirmation request - treat as allowed for backward compatibility
-      return true;
+  /// Accept the files at [accepted] indexes of an upload request and
+  /// reject the rest
+  bool decideUpload(String uploadId, Set<int> accepted) =>
+      _postAcceptedSnippets(uploadId, _approvals.decide(uploadId, accepted));
+
+  /// Accept every file of an upload request
+  bool confirmUpload(String uploadId) =>
+      _postAcceptedSnippets(uploadId, _approvals.acceptAll(uploadId));
+
+  /// Reject every file of an upload request
+  bool denyUpload(String uploadId) => _approvals.rejectAll(uploadId);
+
+  // A guest's snippet reaches the app once the host accepts it - passes
+  // [decided] through
+  bool _postAcceptedSnippets(String uploadId, bool decided) {
+    if (decided) {
+      final clientIp = _approvals.find(uploadId)?.ipAddress;
+      for (final text in _approvals.takeAcceptedSnippets(uploadId)) {
+        _snippets.post(text, ipAddress: clientIp);
+      }
     }
-    return confirmation.confirmed;
+    return decided;
   }
 
   /// Check if request is allowed based on rate limits
-  bool _checkRateLimit(String ipAddress) {
+  ///
+  /// A request with a [weight] above 1 counts as that many requests.
+  bool _checkRateLimit(String ipAddress, {int weight = 1}) {
     final now = DateTime.now();
     final windowStart = now.subtract(_rateLimitWindow);
     
@@ -147,32 +181,23 @@ class ReceiveServer {
       return false;
     }
     
-    timestamps.add(now);
+    for (var i = 0; i < weight; i++) {
+      timestamps.add(now);
+    }
     _requestTimestamps[ipAddress] = timestamps;
     return true;
   }
 
   /// Start receiving files via HTTP server
-  Future<String?> startReceiving(String downloadDirectory) async {
-    await stop();
-
-    _finalDirectory = downloadDirectory;
-
-    // Create temp directory for pending files
-    _tempDirectory = await _createTempDirectory();
-    if (_tempDirectory == null) {
-      debugPrint('❌ Failed to create temp directory');
-      return null;
-    }
-
-    // Initialize pending files manager
-    await _pendingFilesManager.initialize(
-      tempDirectory: _tempDirectory!,
-      finalDirectory: _finalDirectory!,
-    );
+  ///
+  /// With a [passcode], guests have to enter it before they can upload.
+  Future<String?> startReceiving(
+    String downloadDirectory, {
+    String? passcode,
+  }) async {
+    if (!await prepareUploads(downloadDirectory)) return null;
 
-    debugPrint('📁 Temp directory: $_tempDirectory');
-    debugPrint('📁 Final directory: $_finalDirectory');
+    _access = ShareAccess(passcode: passcode);
 
     try {
       int port = _receivePort;
@@ -196,6 +221,8 @@ class ReceiveServer {
       }
 
       if (_server == null) return null;
+      // Pages from this server may reach the transfer server directly
+      WebShareOrigins.register(_server!.port);
 
       final localIp = await NetworkUtils.getLocalIp();
       _shareUrl = 'http://$localIp:${_server!.port}';
@@ -217,6 +244,40 @@ class ReceiveServer {
     }
   }
 
+  /// Get ready to take uploads for [downloadDirectory] without a server of
+  /// its own
+  ///
+  /// A two-way share calls this and passes its guests' uploads on to
+  /// [handleUploadRequest]. Returns false if no temp directory could be
+  /// created.
+  Future<bool> prepareUploads(String downloadDirectory) async {
+    await stop();
+
+    _finalDirectory = downloadDirectory;
+
+    // Create temp directory for pending files
+    _tempDirectory = await _createTempDirectory();
+    if (_tempDirectory == null) {
+      debugPrint('❌ Failed to create temp directory');
+      return false;
+    }
+
+    // Initialize pending files manager
+    await _pendingFilesManager.initialize(
+      tempDirectory: _tempDirectory!,
+      finalDirectory: _finalDirectory!,
+    );
+
+    _parallelReceiver = ParallelReceiverHandler(
+      _fileService,
+      targetDirectory: _tempDirectory,
+    );
+
+    debugPrint('📁 Temp directory: $_tempDirectory');
+    debugPrint('📁 Final directory: $_finalDirectory');
+    return true;
+  }
+
   /// Create temp directory for pending files
   Future<String?> _createTempDirectory() async {
     try {
@@ -279,6 +340,7 @@ class ReceiveServer {
     // FIX: Add try-catch for server closure
     try {
       if (_server != null) {
+        WebShareOrigins.unregister(_server!.port);
         await _server!.close(force: true);
         _server = null;
       }
@@ -286,7 +348,21 @@ class ReceiveServer {
       debugPrint('Error closing server: $e');
     }
 
+    // Unfinished chunked uploads can't be resumed once the server is gone
+    try {
+      await _parallelReceiver?.dispose();
+    } catch (e) {
+      debugPrint('Error disposing parallel receiver: $e');
+    }
+    _parallelReceiver = null;
+    _parallelUploadClients.clear();
+    _parallelUploadPaths.clear();
+    _guestProgress.clear();
+    _snippets.clear();
+    _approvals.clear();
+
     _shareUrl = null;
+    _access = ShareAccess();
   }
 
   /// Dispose resources
@@ -309,6 +385,10 @@ class ReceiveServer {
       debugPrint('Error closing received files controller: $e');
     }
 
+    await _guestProgress.dispose();
+    await _snippets.dispose();
+    await _approvals.dispose();
+
     // Clean up temp directory
     if (_tempDirectory != null) {
       try {
@@ -327,16 +407,22 @@ class ReceiveServer {
     if (_server == null) return;
 
     await for (final request in _server!) {
+      // Not awaited - parallel chunks and progress reports must not queue
+      // behind each other
+      _handleRequestSafely(request);
+    }
+  }
+
+  Future<void> _handleRequestSafely(HttpRequest request) async {
+    try {
+      await _handleRequest(request);
+    } catch (e) {
+      debugPrint('Error handling receive request: $e');
       try {
-        await _handleRequest(request);
-      } catch (e) {
-        debugPrint('Error handling receive request: $e');
-        try {
-          request.response.statusCode = HttpStatus.internalServerError;
-          await request.response.close();
-        } catch (closeError) {
-          debugPrint('Error closing error response: $closeError');
-        }
+        request.response.statusCode = HttpStatus.internalServerError;
+        await request.response.close();
+      } catch (closeError) {
+        debugPrint('Error closing error response: $closeError');
       }
     }
   }
@@ -347,8 +433,10 @@ class ReceiveServer {
     final requestPath = uri.path;
     final clientIp = request.connectionInfo?.remoteAddress.address ?? 'unknown';
 
-    // Rate limiting check
-    if (!_checkRateLimit(clientIp)) {
+    // Rate limiting check - only page loads, initiations and multipart
+    // uploads count; one chunked file is hundreds of requests
+    if (!isRateLimitExempt(request, requestPath, clientIp) &&
+        !_checkRateLimit(clientIp)) {
       request.response.statusCode = HttpStatus.tooManyRequests;
       request.response.write('Rate limit exceeded. Please try again later.');
       await request.response.close();
@@ -368,11 +456,103 @@ class ReceiveServer {
       return;
     }
 
+    final isIndexPage = requestPath == '/' || requestPath == '/index.html';
+    final isScript =
+        request.method == 'GET' && WebScripts.isScriptPath(requestPath);
+
+    // SECURITY: A PIN-protected link only serves the page, its scripts and
+    // the unlock endpoints until the guest has a session
+    if (request.method == 'GET' && requestPath == '/api/session') {
+      await _access.serveStatus(request, clientIp);
+      return;
+    }
+    if (request.method == 'POST' && requestPath == '/api/unlock') {
+      if (!await _access.handleUnlock(request, clientIp)) {
+        // This request already counted once
+        _checkRateLimit(clientIp, weight: ShareAccess.failedAttemptWeight - 1);
+        debugPrint('🔒 Failed unlock attempt from $clientIp');
+      }
+      return;
+    }
+    if (!isIndexPage &&
+        !isScript &&
+        !_access.isAuthorized(request, clientIp)) {
+      await ShareAccess.rejectUnauthorized(request);
+      return;
+    }
+
     // Route requests
-    if (requestPath == '/' || requestPath == '/index.html') {
+    if (isIndexPage) {
       await _serveIndexPage(request);
-    } else if (request.method == 'POST' && requestPath == '/upload') {
-      await _handleFileUpload(request);
+    } else if (isScript) {
+      await WebScripts.serve(request, requestPath);
+    } else if (request.method == 'POST' && requestPath == '/api/progress') {
+      await _guestProgress.handleReport(
+          request, clientIp, GuestTransferDirection.upload);
+    } else if (request.method == 'POST' && requestPath == '/api/snippets') {
+      // Held for the host like an upload when uploads need approval
+      await _snippets.handlePost(request, clientIp,
+          hold: _approvals.requireApproval
+              ? (text) => _approvals.holdSnippet(clientIp, text)
+              : null);
+    } else if (isUploadRequest(request)) {
+      await handleUploadRequest(request, clientIp);
+    } else {
+      request.response.statusCode = HttpStatus.notFound;
+      await request.response.close();
+    }
+  }
+
+  /// Whether [request] is part of an upload, for [handleUploadRequest]
+  static bool isUploadRequest(HttpRequest request) {
+    final requestPath = request.uri.path;
+    if (request.method == 'GET') {
+      return requestPath == transferConfigPath ||
+          requestPath.startsWith('/transfer/parallel/status/') ||
+          requestPath.startsWith('/transfer/manifest/') ||
+          requestPath.startsWith('${UploadApprovals.requestPath}/');
+    }
+    return request.method == 'POST' &&
+        (requestPath == UploadApprovals.requestPath ||
+            requestPath == '/transfer/parallel/initiate' ||
+            requestPath == '/transfer/chunk' ||
+            requestPath == '/transfer/parallel/complete' ||
+            requestPath == '/transfer/parallel/cancel' ||
+            requestPath == '/upload' ||
+            requestPath == uploadProgressPath);
+  }
+
+  /// Serve an upload request - see [isUploadRequest]
+  ///
+  /// Rate limits and the PIN are up to the caller, which is this server or
+  /// a two-way share after [prepareUploads].
+  Future<void> handleUploadRequest(HttpRequest request, String clientIp) async {
+    final requestPath = request.uri.path;
+
+    if (requestPath == UploadApprovals.requestPath) {
+      await _approvals.handleRequest(request, clientIp);
+    } else if (requestPath.startsWith('${UploadApprovals.requestPath}/')) {
+      await _approvals.serveStatus(request, clientIp);
+    } else if (requestPath == transferConfigPath) {
+      await _serveTransferConfig(request);
+    } else if (requestPath == '/transfer/parallel/initiate') {
+      await _handleParallelInitiate(request, clientIp);
+    } else if (requestPath.startsWith('/transfer/parallel/status/')) {
+      await _handleParallelStatus(request, clientIp);
+    } else if (requestPath.startsWith('/transfer/manifest/')) {
+      await _handleParallelManifest(request, clientIp);
+    } else if (requestPath == '/transfer/chunk') {
+      await _handleParallelChunk(request, clientIp);
+    } else if (requestPath == '/transfer/parallel/complete') {
+      await _handleParallelComplete(request, clientIp);
+    } else if (requestPath == '/transfer/parallel/cancel') {
+      await _handleParallelCancel(request, clientIp);
+    } else if (requestPath == uploadProgressPath) {
+      await _guestProgress.handleReport(
+          request, clientIp, GuestTransferDirection.upload);
+    } else if (requestPath == '/upload') {
+      // Multipart fallback for browsers without the chunked uploader
+      await _handleFileUpload(request, clientIp);
     } else {
       request.response.statusCode = HttpStatus.notFound;
       await request.response.close();
@@ -389,7 +569,9 @@ class ReceiveServer {
   }
 
   /// Handle file upload - saves to TEMP location (not final)
-  Future<void> _handleFileUpload(HttpRequest request) async {
+  ///
+  /// Parts for files the host didn't accept are skipped.
+  Future<void> _handleFileUpload(HttpRequest request, String clientIp) async {
     if (_tempDirectory == null) {
       request.response.statusCode = HttpStatus.internalServerError;
       request.response.write('Server not properly initialized');
@@ -432,85 +614,131 @@ class ReceiveServer {
         }
       }
 
-      // FIX (Bug #5): Stream request body to a temp file to avoid OOM on large uploads
-      final tempBodyPath = path.join(_tempDirectory!, '_upload_body_${DateTime.now().millisecondsSinceEpoch}');
-      final tempBodyFile = File(tempBodyPath);
-      final tempSink = tempBodyFile.openWrite();
+      // FIX (Bug #5): Parse the body as it arrives and write each file part
+      // straight to its temp file, so no upload is ever held in memory
+      final parser = MultipartStreamParser(boundary);
       int totalSize = 0;
 
+      _MultipartUpload? current;
+      // A 'relativePath' field applies to the file part that follows it
+      String? relativePath;
+      int refusedCount = 0;
+
       try {
         await for (final chunk in request) {
-          tempSink.add(chunk);
           totalSize += chunk.length;
-          
+
           // FIX (Bug #6): Validate total upload size during streaming
           if (totalSize > _maxUploadSizeBytes) {
-            await tempSink.close();
-            try {
-              await tempBodyFile.delete();
-            } catch (e, stack) {
-              debugPrint('⚠️ Failed to delete temp file: $e\n$stack');
-            }
             request.response.statusCode = HttpStatus.requestEntityTooLarge;
             request.response.write('Upload exceeds maximum size limit (${_maxUploadSizeBytes ~/ (1024 * 1024 * 1024)}GB)');
             await request.response.close();
             return;
           }
-        }
-        await tempSink.flush();
-        await tempSink.close();
-
-        debugPrint('📦 Received $totalSize bytes (streamed to temp file)');
-
-        // Read back from temp file for parsing (still needed for multipart boundary detection)
-        final bytes = await tempBodyFile.readAsBytes();
-
-        // Parse multipart data
-        final parts = MultipartParser.parse(bytes, boundary);
 
-        for (final part in parts) {
-          if (part.filename != null &&
-              part.filename!.isNotEmpty &&
-              part.data.isNotEmpty) {
-            // FIX (Bug #6): Validate individual file size
-            if (part.data.length > _maxFileSizeBytes) {
-              debugPrint('⚠️ File ${part.filename} exceeds size limit, skipping');
-              continue;
-            }
-            
-            // Clean filename (remove path traversal attempts)
-            final cleanFilename = path.basename(part.filename!);
-
-            // Generate unique temp filename
-            final timestamp = DateTime.now().millisecondsSinceEpoch;
-            final tempFilename = '${timestamp}_$cleanFilename';
-            final tempFilePath = path.join(_tempDirectory!, tempFilename);
-
-            debugPrint('💾 Saving to temp: $cleanFilename → $tempFilePath');
-
-            try {
-              final file = File(tempFilePath);
-
-              // Write file to TEMP location
-              await file.writeAsBytes(part.data, flush: true);
-
-              // Verify file was written
-              if (await file.exists()) {
-                final stat = await file.stat();
-                debugPrint(
-                    '✅ File saved to temp: $cleanFilename (${stat.size} bytes)');
+          for (final event in parser.add(chunk)) {
+            switch (event.type) {
+              case MultipartEventType.partStart:
+                if (event.filename != null && event.filename!.isNotEmpty) {
+                  // Clean filename (remove path traversal attempts)
+                  final cleanFilename = path.basename(event.filename!);
+
+                  // Size is only known once the part ends
+                  final approved = _approvals.requireApproval
+                      ? _approvals.claim(clientIp, cleanFilename,
+                          relativePath: relativePath)
+                      : null;
+                  if (_approvals.requireApproval && approved == null) {
+                    debugPrint('🚫 Not approved, skipping: $cleanFilename');
+                    current = _MultipartUpload.refused(cleanFilename);
+                    relativePath = null;
+                    refusedCount++;
+                    break;
+                  }
+
+                  final tempFilePath = path.join(_tempDirectory!,
+                      '${DateTime.now().millisecondsSinceEpoch}_${_multipartFileCounter++}_$cleanFilename');
+
+                  debugPrint('💾 Saving to temp: $cleanFilename → $tempFilePath');
+
+                  current = _MultipartUpload.file(
+                    name: cleanFilename,
+                    tempPath: tempFilePath,
+                    relativePath: relativePath,
+                    output: await File(tempFilePath).open(mode: FileMode.write),
+                  )..approved = approved;
+                  relativePath = null;
+                } else {
+                  current = _MultipartUpload.field(event.name);
+                }
+
+              case MultipartEventType.data:
+                final part = current;
+                if (part == null) break;
+
+                if (part.isField) {
+                  part.addFieldData(event.data!);
+                  break;
+                }
+
+                if (part.skipped) break;
+                part.size += event.data!.length;
+
+                // FIX (Bug #6): Validate individual file size
+                if (part.size > _maxFileSizeBytes) {
+                  debugPrint('⚠️ File ${part.name} exceeds size limit, skipping');
+                  await part.discard();
+                  break;
+                }
+
+                // Bigger than the file the host accepted
+                if (part.approved != null && part.size > part.approved!.size) {
+                  debugPrint('⚠️ File ${part.name} is larger than approved, skipping');
+                  await part.discard();
+                  break;
+                }
+
+                await part.output!.writeFrom(event.data!);
+
+              case MultipartEventType.partEnd:
+                final part = current;
+                current = null;
+                if (part == null) break;
+
+                if (part.isField) {
+                  if (part.name == 'relativePath') {
+                    relativePath = _fileService.sanitizeRelativePath(
+                        utf8.decode(part.fieldData, allowMalformed: true));
+                  }
+                  break;
+                }
+
+                if (part.skipped) break;
+                await part.output!.close();
+                part.output = null;
+
+                if (part.size == 0 ||
+                    (part.approved != null &&
+                        part.size != part.approved!.size)) {
+                  await part.discard();
+                  break;
+                }
+
+                debugPrint('✅ File saved to temp: ${part.name} (${part.size} bytes)');
 
                 uploadedFiles.add({
-                  'name': cleanFilename,
-                  'size': part.data.length,
-                  'tempPath': tempFilePath,
+                  'name': part.name,
+                  'size': part.size,
+                  'tempPath': part.tempPath,
+                  if (part.relativePath != null) 'relativePath': part.relativePath,
                 });
 
                 // Create ReceivedFile with PENDING status
                 final receivedFile = ReceivedFile(
-                  name: cleanFilename,
-                  tempPath: tempFilePath,
-                  size: part.data.length,
+                  name: part.name!,
+                  tempPath: part.tempPath!,
+                  relativePath: part.relativePath,
+                  size: part.size,
                   receivedAt: DateTime.now(),
                   status: FileReceiveStatus.pending,
                 );
@@ -520,27 +748,36 @@ class ReceiveServer {
 
                 // Also notify via stream (for backward compatibility)
                 _receivedFilesController.add(receivedFile);
-              } else {
-                debugPrint('❌ File was not created: $tempFilePath');
-              }
-            } catch (e) {
-              debugPrint('❌ Error saving file $cleanFilename: $e');
             }
           }
         }
+
+        parser.close();
+        debugPrint('📦 Received $totalSize bytes (streamed to temp files)');
+      } on MultipartException catch (e) {
+        debugPrint('❌ Malformed upload: $e');
+        request.response.statusCode = HttpStatus.badRequest;
+        request.response.write('Malformed upload');
+        await request.response.close();
+        return;
       } finally {
-        // Clean up temp body file
-        try {
-          if (await tempBodyFile.exists()) {
-            await tempBodyFile.delete();
-          }
-        } catch (deleteError) {
-          debugPrint('Error deleting temp body file: $deleteError');
-        }
+        // A part cut off mid-body is incomplete - don't leave it behind
+        await current?.discard();
       }
 
       debugPrint('📊 Total files received: ${uploadedFiles.length}');
 
+      if (uploadedFiles.isEmpty && refusedCount > 0) {
+        request.response.statusCode = HttpStatus.forbidden;
+        request.response.headers.contentType = ContentType.json;
+        request.response.write(jsonEncode({
+          'status': 'error',
+          'message': 'Upload not approved',
+        }));
+        await request.response.close();
+        return;
+      }
+
       // Send response
       request.response.headers.contentType = ContentType.json;
       request.response.write(jsonEncode({
@@ -557,4 +794,425 @@ class ReceiveServer {
       await request.response.close();
     }
   }
+
+  /// Static scripts, status lookups, and follow-up requests for a chunked
+  /// upload this client started
+  bool isRateLimitExempt(
+      HttpRequest request, String requestPath, String clientIp) {
+    if (request.method == 'GET' &&
+        (WebScripts.isScriptPath(requestPath) ||
+            requestPath.startsWith('/transfer/parallel/status/'))) {
+      return true;
+    }
+
+    if (request.method == 'POST' && requestPath == '/transfer/chunk') {
+      final transferId = request.headers.value('X-Transfer-Id');
+      return transferId != null &&
+          _parallelUploadClients[transferId] == clientIp;
+    }
+
+    if (request.method == 'GET' &&
+        requestPath.startsWith('/transfer/manifest/')) {
+      return _parallelUploadClients[request.uri.pathSegments.last] == clientIp;
+    }
+
+    // The page polls for the host's decision on its upload request
+    if (request.method == 'GET' &&
+        requestPath.startsWith('${UploadApprovals.requestPath}/')) {
+      return true;
+    }
+
+    // Completion, cancellation and progress reports don't name the transfer
+    // in a header - owning any upload is enough here
+    if (request.method == 'POST' &&
+        (requestPath == '/transfer/parallel/complete' ||
+            requestPath == '/transfer/parallel/cancel' ||
+            requestPath == '/api/progress' ||
+            requestPath == uploadProgressPath)) {
+      return _parallelUploadClients.containsValue(clientIp);
+    }
+
+    return false;
+  }
+
+  /// Recommended chunked upload settings, for adaptive_tuner.js
+  Future<void> _serveTransferConfig(HttpRequest request) async {
+    final config =
+        await (_browserConfig ??= ParallelConfig.forBrowserClients());
+    request.response.headers.set('Cache-Control', 'no-store');
+    await _sendJson(request, HttpStatus.ok, {
+      'success': true,
+      'parallel': config.toBrowserJson(),
+    });
+  }
+
+  /// Start (or resume) a chunked upload into the temp directory
+  Future<void> _handleParallelInitiate(
+      HttpRequest request, String clientIp) async {
+    final receiver = _parallelReceiver;
+    if (receiver == null) {
+      await _sendJson(request, HttpStatus.internalServerError,
+          {'success': false, 'error': 'Server not properly initialized'});
+      return;
+    }
+
+    try {
+      final body = await _readBody(request, _maxJsonBodyBytes);
+      if (body == null) {
+        await _sendJson(request, HttpStatus.requestEntityTooLarge,
+            {'success': false, 'error': 'Request too large'});
+        return;
+      }
+
+      final data = jsonDecode(utf8.decode(body)) as Map<String, dynamic>;
+      final transferId = data['transferId'] as String? ?? '';
+      final fileSize = data['fileSize'] as int? ?? 0;
+      final chunkSize = data['chunkSize'] as int? ?? 0;
+      final totalChunks = data['totalChunks'] as int? ?? 0;
+
+      if (transferId.isEmpty || transferId.length > 100) {
+        await _sendJson(request, HttpStatus.badRequest,
+            {'success': false, 'error': 'Invalid transfer ID'});
+        return;
+      }
+
+      if (fileSize > _maxFileSizeBytes) {
+        await _sendJson(request, HttpStatus.requestEntityTooLarge, {
+          'success': false,
+          'error':
+              'File exceeds maximum size limit (${_maxFileSizeBytes ~/ (1024 * 1024)}MB)',
+        });
+        return;
+      }
+
+      if (chunkSize < _minChunkSize ||
+          chunkSize > _maxChunkSize ||
+          totalChunks != (fileSize / chunkSize).ceil()) {
+        await _sendJson(request, HttpStatus.badRequest,
+            {'success': false, 'error': 'Invalid chunk layout'});
+        return;
+      }
+
+      // The page uploads in the clear over the LAN, like the multipart path
+      if (data['encrypted'] == true) {
+        await _sendJson(request, HttpStatus.badRequest,
+            {'success': false, 'error': 'Encrypted uploads are not supported'});
+        return;
+      }
+
+      final owner = _parallelUploadClients[transferId];
+      if (owner != null && owner != clientIp) {
+        await _sendJson(request, HttpStatus.conflict,
+            {'success': false, 'error': 'Transfer ID already in use'});
+        return;
+      }
+
+      // Part of a folder upload - rebuilt under the save directory later
+      final relativePath =
+          _fileService.sanitizeRelativePath(data['relativePath'] as String?);
+
+      // A new upload takes one of the files the host accepted; going on
+      // with one of this client's own was already approved
+      UploadRequestFile? approved;
+      if (owner == null && _approvals.requireApproval) {
+        approved = _approvals.claim(
+            clientIp, data['fileName'] as String? ?? '',
+            relativePath: relativePath, size: fileSize);
+        if (approved == null) {
+          await _sendJson(request, HttpStatus.forbidden,
+              {'success': false, 'error': 'Upload not approved'});
+          return;
+        }
+      }
+
+      final result = await receiver.handleInitiate(data);
+      if (result['success'] != true && approved != null) {
+        _approvals.release(approved);
+      }
+      if (result['success'] == true) {
+        _parallelUploadClients[transferId] = clientIp;
+        if (relativePath != null) {
+          _parallelUploadPaths[transferId] = relativePath;
+        }
+      }
+
+      await _sendJson(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.badRequest, result);
+    } catch (e) {
+      debugPrint('❌ Error initiating chunked upload: $e');
+      await _sendJson(request, HttpStatus.badRequest,
+          {'success': false, 'error': 'Invalid request'});
+    }
+  }
+
+  /// Chunks already received, so an interrupted upload can resume
+  Future<void> _handleParallelStatus(
+      HttpRequest request, String clientIp) async {
+    final transferId = request.uri.pathSegments.last;
+    final receiver = _parallelReceiver;
+
+    if (receiver == null || _parallelUploadClients[transferId] != clientIp) {
+      await _sendJson(request, HttpStatus.notFound,
+          {'success': false, 'error': 'Transfer not found'});
+      return;
+    }
+
+    final result = await receiver.handleStatus(transferId);
+    await _sendJson(request,
+        result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+  }
+
+  /// The chunk manifest supplied at initiation
+  Future<void> _handleParallelManifest(
+      HttpRequest request, String clientIp) async {
+    final transferId = request.uri.pathSegments.last;
+    final receiver = _parallelReceiver;
+
+    if (receiver == null || _parallelUploadClients[transferId] != clientIp) {
+      await _sendJson(request, HttpStatus.notFound,
+          {'success': false, 'error': 'Transfer not found'});
+      return;
+    }
+
+    final result = await receiver.handleManifest(transferId);
+    await _sendJson(request,
+        result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+  }
+
+  /// Write one chunk of a chunked upload
+  Future<void> _handleParallelChunk(
+      HttpRequest request, String clientIp) async {
+    final receiver = _parallelReceiver;
+    final transferId = request.headers.value('X-Transfer-Id');
+    final chunkIndex =
+        int.tryParse(request.headers.value('X-Chunk-Index') ?? '');
+
+    final session = (receiver != null &&
+            transferId != null &&
+            _parallelUploadClients[transferId] == clientIp)
+        ? receiver.getSession(transferId)
+        : null;
+
+    if (session == null) {
+      await _sendJson(request, HttpStatus.notFound,
+          {'success': false, 'error': 'Unknown transfer'});
+      return;
+    }
+
+    if (chunkIndex == null ||
+        chunkIndex < 0 ||
+        chunkIndex >= session.totalChunks) {
+      await _sendJson(request, HttpStatus.badRequest,
+          {'success': false, 'error': 'Invalid chunk index'});
+      return;
+    }
+
+    try {
+      final chunkData = await _readBody(request, session.chunkSize);
+      if (chunkData == null) {
+        await _sendJson(request, HttpStatus.requestEntityTooLarge,
+            {'success': false, 'error': 'Chunk larger than chunk size'});
+        return;
+      }
+
+      final result = await receiver!.handleChunk(
+        transferId: transferId!,
+        chunkIndex: chunkIndex,
+        chunkData: chunkData,
+        originalSize:
+            int.tryParse(request.headers.value('X-Original-Size') ?? '') ?? 0,
+        encrypted: false,
+        compression: request.headers.value(ChunkCompression.header),
+        chunkHash: request.headers
+            .value(ParallelReceiverHandler.chunkHashHeader),
+      );
+
+      // 409 tells the page the chunk arrived corrupted and should be resent
+      final status = result['success'] == true
+          ? HttpStatus.ok
+          : result['retryable'] == true
+              ? HttpStatus.conflict
+              : HttpStatus.badRequest;
+      await _sendJson(request, status, result);
+    } catch (e) {
+      debugPrint('❌ Error receiving chunk: $e');
+      await _sendJson(request, HttpStatus.internalServerError,
+          {'success': false, 'error': 'Error receiving chunk'});
+    }
+  }
+
+  /// Verify a finished chunked upload and hand it to the pending files
+  Future<void> _handleParallelComplete(
+      HttpRequest request, String clientIp) async {
+    final receiver = _parallelReceiver;
+
+    try {
+      final body = await _readBody(request, _maxJsonBodyBytes);
+      final data = body == null
+          ? const <String, dynamic>{}
+          : jsonDecode(utf8.decode(body)) as Map<String, dynamic>;
+      final transferId = data['transferId'] as String? ?? '';
+      final fileHash = data['fileHash'] as String? ?? '';
+      final rawChunkHashes = data['chunkHashes'];
+      final chunkHashes =
+          rawChunkHashes is List && rawChunkHashes.every((h) => h is String)
+              ? rawChunkHashes.cast<String>()
+              : null;
+
+      final session = (receiver != null &&
+              _parallelUploadClients[transferId] == clientIp)
+          ? receiver.getSession(transferId)
+          : null;
+
+      if (session == null) {
+        await _sendJson(request, HttpStatus.notFound,
+            {'success': false, 'error': 'Unknown transfer'});
+        return;
+      }
+
+      final fileName = session.fileName;
+      final result = await receiver!.handleComplete(
+        transferId: transferId,
+        fileHash: fileHash,
+        chunkHashes: chunkHashes,
+      );
+
+      // Finished or failed for good - either way the session is gone
+      final relativePath = _parallelUploadPaths[transferId];
+      if (receiver.getSession(transferId) == null) {
+        _parallelUploadClients.remove(transferId);
+        _parallelUploadPaths.remove(transferId);
+      }
+
+      if (result['success'] == true) {
+        final receivedFile = ReceivedFile(
+          name: fileName,
+          tempPath: result['filePath'] as String,
+          relativePath: relativePath,
+          size: result['fileSize'] as int,
+          receivedAt: DateTime.now(),
+          status: FileReceiveStatus.pending,
+        );
+
+        _pendingFilesManager.addFile(receivedFile);
+        _receivedFilesController.add(receivedFile);
+
+        debugPrint('✅ Chunked upload received: $fileName');
+      }
+
+      await _sendJson(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.badRequest, result);
+    } catch (e) {
+      debugPrint('❌ Error completing chunked upload: $e');
+      await _sendJson(request, HttpStatus.badRequest,
+          {'success': false, 'error': 'Invalid request'});
+    }
+  }
+
+  /// Drop a chunked upload the guest cancelled, with its partial file
+  Future<void> _handleParallelCancel(
+      HttpRequest request, String clientIp) async {
+    final receiver = _parallelReceiver;
+
+    try {
+      final body = await _readBody(request, 4096);
+      final data = body == null
+          ? const <String, dynamic>{}
+          : jsonDecode(utf8.decode(body)) as Map<String, dynamic>;
+      final transferId = data['transferId'] as String? ?? '';
+
+      if (receiver == null || _parallelUploadClients[transferId] != clientIp) {
+        await _sendJson(request, HttpStatus.notFound,
+            {'success': false, 'error': 'Unknown transfer'});
+        return;
+      }
+
+      final result = await receiver.handleCancel(transferId);
+      _parallelUploadClients.remove(transferId);
+      _parallelUploadPaths.remove(transferId);
+
+      await _sendJson(request,
+          result['success'] == true ? HttpStatus.ok : HttpStatus.notFound, result);
+    } catch (e) {
+      debugPrint('❌ Error cancelling chunked upload: $e');
+      await _sendJson(request, HttpStatus.badRequest,
+          {'success': false, 'error': 'Invalid request'});
+    }
+  }
+
+  /// Read a request body into memory, or null if it exceeds [maxBytes]
+  Future<Uint8List?> _readBody(HttpRequest request, int maxBytes) async {
+    final builder = BytesBuilder(copy: false);
+    await for (final chunk in request) {
+      builder.add(chunk);
+      if (builder.length > maxBytes) return null;
+    }
+    return builder.takeBytes();
+  }
+
+  Future<void> _sendJson(
+      HttpRequest request, int statusCode, Map<String, dynamic> body) async {
+    request.response.statusCode = statusCode;
+    request.response.headers.contentType = ContentType.json;
+    request.response.write(jsonEncode(body));
+    await request.response.close();
+  }
+}
+
+/// A multipart part being received - a form field or a file on its way to
+/// the temp directory
+class _MultipartUpload {
+  // Form fields are short (e.g. relativePath) - anything longer is cut off
+  static const int _maxFieldBytes = 4096;
+
+  final String? name;
+  final String? tempPath;
+  final String? relativePath;
+  RandomAccessFile? output;
+  int size = 0;
+  bool skipped = false;
+  // The accepted file this part is the upload of
+  UploadRequestFile? approved;
+  final BytesBuilder _fieldData = BytesBuilder();
+
+  _MultipartUpload.file({
+    required this.name,
+    required this.tempPath,
+    required this.relativePath,
+    required this.output,
+  });
+
+  _MultipartUpload.field(this.name)
+      : tempPath = null,
+        relativePath = null;
+
+  /// A file part the host didn't accept - read past, never written
+  _MultipartUpload.refused(this.name)
+      : tempPath = '',
+        relativePath = null {
+    skipped = true;
+  }
+
+  bool get isField => tempPath == null;
+
+  List<int> get fieldData => _fieldData.toBytes();
+
+  void addFieldData(List<int> data) {
+    final room = _maxFieldBytes - _fieldData.length;
+    if (room <= 0) return;
+    _fieldData.add(data.length > room ? data.sublist(0, room) : data);
+  }
+
+  /// Drop the file written so far
+  Future<void> discard() async {
+    if (isField || skipped) return;
+    skipped = true;
+    try {
+      await output?.close();
+      output = null;
+      await File(tempPath!).delete();
+    } catch (e) {
+      debugPrint('⚠️ Failed to delete partial upload: $e');
+    }
+  }
 }
@@ -1,14 +1,30 @@
 import 'dart:async';
 import 'dart:convert';
 import 'dart:io';
+import 'dart:typed_data';
 
+import 'package:cryptography/cryptography.dart';
 import 'package:flutter/foundation.dart';
 import 'package:path/path.dart' as path;
 
+import '../../../models/text_snippet.dart';
 import '../../../utils/app_logger.dart';
+import '../../encryption_service.dart';
+import '../models/file_share_policy.dart';
+import '../models/guest_progress.dart';
+import '../utils/file_policy_tracker.dart';
+import '../utils/guest_progress_tracker.dart';
 import '../utils/network_utils.dart';
+import '../utils/served_chunks.dart';
+import '../utils/share_access.dart';
+import '../utils/snippet_board.dart';
 import '../utils/file_type_utils.dart';
+import '../utils/thumbnail_cache.dart';
+import '../utils/web_scripts.dart';
+import '../utils/web_share_origins.dart';
+import '../utils/zip_stream_writer.dart';
 import '../templates/share_page_template.dart';
+import 'receive_server.dart';
 
 /// Pending connection confirmation request
 class PendingConfirmation {
@@ -113,11 +129,50 @@ class ShareServer {
       StreamController<PendingConfirmation>.broadcast();
   static const Duration _confirmationTimeout = Duration(minutes: 1);
 
+  // Share pages listening on /api/events for live updates
+  final List<_EventClient> _eventClients = [];
+  Timer? _eventKeepAliveTimer;
+  DateTime? _expiresAt;
+  static const int _maxEventClients = 100;
+  // How often open pages get the expiry countdown again - also keeps idle
+  // streams from being dropped by mobile browsers
+  static const Duration _eventKeepAlive = Duration(seconds: 30);
+
   // Rate limiting - track requests per IP
   static const int _maxRequestsPerMinute = 60;
   final Map<String, List<DateTime>> _requestTimestamps = {};
   static const Duration _rateLimitWindow = Duration(minutes: 1);
 
+  // How far each guest has got with each file
+  final GuestProgressTracker _guestProgress = GuestProgressTracker();
+  static const Duration _progressInterval = Duration(milliseconds: 500);
+
+  // Downscaled thumbnails and video posters, generated on first request
+  final ThumbnailCache _thumbnailCache = ThumbnailCache();
+  // Images that can't be downscaled are sent as they are up to this size
+  static const int _maxOriginalThumbnailBytes = 5 * 1024 * 1024;
+
+  // Encrypted link mode - file data, names and thumbnails leave AES-256-GCM
+  // encrypted; the key is only in the link's #key= fragment, which browsers
+  // never send to the server
+  EncryptionService? _encryptionService;
+  SecretKey? _shareKey;
+  static const int _encryptedChunkSize = EncryptionService.chunkSize;
+  // 4-byte length + nonce (12) + MAC (16) per chunk
+  static const int _encryptedFrameOverhead = 4 + 12 + 16;
+
+  // Optional PIN / passphrase guests must enter first
+  ShareAccess _access = ShareAccess();
+
+  // Download limits and expiry of individual files
+  final FilePolicyTracker _filePolicies = FilePolicyTracker();
+
+  // Two-way session - guests' uploads are passed on to this receiver
+  ReceiveServer? _uploads;
+
+  // Text and links the host puts on the page for guests to copy
+  final SnippetBoard _snippets = SnippetBoard(SnippetDirection.outgoing);
+
   /// Stream of connection events (connect, download start/complete)
   Stream<ConnectionEvent> get connectionEventStream =>
       _connectionEventController.stream;
@@ -126,6 +181,9 @@ class ShareServer {
   Stream<int> get activeConnectionCountStream =>
       _activeConnectionCountController.stream;
 
+  /// Stream of per-guest, per-file download progress
+  Stream<GuestProgress> get guestProgressStream => _guestProgress.stream;
+
   /// Current number of active connections
   int get activeConnectionCount => _activeConnections.length;
 
@@ -138,6 +196,61 @@ class ShareServer {
   /// Check if currently sharing
   bool get isSharing => _server != null;
 
+  /// Whether the current share uses an encrypted link
+  bool get isEncrypted => _shareKey != null;
+
+  /// Whether guests can send files back from the share page
+  bool get acceptsUploads => _uploads != null;
+
+  /// Whether guests need a PIN or passphrase to open the current share
+  bool get isPasscodeProtected => _access.isLocked;
+
+  /// Set or remove ([passcode] null) the PIN of the running share
+  ///
+  /// Every guest has to unlock again - their sessions were signed with the
+  /// old secret.
+  void setPasscode(String? passcode) {
+    _access = ShareAccess(passcode: passcode);
+  }
+
+  /// Limit how [file] may be downloaded, or lift its limits with null
+  ///
+  /// Restricted files are left out of ZIPs, previews and thumbnails - each
+  /// of those would be a download the limits can't count. Limits stay with
+  /// the file if it is removed and added back.
+  void setFilePolicy(File file, FileSharePolicy? policy) {
+    _filePolicies.set(file.path, policy);
+    _broadcastEvent('files', const {});
+  }
+
+  /// The download limits on [file], if any
+  FileSharePolicy? filePolicy(File file) => _filePolicies.policyFor(file.path);
+
+  /// Text snippets on the share page, oldest first
+  List<TextSnippet> get snippets => _snippets.snippets;
+
+  /// Put [text] on the share page for guests to copy
+  ///
+  /// Returns null if nothing is being shared, the text is empty or too
+  /// long, or the link is encrypted - snippets are sent as plain text.
+  TextSnippet? postSnippet(String text) {
+    if (_server == null || isEncrypted) return null;
+    final snippet = _snippets.post(text);
+    if (snippet != null) {
+      _broadcastEvent('snippets', const {});
+    }
+    return snippet;
+  }
+
+  /// Take a snippet off the share page
+  bool removeSnippet(String id) {
+    final removed = _snippets.remove(id);
+    if (removed) {
+      _broadcastEvent('snippets', const {});
+    }
+    return removed;
+  }
+
   /// Stream of pending confirmation requests - UI should listen to this
   /// and show confirmation dialog to user
   Stream<PendingConfirmation> get confirmationRequestStream =>
@@ -160,6 +273,7 @@ class ShareServer {
       // Activate the connection after confirmation
       _activateConnection(ipAddress, confirmation.userAgent);
       debugPrint('✅ Connection confirmed for ${AppLogger.sanitize(ipAddress)}');
+      _broadcastApproval(ipAddress);
       return true;
     }
     return false;
@@ -171,6 +285,7 @@ class ShareServer {
     if (confirmation != null && confirmation.isPending) {
       confirmation.denied = true;
       debugPrint('❌ Connection denied for ${AppLogger.sanitize(ipAddress)}');
+      _broadcastApproval(ipAddress);
       return true;
     }
     return false;
@@ -190,7 +305,9 @@ class ShareServer {
 
   /// Check if request is allowed based on rate limits
   /// Returns true if allowed, false if rate limited
-  bool _checkRateLimit(String ipAddress) {
+  ///
+  /// A request with a [weight] above 1 counts as that many requests.
+  bool _checkRateLimit(String ipAddress, {int weight = 1}) {
     final now = DateTime.now();
     final windowStart = now.subtract(_rateLimitWindow);
     
@@ -208,26 +325,41 @@ class ShareServer {
     }
     
     // Add current request timestamp
-    timestamps.add(now);
+    for (var i = 0; i < weight; i++) {
+      timestamps.add(now);
+    }
     _requestTimestamps[ipAddress] = timestamps;
     return true;
   }
 
   /// Start sharing files via HTTP server
-  Future<String?> startSharing(List<File> files) async {
+  ///
+  /// With [encrypted], the returned URL carries a fresh key in its fragment
+  /// and only a page opened from that exact link can read the files. With a
+  /// [passcode], guests have to enter it before they see anything.
+  ///
+  /// With [uploads], a receiver already set up with
+  /// [ReceiveServer.prepareUploads], the page also lets approved guests send
+  /// files back. That can't be combined with [encrypted] - uploads aren't
+  /// encrypted with the link's key.
+  Future<String?> startSharing(
+    List<File> files, {
+    bool encrypted = false,
+    String? passcode,
+    ReceiveServer? uploads,
+  }) async {
     if (files.isEmpty) return null;
+    if (encrypted && uploads != null) {
+      debugPrint('❌ Encrypted links can\'t take uploads');
+      return null;
+    }
 
     await stop();
 
-    _sharedFiles = files;
-    
-    // Pre-cache file stats to avoid repeated disk I/O during file list requests
-    // This is especially important for large files where stat() can be slow
-    debugPrint('📊 Caching file stats for ${files.length} files...');
-    _cachedFileStats = await Future.wait(
-      files.map((f) => f.stat())
-    );
-    debugPrint('✅ File stats cached');
+    _access = ShareAccess(passcode: passcode);
+    _uploads = uploads;
+
+    await _setSharedFiles(files);
 
     try {
       int port = _defaultPort;
@@ -251,10 +383,20 @@ class ShareServer {
       }
 
       if (_server == null) return null;
+      // Pages from this server may reach the transfer server directly
+      WebShareOrigins.register(_server!.port);
 
       final localIp = await NetworkUtils.getLocalIp();
       _shareUrl = 'http://$localIp:${_server!.port}';
 
+      if (encrypted) {
+        _encryptionService = EncryptionService();
+        _shareKey = await _encryptionService!.generateRandomKey();
+        final keyBytes = await _encryptionService!.secretKeyToBytes(_shareKey!);
+        final keyParam = base64Url.encode(keyBytes).replaceAll('=', '');
+        _shareUrl = '$_shareUrl/#key=$keyParam';
+      }
+
       debugPrint('Web share server running at $_shareUrl');
 
       _serve();
@@ -263,11 +405,17 @@ class ShareServer {
       _cleanupTimer = Timer.periodic(const Duration(minutes: 5), (_) => _cleanupStaleClients());
 
       // Auto-expire after duration
+      _expiresAt = DateTime.now().add(_shareExpiration);
       _expirationTimer = Timer(_shareExpiration, () {
         debugPrint('Share expired, stopping server');
+        _broadcastEvent('expired', const {});
         stop();
       });
 
+      _eventKeepAliveTimer = Timer.periodic(_eventKeepAlive, (_) {
+        _broadcastEvent('expiry', _expiryPayload());
+      });
+
       return _shareUrl;
     } catch (e) {
       debugPrint('Error starting web share: $e');
@@ -275,6 +423,31 @@ class ShareServer {
     }
   }
 
+  /// Replace the shared files without restarting the server
+  ///
+  /// Connected guests keep their approval and open share pages reload the
+  /// list. File ids are list positions, so pages fetch the list again
+  /// rather than patching it.
+  Future<bool> updateFiles(List<File> files) async {
+    if (_server == null || files.isEmpty) return false;
+
+    await _setSharedFiles(files);
+    _broadcastEvent('files', const {});
+    return true;
+  }
+
+  Future<void> _setSharedFiles(List<File> files) async {
+    // Pre-cache file stats to avoid repeated disk I/O during file list requests
+    // This is especially important for large files where stat() can be slow
+    debugPrint('📊 Caching file stats for ${files.length} files...');
+    final stats = await Future.wait(
+      files.map((f) => f.stat())
+    );
+    _sharedFiles = files;
+    _cachedFileStats = stats;
+    debugPrint('✅ File stats cached');
+  }
+
   /// Stop sharing and close server
   Future<void> stop() async {
     // FIX (Bug #31): Cancel all timers with try-catch
@@ -292,7 +465,25 @@ class ShareServer {
       debugPrint('Error cancelling cleanup timer: $e');
     }
 
+    try {
+      _eventKeepAliveTimer?.cancel();
+      _eventKeepAliveTimer = null;
+    } catch (e) {
+      debugPrint('Error cancelling event keep-alive timer: $e');
+    }
+
+    // Let open pages know before their streams are cut
+    _broadcastEvent('shutdown', const {});
+    for (final client in List.of(_eventClients)) {
+      try {
+        await client.response.close();
+      } catch (_) {}
+    }
+    _eventClients.clear();
+    _expiresAt = null;
+
     if (_server != null) {
+      WebShareOrigins.unregister(_server!.port);
       await _server!.close(force: true);
       _server = null;
     }
@@ -306,9 +497,26 @@ class ShareServer {
       _activeConnectionCountController.add(0);
     }
 
+    _guestProgress.clear();
+    _filePolicies.clear();
+    _snippets.clear();
+
+    // Unfinished uploads go; received files stay pending for the host
+    final uploads = _uploads;
+    _uploads = null;
+    try {
+      await uploads?.stop();
+    } catch (e) {
+      debugPrint('Error stopping uploads: $e');
+    }
+
     _sharedFiles = null;
     _cachedFileStats = null; // Clear cached file stats
     _shareUrl = null;
+    _shareKey = null;
+    _encryptionService = null;
+    _access = ShareAccess();
+    await _thumbnailCache.clear();
   }
 
   /// Dispose resources
@@ -331,6 +539,9 @@ class ShareServer {
     } catch (e) {
       debugPrint('Error closing active connection count controller: $e');
     }
+
+    await _guestProgress.dispose();
+    await _snippets.dispose();
   }
 
   /// Clean up stale connected clients to avoid unbounded growth
@@ -398,6 +609,7 @@ class ShareServer {
         if (conf != null && conf.isPending) {
           conf.denied = true;
           debugPrint('⏱️ Connection confirmation timed out for ${AppLogger.sanitize(ipAddress)}');
+          _broadcastApproval(ipAddress);
         }
       });
 
@@ -457,16 +669,22 @@ class ShareServer {
     if (_server == null) return;
 
     await for (final request in _server!) {
+      // Not awaited - a long download must not hold up every other request,
+      // including the page's own progress reports
+      _handleRequestSafely(request);
+    }
+  }
+
+  Future<void> _handleRequestSafely(HttpRequest request) async {
+    try {
+      await _handleRequest(request);
+    } catch (e) {
+      debugPrint('Error handling request: $e');
       try {
-        await _handleRequest(request);
-      } catch (e) {
-        debugPrint('Error handling request: $e');
-        try {
-          request.response.statusCode = HttpStatus.internalServerError;
-          await request.response.close();
-        } catch (closeError) {
-          debugPrint('Error closing error response: $closeError');
-        }
+        request.response.statusCode = HttpStatus.internalServerError;
+        await request.response.close();
+      } catch (closeError) {
+        debugPrint('Error closing error response: $closeError');
       }
     }
   }
@@ -479,8 +697,27 @@ class ShareServer {
         request.connectionInfo?.remoteAddress.address ?? 'unknown';
     final userAgent = request.headers.value('user-agent') ?? 'Unknown'; // NEW
 
+    // Thumbnails, download chunks and progress reports from a connected
+    // guest don't count - a grid of photos or a few downloads would use up
+    // the per-minute allowance by themselves
+    final isGuestBackground = (requestPath.startsWith('/thumbnail/') ||
+            ServedChunks.isChunkRequest(requestPath) ||
+            requestPath == '/api/progress') &&
+        _activeConnections.contains(clientIp);
+
+    // Two-way session: upload requests go to the receiver, which exempts
+    // the chunks of an upload the guest has started
+    final uploads = _uploads;
+    final isUpload = uploads != null && ReceiveServer.isUploadRequest(request);
+    final isUploadBackground =
+        isUpload && uploads!.isRateLimitExempt(request, requestPath, clientIp);
+
     // Rate limiting check - reject if too many requests
-    if (!_checkRateLimit(clientIp)) {
+    // The event stream is capped by _maxEventClients instead
+    if (!isGuestBackground &&
+        !isUploadBackground &&
+        requestPath != '/api/events' &&
+        !_checkRateLimit(clientIp)) {
       request.response.statusCode = HttpStatus.tooManyRequests;
       request.response.write('Rate limit exceeded. Please try again later.');
       await request.response.close();
@@ -488,31 +725,59 @@ class ShareServer {
       return;
     }
 
-    // CORS headers
-    request.response.headers.add('Access-Control-Allow-Origin', '*');
-    request.response.headers
-        .add('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    request.response.headers.add('Access-Control-Allow-Headers', '*');
-
-    if (request.method == 'OPTIONS') {
-      request.response.statusCode = HttpStatus.ok;
+    final isProgressReport =
+        request.method == 'POST' && requestPath == '/api/progress';
+    final isUnlock = request.method == 'POST' && requestPath == '/api/unlock';
+    if (request.method != 'GET' &&
+        !isProgressReport &&
+        !isUnlock &&
+        !isUpload) {
+      request.response.statusCode = HttpStatus.methodNotAllowed;
       await request.response.close();
       return;
     }
 
-    if (request.method != 'GET') {
-      request.response.statusCode = HttpStatus.methodNotAllowed;
-      await request.response.close();
+    final isIndexPage = requestPath == '/' || requestPath == '/index.html';
+
+    // SECURITY: A PIN-protected share only serves the page, its scripts and
+    // the unlock endpoints until the guest has a session
+    if (requestPath == '/api/session') {
+      await _access.serveStatus(request, clientIp);
+      return;
+    }
+    if (isUnlock) {
+      if (await _access.handleUnlock(request, clientIp)) {
+        _onClientConnected(clientIp, userAgent);
+      } else {
+        // This request already counted once
+        _checkRateLimit(clientIp, weight: ShareAccess.failedAttemptWeight - 1);
+        debugPrint('🔒 Failed unlock attempt from ${AppLogger.sanitize(clientIp)}');
+      }
+      return;
+    }
+    final isAuthorized = _access.isAuthorized(request, clientIp);
+    if (!isAuthorized &&
+        !isIndexPage &&
+        !WebScripts.isScriptPath(requestPath)) {
+      await ShareAccess.rejectUnauthorized(request);
       return;
     }
 
-    // Track connection when accessing index page
-    if (requestPath == '/' || requestPath == '/index.html') {
+    // Track connection when accessing index page - a locked share asks the
+    // host only once the guest has unlocked
+    if (isIndexPage && isAuthorized) {
       _onClientConnected(clientIp, userAgent); // MODIFIED
     }
 
-    // SECURITY: Require connection confirmation for file list, connected clients, and thumbnails
-    if (requestPath == '/api/files' || requestPath == '/api/connected-clients' || requestPath.startsWith('/thumbnail/')) {
+    // SECURITY: Require connection confirmation for file list, connected clients, snippets, thumbnails and previews
+    if (requestPath == '/api/files' ||
+        requestPath == '/api/connected-clients' ||
+        requestPath == '/api/progress' ||
+        requestPath == '/api/snippets' ||
+        requestPath.startsWith('/thumbnail/') ||
+        requestPath.startsWith('/preview/') ||
+        ServedChunks.isChunkRequest(requestPath) ||
+        isUpload) {
       if (!isConnectionAllowed(clientIp)) {
         request.response.statusCode = HttpStatus.forbidden;
         request.response.write('Forbidden: Connection not confirmed');
@@ -522,10 +787,25 @@ class ShareServer {
     }
 
     // Route requests
-    if (requestPath == '/' || requestPath == '/index.html') {
+    if (isIndexPage) {
       await _serveIndexPage(request);
+    } else if (WebScripts.isScriptPath(requestPath)) {
+      await WebScripts.serve(request, requestPath);
     } else if (requestPath == '/api/files') {
-      await _serveFileList(request);
+      await _serveFileList(request, clientIp);
+    } else if (isProgressReport) {
+      await _guestProgress.handleReport(
+        request,
+        clientIp,
+        GuestTransferDirection.download,
+        resolveFileId: _sharedFileInfo,
+      );
+    } else if (isUpload) {
+      await uploads!.handleUploadRequest(request, clientIp);
+    } else if (requestPath == '/api/snippets') {
+      await _snippets.serveList(request);
+    } else if (requestPath == '/api/events') {
+      _serveEvents(request, clientIp);
     } else if (requestPath == '/api/client-info') {
       // NEW: Serve client info
       await _serveClientInfo(request, clientIp);
@@ -536,6 +816,12 @@ class ShareServer {
       await _serveThumbnail(request, requestPath);
     } else if (requestPath.startsWith('/download/')) {
       await _serveFile(request, requestPath, clientIp);
+    } else if (ServedChunks.isChunkRequest(requestPath)) {
+      await ServedChunks.handleRequest(request, _chunkedFile);
+    } else if (requestPath.startsWith('/preview/')) {
+      await _serveFile(request, requestPath, clientIp, preview: true);
+    } else if (requestPath == '/download-all.zip') {
+      await _serveZip(request, clientIp);
     } else {
       request.response.statusCode = HttpStatus.notFound;
       request.response.write('Not found');
@@ -551,6 +837,79 @@ class ShareServer {
     await request.response.close();
   }
 
+  /// Open a Server-Sent Events stream to a share page
+  ///
+  /// Returns straight away - the response stays open until the page goes
+  /// away or the share stops.
+  void _serveEvents(HttpRequest request, String clientIp) {
+    final response = request.response;
+
+    if (_eventClients.length >= _maxEventClients) {
+      response.statusCode = HttpStatus.serviceUnavailable;
+      response.close();
+      return;
+    }
+
+    response.headers.set(HttpHeaders.contentTypeHeader, 'text/event-stream');
+    response.headers.set(HttpHeaders.cacheControlHeader, 'no-cache');
+    response.bufferOutput = false;
+
+    final client = _EventClient(clientIp, response);
+    _eventClients.add(client);
+    response.done
+        .catchError((_) {})
+        .whenComplete(() => _eventClients.remove(client));
+
+    // Current state first, so the page doesn't have to ask
+    _sendEvent(client, 'approval', _approvalPayload(clientIp));
+    _sendEvent(client, 'expiry', _expiryPayload());
+  }
+
+  void _sendEvent(_EventClient client, String event, Map<String, dynamic> data) {
+    try {
+      client.response.write('event: $event\ndata: ${jsonEncode(data)}\n\n');
+    } catch (e) {
+      // Connection already gone - done will remove it
+      debugPrint('Error sending $event event: $e');
+    }
+  }
+
+  void _broadcastEvent(String event, Map<String, dynamic> data) {
+    for (final client in List.of(_eventClients)) {
+      _sendEvent(client, event, data);
+    }
+  }
+
+  void _broadcastApproval(String ipAddress) {
+    final payload = _approvalPayload(ipAddress);
+    for (final client in List.of(_eventClients)) {
+      if (client.ipAddress == ipAddress) {
+        _sendEvent(client, 'approval', payload);
+      }
+    }
+  }
+
+  /// Approval state as the share page sees it: approved, pending or denied
+  Map<String, dynamic> _approvalPayload(String ipAddress) {
+    final confirmation = _pendingConfirmations[ipAddress];
+    final String status;
+    if (isConnectionAllowed(ipAddress)) {
+      status = 'approved';
+    } else if (confirmation != null && confirmation.denied) {
+      status = 'denied';
+    } else {
+      status = 'pending';
+    }
+    return {'status': status, 'ip': ipAddress};
+  }
+
+  Map<String, dynamic> _expiryPayload() {
+    final expiresAt = _expiresAt;
+    final remaining =
+        expiresAt == null ? 0 : expiresAt.difference(DateTime.now()).inSeconds;
+    return {'remainingSeconds': remaining < 0 ? 0 : remaining};
+  }
+
   /// NEW: Serve client info (IP address)
   Future<void> _serveClientInfo(HttpRequest request, String clientIp) async {
     request.response.headers.contentType = ContentType.json;
@@ -571,7 +930,10 @@ class ShareServer {
   }
 
   /// Serve the file list as JSON
-  Future<void> _serveFileList(HttpRequest request) async {
+  ///
+  /// Restricted files get a download URL signed for [clientIp], plus what's
+  /// left of their downloads and time.
+  Future<void> _serveFileList(HttpRequest request, String clientIp) async {
     if (_sharedFiles == null) {
       request.response.statusCode = HttpStatus.notFound;
       request.response.write('No files shared');
@@ -590,28 +952,72 @@ class ShareServer {
           : await file.stat();
       final fileType = FileTypeUtils.getFileType(fileName);
       final isImage = FileTypeUtils.isImage(fileName);
+      final previewKind = FileTypeUtils.getPreviewKind(fileName);
+      final hasPoster =
+          fileType == 'video' && ThumbnailCache.supportsVideoPosters;
+      final policy = _filePolicies.describe(file.path);
+      final restricted = policy != null;
+
+      String? downloadUrl = '/download/$i/${Uri.encodeComponent(fileName)}';
+      if (restricted) {
+        final token = _filePolicies.tokenFor(file.path, clientIp)!;
+        downloadUrl = policy['available'] == true
+            ? '$downloadUrl?token=${Uri.encodeQueryComponent(token)}'
+            : null;
+      }
 
       fileList.add({
         'id': i,
         'name': fileName,
         'size': stat.size,
         'sizeFormatted': NetworkUtils.formatBytes(stat.size),
-        'downloadUrl': '/download/$i/${Uri.encodeComponent(fileName)}',
+        'downloadUrl': downloadUrl,
         'type': fileType,
         'isImage': isImage,
-        'thumbnailUrl': isImage ? '/thumbnail/$i' : null,
+        'thumbnailUrl':
+            !restricted && (isImage || hasPoster) ? '/thumbnail/$i' : null,
+        'mimeType': _getMimeType(fileName),
+        'preview': restricted ? null : previewKind,
+        'previewUrl':
+            !restricted && previewKind != null ? '/preview/$i' : null,
+        'policy': policy,
+        'chunked':
+            _chunkedFile(i) != null ? ServedChunks.describe(i, stat) : null,
       });
     }
 
-    request.response.headers.contentType = ContentType.json;
-    request.response.write(jsonEncode({
+    final body = jsonEncode({
       'files': fileList,
       'totalFiles': fileList.length,
-    }));
+      'acceptsUploads': _uploads != null,
+    });
+
+    if (isEncrypted) {
+      // File names are as private as the files themselves
+      final bytes = utf8.encode(body);
+      await _sendEncrypted(request, Stream.value(bytes), bytes.length);
+      return;
+    }
+
+    request.response.headers.contentType = ContentType.json;
+    request.response.write(body);
     await request.response.close();
   }
 
-  /// Serve image thumbnail
+  /// The shared file at [index] if it can be downloaded in chunks
+  ///
+  /// Not on an encrypted link - chunks go out as they are on disk - and not
+  /// restricted files, whose downloads are counted whole.
+  File? _chunkedFile(int index) {
+    final files = _sharedFiles;
+    if (isEncrypted || files == null || index < 0 || index >= files.length) {
+      return null;
+    }
+    final file = files[index];
+    return _filePolicies.isRestricted(file.path) ? null : file;
+  }
+
+  /// Serve a downscaled image thumbnail or video poster frame
   Future<void> _serveThumbnail(HttpRequest request, String requestPath) async {
     if (_sharedFiles == null) {
       request.response.statusCode = HttpStatus.notFound;
@@ -642,30 +1048,75 @@ class ShareServer {
       return;
     }
 
+    // A full-size lightbox image would get around the download limits
+    if (_filePolicies.isRestricted(file.path)) {
+      request.response.statusCode = HttpStatus.forbidden;
+      await request.response.close();
+      return;
+    }
+
     final fileName = path.basename(file.path);
     final ext = fileName.split('.').last.toLowerCase();
+    final isImage = FileTypeUtils.imageExtensions.contains(ext);
+    final isVideo = FileTypeUtils.videoExtensions.contains(ext);
 
-    if (!FileTypeUtils.imageExtensions.contains(ext)) {
+    if (!isImage && !(isVideo && ThumbnailCache.supportsVideoPosters)) {
       request.response.statusCode = HttpStatus.badRequest;
       await request.response.close();
       return;
     }
 
-    final contentType = FileTypeUtils.getImageContentType(ext);
-    request.response.headers.contentType = contentType;
-    request.response.headers.add('Cache-Control', 'public, max-age=3600');
-
     try {
-      await request.response.addStream(file.openRead());
+      // ?size= picks the resolution - the grid wants small, the lightbox large
+      final size = ThumbnailCache.normalizeSize(
+          int.tryParse(request.uri.queryParameters['size'] ?? ''));
+
+      // SVG is already small and sharp at any size
+      final thumbnail =
+          ext == 'svg' ? null : await _thumbnailCache.get(file, size);
+
+      List<int> bytes;
+      ContentType contentType;
+      if (thumbnail != null) {
+        bytes = thumbnail.bytes;
+        contentType = ContentType.parse(thumbnail.contentType);
+      } else if (isImage &&
+          await file.length() <= _maxOriginalThumbnailBytes) {
+        bytes = await file.readAsBytes();
+        contentType = FileTypeUtils.getImageContentType(ext);
+      } else {
+        request.response.statusCode = HttpStatus.notFound;
+        await request.response.close();
+        return;
+      }
+
+      if (isEncrypted) {
+        await _sendEncrypted(request, Stream.value(bytes), bytes.length);
+        return;
+      }
+
+      request.response.headers.contentType = contentType;
+      request.response.headers.add('Cache-Control', 'public, max-age=3600');
+      request.response.headers.contentLength = bytes.length;
+      request.response.add(bytes);
       await request.response.close();
     } catch (e) {
       debugPrint('Error serving thumbnail: $e');
+      try {
+        await request.response.close();
+      } catch (closeError) {
+        debugPrint('Error closing thumbnail response: $closeError');
+      }
     }
   }
 
   /// Serve file download - with connection tracking, confirmation check, and Range support
+  ///
+  /// With [preview], the file is served inline for the share page's player
+  /// and doesn't count as a download - a video seek is a new Range request.
   Future<void> _serveFile(
-      HttpRequest request, String requestPath, String clientIp) async {
+      HttpRequest request, String requestPath, String clientIp,
+      {bool preview = false}) async {
     // SECURITY: Check if connection is confirmed before allowing download
     if (!isConnectionAllowed(clientIp)) {
       request.response.statusCode = HttpStatus.forbidden;
@@ -712,18 +1163,100 @@ class ShareServer {
     final stat = await file.stat();
     final fileSize = stat.size;
 
-    // Get the correct MIME type for the file
-    final mimeType = _getMimeType(fileName);
+    final previewKind = FileTypeUtils.getPreviewKind(fileName);
+    if (preview && previewKind == null) {
+      request.response.statusCode = HttpStatus.notFound;
+      request.response.write('No preview for this file');
+      await request.response.close();
+      return;
+    }
+
+    // Restricted files: only whole downloads through a signed URL, each
+    // one counted - no previews, no Range requests
+    final restricted = _filePolicies.isRestricted(file.path);
+    if (restricted) {
+      final access = preview
+          ? FileAccessResult.invalidToken
+          : _filePolicies.begin(
+              file.path, clientIp, request.uri.queryParameters['token']);
+      if (access != FileAccessResult.allowed) {
+        request.response.statusCode = switch (access) {
+          FileAccessResult.expired ||
+          FileAccessResult.exhausted =>
+            HttpStatus.gone,
+          _ => HttpStatus.forbidden,
+        };
+        request.response.write(switch (access) {
+          FileAccessResult.expired => 'This file has expired',
+          FileAccessResult.exhausted => 'This file has no downloads left',
+          _ => 'This file needs a valid download link',
+        });
+        await request.response.close();
+        debugPrint(
+            '❌ Restricted download refused (${access.name}): $fileName to ${AppLogger.sanitize(clientIp)}');
+        return;
+      }
+      // Other pages show one download fewer
+      _broadcastEvent('files', const {});
+    }
+
+    // Give a counted download back if it doesn't get through - only the
+    // first report counts
+    var downloadReported = false;
+    void downloadEnded(bool finished) {
+      if (!restricted || downloadReported) return;
+      downloadReported = true;
+      if (finished) return;
+      _filePolicies.release(file.path);
+      _broadcastEvent('files', const {});
+    }
+
+    // Get the correct MIME type for the file. Text previews are always
+    // plain text, so a shared .html file can't run as part of this page
+    final mimeType = preview && previewKind == 'text'
+        ? 'text/plain; charset=utf-8'
+        : _getMimeType(fileName);
 
     // Notify download started
-    _onDownloadStarted(clientIp, fileName, fileSize);
+    if (!preview) _onDownloadStarted(clientIp, fileName, fileSize);
+
+    // Encrypted downloads are always whole - frames can't be split by Range
+    if (isEncrypted) {
+      try {
+        await _sendEncrypted(request, file.openRead(0, fileSize), fileSize);
+        if (!preview) _onDownloadCompleted(clientIp, fileName, fileSize);
+        debugPrint(
+            '🔐 Served encrypted file: $fileName ($fileSize bytes) to ${AppLogger.sanitize(clientIp)}');
+      } catch (e) {
+        downloadEnded(false);
+        debugPrint('Error streaming encrypted file $fileName: $e');
+        try {
+          await request.response.close();
+        } catch (closeError) {
+          debugPrint('Error closing response after stream error: $closeError');
+        }
+      }
+      return;
+    }
+
+    // Downloads handed to the browser's download manager (all the big
+    // ones) resume with a Range request naming the version they started on
+    if (!restricted) {
+      request.response.headers.set(HttpHeaders.etagHeader, _entityTag(stat));
+      request.response.headers
+          .set(HttpHeaders.lastModifiedHeader, HttpDate.format(stat.modified));
+    }
 
     // Check for Range header for resumable downloads
     final rangeHeader = request.headers.value('range');
     
-    if (rangeHeader != null && rangeHeader.startsWith('bytes=')) {
+    if (!restricted &&
+        rangeHeader != null &&
+        rangeHeader.startsWith('bytes=') &&
+        _ifRangeMatches(request, stat)) {
       // Handle Range request for resumable downloads
-      await _serveFileRange(request, file, fileName, fileSize, mimeType, rangeHeader, clientIp);
+      await _serveFileRange(request, file, fileName, fileSize, mimeType, rangeHeader, clientIp,
+          preview: preview);
       return;
     }
 
@@ -739,15 +1272,17 @@ class ShareServer {
       );
       
       // Add Accept-Ranges header to indicate Range request support
-      request.response.headers.set('Accept-Ranges', 'bytes');
+      request.response.headers
+          .set('Accept-Ranges', restricted ? 'none' : 'bytes');
 
       // Content-Disposition with proper encoding for all filenames
       final sanitizedFileName = _sanitizeFileName(fileName);
       final encodedFileName = Uri.encodeComponent(fileName);
       request.response.headers.set(
         'Content-Disposition',
-        'attachment; filename="$sanitizedFileName"; filename*=UTF-8\'\'$encodedFileName',
+        '${preview ? 'inline' : 'attachment'}; filename="$sanitizedFileName"; filename*=UTF-8\'\'$encodedFileName',
       );
+      request.response.headers.set('X-Content-Type-Options', 'nosniff');
 
       // Prevent caching issues
       request.response.headers.set(
@@ -757,22 +1292,22 @@ class ShareServer {
       request.response.headers.set(HttpHeaders.pragmaHeader, 'no-cache');
       request.response.headers.set(HttpHeaders.expiresHeader, '0');
 
-      // Allow cross-origin downloads
-      request.response.headers.set(
-        'Access-Control-Expose-Headers',
-        'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range',
-      );
-
-      // Stream the file to response
-      await request.response.addStream(file.openRead());
+      // Stream the file to response. The browser's own download manager
+      // has it, so the page can't report progress - track it here
+      final data = file.openRead();
+      await request.response.addStream(preview
+          ? data
+          : _trackSent(data, clientIp, fileName, fileSize,
+              onEnded: downloadEnded));
       await request.response.close();
 
       // Notify download completed
-      _onDownloadCompleted(clientIp, fileName, fileSize);
+      if (!preview) _onDownloadCompleted(clientIp, fileName, fileSize);
 
       debugPrint(
           'Successfully served file: $fileName ($fileSize bytes) to $clientIp');
     } catch (e) {
+      downloadEnded(false);
       debugPrint('Error streaming file $fileName: $e');
       // Don't try to send error response if headers already sent
       try {
@@ -783,6 +1318,256 @@ class ShareServer {
     }
   }
 
+  /// Stream all shared files, or the `?files=0,2,5` subset, as one ZIP
+  ///
+  /// Built on the fly by [ZipStreamWriter] - no temp file, and browsers see
+  /// a single download instead of one popup per file.
+  Future<void> _serveZip(HttpRequest request, String clientIp) async {
+    if (!isConnectionAllowed(clientIp)) {
+      request.response.statusCode = HttpStatus.forbidden;
+      request.response.write('Connection not confirmed. Please wait for user approval.');
+      await request.response.close();
+      debugPrint('❌ ZIP download denied for unconfirmed connection: $clientIp');
+      return;
+    }
+
+    final sharedFiles = _sharedFiles;
+    if (sharedFiles == null || sharedFiles.isEmpty) {
+      request.response.statusCode = HttpStatus.notFound;
+      request.response.write('No files shared');
+      await request.response.close();
+      return;
+    }
+
+    // Selected subset, in share order, or everything
+    final selection = request.uri.queryParameters['files'];
+    final indices = <int>{};
+    if (selection != null && selection.isNotEmpty) {
+      for (final value in selection.split(',')) {
+        final index = int.tryParse(value.trim());
+        if (index == null || index < 0 || index >= sharedFiles.length) {
+          request.response.statusCode = HttpStatus.badRequest;
+          request.response.write('Invalid file selection');
+          await request.response.close();
+          return;
+        }
+        indices.add(index);
+      }
+    } else {
+      indices.addAll(List.generate(sharedFiles.length, (i) => i));
+    }
+
+    final entries = <ZipEntry>[];
+    final usedNames = <String>{};
+    try {
+      for (final index in indices.toList()..sort()) {
+        final file = sharedFiles[index];
+        // Restricted files are only handed out one counted download at a time
+        if (_filePolicies.isRestricted(file.path)) continue;
+        if (!await file.exists()) continue;
+        entries.add(await ZipEntry.fromFile(
+            file, _uniqueZipName(path.basename(file.path), usedNames)));
+      }
+    } catch (e) {
+      debugPrint('Error preparing ZIP: $e');
+      request.response.statusCode = HttpStatus.internalServerError;
+      await request.response.close();
+      return;
+    }
+
+    if (entries.isEmpty) {
+      request.response.statusCode = HttpStatus.notFound;
+      request.response.write('File not found on disk');
+      await request.response.close();
+      return;
+    }
+
+    final archiveName = entries.length == 1
+        ? '${path.basenameWithoutExtension(entries.first.name)}.zip'
+        : 'syndro_files.zip';
+    final archiveSize = ZipStreamWriter.archiveSize(entries);
+
+    _onDownloadStarted(clientIp, archiveName, archiveSize);
+
+    try {
+      if (isEncrypted) {
+        await _sendEncrypted(request, ZipStreamWriter.write(entries), archiveSize);
+        _onDownloadCompleted(clientIp, archiveName, archiveSize);
+        debugPrint(
+            '🔐 Served encrypted ZIP: ${entries.length} files ($archiveSize bytes) to ${AppLogger.sanitize(clientIp)}');
+        return;
+      }
+
+      request.response.headers.set(HttpHeaders.contentTypeHeader, 'application/zip');
+      request.response.headers.set(
+        HttpHeaders.contentLengthHeader,
+        archiveSize.toString(),
+      );
+
+      final sanitizedFileName = _sanitizeFileName(archiveName);
+      final encodedFileName = Uri.encodeComponent(archiveName);
+      request.response.headers.set(
+        'Content-Disposition',
+        'attachment; filename="$sanitizedFileName"; filename*=UTF-8\'\'$encodedFileName',
+      );
+      request.response.headers.set(
+        HttpHeaders.cacheControlHeader,
+        'no-cache, no-store, must-revalidate',
+      );
+
+      await request.response.addStream(_trackSent(
+          ZipStreamWriter.write(entries), clientIp, archiveName, archiveSize));
+      await request.response.close();
+
+      _onDownloadCompleted(clientIp, archiveName, archiveSize);
+
+      debugPrint(
+          '✅ Served ZIP: ${entries.length} files ($archiveSize bytes) to ${AppLogger.sanitize(clientIp)}');
+    } catch (e) {
+      // Headers are gone by now - the short body tells the browser it failed
+      debugPrint('Error streaming ZIP: $e');
+      try {
+        await request.response.close();
+      } catch (closeError) {
+        debugPrint('Error closing response after ZIP stream error: $closeError');
+      }
+    }
+  }
+
+  /// Shared file [index]'s name and size, for progress reports by file id
+  ({String name, int size})? _sharedFileInfo(int index) {
+    final files = _sharedFiles;
+    final stats = _cachedFileStats;
+    if (files == null || stats == null || index < 0 || index >= files.length) {
+      return null;
+    }
+    return (name: path.basename(files[index].path), size: stats[index].size);
+  }
+
+  /// Pass [data] through, recording the guest's progress as it is sent
+  ///
+  /// [onEnded] learns whether every byte went out.
+  Stream<List<int>> _trackSent(Stream<List<int>> data, String clientIp,
+      String fileName, int totalBytes,
+      {void Function(bool finished)? onEnded}) async* {
+    var sent = 0;
+    var finished = false;
+    var lastRecorded = DateTime.now();
+
+    GuestProgress progress({bool ended = false}) => GuestProgress(
+          ipAddress: clientIp,
+          fileName: fileName,
+          direction: GuestTransferDirection.download,
+          bytesTransferred: sent,
+          totalBytes: totalBytes,
+          completed: finished,
+          failed: ended && !finished,
+        );
+
+    try {
+      await for (final chunk in data) {
+        sent += chunk.length;
+        yield chunk;
+
+        final now = DateTime.now();
+        if (now.difference(lastRecorded) >= _progressInterval) {
+          lastRecorded = now;
+          _guestProgress.record(progress());
+        }
+      }
+      finished = true;
+    } finally {
+      // Also runs when the guest goes away mid-download
+      _guestProgress.record(progress(ended: true));
+      onEnded?.call(finished);
+    }
+  }
+
+  /// Send [plaintext] ([plainSize] bytes) encrypted under the share key
+  ///
+  /// The body is a run of frames: a 4-byte big-endian length, then
+  /// nonce | ciphertext | MAC for up to [_encryptedChunkSize] bytes of data.
+  /// This is the format SyndroDecryptor.decryptStream reads. No file name or
+  /// type is sent - the page already has them from the encrypted file list.
+  Future<void> _sendEncrypted(
+      HttpRequest request, Stream<List<int>> plaintext, int plainSize) async {
+    final chunkCount = (plainSize + _encryptedChunkSize - 1) ~/ _encryptedChunkSize;
+    final encryptedSize = plainSize + chunkCount * _encryptedFrameOverhead;
+
+    request.response.headers.set(
+        HttpHeaders.contentTypeHeader, 'application/octet-stream');
+    request.response.headers.set(
+        HttpHeaders.contentLengthHeader, encryptedSize.toString());
+    request.response.headers.set('X-Syndro-Encrypted', '1');
+    request.response.headers.set('X-Original-Size', plainSize.toString());
+    request.response.headers.set(
+      HttpHeaders.cacheControlHeader,
+      'no-cache, no-store, must-revalidate',
+    );
+
+    await request.response.addStream(_encryptFrames(plaintext));
+    await request.response.close();
+  }
+
+  /// Re-chunk [plaintext] into [_encryptedChunkSize] pieces and encrypt each
+  Stream<List<int>> _encryptFrames(Stream<List<int>> plaintext) async* {
+    final buffer = BytesBuilder(copy: false);
+
+    await for (final data in plaintext) {
+      buffer.add(data);
+      if (buffer.length < _encryptedChunkSize) continue;
+
+      final bytes = buffer.takeBytes();
+      var offset = 0;
+      while (bytes.length - offset >= _encryptedChunkSize) {
+        yield await _encryptFrame(Uint8List.sublistView(
+            bytes, offset, offset + _encryptedChunkSize));
+        offset += _encryptedChunkSize;
+      }
+      if (offset < bytes.length) {
+        buffer.add(Uint8List.sublistView(bytes, offset));
+      }
+    }
+
+    if (buffer.isNotEmpty) {
+      yield await _encryptFrame(buffer.takeBytes());
+    }
+  }
+
+  Future<Uint8List> _encryptFrame(Uint8List chunk) async {
+    final sealed = await _encryptionService!.encryptChunk(chunk, _shareKey!);
+    final frame = Uint8List(4 + sealed.length);
+    ByteData.sublistView(frame).setUint32(0, sealed.length);
+    frame.setRange(4, frame.length, sealed);
+    return frame;
+  }
+
+  /// Name for [fileName] inside the ZIP, numbered if already taken
+  String _uniqueZipName(String fileName, Set<String> usedNames) {
+    var name = fileName;
+    var counter = 1;
+    while (!usedNames.add(name.toLowerCase())) {
+      final ext = path.extension(fileName);
+      name = '${path.basenameWithoutExtension(fileName)} ($counter)$ext';
+      counter++;
+    }
+    return name;
+  }
+
+  /// Strong validator for a shared file's current contents
+  static String _entityTag(FileStat stat) =>
+      '"${stat.size}-${stat.modified.millisecondsSinceEpoch}"';
+
+  /// Whether a Range request may be answered with part of the file - its
+  /// If-Range, if any, has to name the version being served, else the
+  /// whole file goes out
+  static bool _ifRangeMatches(HttpRequest request, FileStat stat) {
+    final ifRange = request.headers.value(HttpHeaders.ifRangeHeader);
+    if (ifRange == null) return true;
+    return ifRange == _entityTag(stat) ||
+        ifRange == HttpDate.format(stat.modified);
+  }
+
   /// Serve file with Range support for resumable downloads
   Future<void> _serveFileRange(
       HttpRequest request,
@@ -791,14 +1576,16 @@ class ShareServer {
       int fileSize,
       String mimeType,
       String rangeHeader,
-      String clientIp) async {
+      String clientIp,
+      {bool preview = false}) async {
     // Parse Range header (e.g., "bytes=0-1023" or "bytes=1024-")
     final rangeMatch = RegExp(r'bytes=(\d*)-(\d*)').firstMatch(rangeHeader);
     
     if (rangeMatch == null) {
       // Invalid Range header, send full file
       request.response.statusCode = HttpStatus.ok;
-      await _serveFile(request, '/download/${_sharedFiles!.indexOf(file)}/$fileName', clientIp);
+      await _serveFile(request, '/download/${_sharedFiles!.indexOf(file)}/$fileName', clientIp,
+          preview: preview);
       return;
     }
 
@@ -836,42 +1623,19 @@ class ShareServer {
       final encodedFileName = Uri.encodeComponent(fileName);
       request.response.headers.set(
         'Content-Disposition',
-        'attachment; filename="$sanitizedFileName"; filename*=UTF-8\'\'$encodedFileName',
+        '${preview ? 'inline' : 'attachment'}; filename="$sanitizedFileName"; filename*=UTF-8\'\'$encodedFileName',
       );
+      request.response.headers.set('X-Content-Type-Options', 'nosniff');
 
-      // Allow cross-origin downloads
-      request.response.headers.set(
-        'Access-Control-Expose-Headers',
-        'Content-Disposition, Content-Length, Content-Type, Accept-Ranges, Content-Range',
-      );
+      // Stream the requested range - addStream waits for the client, so an
+      // open-ended "bytes=0-" from a video player isn't buffered in memory
+      await request.response.addStream(file.openRead(start, end + 1));
+      await request.response.close();
 
-      // Open file and seek to start position
-      final randomAccessFile = await file.open(mode: FileMode.read);
-      await randomAccessFile.setPosition(start);
+      // Notify download completed (partial content)
+      if (!preview) _onDownloadCompleted(clientIp, fileName, contentLength);
 
-      try {
-        // Stream the requested range
-        int remaining = contentLength;
-        const bufferSize = 64 * 1024; // 64KB chunks
-        final buffer = List<int>.filled(bufferSize, 0);
-
-        while (remaining > 0) {
-          final toRead = remaining > bufferSize ? bufferSize : remaining;
-          final bytesRead = await randomAccessFile.readInto(buffer, 0, toRead);
-          if (bytesRead == 0) break;
-          request.response.add(buffer.sublist(0, bytesRead));
-          remaining -= bytesRead;
-        }
-
-        await request.response.close();
-        
-        // Notify download completed (partial content)
-        _onDownloadCompleted(clientIp, fileName, contentLength);
-        
-        debugPrint('✅ Range served: $fileName ($contentLength bytes) to ${AppLogger.sanitize(clientIp)}');
-      } finally {
-        await randomAccessFile.close();
-      }
+      debugPrint('✅ Range served: $fileName ($contentLength bytes) to ${AppLogger.sanitize(clientIp)}');
     } catch (e) {
       debugPrint('Error streaming range $fileName: $e');
       try {
@@ -1077,3 +1841,11 @@ class ShareServer {
     return mimeTypes[ext] ?? 'application/octet-stream';
   }
 }
+
+/// A share page listening on /api/events
+class _EventClient {
+  final String ipAddress;
+  final HttpResponse response;
+
+  _EventClient(this.ipAddress, this.response);
+}
@@ -0,0 +1,289 @@
+/**
+ * Syndro Adaptive Tuner
+ *
+ * Browser counterpart of AdaptiveChunkManager: picks how many chunks a
+ * parallel transfer keeps in flight, and how big upload chunks are, from
+ * per-chunk throughput and round-trip time measured as the transfer runs.
+ * Round trips come from each download chunk's time to first byte, or from
+ * small requests reported with recordRoundTrip() - an upload chunk's
+ * answer only comes once its whole body is sent.
+ *
+ * Starts from the server's recommendation (ParallelConfig.toBrowserJson,
+ * served as `parallel` by /api/transfer-config and /syndro.json), capped
+ * on low-end devices, then:
+ * - connections move one at a time: up while total throughput keeps
+ *   improving, down when fewer do just as well, when round trips balloon
+ *   (a congested link queueing requests) or when chunks fail
+ * - chunkSize follows AdaptiveChunkManager's speed table, one step larger
+ *   on high-latency links
+ *
+ * A transfer's chunk layout is fixed once it starts (the manifest covers
+ * it), so a new chunkSize only applies to the next upload. Downloads use
+ * the sender's layout and only adapt connections.
+ */
+
+class SyndroAdaptiveTuner {
+  constructor(options = {}) {
+    const device = SyndroAdaptiveTuner.deviceLimits();
+
+    this.minConnections = options.minConnections || 1;
+    this.maxConnections = Math.max(this.minConnections,
+      Math.min(options.maxConnections || 8, device.maxConnections));
+    this.maxChunkSize = Math.min(options.maxChunkSize || 8 * 1024 * 1024, device.maxChunkSize);
+    this.minChunkSize = Math.min(options.minChunkSize || 256 * 1024, this.maxChunkSize);
+    this.connections = this._clamp(options.connections || 2, this.minConnections, this.maxConnections);
+    this.chunkSize = this._clamp(options.chunkSize || 1024 * 1024, this.minChunkSize, this.maxChunkSize);
+
+    // Measurement windows - at least this many chunks and this long, and
+    // two chunks per connection, before a window is judged
+    this.minWindowChunks = options.minWindowChunks || 4;
+    this.minWindowMs = options.minWindowMs || 1000;
+    // Steady windows before trying one connection more or fewer
+    this.probeEveryWindows = options.probeEveryWindows || 5;
+
+    // Latest measurements, bytes per second and milliseconds
+    this.throughput = 0;
+    this.rtt = null;
+
+    this._window = null;
+    this._previous = null;
+    this._minRtt = null;
+    this._roundTrip = null;
+    this._steadyWindows = this.probeEveryWindows;
+    this._probeUp = true;
+  }
+
+  /**
+   * Read the server's recommended settings, or null if it has none
+   */
+  static async fetchConfig(url) {
+    try {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) return null;
+
+      const body = await response.json();
+      return body && typeof body.parallel === 'object' ? body.parallel : null;
+    } catch (e) {
+      console.warn('Could not read transfer settings, using defaults:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Caps for low-end devices and slow links, as far as the browser tells
+   *
+   * navigator.deviceMemory and navigator.connection are Chromium-only;
+   * other browsers get no caps and rely on the measurements.
+   */
+  static deviceLimits() {
+    const memory = navigator.deviceMemory;
+    const connection = navigator.connection;
+
+    // Same RAM classes as AdaptiveChunkManager
+    if (memory && memory <= 1) {
+      return { maxConnections: 1, maxChunkSize: 128 * 1024 };
+    }
+    if ((memory && memory <= 2) ||
+        (connection && (connection.saveData || /2g/.test(connection.effectiveType || '')))) {
+      return { maxConnections: 2, maxChunkSize: 256 * 1024 };
+    }
+    return { maxConnections: Infinity, maxChunkSize: Infinity };
+  }
+
+  /**
+   * Run `processor` over `queue`, keeping up to `connections` items in
+   * flight - picked up as the tuner changes it
+   *
+   * Rejects with the first error; items already running are left to
+   * finish, nothing new is started.
+   */
+  run(queue, processor) {
+    return new Promise((resolve, reject) => {
+      let active = 0;
+      let failed = false;
+
+      const next = () => {
+        if (failed) return;
+        if (queue.length === 0 && active === 0) {
+          resolve();
+          return;
+        }
+
+        while (queue.length > 0 && active < this.connections) {
+          const item = queue.shift();
+          active++;
+          Promise.resolve()
+            .then(() => processor(item))
+            .then(() => {
+              active--;
+              next();
+            }, (error) => {
+              failed = true;
+              reject(error);
+            });
+        }
+      };
+
+      next();
+    });
+  }
+
+  /**
+   * Record one chunk request that moved `bytes` in `durationMs`, with its
+   * time to first byte when known
+   */
+  record(bytes, durationMs, firstByteMs = null) {
+    if (!(bytes > 0) || !(durationMs > 0)) return;
+    const sample = { bytes, durationMs, firstByteMs };
+
+    const now = performance.now();
+    const window = this._window;
+    if (!window) {
+      // Throughput is counted from the first chunk's end - counting from
+      // its start would spread n connections' bytes over one more chunk
+      this._window = {
+        start: now,
+        connections: this.connections,
+        bytes: 0,
+        samples: [sample],
+      };
+      return;
+    }
+
+    window.bytes += bytes;
+    window.samples.push(sample);
+
+    const enoughChunks = Math.max(this.minWindowChunks, window.connections * 2);
+    if (window.samples.length >= enoughChunks && now - window.start >= this.minWindowMs) {
+      this._window = null;
+      this._judge(window, now);
+    }
+  }
+
+  /**
+   * Record the time a small request (a status lookup) took
+   */
+  recordRoundTrip(ms) {
+    if (ms >= 0) {
+      this._roundTrip = ms;
+    }
+  }
+
+  /**
+   * A chunk failed (timeout, 5xx, 429) - take one connection off
+   */
+  recordFailure() {
+    if (this.connections > this.minConnections) {
+      this._setConnections(this.connections - 1, 'chunk failed');
+    }
+    this._previous = null;
+    this._window = null;
+  }
+
+  _judge(window, now) {
+    const rate = window.bytes / ((now - window.start) / 1000);
+    const firstBytes = window.samples
+      .filter(s => s.firstByteMs !== null)
+      .map(s => s.firstByteMs);
+    const rtt = firstBytes.length > 0 ? this._median(firstBytes) : this._roundTrip;
+
+    this.throughput = rate;
+    this.rtt = rtt;
+    if (rtt !== null) {
+      this._minRtt = this._minRtt === null ? rtt : Math.min(this._minRtt, rtt);
+    }
+
+    this._tuneConnections(window.connections, rate, rtt);
+    this._tuneChunkSize(rate, rtt);
+  }
+
+  _tuneConnections(connections, rate, rtt) {
+    const previous = this._previous;
+    this._previous = { connections, rate };
+
+    // Round trips far above the best seen - requests are queueing on a
+    // congested link, more of them in flight only makes it worse
+    if (rtt !== null && rtt > Math.max(50, this._minRtt * 3) &&
+        connections > this.minConnections) {
+      this._setConnections(connections - 1, 'round trips rising');
+      this._previous = null;
+      return;
+    }
+
+    if (!previous || previous.connections === connections) {
+      // Steady - now and then see whether one more connection helps or
+      // one fewer does just as well, taking turns
+      this._steadyWindows++;
+      if (this._steadyWindows < this.probeEveryWindows) return;
+
+      const canGoUp = connections < this.maxConnections;
+      const canGoDown = connections > this.minConnections;
+      const up = canGoUp && (this._probeUp || !canGoDown);
+      this._probeUp = !this._probeUp;
+      if (up) {
+        this._setConnections(connections + 1, 'probing');
+      } else if (canGoDown) {
+        this._setConnections(connections - 1, 'probing');
+      }
+      return;
+    }
+
+    const gain = rate / previous.rate;
+    if (connections > previous.connections) {
+      // High-latency links gain from every extra connection; on a fast
+      // local link one has to be clearly worth it
+      const worthIt = rtt > 100 ? 1.03 : 1.1;
+      if (gain >= worthIt && connections < this.maxConnections) {
+        this._setConnections(connections + 1, 'faster');
+      } else if (gain < worthIt) {
+        this._setConnections(previous.connections, 'no faster');
+      }
+    } else if (gain < 0.95) {
+      // Fewer connections cost speed - go back
+      this._setConnections(previous.connections, 'slower');
+    }
+  }
+
+  _tuneChunkSize(rate, rtt) {
+    const MB = 1024 * 1024;
+    let size;
+    if (rate < 1 * MB) {
+      size = 256 * 1024;
+    } else if (rate < 10 * MB) {
+      size = 1 * MB;
+    } else if (rate < 50 * MB) {
+      size = 4 * MB;
+    } else {
+      size = 8 * MB;
+    }
+
+    // Fewer, bigger chunks spend less of the transfer waiting on round trips
+    if (rtt > 100) {
+      size *= 2;
+    }
+
+    this.chunkSize = this._clamp(size, this.minChunkSize, this.maxChunkSize);
+  }
+
+  _setConnections(connections, reason) {
+    const next = this._clamp(connections, this.minConnections, this.maxConnections);
+    if (next !== this.connections) {
+      console.log(`⚙️ Connections ${this.connections} → ${next} (${reason}, ` +
+        `${(this.throughput / 1024 / 1024).toFixed(1)} MB/s, rtt ${Math.round(this.rtt || 0)}ms)`);
+      this.connections = next;
+    }
+    this._steadyWindows = 0;
+  }
+
+  _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  _clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+}
+
+// Export
+window.SyndroAdaptiveTuner = SyndroAdaptiveTuner;
@@ -0,0 +1,341 @@
+/**
+ * Syndro AES-GCM
+ *
+ * Pure-JS AES-GCM for pages without crypto.subtle - browsers only expose
+ * it in secure contexts, and the share pages are served over plain http on
+ * the LAN. Same format as the app: 12-byte nonce, 16-byte tag appended to
+ * the ciphertext. Prefer crypto.subtle whenever it exists; this is much
+ * slower (~20-40 MB/s).
+ */
+
+class SyndroAesGcm {
+  static _sharedTables = null;
+
+  constructor(keyBytes) {
+    const key = keyBytes instanceof Uint8Array ? keyBytes : new Uint8Array(keyBytes);
+    if (key.length !== 16 && key.length !== 24 && key.length !== 32) {
+      throw new Error(`Invalid AES key length: ${key.length}`);
+    }
+
+    this._tables = SyndroAesGcm._getTables();
+    this._roundKeys = this._expandKey(key);
+    this._rounds = key.length / 4 + 6;
+
+    // Hash subkey H = E(K, 0^128), and its multiplication table
+    const h = new Uint32Array(4);
+    this._encryptBlock(h, h);
+    this._buildGhashTable(h);
+  }
+
+  /**
+   * Encrypt - returns ciphertext | tag
+   */
+  encrypt(nonce, plaintext, aad = new Uint8Array(0)) {
+    const data = plaintext instanceof Uint8Array ? plaintext : new Uint8Array(plaintext);
+    const j0 = this._counterBlock(nonce);
+
+    const output = new Uint8Array(data.length + 16);
+    this._ctr(j0, data, output);
+
+    const ciphertext = output.subarray(0, data.length);
+    output.set(this._tag(j0, aad, ciphertext), data.length);
+    return output;
+  }
+
+  /**
+   * Decrypt ciphertext | tag - throws if the tag doesn't match
+   */
+  decrypt(nonce, ciphertextWithTag, aad = new Uint8Array(0)) {
+    const data = ciphertextWithTag instanceof Uint8Array
+      ? ciphertextWithTag
+      : new Uint8Array(ciphertextWithTag);
+    if (data.length < 16) {
+      throw new Error('Ciphertext too short');
+    }
+
+    const j0 = this._counterBlock(nonce);
+    const ciphertext = data.subarray(0, data.length - 16);
+    const expectedTag = this._tag(j0, aad, ciphertext);
+
+    // Constant time compare
+    let diff = 0;
+    for (let i = 0; i < 16; i++) {
+      diff |= expectedTag[i] ^ data[data.length - 16 + i];
+    }
+    if (diff !== 0) {
+      throw new Error('Authentication tag mismatch');
+    }
+
+    const plaintext = new Uint8Array(ciphertext.length);
+    this._ctr(j0, ciphertext, plaintext);
+    return plaintext;
+  }
+
+  // ========================================
+  // GCM
+  // ========================================
+
+  _counterBlock(nonce) {
+    const iv = nonce instanceof Uint8Array ? nonce : new Uint8Array(nonce);
+    if (iv.length !== 12) {
+      throw new Error(`Unsupported nonce length: ${iv.length}`);
+    }
+
+    const view = new DataView(iv.buffer, iv.byteOffset, 12);
+    return new Uint32Array([view.getUint32(0), view.getUint32(4), view.getUint32(8), 1]);
+  }
+
+  // Counter mode from inc32(J0) - the same operation both ways
+  _ctr(j0, input, output) {
+    const counter = new Uint32Array(j0);
+    const keystream = new Uint32Array(4);
+    const keystreamBytes = new Uint8Array(16);
+
+    for (let offset = 0; offset < input.length; offset += 16) {
+      counter[3] = (counter[3] + 1) >>> 0;
+      this._encryptBlock(counter, keystream);
+
+      for (let i = 0; i < 4; i++) {
+        const word = keystream[i];
+        keystreamBytes[i * 4] = word >>> 24;
+        keystreamBytes[i * 4 + 1] = word >>> 16;
+        keystreamBytes[i * 4 + 2] = word >>> 8;
+        keystreamBytes[i * 4 + 3] = word;
+      }
+
+      const end = Math.min(16, input.length - offset);
+      for (let i = 0; i < end; i++) {
+        output[offset + i] = input[offset + i] ^ keystreamBytes[i];
+      }
+    }
+  }
+
+  _tag(j0, aad, ciphertext) {
+    const y = new Uint32Array(4);
+    this._ghashUpdate(y, aad);
+    this._ghashUpdate(y, ciphertext);
+
+    // Lengths in bits, 64-bit each
+    const aadBits = aad.length * 8;
+    const ciphertextBits = ciphertext.length * 8;
+    y[0] ^= Math.floor(aadBits / 0x100000000);
+    y[1] ^= aadBits >>> 0;
+    y[2] ^= Math.floor(ciphertextBits / 0x100000000);
+    y[3] ^= ciphertextBits >>> 0;
+    this._ghashMultiply(y);
+
+    const mask = new Uint32Array(4);
+    this._encryptBlock(j0, mask);
+
+    const tag = new Uint8Array(16);
+    for (let i = 0; i < 4; i++) {
+      const word = (y[i] ^ mask[i]) >>> 0;
+      tag[i * 4] = word >>> 24;
+      tag[i * 4 + 1] = word >>> 16;
+      tag[i * 4 + 2] = word >>> 8;
+      tag[i * 4 + 3] = word;
+    }
+    return tag;
+  }
+
+  _ghashUpdate(y, data) {
+    const fullBlocks = data.length - (data.length % 16);
+
+    for (let offset = 0; offset < fullBlocks; offset += 16) {
+      for (let i = 0; i < 4; i++) {
+        const j = offset + i * 4;
+        y[i] ^= (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+      }
+      this._ghashMultiply(y);
+    }
+
+    // Last partial block, zero padded
+    if (fullBlocks < data.length) {
+      const last = new Uint8Array(16);
+      last.set(data.subarray(fullBlocks));
+      for (let i = 0; i < 4; i++) {
+        const j = i * 4;
+        y[i] ^= (last[j] << 24) | (last[j + 1] << 16) | (last[j + 2] << 8) | last[j + 3];
+      }
+      this._ghashMultiply(y);
+    }
+  }
+
+  /**
+   * 4-bit table for multiplying by H in GF(2^128) (Shoup's method)
+   *
+   * Entry i holds i·H, four 32-bit words each, most significant first.
+   */
+  _buildGhashTable(h) {
+    const table = new Uint32Array(16 * 4);
+    let v0 = h[0], v1 = h[1], v2 = h[2], v3 = h[3];
+
+    table.set([v0, v1, v2, v3], 8 * 4);
+    for (let i = 4; i > 0; i >>= 1) {
+      const carry = v3 & 1;
+      v3 = (v3 >>> 1) | (v2 << 31);
+      v2 = (v2 >>> 1) | (v1 << 31);
+      v1 = (v1 >>> 1) | (v0 << 31);
+      v0 = (v0 >>> 1) ^ (carry ? 0xe1000000 : 0);
+      table.set([v0, v1, v2, v3], i * 4);
+    }
+
+    for (let i = 2; i <= 8; i *= 2) {
+      for (let j = 1; j < i; j++) {
+        for (let k = 0; k < 4; k++) {
+          table[(i + j) * 4 + k] = table[i * 4 + k] ^ table[j * 4 + k];
+        }
+      }
+    }
+
+    this._ghashTable = table;
+  }
+
+  _ghashMultiply(y) {
+    const table = this._ghashTable;
+    const reduce = SyndroAesGcm._GHASH_REDUCE;
+    let z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+
+    // Nibbles from the last byte to the first, low nibble first
+    for (let i = 15; i >= 0; i--) {
+      const byte = (y[i >>> 2] >>> ((3 - (i & 3)) * 8)) & 0xff;
+
+      for (let n = 0; n < 2; n++) {
+        const nibble = n === 0 ? byte & 0xf : byte >>> 4;
+
+        if (i !== 15 || n !== 0) {
+          const rem = z3 & 0xf;
+          z3 = (z3 >>> 4) | (z2 << 28);
+          z2 = (z2 >>> 4) | (z1 << 28);
+          z1 = (z1 >>> 4) | (z0 << 28);
+          z0 = (z0 >>> 4) ^ (reduce[rem] << 16);
+        }
+
+        const t = nibble * 4;
+        z0 ^= table[t];
+        z1 ^= table[t + 1];
+        z2 ^= table[t + 2];
+        z3 ^= table[t + 3];
+      }
+    }
+
+    y[0] = z0;
+    y[1] = z1;
+    y[2] = z2;
+    y[3] = z3;
+  }
+
+  static _GHASH_REDUCE = [
+    0x0000, 0x1c20, 0x3840, 0x2460, 0x7080, 0x6ca0, 0x48c0, 0x54e0,
+    0xe100, 0xfd20, 0xd940, 0xc560, 0x9180, 0x8da0, 0xa9c0, 0xb5e0,
+  ];
+
+  // ========================================
+  // AES block cipher (encryption only - GCM never decrypts blocks)
+  // ========================================
+
+  _encryptBlock(input, output) {
+    const { sbox, t0, t1, t2, t3 } = this._tables;
+    const rk = this._roundKeys;
+
+    let s0 = input[0] ^ rk[0];
+    let s1 = input[1] ^ rk[1];
+    let s2 = input[2] ^ rk[2];
+    let s3 = input[3] ^ rk[3];
+    let k = 4;
+
+    for (let round = 1; round < this._rounds; round++) {
+      const n0 = t0[s0 >>> 24] ^ t1[(s1 >>> 16) & 0xff] ^ t2[(s2 >>> 8) & 0xff] ^ t3[s3 & 0xff] ^ rk[k];
+      const n1 = t0[s1 >>> 24] ^ t1[(s2 >>> 16) & 0xff] ^ t2[(s3 >>> 8) & 0xff] ^ t3[s0 & 0xff] ^ rk[k + 1];
+      const n2 = t0[s2 >>> 24] ^ t1[(s3 >>> 16) & 0xff] ^ t2[(s0 >>> 8) & 0xff] ^ t3[s1 & 0xff] ^ rk[k + 2];
+      const n3 = t0[s3 >>> 24] ^ t1[(s0 >>> 16) & 0xff] ^ t2[(s1 >>> 8) & 0xff] ^ t3[s2 & 0xff] ^ rk[k + 3];
+      s0 = n0; s1 = n1; s2 = n2; s3 = n3;
+      k += 4;
+    }
+
+    // Final round - no MixColumns
+    output[0] = ((sbox[s0 >>> 24] << 24) | (sbox[(s1 >>> 16) & 0xff] << 16) |
+      (sbox[(s2 >>> 8) & 0xff] << 8) | sbox[s3 & 0xff]) ^ rk[k];
+    output[1] = ((sbox[s1 >>> 24] << 24) | (sbox[(s2 >>> 16) & 0xff] << 16) |
+      (sbox[(s3 >>> 8) & 0xff] << 8) | sbox[s0 & 0xff]) ^ rk[k + 1];
+    output[2] = ((sbox[s2 >>> 24] << 24) | (sbox[(s3 >>> 16) & 0xff] << 16) |
+      (sbox[(s0 >>> 8) & 0xff] << 8) | sbox[s1 & 0xff]) ^ rk[k + 2];
+    output[3] = ((sbox[s3 >>> 24] << 24) | (sbox[(s0 >>> 16) & 0xff] << 16) |
+      (sbox[(s1 >>> 8) & 0xff] << 8) | sbox[s2 & 0xff]) ^ rk[k + 3];
+  }
+
+  _expandKey(key) {
+    const { sbox } = this._tables;
+    const nk = key.length / 4;
+    const total = 4 * (nk + 7);
+    const w = new Uint32Array(total);
+
+    for (let i = 0; i < nk; i++) {
+      w[i] = (key[i * 4] << 24) | (key[i * 4 + 1] << 16) | (key[i * 4 + 2] << 8) | key[i * 4 + 3];
+    }
+
+    let rcon = 1;
+    for (let i = nk; i < total; i++) {
+      let t = w[i - 1];
+      if (i % nk === 0) {
+        // RotWord, SubWord, Rcon
+        t = (sbox[(t >>> 16) & 0xff] << 24) | (sbox[(t >>> 8) & 0xff] << 16) |
+          (sbox[t & 0xff] << 8) | sbox[t >>> 24];
+        t ^= rcon << 24;
+        rcon = (rcon << 1) ^ (rcon & 0x80 ? 0x11b : 0);
+      } else if (nk > 6 && i % nk === 4) {
+        t = (sbox[t >>> 24] << 24) | (sbox[(t >>> 16) & 0xff] << 16) |
+          (sbox[(t >>> 8) & 0xff] << 8) | sbox[t & 0xff];
+      }
+      w[i] = w[i - nk] ^ t;
+    }
+
+    return w;
+  }
+
+  // S-box and round tables, computed once from GF(2^8) arithmetic
+  static _getTables() {
+    if (SyndroAesGcm._sharedTables) return SyndroAesGcm._sharedTables;
+
+    const sbox = new Uint8Array(256);
+    const t0 = new Uint32Array(256);
+    const t1 = new Uint32Array(256);
+    const t2 = new Uint32Array(256);
+    const t3 = new Uint32Array(256);
+
+    // Powers of 3 enumerate the multiplicative group, giving inverses
+    const exp = new Uint8Array(256);
+    const log = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+      exp[i] = x;
+      log[x] = i;
+      x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+    }
+
+    for (let i = 0; i < 256; i++) {
+      let s = i === 0 ? 0 : exp[(255 - log[i]) % 255];
+      s = s ^ ((s << 1) | (s >>> 7)) ^ ((s << 2) | (s >>> 6)) ^
+        ((s << 3) | (s >>> 5)) ^ ((s << 4) | (s >>> 4)) ^ 0x63;
+      sbox[i] = s & 0xff;
+    }
+
+    for (let i = 0; i < 256; i++) {
+      const s = sbox[i];
+      const s2 = (s << 1) ^ (s & 0x80 ? 0x11b : 0);
+      const s3 = s2 ^ s;
+      const word = ((s2 << 24) | (s << 16) | (s << 8) | s3) >>> 0;
+      t0[i] = word;
+      t1[i] = (word >>> 8) | (word << 24);
+      t2[i] = (word >>> 16) | (word << 16);
+      t3[i] = (word >>> 24) | (word << 8);
+    }
+
+    SyndroAesGcm._sharedTables = { sbox, t0, t1, t2, t3 };
+    return SyndroAesGcm._sharedTables;
+  }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+  window.SyndroAesGcm = SyndroAesGcm;
+}
@@ -0,0 +1,199 @@
+/**
+ * Syndro Browser Session
+ *
+ * Makes a browser a peer of TransferServiceImpl: performs the same X25519
+ * key exchange as the app against /key-exchange, then sends the session's
+ * device ID as `x-device-id` on every request. The shared secret is used
+ * directly as the AES-256-GCM key, as on the app side.
+ *
+ * Web Crypto is only there in secure contexts (https or localhost); on the
+ * share pages' plain http the key exchange runs on SyndroX25519
+ * (x25519.js) and the key is the raw bytes, for SyndroAesGcm (aes_gcm.js)
+ * and SyndroCryptoPool - load those first. chunk_format.js is needed too:
+ * the session declares the versioned chunk format at the key exchange.
+ *
+ * The transfer server is on another port than the page, so it only
+ * answers pages from the app's own web share servers.
+ */
+
+class SyndroBrowserSession {
+  static DEVICE_ID_KEY = 'syndro-browser-device-id';
+
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || window.location.origin;
+    this.deviceId = options.deviceId || SyndroBrowserSession._loadDeviceId();
+    this.deviceName = options.deviceName || SyndroBrowserSession._describeBrowser();
+    this.peerDeviceId = null;
+    this.key = null;
+    this._establishing = null;
+  }
+
+  /**
+   * Whether this browser can establish a session at all
+   */
+  static async isSupported() {
+    if (!window.crypto || !window.crypto.getRandomValues) {
+      return false;
+    }
+    if (window.crypto.subtle) {
+      return true;
+    }
+    return typeof window.SyndroX25519 === 'function' &&
+      typeof window.SyndroAesGcm === 'function';
+  }
+
+  /**
+   * Run the key exchange, once - concurrent callers share it
+   */
+  async establish() {
+    if (this.key) return this;
+
+    if (!this._establishing) {
+      this._establishing = this._exchangeKeys().finally(() => {
+        this._establishing = null;
+      });
+    }
+
+    await this._establishing;
+    return this;
+  }
+
+  /**
+   * fetch() with the session header attached
+   *
+   * A 401 means the app no longer knows this session (e.g. it restarted),
+   * so the key exchange is redone once and the request retried.
+   */
+  async fetch(url, init = {}) {
+    await this.establish();
+
+    let response = await fetch(url, this._withHeader(init));
+    if (response.status === 401) {
+      console.log('🔐 Session rejected, exchanging keys again');
+      this.key = null;
+      await this.establish();
+      response = await fetch(url, this._withHeader(init));
+    }
+
+    return response;
+  }
+
+  async _exchangeKeys() {
+    const keyPair = await SyndroBrowserSession._generateKeyPair();
+
+    const response = await fetch(`${this.baseUrl}/key-exchange`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        deviceId: this.deviceId,
+        publicKey: Array.from(keyPair.publicKey),
+        chunkFormat: SyndroChunkFormat.VERSION,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Key exchange failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (!Array.isArray(result.publicKey) || result.publicKey.length !== 32) {
+      throw new Error('Key exchange failed: receiver has encryption disabled');
+    }
+    // The app records the format for this session; one too old to bind
+    // chunks to their place isn't a peer for an encrypted transfer
+    SyndroChunkFormat.requireAgreed(result);
+
+    const sharedSecret = await keyPair.deriveSecret(new Uint8Array(result.publicKey));
+
+    this.key = window.crypto.subtle
+      ? await crypto.subtle.importKey(
+        'raw',
+        sharedSecret,
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+      )
+      : sharedSecret;
+    this.peerDeviceId = result.deviceId;
+
+    console.log(`🔐 Session established with ${this.peerDeviceId}`);
+  }
+
+  /**
+   * An X25519 key pair - { publicKey, deriveSecret(peerPublicKey) } -
+   * from Web Crypto where it has X25519, else from SyndroX25519
+   */
+  static async _generateKeyPair() {
+    if (window.crypto.subtle) {
+      try {
+        const keyPair = await crypto.subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']);
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+        return {
+          publicKey,
+          deriveSecret: async (peerPublicKey) => {
+            const peerKey = await crypto.subtle.importKey(
+              'raw', peerPublicKey, { name: 'X25519' }, false, []);
+            const secret = new Uint8Array(await crypto.subtle.deriveBits(
+              { name: 'X25519', public: peerKey }, keyPair.privateKey, 256));
+            if (secret.every(b => b === 0)) {
+              throw new Error('Invalid X25519 public key');
+            }
+            return secret;
+          },
+        };
+      } catch (e) {
+        // Browsers that have crypto.subtle but not its X25519 yet
+        console.log('Web Crypto has no X25519, using SyndroX25519');
+      }
+    }
+
+    if (typeof window.SyndroX25519 !== 'function') {
+      throw new Error('This browser cannot run the key exchange (load x25519.js)');
+    }
+    const { privateKey, publicKey } = SyndroX25519.generateKeyPair();
+    return {
+      publicKey,
+      deriveSecret: async (peerPublicKey) => SyndroX25519.sharedSecret(privateKey, peerPublicKey),
+    };
+  }
+
+  _withHeader(init) {
+    const headers = new Headers(init.headers || {});
+    headers.set('x-device-id', this.deviceId);
+    return { ...init, headers };
+  }
+
+  /**
+   * Device ID kept across page loads, so the app sees the same browser
+   */
+  static _loadDeviceId() {
+    try {
+      let deviceId = localStorage.getItem(SyndroBrowserSession.DEVICE_ID_KEY);
+      if (!deviceId) {
+        deviceId = SyndroBrowserSession._newDeviceId();
+        localStorage.setItem(SyndroBrowserSession.DEVICE_ID_KEY, deviceId);
+      }
+      return deviceId;
+    } catch (e) {
+      // Storage disabled - a fresh ID per page load still works
+      return SyndroBrowserSession._newDeviceId();
+    }
+  }
+
+  static _newDeviceId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return 'browser-' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  static _describeBrowser() {
+    const ua = navigator.userAgent;
+    if (/Edg\//.test(ua)) return 'Edge Browser';
+    if (/Firefox\//.test(ua)) return 'Firefox Browser';
+    if (/Chrome\//.test(ua)) return 'Chrome Browser';
+    if (/Safari\//.test(ua)) return 'Safari Browser';
+    return 'Web Browser';
+  }
+}
+
+// Export
+window.SyndroBrowserSession = SyndroBrowserSession;
@@ -0,0 +1,156 @@
+/**
+ * Syndro Chunk Format
+ *
+ * Browser side of the app's ChunkContext: seals parallel-transfer chunks
+ * as [version (1) | nonce (12) | ciphertext | tag (16)], with the
+ * transferId, chunk index, chunk count and a last-chunk flag authenticated
+ * as AES-GCM additional data. A chunk moved to another index, duplicated
+ * or replayed into another transfer then fails authentication.
+ *
+ * The sender offers `chunkFormat: 2` when initiating and the receiver
+ * echoes it back. That exchange isn't authenticated, so an encrypted
+ * transfer never falls back to legacy chunks ([nonce | ciphertext | tag],
+ * no additional data) - see requireAgreed().
+ *
+ * seal() and open() take an optional SyndroCryptoPool (crypto_worker.js)
+ * to do the AES-GCM work off the main thread. The key is an AES-GCM
+ * CryptoKey, or the raw key bytes on pages without crypto.subtle - those
+ * run on SyndroAesGcm (aes_gcm.js).
+ */
+
+class SyndroChunkFormat {
+  static VERSION = 2;
+  static LEGACY_VERSION = 1;
+
+  // Must match ChunkContext._aadPrefix
+  static _AAD_PREFIX = new TextEncoder().encode('syndro-chunk-v2');
+
+  // SyndroAesGcm for the last raw key - see _fallbackCipher()
+  static _fallback = null;
+
+  /**
+   * The format agreed in a receiver's answer - legacy unless it echoed
+   * the versioned one
+   */
+  static negotiated(json) {
+    return json && json.chunkFormat === SyndroChunkFormat.VERSION
+      ? SyndroChunkFormat.VERSION
+      : SyndroChunkFormat.LEGACY_VERSION;
+  }
+
+  /**
+   * The format for an encrypted transfer, as ChunkContext.requireAgreed() -
+   * throws unless the other side's answer echoed the versioned one, since
+   * anyone on the path could strip it to downgrade the transfer
+   */
+  static requireAgreed(json) {
+    if (SyndroChunkFormat.negotiated(json) !== SyndroChunkFormat.VERSION) {
+      throw new Error(`Peer did not agree to chunk format ${SyndroChunkFormat.VERSION} - ` +
+        'refusing to use the legacy format for an encrypted transfer');
+    }
+    return SyndroChunkFormat.VERSION;
+  }
+
+  /**
+   * The additional data, as ChunkContext.toAad():
+   * "syndro-chunk-v2" | id length (u16) | transferId (UTF-8) |
+   * index (u32) | total chunks (u32) | last chunk (u8), big-endian
+   */
+  static aad(transferId, index, totalChunks) {
+    const id = new TextEncoder().encode(transferId);
+    if (id.length > 0xFFFF || index < 0 || index >= totalChunks) {
+      throw new Error('Invalid chunk context');
+    }
+
+    const prefix = SyndroChunkFormat._AAD_PREFIX;
+    const aad = new Uint8Array(prefix.length + 2 + id.length + 9);
+    const view = new DataView(aad.buffer);
+    let offset = 0;
+    aad.set(prefix, offset);
+    offset += prefix.length;
+    view.setUint16(offset, id.length);
+    offset += 2;
+    aad.set(id, offset);
+    offset += id.length;
+    view.setUint32(offset, index);
+    offset += 4;
+    view.setUint32(offset, totalChunks);
+    offset += 4;
+    aad[offset] = index === totalChunks - 1 ? 1 : 0;
+    return aad;
+  }
+
+  /**
+   * Encrypt chunk `index` of `totalChunks` - with a pool, `data` is
+   * transferred to its worker
+   */
+  static async seal(key, data, transferId, index, totalChunks, pool = null) {
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const aad = SyndroChunkFormat.aad(transferId, index, totalChunks);
+    const encrypted = pool
+      ? await pool.encrypt(key, nonce, data, aad)
+      : key instanceof Uint8Array
+        ? SyndroChunkFormat._fallbackCipher(key).encrypt(nonce, data, aad)
+        : new Uint8Array(await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 },
+          key,
+          data
+        ));
+
+    const result = new Uint8Array(1 + 12 + encrypted.byteLength);
+    result[0] = SyndroChunkFormat.VERSION;
+    result.set(nonce, 1);
+    result.set(encrypted, 13);
+    return result;
+  }
+
+  /**
+   * Decrypt a chunk sealed for exactly this place in the transfer - throws
+   * for legacy chunks and for chunks from anywhere else
+   */
+  static async open(key, sealed, transferId, index, totalChunks, pool = null) {
+    if (sealed.length < 29) {
+      throw new Error('Data too small to decrypt');
+    }
+    if (sealed[0] !== SyndroChunkFormat.VERSION) {
+      throw new Error(`Unsupported chunk format: ${sealed[0]}`);
+    }
+
+    const nonce = sealed.slice(1, 13);
+    const aad = SyndroChunkFormat.aad(transferId, index, totalChunks);
+    if (pool) {
+      return pool.decrypt(key, nonce, sealed.subarray(13), aad);
+    }
+    if (key instanceof Uint8Array) {
+      return SyndroChunkFormat._fallbackCipher(key).decrypt(nonce, sealed.subarray(13), aad);
+    }
+
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 },
+      key,
+      sealed.subarray(13)
+    );
+    return new Uint8Array(decrypted);
+  }
+
+  /**
+   * SyndroAesGcm for raw key bytes - building its tables takes a while,
+   * so the one for the last key is kept
+   */
+  static _fallbackCipher(keyBytes) {
+    const cached = SyndroChunkFormat._fallback;
+    if (cached && cached.key === keyBytes) {
+      return cached.cipher;
+    }
+    if (typeof SyndroAesGcm !== 'function') {
+      throw new Error('No AES-GCM implementation available (load aes_gcm.js)');
+    }
+
+    const cipher = new SyndroAesGcm(keyBytes);
+    SyndroChunkFormat._fallback = { key: keyBytes, cipher };
+    return cipher;
+  }
+}
+
+// Export
+window.SyndroChunkFormat = SyndroChunkFormat;
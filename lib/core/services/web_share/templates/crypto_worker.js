@@ -0,0 +1,293 @@
+/**
+ * Syndro Crypto Worker
+ *
+ * AES-GCM, SHA-256 and chunk compression for browser transfers, off the
+ * main thread - so the share and receive pages keep rendering through
+ * large encrypted transfers on low-end phones.
+ *
+ * Loaded with `new Worker()` it runs one job per message:
+ *   <- { type: 'ready' }                               (once, on startup)
+ *   -> { type: 'encrypt', id, key, nonce, data, aad }
+ *   -> { type: 'decrypt', id, key, nonce, data, aad }
+ *   -> { type: 'sha256', id, data }
+ *   -> { type: 'deflate', id, data }
+ *   <- { type: 'done', id, result }
+ *   <- { type: 'error', id, message }
+ *
+ * encrypt answers with { data: ciphertext | tag }, decrypt with
+ * { data: plaintext }, sha256 with { hash, data } - the lowercase hex hash
+ * plus the data it was given - and deflate with { data, compressed }: the
+ * deflate-raw bytes, or the data it was given if they weren't smaller.
+ * `key` is an AES-GCM CryptoKey, or the raw key bytes on pages without
+ * crypto.subtle (plain http) - those jobs run on SyndroAesGcm and
+ * SyndroSha256, imported from aes_gcm.js and hash_worker.js. Buffers are
+ * transferred both ways, not copied.
+ *
+ * Loaded with a <script> tag it exposes SyndroCryptoPool, which spreads
+ * jobs over a few of these workers, or runs them inline where workers
+ * aren't available.
+ */
+
+class SyndroCryptoJobs {
+  static _fallback = null;
+
+  /**
+   * Run one job - resolves with its result, as listed above
+   */
+  static async run(job) {
+    switch (job.type) {
+      case 'encrypt':
+      case 'decrypt':
+        return { data: await SyndroCryptoJobs._cipher(job) };
+      case 'sha256':
+        return { data: job.data, hash: await SyndroCryptoJobs._sha256(job.data) };
+      case 'deflate':
+        return SyndroCryptoJobs._deflate(job.data);
+      default:
+        throw new Error(`Unknown crypto job: ${job.type}`);
+    }
+  }
+
+  static async _cipher(job) {
+    if (job.key instanceof Uint8Array) {
+      const cipher = SyndroCryptoJobs._fallbackCipher(job.key);
+      return job.type === 'encrypt'
+        ? cipher.encrypt(job.nonce, job.data, job.aad || undefined)
+        : cipher.decrypt(job.nonce, job.data, job.aad || undefined);
+    }
+
+    const params = { name: 'AES-GCM', iv: job.nonce, tagLength: 128 };
+    if (job.aad) {
+      params.additionalData = job.aad;
+    }
+    const result = job.type === 'encrypt'
+      ? await crypto.subtle.encrypt(params, job.key, job.data)
+      : await crypto.subtle.decrypt(params, job.key, job.data);
+    return new Uint8Array(result);
+  }
+
+  /**
+   * SyndroAesGcm for raw key bytes - building its tables takes a while,
+   * so the last one is kept for the next chunk of the same transfer
+   */
+  static _fallbackCipher(keyBytes) {
+    const cached = SyndroCryptoJobs._fallback;
+    if (cached && cached.key.length === keyBytes.length &&
+        cached.key.every((b, i) => b === keyBytes[i])) {
+      return cached.cipher;
+    }
+    if (typeof SyndroAesGcm !== 'function') {
+      throw new Error('No AES-GCM implementation available (load aes_gcm.js)');
+    }
+
+    const cipher = new SyndroAesGcm(keyBytes);
+    SyndroCryptoJobs._fallback = { key: keyBytes.slice(), cipher };
+    return cipher;
+  }
+
+  /**
+   * Hex SHA-256, or null if there is no implementation
+   */
+  static async _sha256(data) {
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+      return Array.from(digest).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    if (typeof SyndroSha256 === 'function') {
+      return new SyndroSha256().update(data).digestHex();
+    }
+    return null;
+  }
+
+  static async _deflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+    return deflated.length < data.length
+      ? { data: deflated, compressed: true }
+      : { data, compressed: false };
+  }
+}
+
+/**
+ * A few crypto workers shared by every transfer on the page
+ *
+ * Data handed to a job is transferred to the worker, leaving the caller's
+ * array empty - pass a copy of anything still needed afterwards. Jobs go to
+ * whichever worker has the fewest queued. If the workers can't start (no
+ * Worker support, script not served) jobs run inline instead, as before.
+ */
+class SyndroCryptoPool {
+  static _shared = null;
+
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || '/js/crypto_worker.js';
+    // Leave a core for the page itself - low-end phones get one worker
+    const cores = navigator.hardwareConcurrency || 2;
+    this.size = options.size || Math.max(1, Math.min(4, cores - 1));
+    this._workers = [];
+    this._starting = null;
+    this._inline = typeof Worker === 'undefined';
+    this._nextId = 0;
+  }
+
+  /**
+   * The pool the page's transfers share, started on first use
+   */
+  static shared() {
+    if (!SyndroCryptoPool._shared) {
+      SyndroCryptoPool._shared = new SyndroCryptoPool();
+    }
+    return SyndroCryptoPool._shared;
+  }
+
+  /**
+   * AES-GCM encrypt - resolves with ciphertext | tag
+   */
+  async encrypt(key, nonce, data, aad = null) {
+    const result = await this._run({ type: 'encrypt', key, nonce, data, aad });
+    return result.data;
+  }
+
+  /**
+   * AES-GCM decrypt - rejects if the tag doesn't match
+   */
+  async decrypt(key, nonce, data, aad = null) {
+    const result = await this._run({ type: 'decrypt', key, nonce, data, aad });
+    return result.data;
+  }
+
+  /**
+   * Hex SHA-256 of `data` - resolves with { hash, data }, data being the
+   * same bytes handed back; hash is null without crypto.subtle or
+   * hash_worker.js
+   */
+  sha256(data) {
+    return this._run({ type: 'sha256', data });
+  }
+
+  /**
+   * deflate-raw `data` - resolves with { data, compressed }, the data
+   * handed back as it was if compressing didn't make it smaller
+   *
+   * Needs CompressionStream('deflate-raw'), in the page and its workers.
+   */
+  deflate(data) {
+    return this._run({ type: 'deflate', data });
+  }
+
+  terminate() {
+    this._workers.forEach(entry => entry.worker.terminate());
+    this._workers = [];
+    this._starting = null;
+  }
+
+  async _run(job) {
+    if (this._inline || !(await this._start())) {
+      return SyndroCryptoJobs.run(job);
+    }
+
+    const data = this._transferable(job.data);
+    const entry = this._workers.reduce((best, candidate) =>
+      candidate.jobs.size < best.jobs.size ? candidate : best);
+    const id = this._nextId++;
+
+    return new Promise((resolve, reject) => {
+      entry.jobs.set(id, { resolve, reject });
+      entry.worker.postMessage({ ...job, id, data }, [data.buffer]);
+    });
+  }
+
+  /**
+   * Start the workers, once - resolves with whether they all came up
+   */
+  _start() {
+    if (this._starting) return this._starting;
+
+    this._starting = new Promise((resolve) => {
+      let ready = 0;
+
+      const fail = (reason) => {
+        if (this._inline) return;
+        console.warn(`⚠️ Crypto workers unavailable (${reason}), running on the page`);
+        this._inline = true;
+        this.terminate();
+        resolve(false);
+      };
+
+      for (let i = 0; i < this.size; i++) {
+        let worker;
+        try {
+          worker = new Worker(this.workerUrl);
+        } catch (e) {
+          fail(e.message);
+          return;
+        }
+
+        const entry = { worker, jobs: new Map() };
+        worker.onmessage = (event) => {
+          const message = event.data;
+          if (message.type === 'ready') {
+            ready++;
+            if (ready === this.size) resolve(true);
+            return;
+          }
+
+          const pending = entry.jobs.get(message.id);
+          entry.jobs.delete(message.id);
+          if (!pending) return;
+          if (message.type === 'error') {
+            pending.reject(new Error(message.message));
+          } else {
+            pending.resolve(message.result);
+          }
+        };
+        worker.onerror = (event) => {
+          event.preventDefault();
+          if (ready < this.size) {
+            fail(event.message || this.workerUrl);
+            return;
+          }
+          // Jobs already posted took their data with them - fail them
+          const error = new Error(`Crypto worker failed: ${event.message || this.workerUrl}`);
+          entry.jobs.forEach(pending => pending.reject(error));
+          entry.jobs.clear();
+        };
+        this._workers.push(entry);
+      }
+    });
+    return this._starting;
+  }
+
+  /**
+   * A Uint8Array that owns its whole buffer, so the buffer can be
+   * transferred without taking anything else along
+   */
+  _transferable(data) {
+    if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) {
+      return data;
+    }
+    return data.slice();
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  // The pure-JS fallbacks, for pages without crypto.subtle. hash_worker.js
+  // sets up its own onmessage when loaded in a worker - replaced below
+  importScripts('aes_gcm.js', 'hash_worker.js');
+
+  self.onmessage = async (event) => {
+    const job = event.data;
+    try {
+      const result = await SyndroCryptoJobs.run(job);
+      const transfer = result.data ? [result.data.buffer] : [];
+      self.postMessage({ type: 'done', id: job.id, result }, transfer);
+    } catch (e) {
+      self.postMessage({ type: 'error', id: job.id, message: e.message });
+    }
+  };
+
+  self.postMessage({ type: 'ready' });
+} else if (typeof window !== 'undefined') {
+  window.SyndroCryptoJobs = SyndroCryptoJobs;
+  window.SyndroCryptoPool = SyndroCryptoPool;
+}
@@ -1,18 +1,60 @@
 /**
  * Syndro Browser Decryption
- * 
+ *
  * Uses Web Crypto API (hardware accelerated)
  * Speed: ~400-600 MB/s in modern browsers
+ *
+ * Pages on plain http have no crypto.subtle; there it falls back to
+ * SyndroAesGcm (aes_gcm.js), which must be loaded first.
+ *
+ * With a SyndroCryptoPool (crypto_worker.js) chunks are decrypted in its
+ * workers, several at a time, instead of on the page.
+ *
+ * A decrypted download can only be saved from memory - a plain-http page
+ * can't write to disk as it goes - so its size is capped (maxDecryptedBytes).
  */
 
 class SyndroDecryptor {
-  constructor() {
+  // Largest frame the app sends: EncryptionService.chunkSize of data plus
+  // the nonce and MAC
+  static MAX_FRAME_SIZE = 1024 * 1024 + 28;
+
+  // Default cap on a decrypted download
+  static MAX_DECRYPTED_BYTES = 512 * 1024 * 1024;
+
+  constructor(options = {}) {
     this.secretKey = null;
+    this.keyBytes = null;
+    this.fallbackCipher = null;
+    // The page's shared pool by default, null to decrypt on the main thread
+    this.cryptoPool = options.cryptoPool !== undefined
+      ? options.cryptoPool
+      : window.SyndroCryptoPool
+        ? SyndroCryptoPool.shared()
+        : null;
+    // At most one onProgress per interval, besides the last one
+    this.progressIntervalMs = options.progressIntervalMs ?? 100;
+    this.maxDecryptedBytes = options.maxDecryptedBytes || SyndroDecryptor.MAX_DECRYPTED_BYTES;
+  }
+
+  /**
+   * Whether a download of `size` bytes can be decrypted on this page
+   */
+  canDecrypt(size) {
+    return size <= this.maxDecryptedBytes;
+  }
+
+  /**
+   * Whether the page URL carries a key, i.e. this is an encrypted link
+   */
+  static hasKeyInUrl() {
+    return /(^#|&)key=/.test(window.location.hash);
   }
 
   /**
    * Initialize with key from URL
    * Key is passed as base64url in URL fragment: #key=xxxx
+   * (the fragment never leaves the browser)
    */
   async initFromUrl() {
     const hash = window.location.hash;
@@ -22,14 +64,22 @@ class SyndroDecryptor {
 
     const keyBase64 = hash.split('key=')[1].split('&')[0];
     const keyBytes = this.base64UrlToBytes(keyBase64);
-    
-    this.secretKey = await crypto.subtle.importKey(
-      'raw',
-      keyBytes,
-      { name: 'AES-GCM' },
-      false,
-      ['decrypt']
-    );
+
+    if (window.crypto && window.crypto.subtle) {
+      this.secretKey = await crypto.subtle.importKey(
+        'raw',
+        keyBytes,
+        { name: 'AES-GCM' },
+        false,
+        ['decrypt']
+      );
+    } else if (typeof window.SyndroAesGcm === 'function') {
+      // The pool's workers take the raw key and build their own cipher
+      this.keyBytes = keyBytes;
+      this.fallbackCipher = new SyndroAesGcm(keyBytes);
+    } else {
+      throw new Error('This browser cannot decrypt files');
+    }
 
     console.log('🔐 Decryption key loaded');
   }
@@ -39,12 +89,12 @@ class SyndroDecryptor {
    * Input format: [nonce (12 bytes) | ciphertext | mac (16 bytes)]
    */
   async decryptChunk(encryptedData) {
-    if (!this.secretKey) {
+    if (!this.secretKey && !this.fallbackCipher) {
       throw new Error('Decryptor not initialized');
     }
 
     const data = new Uint8Array(encryptedData);
-    
+
     if (data.length < 28) {
       throw new Error(`Data too small: ${data.length} bytes`);
     }
@@ -54,9 +104,17 @@ class SyndroDecryptor {
     const ciphertextWithTag = data.slice(12);
 
     try {
+      if (this.cryptoPool) {
+        return await this.cryptoPool.decrypt(this.secretKey || this.keyBytes, nonce, ciphertextWithTag);
+      }
+
+      if (this.fallbackCipher) {
+        return this.fallbackCipher.decrypt(nonce, ciphertextWithTag);
+      }
+
       const decrypted = await crypto.subtle.decrypt(
-        { 
-          name: 'AES-GCM', 
+        {
+          name: 'AES-GCM',
           iv: nonce,
           tagLength: 128  // 16 bytes = 128 bits
         },
@@ -73,87 +131,184 @@ class SyndroDecryptor {
 
   /**
    * Decrypt streaming download
+   *
+   * The body is a sequence of [size (4 bytes, big endian) | chunk] frames.
+   * Returns the decrypted chunks as separate Blob parts, so the file never
+   * has to be copied into one huge array and the browser may keep the
+   * parts out of the page's memory. With a crypto pool a few chunks are
+   * decrypted at once, two per worker.
+   *
+   * Frames bigger than the app ever sends, and bodies that decrypt to
+   * more than maxDecryptedBytes, fail the download.
    */
   async decryptStream(response, onProgress) {
     const reader = response.body.getReader();
-    const chunks = [];
-    let buffer = new Uint8Array(0);
+    try {
+      return await this._decryptFrames(reader, onProgress);
+    } catch (e) {
+      reader.cancel().catch(() => {});
+      throw e;
+    }
+  }
+
+  async _decryptFrames(reader, onProgress) {
+    const parts = [];
+    const inFlight = [];
+    const maxInFlight = this.cryptoPool ? this.cryptoPool.size * 2 : 1;
     let totalDecrypted = 0;
+    let totalFramed = 0;
+    let lastProgressAt = 0;
+
+    // Received bytes not consumed yet
+    let pending = [];
+    let pendingLength = 0;
+    let frameSize = -1;
+
+    const take = (length) => {
+      const out = new Uint8Array(length);
+      let offset = 0;
+      while (offset < length) {
+        const head = pending[0];
+        const count = Math.min(head.length, length - offset);
+        out.set(head.subarray(0, count), offset);
+        offset += count;
+        if (count === head.length) {
+          pending.shift();
+        } else {
+          pending[0] = head.subarray(count);
+        }
+      }
+      pendingLength -= length;
+      return out;
+    };
 
     while (true) {
       const { done, value } = await reader.read();
-      
+
       if (done) break;
 
-      // Append to buffer
-      const newBuffer = new Uint8Array(buffer.length + value.length);
-      newBuffer.set(buffer);
-      newBuffer.set(value, buffer.length);
-      buffer = newBuffer;
+      pending.push(value);
+      pendingLength += value.length;
 
       // Process complete chunks
-      while (buffer.length >= 4) {
-        // Read chunk size (4 bytes, big endian)
-        const size = (buffer[0] << 24) | (buffer[1] << 16) | (buffer[2] << 8) | buffer[3];
+      while (true) {
+        if (frameSize < 0) {
+          if (pendingLength < 4) break;
+          const header = take(4);
+          frameSize = ((header[0] << 24) | (header[1] << 16) | (header[2] << 8) | header[3]) >>> 0;
+          if (frameSize > SyndroDecryptor.MAX_FRAME_SIZE) {
+            throw new Error(`Invalid chunk size: ${frameSize} bytes`);
+          }
+          // What the frames decrypt to, at most - checked before any of it
+          // is held
+          totalFramed += Math.max(0, frameSize - 28);
+          if (totalFramed > this.maxDecryptedBytes) {
+            throw new Error(this._tooLargeMessage());
+          }
+        }
 
-        if (buffer.length < 4 + size) {
+        if (pendingLength < frameSize) {
           break;  // Wait for more data
         }
 
-        // Extract and decrypt chunk
-        const encryptedChunk = buffer.slice(4, 4 + size);
-        buffer = buffer.slice(4 + size);
-
-        const decrypted = await this.decryptChunk(encryptedChunk);
-        chunks.push(decrypted);
-        totalDecrypted += decrypted.length;
+        const decrypting = this.decryptChunk(take(frameSize)).then((decrypted) => {
+          totalDecrypted += decrypted.length;
+          const now = performance.now();
+          if (onProgress && now - lastProgressAt >= this.progressIntervalMs) {
+            lastProgressAt = now;
+            onProgress(totalDecrypted);
+          }
+          return new Blob([decrypted]);
+        });
+        // Failures surface when the chunk is awaited below
+        decrypting.catch(() => {});
+        frameSize = -1;
+        parts.push(decrypting);
+        inFlight.push(decrypting);
 
-        if (onProgress) {
-          onProgress(totalDecrypted);
+        if (inFlight.length >= maxInFlight) {
+          await inFlight.shift();
         }
       }
     }
 
-    // Combine all decrypted chunks
-    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-    const result = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const chunk of chunks) {
-      result.set(chunk, offset);
-      offset += chunk.length;
+    if (frameSize >= 0 || pendingLength > 0) {
+      throw new Error('Download ended in the middle of a chunk');
     }
 
-    return result;
+    const decryptedParts = await Promise.all(parts);
+    if (onProgress) {
+      onProgress(totalDecrypted);
+    }
+    return decryptedParts;
   }
 
   /**
-   * Download and decrypt file
+   * Fetch an encrypted response and decrypt it into a Blob
+   *
+   * onProgress(decryptedBytes, totalBytes) - totalBytes is expectedSize
+   * if given, else what the server reports in X-Original-Size. Aborting
+   * `signal` cancels the download with an AbortError. Downloads larger
+   * than maxDecryptedBytes are refused before their body is read.
    */
-  async downloadAndDecrypt(url, fileName, onProgress) {
-    console.log('🔐 Starting encrypted download:', fileName);
+  async fetchDecrypted(url, onProgress, expectedSize, signal) {
+    if (expectedSize !== undefined && !this.canDecrypt(expectedSize)) {
+      throw new Error(this._tooLargeMessage());
+    }
 
-    const response = await fetch(url);
+    const response = await fetch(url, signal ? { signal } : undefined);
     if (!response.ok) {
       throw new Error(`Download failed: ${response.status}`);
     }
 
-    const decrypted = await this.decryptStream(response, onProgress);
+    const reportedSize = parseInt(response.headers.get('X-Original-Size'), 10);
+    const totalSize = expectedSize ?? (Number.isNaN(reportedSize) ? null : reportedSize);
+    if (totalSize !== null && !this.canDecrypt(totalSize)) {
+      response.body.cancel().catch(() => {});
+      throw new Error(this._tooLargeMessage());
+    }
+
+    const parts = await this.decryptStream(
+      response,
+      onProgress ? (decrypted) => onProgress(decrypted, totalSize) : null
+    );
+
+    const blob = new Blob(parts);
+    if (expectedSize !== undefined && blob.size !== expectedSize) {
+      throw new Error('Download incomplete');
+    }
+    return blob;
+  }
+
+  /**
+   * Download and decrypt file
+   */
+  async downloadAndDecrypt(url, fileName, onProgress, expectedSize, signal) {
+    console.log('🔐 Starting encrypted download:', fileName);
+
+    const blob = await this.fetchDecrypted(url, onProgress, expectedSize, signal);
 
     // Create download
-    const blob = new Blob([decrypted]);
     const downloadUrl = URL.createObjectURL(blob);
-    
+
     const a = document.createElement('a');
     a.href = downloadUrl;
     a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
-    
-    URL.revokeObjectURL(downloadUrl);
+
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(downloadUrl), 60000);
 
     console.log('🔐 Download complete:', fileName);
-    return decrypted.length;
+    return blob.size;
+  }
+
+  _tooLargeMessage() {
+    const limit = Math.round(this.maxDecryptedBytes / (1024 * 1024));
+    return `Too large to decrypt in the browser (over ${limit} MB) - ` +
+      'receive it with the Syndro app instead';
   }
 
   // Utility: Base64URL to Uint8Array
@@ -169,15 +324,5 @@ class SyndroDecryptor {
   }
 }
 
-// Global instance
-const syndroDecryptor = new SyndroDecryptor();
-
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', async () => {
-  try {
-    await syndroDecryptor.initFromUrl();
-    document.getElementById('status').textContent = '🔐 Ready to download';
-  } catch (e) {
-    document.getElementById('status').textContent = '❌ ' + e.message;
-  }
-});
+// Export
+window.SyndroDecryptor = SyndroDecryptor;
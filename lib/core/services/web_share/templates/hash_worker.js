@@ -0,0 +1,176 @@
+/**
+ * Syndro Hash Worker
+ *
+ * Incremental SHA-256 for browser transfers. crypto.subtle.digest() can only
+ * hash a complete buffer, so this keeps the running state itself and
+ * hashes a file of any size chunk by chunk in constant memory.
+ *
+ * Loaded with `new Worker()` it hashes off the main thread, producing the
+ * whole-file hash and a per-chunk manifest in the same pass:
+ *   -> { type: 'chunk', index, data }   (in file order)
+ *   <- { type: 'chunk', index, hash }   (SHA-256 of that chunk alone)
+ *   -> { type: 'digest' }
+ *   <- { type: 'digest', hash }         (SHA-256 of all chunks so far)
+ *   <- { type: 'error', message }
+ *
+ * Hashes are lowercase hex.
+ *
+ * Loaded with a <script> tag it just exposes SyndroSha256, for pages
+ * without Worker support or (on plain http) without crypto.subtle.
+ */
+
+class SyndroSha256 {
+  static K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  constructor() {
+    this._state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+      0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    this._block = new Uint8Array(64);
+    this._blockLength = 0;
+    this._bytesHashed = 0;
+    this._w = new Uint32Array(64);
+    this._finished = false;
+  }
+
+  /**
+   * Feed the next bytes of the input
+   */
+  update(data) {
+    if (this._finished) {
+      throw new Error('SHA-256 already finalized');
+    }
+
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let offset = 0;
+    this._bytesHashed += bytes.length;
+
+    // Top up a partially filled block first
+    if (this._blockLength > 0) {
+      const take = Math.min(64 - this._blockLength, bytes.length);
+      this._block.set(bytes.subarray(0, take), this._blockLength);
+      this._blockLength += take;
+      offset = take;
+      if (this._blockLength < 64) return this;
+      this._compress(this._block, 0);
+      this._blockLength = 0;
+    }
+
+    // Whole blocks straight from the input
+    while (offset + 64 <= bytes.length) {
+      this._compress(bytes, offset);
+      offset += 64;
+    }
+
+    if (offset < bytes.length) {
+      this._block.set(bytes.subarray(offset), 0);
+      this._blockLength = bytes.length - offset;
+    }
+
+    return this;
+  }
+
+  /**
+   * Finish hashing and return the digest as lowercase hex
+   */
+  digestHex() {
+    if (!this._finished) {
+      const bitsHigh = Math.floor(this._bytesHashed / 0x20000000);
+      const bitsLow = (this._bytesHashed * 8) >>> 0;
+
+      this._block[this._blockLength++] = 0x80;
+      if (this._blockLength > 56) {
+        this._block.fill(0, this._blockLength);
+        this._compress(this._block, 0);
+        this._blockLength = 0;
+      }
+      this._block.fill(0, this._blockLength, 56);
+
+      const view = new DataView(this._block.buffer);
+      view.setUint32(56, bitsHigh);
+      view.setUint32(60, bitsLow);
+      this._compress(this._block, 0);
+      this._finished = true;
+    }
+
+    let hex = '';
+    for (let i = 0; i < 8; i++) {
+      hex += this._state[i].toString(16).padStart(8, '0');
+    }
+    return hex;
+  }
+
+  _compress(bytes, offset) {
+    const w = this._w;
+    const k = SyndroSha256.K;
+    const s = this._state;
+
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = w[i - 15];
+      const w2 = w[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let a = s[0], b = s[1], c = s[2], d = s[3];
+    let e = s[4], f = s[5], g = s[6], h = s[7];
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + k[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    s[0] += a; s[1] += b; s[2] += c; s[3] += d;
+    s[4] += e; s[5] += f; s[6] += g; s[7] += h;
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  let sha256 = new SyndroSha256();
+
+  self.onmessage = (event) => {
+    const message = event.data;
+    try {
+      if (message.type === 'chunk') {
+        sha256.update(message.data);
+        const chunkHash = new SyndroSha256().update(message.data).digestHex();
+        self.postMessage({ type: 'chunk', index: message.index, hash: chunkHash });
+      } else if (message.type === 'digest') {
+        self.postMessage({ type: 'digest', hash: sha256.digestHex() });
+        sha256 = new SyndroSha256();
+      }
+    } catch (e) {
+      self.postMessage({ type: 'error', message: e.message });
+    }
+  };
+} else if (typeof window !== 'undefined') {
+  window.SyndroSha256 = SyndroSha256;
+}
@@ -2,17 +2,101 @@
  * Syndro Parallel Download for Browser
  * 
  * Downloads file chunks in parallel and assembles them
- * Supports encryption (AES-256-GCM)
+ * A plain-http page can't write a download to disk as it arrives, so
+ * files are assembled from Blob parts up to a cap (maxBufferedBytes) -
+ * bigger ones are handed to the browser's own download manager
+ * Supports encryption (AES-256-GCM), with chunks bound to their place in
+ * the transfer when fileInfo.chunkFormat says so (chunk_format.js)
+ * Retries failed chunks and resumes interrupted downloads from IndexedDB
+ * Verifies each chunk against the SHA-256 the sender gives for it, in a
+ * header on the chunk (fileInfo.chunkHashHeader) or in a manifest
+ * (fileInfo.manifestUrl) - and fails if an advertised hash can't be had
+ * Takes chunks deflated (deflate-raw) where the browser can inflate them
+ * and the sender finds them worth compressing
+ * Adapts connections with a SyndroAdaptiveTuner (adaptive_tuner.js)
+ * Pauses, resumes and cancels with a SyndroTransferControl (transfer_control.js)
+ * Authenticates to the app with a SyndroBrowserSession (browser_session.js)
+ * Decrypts and hashes in a SyndroCryptoPool's workers (crypto_worker.js)
  */
 
 class SyndroParallelDownloader {
+  // Default for maxBufferedBytes
+  static MAX_BUFFERED_BYTES = 512 * 1024 * 1024;
+
   constructor(options = {}) {
-    this.connections = options.connections || 2;
     this.baseUrl = options.baseUrl || window.location.origin;
+    // Shared or made on the first download from the server's
+    // recommendation at configUrl (null to skip it) - see
+    // SyndroParallelUploader
+    this.tuner = options.tuner || null;
+    this.configUrl = options.configUrl !== undefined
+      ? options.configUrl
+      : `${this.baseUrl}/syndro.json`;
+    this.connections = options.connections || 2;
+    // Largest file assembled on the page
+    this.maxBufferedBytes = options.maxBufferedBytes || SyndroParallelDownloader.MAX_BUFFERED_BYTES;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 15000;
+    // Ask for compressed chunks - false to always take them as they are
+    this.compression = options.compression !== false;
+    // Keep fetched chunks in IndexedDB so a reload can pick up where it stopped
+    this.resumable = options.resumable !== false;
+    // Workers for chunk decryption and hashing - see SyndroParallelUploader
+    this.cryptoPool = options.cryptoPool !== undefined
+      ? options.cryptoPool
+      : window.SyndroCryptoPool
+        ? SyndroCryptoPool.shared()
+        : null;
+    // Session for the app's transfer server; pass null for servers that
+    // don't require one
+    this.session = options.session !== undefined
+      ? options.session
+      : window.SyndroBrowserSession
+        ? new SyndroBrowserSession({ baseUrl: this.baseUrl })
+        : null;
     this.encryptionKey = null;
     this.onProgress = options.onProgress || (() => {});
+    // At most one onProgress per interval, besides the last one
+    this.progressIntervalMs = options.progressIntervalMs ?? 100;
     this.onComplete = options.onComplete || (() => {});
+    // Optional SyndroProgressReporter (progress_reporter.js) that keeps the
+    // app's own progress display up to date
+    this.progressReporter = options.progressReporter || null;
     this.onError = options.onError || console.error;
+    this._lastProgressAt = 0;
+    // The download in progress - pause/resume/cancel act on it, so each
+    // instance runs one download at a time
+    this._control = null;
+  }
+
+  get isPaused() {
+    return !!this._control && this._control.isPaused;
+  }
+
+  /**
+   * Pause the download - chunks in flight are fetched again on resume()
+   */
+  pause() {
+    if (this._control && this._control.pause()) {
+      console.log('⏸️ Download paused');
+    }
+  }
+
+  resume() {
+    if (this._control && this._control.resume()) {
+      console.log('▶️ Download resumed');
+    }
+  }
+
+  /**
+   * Stop the download for good - downloadFile() rejects with an
+   * AbortError, and the chunks saved for resuming it are deleted
+   */
+  cancel() {
+    if (this._control && this._control.cancel()) {
+      console.log('🚫 Download cancelled');
+    }
   }
 
   /**
@@ -48,152 +132,500 @@ class SyndroParallelDownloader {
 
   /**
    * Download file with parallel chunks
+   *
+   * Each chunk becomes a Blob part as it arrives, and the parts one file
+   * saved through an <a download>. Chunks already saved for this
+   * transferId are read back from IndexedDB instead of being fetched
+   * again. If the sender gives chunk hashes, a chunk that doesn't match
+   * its hash is fetched again on its own.
+   *
+   * Files over maxBufferedBytes are handed to the browser instead, through
+   * their own URL, fileInfo.downloadUrl - the result then has
+   * `handedOff: true`, and progress is the browser's to show.
    */
   async downloadFile(fileInfo) {
+    const reportAs = { fileName: fileInfo.fileName };
+    const control = new SyndroTransferControl();
+    this._control = control;
+    try {
+      return await this._downloadFile(fileInfo, reportAs);
+    } catch (e) {
+      if (this.progressReporter) {
+        this.progressReporter.fail(reportAs, fileInfo.fileSize);
+      }
+      throw e;
+    } finally {
+      if (this._control === control) {
+        this._control = null;
+      }
+    }
+  }
+
+  async _downloadFile(fileInfo, reportAs) {
     const { transferId, fileName, fileSize, totalChunks, chunkSize, encrypted } = fileInfo;
     
     console.log(`📥 Starting parallel download: ${fileName}`);
     console.log(`   Size: ${this._formatBytes(fileSize)}, Chunks: ${totalChunks}`);
     
-    // Initialize encryption if needed
-    if (encrypted) {
-      await this.initEncryption();
-      if (!this.encryptionKey) {
-        throw new Error('Encryption required but key not available');
-      }
+    if (fileSize > this.maxBufferedBytes) {
+      return this._handOffToBrowser(fileInfo);
     }
+    const tuner = await this._getTuner();
     
-    // Create chunk queues for each connection
-    const chunks = [];
-    for (let i = 0; i < totalChunks; i++) {
-      chunks.push({
-        index: i,
-        start: i * chunkSize,
-        end: Math.min((i + 1) * chunkSize, fileSize),
-        size: Math.min(chunkSize, fileSize - i * chunkSize),
-      });
-    }
+    const parts = new Array(totalChunks);
+    const checkpoint = this.resumable ? await SyndroDownloadCheckpoint.open(fileInfo) : null;
     
-    // Download chunks in parallel
-    const downloadedChunks = new Array(totalChunks).fill(null);
-    let completedChunks = 0;
-    let bytesDownloaded = 0;
-    
-    // Create worker function
-    const downloadChunk = async (chunk) => {
-      const response = await fetch(
-        `${this.baseUrl}/transfer/chunk/${transferId}/${chunk.index}`,
-        { method: 'GET' }
-      );
+    try {
+      // Initialize encryption if needed - a URL-fragment key wins, otherwise
+      // the session key shared with the app is used
+      if (encrypted) {
+        await this.initEncryption();
+        if (!this.encryptionKey && this.session) {
+          await this.session.establish();
+          this.encryptionKey = this.session.key;
+        }
+        if (!this.encryptionKey) {
+          throw new Error('Encryption required but key not available');
+        }
+      }
       
-      if (!response.ok) {
-        throw new Error(`Chunk ${chunk.index} download failed: ${response.status}`);
+      // Create chunk queues for each connection
+      const chunks = [];
+      for (let i = 0; i < totalChunks; i++) {
+        chunks.push({
+          index: i,
+          start: i * chunkSize,
+          end: Math.min((i + 1) * chunkSize, fileSize),
+          size: Math.min(chunkSize, fileSize - i * chunkSize),
+        });
+      }
+      
+      const chunkHashes = await this._fetchManifest(fileInfo);
+      if (fileInfo.chunkHashHeader) {
+        await this._requireSha256();
+      }
+      const storedChunks = checkpoint ? await checkpoint.getCompletedChunks() : new Set();
+      if (storedChunks.size > 0) {
+        console.log(`♻️ Resuming download: ${storedChunks.size}/${totalChunks} chunks already saved`);
       }
       
-      let data = new Uint8Array(await response.arrayBuffer());
+      let completedChunks = 0;
+      let resumedChunks = 0;
+      let bytesDownloaded = 0;
       
-      // Decrypt if needed
-      if (encrypted && this.encryptionKey) {
-        data = await this._decryptChunk(data);
+      // Create worker function
+      const downloadChunk = async (chunk) => {
+        await this._control.checkpoint();
+        
+        const expectedHash = chunkHashes ? chunkHashes[chunk.index] : null;
+        let data = null;
+        
+        if (storedChunks.has(chunk.index)) {
+          const stored = await checkpoint.loadChunk(chunk.index);
+          if (stored) {
+            try {
+              data = await this._openChunk(stored.data, fileInfo, chunk.index);
+              if (stored.compressed) {
+                data = await this._inflate(data, chunk.size);
+              }
+            } catch (e) {
+              // Saved under an earlier key
+              data = null;
+            }
+            if (data) {
+              // Checked against the hash it was fetched with
+              data = await this._verifiedChunk(data, expectedHash || stored.hash);
+            }
+            if (data) {
+              resumedChunks++;
+            } else {
+              console.warn(`⚠️ Saved chunk ${chunk.index} is unreadable, fetching it again`);
+              data = null;
+            }
+          }
+        }
+        
+        if (!data) {
+          data = await this._fetchVerifiedChunk(fileInfo, chunk.index, expectedHash, checkpoint);
+        }
+        
+        completedChunks++;
+        bytesDownloaded += data.length;
+        
+        parts[chunk.index] = new Blob([data]);
+        
+        this._emitProgress({
+          chunksCompleted: completedChunks,
+          chunksResumed: resumedChunks,
+          totalChunks,
+          bytesDownloaded,
+          totalBytes: fileSize,
+          percentage: (completedChunks / totalChunks) * 100,
+        }, completedChunks === totalChunks);
+        
+        if (this.progressReporter) {
+          this.progressReporter.report(reportAs, bytesDownloaded, fileSize);
+        }
+      };
+      
+      // Process chunks with the parallelism the tuner sets
+      await tuner.run([...chunks], downloadChunk);
+      
+      // Verify all chunks arrived
+      const missing = chunks.findIndex(chunk => !parts[chunk.index]);
+      if (missing >= 0) {
+        throw new Error(`Missing chunk: ${missing}`);
       }
       
-      downloadedChunks[chunk.index] = data;
-      completedChunks++;
-      bytesDownloaded += data.length;
+      this._saveBlob(new Blob(parts), fileName);
       
-      this.onProgress({
-        chunksCompleted: completedChunks,
-        totalChunks,
-        bytesDownloaded,
-        totalBytes: fileSize,
-        percentage: (completedChunks / totalChunks) * 100,
-      });
-    };
-    
-    // Process chunks with limited parallelism
-    const queue = [...chunks];
-    const workers = [];
-    
-    for (let i = 0; i < this.connections; i++) {
-      workers.push(this._processQueue(queue, downloadChunk));
-    }
-    
-    await Promise.all(workers);
-    
-    // Verify all chunks received
-    const missing = downloadedChunks.findIndex(c => c === null);
-    if (missing !== -1) {
-      throw new Error(`Missing chunk: ${missing}`);
+      if (checkpoint) {
+        await checkpoint.clear();
+      }
+    } catch (e) {
+      // The checkpoint is kept so the next attempt can resume - unless
+      // the download was cancelled
+      if (checkpoint && SyndroTransferControl.isCancellation(e)) {
+        try {
+          await checkpoint.clear();
+        } catch (clearError) {
+          console.warn('Could not delete the cancelled download\'s chunks:', clearError);
+        }
+      }
+      throw e;
+    } finally {
+      if (checkpoint) {
+        checkpoint.close();
+      }
     }
     
-    // Assemble file
-    console.log('📦 Assembling file...');
-    const assembledData = this._assembleChunks(downloadedChunks);
-    
-    // Create download
-    const blob = new Blob([assembledData]);
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
     console.log(`✅ Download complete: ${fileName}`);
+    if (this.progressReporter) {
+      this.progressReporter.complete(reportAs, fileSize);
+    }
     this.onComplete({ fileName, fileSize, success: true });
     
     return { success: true, fileName, fileSize };
   }
 
   /**
-   * Process download queue
+   * List downloads that were interrupted and can be resumed
+   */
+  async getResumableDownloads() {
+    return SyndroDownloadCheckpoint.list();
+  }
+
+  /**
+   * Fetch one chunk, retrying with exponential backoff
+   *
+   * Network errors, timeouts and 5xx/429 responses are retried; any other
+   * error status fails immediately. Timings and failures feed the tuner.
+   * Returns { data, hash, compressed } - hash from the response's
+   * `hashHeader`, if given, else null; data still deflated if compressed.
+   */
+  async _fetchChunk(transferId, index, hashHeader) {
+    const url = `${this.baseUrl}/transfer/chunk/${transferId}/${index}`;
+    const headers = this._canDecompress() ? { 'X-Accept-Compression': 'deflate-raw' } : {};
+    let attempt = 0;
+
+    while (true) {
+      let retryable = true;
+      try {
+        // The body is read inside the attempt - a pause can cut it off
+        const fetched = await this._control.attempt(async (signal) => {
+          const started = performance.now();
+          const init = { method: 'GET', headers, signal };
+          const response = await (this.session ? this.session.fetch(url, init) : fetch(url, init));
+          const firstByteMs = performance.now() - started;
+          if (!response.ok) {
+            return { status: response.status };
+          }
+          const data = new Uint8Array(await response.arrayBuffer());
+          const hash = hashHeader ? response.headers.get(hashHeader) : null;
+          const compressed = response.headers.get('X-Compressed') === 'deflate-raw';
+          return { status: response.status, data, hash, compressed, firstByteMs, ms: performance.now() - started };
+        });
+        
+        if (!fetched.data) {
+          retryable = fetched.status >= 500 || fetched.status === 408 || fetched.status === 429;
+          throw new Error(`Chunk ${index} download failed: ${fetched.status}`);
+        }
+        
+        this.tuner.record(fetched.data.length, fetched.ms, fetched.firstByteMs);
+        return { data: fetched.data, hash: fetched.hash, compressed: fetched.compressed };
+      } catch (e) {
+        if (!retryable || attempt >= this.maxRetries ||
+            SyndroTransferControl.isCancellation(e)) {
+          throw e;
+        }
+        
+        this.tuner.recordFailure();
+        const delay = this._retryDelay(attempt);
+        attempt++;
+        console.warn(`⚠️ Chunk ${index} failed (${e.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Fetch one chunk until it decrypts and matches its hash - from the
+   * manifest if there is one, else from the chunk's own header
+   *
+   * Only verified chunks are saved to the checkpoint (still encrypted
+   * and deflated, as fetched), with the hash they were checked against.
+   * Returns the plaintext.
    */
-  async _processQueue(queue, processor) {
-    while (queue.length > 0) {
-      const chunk = queue.shift();
-      if (chunk) {
-        await processor(chunk);
+  async _fetchVerifiedChunk(fileInfo, index, expectedHash, checkpoint) {
+    for (let attempt = 0; ; attempt++) {
+      const fetched = await this._fetchChunk(fileInfo.transferId, index, fileInfo.chunkHashHeader);
+      const hash = expectedHash || fetched.hash;
+      if (fileInfo.chunkHashHeader && !hash) {
+        throw new Error(`Chunk ${index} came without its hash`);
       }
+      const raw = fetched.data;
+      const opened = await this._openChunk(raw, fileInfo, index);
+      const size = Math.min(fileInfo.chunkSize, fileInfo.fileSize - index * fileInfo.chunkSize);
+      // A chunk that doesn't inflate is fetched again, like a corrupt one
+      const plain = fetched.compressed
+        ? await this._inflate(opened, size).catch(() => null)
+        : opened;
+      const data = plain && await this._verifiedChunk(plain, hash);
+      
+      if (data) {
+        if (checkpoint) {
+          // A plain chunk went to the hash worker as `raw` and came back
+          // as `data`
+          const handedOver = plain === raw;
+          await checkpoint.saveChunk(index, handedOver ? data : raw, hash,
+            !handedOver && fetched.compressed);
+        }
+        return data;
+      }
+      
+      if (attempt >= this.maxRetries) {
+        throw new Error(`Chunk ${index} failed verification`);
+      }
+      
+      const delay = this._retryDelay(attempt);
+      console.warn(`⚠️ Chunk ${index} failed its hash check, retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Decrypt chunk `index` as fetched, if the transfer is encrypted - only
+   * chunks sealed for that place in the transfer are accepted, whatever
+   * fileInfo.chunkFormat says
+   */
+  async _openChunk(data, fileInfo, index) {
+    if (!fileInfo.encrypted || !this.encryptionKey) {
+      return data;
     }
+    SyndroChunkFormat.requireAgreed(fileInfo);
+    return SyndroChunkFormat.open(this.encryptionKey, data, fileInfo.transferId, index,
+      fileInfo.totalChunks, this.cryptoPool);
   }
 
   /**
-   * Assemble chunks into single Uint8Array
+   * Fetch the per-chunk SHA-256 manifest the sender advertises at
+   * fileInfo.manifestUrl
+   *
+   * Returns null when it advertises none, in which case chunks are only
+   * covered by their own hash header (if any), the transport and GCM
+   * tags. One that is advertised but
+   * can't be fetched, doesn't fit this file or can't be checked on this
+   * page fails the download rather than skipping the checks.
    */
-  _assembleChunks(chunks) {
-    const totalSize = chunks.reduce((sum, c) => sum + c.length, 0);
-    const result = new Uint8Array(totalSize);
-    let offset = 0;
+  async _fetchManifest(fileInfo) {
+    if (!fileInfo.manifestUrl) {
+      console.log('No chunk manifest, chunks will not be verified individually');
+      return null;
+    }
     
-    for (const chunk of chunks) {
-      result.set(chunk, offset);
-      offset += chunk.length;
+    const response = await this._fetch(new URL(fileInfo.manifestUrl, this.baseUrl).href);
+    if (!response.ok) {
+      throw new Error(`Chunk manifest unavailable: ${response.status}`);
     }
     
-    return result;
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.chunkHashes) || manifest.chunkHashes.length !== fileInfo.totalChunks) {
+      throw new Error('Chunk manifest does not match this file');
+    }
+    
+    await this._requireSha256();
+    return manifest.chunkHashes;
   }
 
   /**
-   * Decrypt chunk using AES-256-GCM
+   * Fail unless this page can hash chunks to check them
    */
-  async _decryptChunk(encryptedData) {
-    if (encryptedData.length < 28) {
-      throw new Error('Data too small to decrypt');
+  async _requireSha256() {
+    if (!(await this._sha256(new Uint8Array(0))).hash) {
+      throw new Error('No SHA-256 available to check chunks (load hash_worker.js)');
+    }
+  }
+
+  /**
+   * Whether chunks can be taken deflated - deflate-raw needs a recent browser
+   */
+  _canDecompress() {
+    if (!this.compression || typeof DecompressionStream !== 'function') return false;
+    try {
+      new DecompressionStream('deflate-raw');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Inflate a deflate-raw chunk, refusing one that grows past `maxLength`
+   * bytes (a chunk is never bigger than the chunk size)
+   */
+  async _inflate(data, maxLength) {
+    const reader = new Blob([data]).stream()
+      .pipeThrough(new DecompressionStream('deflate-raw'))
+      .getReader();
+    const parts = [];
+    let length = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      length += value.length;
+      if (length > maxLength) {
+        reader.cancel().catch(() => {});
+        throw new Error(`Chunk inflates past ${maxLength} bytes`);
+      }
+      parts.push(value);
+    }
+    return new Uint8Array(await new Blob(parts).arrayBuffer());
+  }
+
+  /**
+   * `data` if it matches `expectedHash` (or there is none), else null
+   *
+   * The hash runs in the crypto pool, which hands the bytes back - use the
+   * returned array, not the one passed in.
+   */
+  async _verifiedChunk(data, expectedHash) {
+    if (!expectedHash) return data;
+    const result = await this._sha256(data);
+    return result.hash === expectedHash ? result.data : null;
+  }
+
+  /**
+   * SHA-256 as lowercase hex - { hash, data }, hash null if the page has
+   * no implementation
+   *
+   * crypto.subtle only exists in secure contexts; on plain http the
+   * SyndroSha256 fallback from hash_worker.js is used if it was loaded.
+   */
+  async _sha256(data) {
+    if (this.cryptoPool) {
+      return this.cryptoPool.sha256(data);
+    }
+    if (window.crypto && window.crypto.subtle) {
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+      const hash = Array.from(digest).map(b => b.toString(16).padStart(2, '0')).join('');
+      return { hash, data };
+    }
+    if (window.SyndroSha256) {
+      return { hash: new window.SyndroSha256().update(data).digestHex(), data };
+    }
+    return { hash: null, data };
+  }
+
+  /**
+   * fetch() through the session, if there is one, and the download's
+   * transfer control, with the body read in full before returning
+   */
+  _fetch(url, init = {}) {
+    const send = async (signal) => {
+      const options = signal ? { ...init, signal } : init;
+      const response = await (this.session ? this.session.fetch(url, options) : fetch(url, options));
+      const body = [204, 205, 304].includes(response.status) ? null : await response.arrayBuffer();
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    };
+    return this._control ? this._control.attempt(send) : send(null);
+  }
+
+  /**
+   * Exponential backoff with jitter
+   */
+  _retryDelay(attempt) {
+    const exponential = this.retryBaseDelayMs * Math.pow(2, attempt);
+    const jitter = Math.random() * this.retryBaseDelayMs;
+    return Math.min(exponential + jitter, this.retryMaxDelayMs);
+  }
+
+  /**
+   * The tuner, made on first use
+   */
+  async _getTuner() {
+    if (!this.tuner) {
+      const recommended = this.configUrl
+        ? await SyndroAdaptiveTuner.fetchConfig(this.configUrl)
+        : null;
+      this.tuner = new SyndroAdaptiveTuner({
+        connections: this.connections,
+        ...recommended,
+      });
+    }
+    return this.tuner;
+  }
+
+  /**
+   * Download through an <a download> of fileInfo.downloadUrl - the browser
+   * fetches (and resumes) it itself
+   *
+   * Not for encrypted transfers, whose URL would only give the ciphertext.
+   */
+  _handOffToBrowser(fileInfo) {
+    if (fileInfo.encrypted || !fileInfo.downloadUrl) {
+      const limit = this._formatBytes(this.maxBufferedBytes);
+      throw new Error(`Too large to download on this page (over ${limit}), ` +
+        'and there is no plain link to hand it to');
     }
     
-    const nonce = encryptedData.slice(0, 12);
-    const ciphertextWithTag = encryptedData.slice(12);
-    
-    const decrypted = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: nonce, tagLength: 128 },
-      this.encryptionKey,
-      ciphertextWithTag
-    );
+    this._clickDownload(fileInfo.downloadUrl, fileInfo.fileName);
     
-    return new Uint8Array(decrypted);
+    console.log(`🔗 Handed ${fileInfo.fileName} to the browser's download manager`);
+    return { success: true, fileName: fileInfo.fileName, fileSize: fileInfo.fileSize, handedOff: true };
+  }
+
+  /**
+   * Save an assembled file through an object URL
+   */
+  _saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    this._clickDownload(url, fileName);
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  _clickDownload(href, fileName) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  /**
+   * onProgress, unless the last one went out less than
+   * progressIntervalMs ago - `final` ones always go out
+   */
+  _emitProgress(progress, final) {
+    const now = performance.now();
+    if (!final && now - this._lastProgressAt < this.progressIntervalMs) return;
+    this._lastProgressAt = now;
+    this.onProgress(progress);
   }
 
   /**
@@ -221,5 +653,233 @@ class SyndroParallelDownloader {
   }
 }
 
+/**
+ * IndexedDB checkpoint for one browser download
+ *
+ * Browser-side counterpart of CheckpointManager/TransferCheckpoint: chunks
+ * are stored exactly as fetched (still encrypted, if the transfer is) under
+ * the transferId, and a checkpoint is only reused when the file metadata
+ * matches and it is less than 24 hours old.
+ *
+ * The chunks are a second copy of a download in progress, so what all
+ * checkpoints may hold is capped (MAX_STORED_BYTES): files over it aren't
+ * checkpointed, and opening one drops the oldest others to make room.
+ */
+class SyndroDownloadCheckpoint {
+  static DB_NAME = 'syndro-downloads';
+  static DB_VERSION = 1;
+  static MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  static MAX_STORED_BYTES = 512 * 1024 * 1024;
+
+  constructor(db, transferId) {
+    this.db = db;
+    this.transferId = transferId;
+    this._disabled = false;
+  }
+
+  /**
+   * Open (or start) the checkpoint for a download
+   *
+   * Returns null when IndexedDB is unavailable, e.g. in private browsing,
+   * or the file is too big to keep.
+   */
+  static async open(fileInfo) {
+    if (fileInfo.fileSize > SyndroDownloadCheckpoint.MAX_STORED_BYTES) {
+      console.log('Download too large to keep for resuming');
+      return null;
+    }
+
+    let db;
+    try {
+      db = await SyndroDownloadCheckpoint._openDb();
+    } catch (e) {
+      console.warn('IndexedDB unavailable, download will not be resumable:', e);
+      return null;
+    }
+
+    const checkpoint = new SyndroDownloadCheckpoint(db, fileInfo.transferId);
+    await checkpoint._makeRoom(fileInfo.fileSize);
+    const existing = await checkpoint._request(
+      db.transaction('transfers').objectStore('transfers').get(fileInfo.transferId)
+    );
+
+    if (existing && !SyndroDownloadCheckpoint._matches(existing, fileInfo)) {
+      console.log('🧹 Discarding stale download checkpoint');
+      await checkpoint.clear();
+    }
+
+    await checkpoint._request(
+      db.transaction('transfers', 'readwrite').objectStore('transfers').put({
+        transferId: fileInfo.transferId,
+        fileName: fileInfo.fileName,
+        fileSize: fileInfo.fileSize,
+        totalChunks: fileInfo.totalChunks,
+        chunkSize: fileInfo.chunkSize,
+        encrypted: !!fileInfo.encrypted,
+        createdAt: existing && SyndroDownloadCheckpoint._matches(existing, fileInfo)
+          ? existing.createdAt
+          : Date.now(),
+        updatedAt: Date.now(),
+      })
+    );
+
+    return checkpoint;
+  }
+
+  /**
+   * List checkpoints that are still young enough to resume
+   */
+  static async list() {
+    let db;
+    try {
+      db = await SyndroDownloadCheckpoint._openDb();
+    } catch (e) {
+      return [];
+    }
+
+    try {
+      const store = db.transaction('transfers').objectStore('transfers');
+      const all = await new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+      const cutoff = Date.now() - SyndroDownloadCheckpoint.MAX_AGE_MS;
+      return all.filter(t => t.createdAt >= cutoff);
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Drop expired checkpoints, then the oldest others until this one's
+   * `fileSize` fits under MAX_STORED_BYTES
+   */
+  async _makeRoom(fileSize) {
+    const all = await this._request(
+      this.db.transaction('transfers').objectStore('transfers').getAll()
+    );
+    const cutoff = Date.now() - SyndroDownloadCheckpoint.MAX_AGE_MS;
+    const others = all
+      .filter(t => t.transferId !== this.transferId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    let stored = others.reduce((sum, t) => sum + t.fileSize, 0);
+
+    for (const other of others) {
+      if (other.createdAt >= cutoff && stored + fileSize <= SyndroDownloadCheckpoint.MAX_STORED_BYTES) {
+        continue;
+      }
+      await new SyndroDownloadCheckpoint(this.db, other.transferId).clear();
+      stored -= other.fileSize;
+    }
+  }
+
+  static _matches(stored, fileInfo) {
+    return stored.fileName === fileInfo.fileName &&
+      stored.fileSize === fileInfo.fileSize &&
+      stored.totalChunks === fileInfo.totalChunks &&
+      stored.chunkSize === fileInfo.chunkSize &&
+      stored.encrypted === !!fileInfo.encrypted &&
+      Date.now() - stored.createdAt < SyndroDownloadCheckpoint.MAX_AGE_MS;
+  }
+
+  static _openDb() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(SyndroDownloadCheckpoint.DB_NAME, SyndroDownloadCheckpoint.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('transfers')) {
+          db.createObjectStore('transfers', { keyPath: 'transferId' });
+        }
+        if (!db.objectStoreNames.contains('chunks')) {
+          db.createObjectStore('chunks', { keyPath: ['transferId', 'index'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Indices of the chunks already stored for this transfer
+   */
+  async getCompletedChunks() {
+    const store = this.db.transaction('chunks').objectStore('chunks');
+    const keys = await this._request(store.getAllKeys(this._chunkRange()));
+    return new Set(keys.map(key => key[1]));
+  }
+
+  /**
+   * Read back a stored chunk - { data, hash, compressed } - or null if it
+   * is gone
+   */
+  async loadChunk(index) {
+    const store = this.db.transaction('chunks').objectStore('chunks');
+    const record = await this._request(store.get([this.transferId, index]));
+    return record
+      ? { data: new Uint8Array(record.data), hash: record.hash || null, compressed: !!record.compressed }
+      : null;
+  }
+
+  /**
+   * Store a fetched chunk, the hash it was checked against and whether
+   * it is still deflated
+   *
+   * If the browser runs out of quota the download carries on without
+   * saving further chunks.
+   */
+  async saveChunk(index, data, hash, compressed) {
+    if (this._disabled) return;
+
+    try {
+      const store = this.db.transaction('chunks', 'readwrite').objectStore('chunks');
+      await this._request(store.put({
+        transferId: this.transferId,
+        index,
+        data,
+        hash: hash || null,
+        compressed: !!compressed,
+      }));
+    } catch (e) {
+      console.warn('Could not save chunk for resume, continuing without:', e);
+      this._disabled = true;
+    }
+  }
+
+  /**
+   * Remove the checkpoint and all of its chunks
+   */
+  async clear() {
+    const tx = this.db.transaction(['transfers', 'chunks'], 'readwrite');
+    tx.objectStore('transfers').delete(this.transferId);
+    tx.objectStore('chunks').delete(this._chunkRange());
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  _chunkRange() {
+    return IDBKeyRange.bound([this.transferId, 0], [this.transferId, Infinity]);
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
 // Export for use
 window.SyndroParallelDownloader = SyndroParallelDownloader;
@@ -2,18 +2,111 @@
  * Syndro Parallel Upload for Browser
  * 
  * Uploads file chunks in parallel from browser to app
- * Supports encryption (AES-256-GCM)
+ * Supports encryption (AES-256-GCM), chunks bound to their place in the
+ * transfer where the receiver agrees (chunk_format.js)
+ * Retries failed chunks and resumes interrupted uploads
+ * Authenticates to the app with a SyndroBrowserSession (browser_session.js)
+ * Sends each chunk's SHA-256 with it, hashed as it's read - the receiver
+ * checks the chunk on arrival and the list of them at completion
+ * Adapts connections and chunk size with a SyndroAdaptiveTuner (adaptive_tuner.js)
+ * Pauses, resumes and cancels with a SyndroTransferControl (transfer_control.js)
+ * Encrypts in a SyndroCryptoPool's workers (crypto_worker.js), off the page
+ * Compresses chunks (deflate-raw) where the receiver agrees - it turns
+ * compression down for files that are compressed already
  */
 
 class SyndroParallelUploader {
   constructor(options = {}) {
+    this.baseUrl = options.baseUrl || window.location.origin;
+    // Pass a shared tuner to carry what it learned from file to file;
+    // otherwise one is made on the first upload, starting from the
+    // server's recommendation at configUrl (null to skip it) or from
+    // connections / chunkSize
+    this.tuner = options.tuner || null;
+    this.configUrl = options.configUrl !== undefined
+      ? options.configUrl
+      : `${this.baseUrl}/syndro.json`;
     this.connections = options.connections || 2;
     this.chunkSize = options.chunkSize || 1024 * 1024; // 1MB
-    this.baseUrl = options.baseUrl || window.location.origin;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 15000;
+    // Workers for chunk hashing and encryption - the page's shared pool by
+    // default, null to run them on the main thread
+    this.cryptoPool = options.cryptoPool !== undefined
+      ? options.cryptoPool
+      : window.SyndroCryptoPool
+        ? SyndroCryptoPool.shared()
+        : null;
+    // Session for the app's transfer server; pass null for servers that
+    // don't require one
+    this.session = options.session !== undefined
+      ? options.session
+      : window.SyndroBrowserSession
+        ? new SyndroBrowserSession({ baseUrl: this.baseUrl })
+        : null;
+    this.approvalTimeoutMs = options.approvalTimeoutMs || 5 * 60 * 1000;
+    // Offer to compress chunks - false to always send them as they are
+    this.compression = options.compression !== false;
     this.encryptionKey = null;
     this.onProgress = options.onProgress || (() => {});
+    // At most one onProgress per interval, besides the last one - pages
+    // re-render on each, which can't keep up with every chunk on a LAN
+    this.progressIntervalMs = options.progressIntervalMs ?? 100;
     this.onComplete = options.onComplete || (() => {});
+    // Optional SyndroProgressReporter (progress_reporter.js) that keeps the
+    // app's own progress display up to date
+    this.progressReporter = options.progressReporter || null;
     this.onError = options.onError || console.error;
+    this._lastProgressAt = 0;
+    // The upload in progress - pause/resume/cancel act on it, so each
+    // instance runs one upload at a time
+    this._control = null;
+    this._current = null;
+  }
+
+  get isPaused() {
+    return !!this._control && this._control.isPaused;
+  }
+
+  /**
+   * Pause the upload - chunks in flight are sent again on resume()
+   */
+  pause() {
+    if (this._control && this._control.pause()) {
+      console.log('⏸️ Upload paused');
+    }
+  }
+
+  resume() {
+    if (this._control && this._control.resume()) {
+      console.log('▶️ Upload resumed');
+    }
+  }
+
+  /**
+   * Stop the upload for good - uploadFile() rejects with an AbortError and
+   * the receiver deletes what it has of the file
+   */
+  async cancel() {
+    const current = this._current;
+    if (!this._control || !this._control.cancel()) return;
+    console.log('🚫 Upload cancelled');
+
+    if (!current) return;
+    this._forgetResumeTransferId(current.file, current.relativePath);
+
+    try {
+      const init = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transferId: current.transferId }),
+      };
+      const url = `${this.baseUrl}/transfer/parallel/cancel`;
+      await (this.session ? this.session.fetch(url, init) : fetch(url, init));
+    } catch (e) {
+      console.warn('Could not tell the receiver about the cancelled upload:', e);
+    }
   }
 
   /**
@@ -58,120 +151,268 @@ class SyndroParallelUploader {
     return this._bytesToBase64Url(new Uint8Array(keyBytes));
   }
 
+  /**
+   * Ask the receiver which chunks of a transfer it already holds
+   *
+   * Returns null if the receiver doesn't know the transfer.
+   */
+  async getUploadStatus(transferId) {
+    try {
+      const response = await this._fetch(
+        `${this.baseUrl}/transfer/parallel/status/${encodeURIComponent(transferId)}`
+      );
+      if (!response.ok) return null;
+      
+      const status = await response.json();
+      return status.success ? status : null;
+    } catch (e) {
+      console.warn('Could not read upload status:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the chunk manifest the receiver holds for a transfer
+   *
+   * Returns null if there is none.
+   */
+  async getUploadManifest(transferId) {
+    try {
+      const response = await this._fetch(
+        `${this.baseUrl}/transfer/manifest/${encodeURIComponent(transferId)}`
+      );
+      if (!response.ok) return null;
+      
+      const manifest = await response.json();
+      return manifest.success ? manifest : null;
+    } catch (e) {
+      console.warn('Could not read chunk manifest:', e);
+      return null;
+    }
+  }
+
   /**
    * Upload file with parallel chunks
+   *
+   * Without an explicit transferId, the same file (name, size, modified
+   * time) reuses its previous transferId, so re-selecting it after an
+   * interruption continues from the chunks the receiver already has.
+   *
+   * `relativePath` (e.g. 'Photos/2024/img.jpg') places the file inside a
+   * folder on the receiver, for folder uploads.
    */
   async uploadFile(file, options = {}) {
-    const { transferId, encrypted = false } = options;
+    const reportAs = { fileName: options.relativePath || file.name };
+    const control = new SyndroTransferControl();
+    this._control = control;
+    try {
+      return await this._uploadFile(file, options, reportAs);
+    } catch (e) {
+      if (this.progressReporter) {
+        this.progressReporter.fail(reportAs, file.size);
+      }
+      throw e;
+    } finally {
+      if (this._control === control) {
+        this._control = null;
+        this._current = null;
+      }
+    }
+  }
+
+  async _uploadFile(file, options, reportAs) {
+    const { encrypted = false, relativePath = null } = options;
     const fileName = file.name;
     const fileSize = file.size;
-    const totalChunks = Math.ceil(fileSize / this.chunkSize);
+    const tuner = await this._getTuner();
+    
+    // Resume if the receiver already holds part of this transfer - it
+    // keeps the chunk layout it started with
+    let transferId = options.transferId || this._resumeTransferId(file, relativePath);
+    this._current = { file, relativePath, transferId };
+    const asked = performance.now();
+    let status = await this.getUploadStatus(transferId);
+    tuner.recordRoundTrip(performance.now() - asked);
+    const chunkSize = status && status.fileSize === fileSize && status.chunkSize > 0
+      ? status.chunkSize
+      : tuner.chunkSize;
+    const totalChunks = Math.ceil(fileSize / chunkSize);
     
     console.log(`📤 Starting parallel upload: ${fileName}`);
-    console.log(`   Size: ${this._formatBytes(fileSize)}, Chunks: ${totalChunks}`);
+    console.log(`   Size: ${this._formatBytes(fileSize)}, Chunks: ${totalChunks} x ${this._formatBytes(chunkSize)}`);
     
-    // Initialize encryption if needed
+    // Initialize encryption if needed - with a session the app already
+    // holds the key, so no URL-fragment key has to be shared
     if (encrypted) {
-      await this.initEncryption();
-    }
-    
-    // Calculate file hash
-    console.log('📝 Calculating file hash...');
-    const fileHash = await this._calculateFileHash(file);
-    console.log(`   Hash: ${fileHash.substring(0, 16)}...`);
-    
-    // Initiate transfer
-    const initResponse = await fetch(`${this.baseUrl}/transfer/parallel/initiate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        transferId,
-        fileName,
-        fileSize,
-        fileHash,
-        totalChunks,
-        chunkSize: this.chunkSize,
-        encrypted,
-      }),
-    });
-    
-    if (!initResponse.ok) {
-      throw new Error('Failed to initiate transfer');
+      if (this.session) {
+        await this.session.establish();
+        this.encryptionKey = this.session.key;
+      } else {
+        await this.initEncryption();
+      }
     }
     
     // Create chunk info
     const chunks = [];
     for (let i = 0; i < totalChunks; i++) {
-      const start = i * this.chunkSize;
-      const end = Math.min(start + this.chunkSize, fileSize);
+      const start = i * chunkSize;
+      const end = Math.min(start + chunkSize, fileSize);
       chunks.push({ index: i, start, end, size: end - start });
     }
     
-    // Upload tracking
+    const readChunk = async (chunk) => {
+      const blob = file.slice(chunk.start, chunk.end);
+      return new Uint8Array(await blob.arrayBuffer());
+    };
+    
+    // Each chunk's SHA-256, filled in as it's read for sending (or checked
+    // against the receiver's when resuming) - sent again at completion
+    const chunkHashes = new Array(totalChunks).fill(null);
+    
+    if (status && !(await this._receiverHasSameFile(transferId, status, fileSize, chunks,
+        readChunk, chunkHashes))) {
+      if (options.transferId) {
+        throw new Error('Receiver holds a different file under this transferId');
+      }
+      console.log('🧹 Receiver holds a different version of this file, starting over');
+      this._forgetResumeTransferId(file, relativePath);
+      transferId = this._resumeTransferId(file, relativePath);
+      this._current.transferId = transferId;
+      status = null;
+    }
+    
+    const receivedChunks = new Set();
+    // The receiver's answer - says which chunk format and compression it
+    // agreed to
+    let agreed = null;
+    
+    if (status) {
+      status.receivedChunks.forEach(index => receivedChunks.add(index));
+      agreed = status;
+      console.log(`♻️ Resuming upload: ${receivedChunks.size}/${totalChunks} chunks already received`);
+    } else {
+      // Initiate transfer
+      const initResponse = await this._fetch(`${this.baseUrl}/transfer/parallel/initiate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          transferId,
+          fileName,
+          fileSize,
+          relativePath: relativePath || undefined,
+          totalChunks,
+          chunkSize,
+          encrypted,
+          chunkFormat: encrypted ? SyndroChunkFormat.VERSION : undefined,
+          compression: this._canCompress() ? ['deflate-raw'] : undefined,
+          senderId: this.session ? this.session.deviceId : undefined,
+          senderName: this.session ? this.session.deviceName : undefined,
+        }),
+      });
+      
+      if (!initResponse.ok) {
+        const failure = await initResponse.json().catch(() => ({}));
+        throw new Error(failure.error || 'Failed to initiate transfer');
+      }
+      
+      const initResult = await initResponse.json();
+      
+      if (initResult.status === 'pending_approval') {
+        const approval = await this._waitForApproval(initResult.requestId || transferId);
+        agreed = approval;
+      } else if (initResult.success !== true) {
+        throw new Error(initResult.error || 'Failed to initiate transfer');
+      } else {
+        agreed = initResult;
+      }
+      
+      (initResult.receivedChunks || []).forEach(index => receivedChunks.add(index));
+    }
+    
+    // Encrypted chunks are only sent bound to their place in the transfer
+    // (chunk_format.js), never downgraded to the legacy format
+    if (encrypted) {
+      SyndroChunkFormat.requireAgreed(agreed);
+    }
+    const compression = this._negotiatedCompression(agreed);
+    
+    // Upload tracking - chunks the receiver already has count as done
     let completedChunks = 0;
     let bytesUploaded = 0;
+    for (const chunk of chunks) {
+      if (receivedChunks.has(chunk.index)) {
+        completedChunks++;
+        bytesUploaded += chunk.size;
+      }
+    }
     
-    // Upload chunk function
-    const uploadChunk = async (chunk) => {
-      // Read chunk from file
-      const blob = file.slice(chunk.start, chunk.end);
-      let data = new Uint8Array(await blob.arrayBuffer());
+    const sendChunk = async (chunk, data) => {
+      // Compress first - encrypted data doesn't compress
+      let compressed = false;
+      if (compression) {
+        ({ data, compressed } = await this._compressChunk(data));
+      }
       
       // Encrypt if needed
       if (encrypted && this.encryptionKey) {
-        data = await this._encryptChunk(data);
+        data = await SyndroChunkFormat.seal(this.encryptionKey, data, transferId, chunk.index,
+          totalChunks, this.cryptoPool);
       }
       
-      // Upload
-      const response = await fetch(`${this.baseUrl}/transfer/chunk`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/octet-stream',
-          'X-Transfer-Id': transferId,
-          'X-Chunk-Index': chunk.index.toString(),
-          'X-Original-Size': chunk.size.toString(),
-          'X-Encrypted': encrypted.toString(),
-        },
-        body: data,
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Chunk ${chunk.index} upload failed`);
-      }
+      await this._sendChunk(transferId, chunk, data, encrypted, compressed, chunkHashes[chunk.index]);
+    };
+    
+    // Read a chunk and hash it on its way out - a resend hashes it again,
+    // in case the file changed under us
+    const readAndSend = async (chunk) => {
+      const { hash, data } = await this._hashChunk(await readChunk(chunk));
+      chunkHashes[chunk.index] = hash;
+      await sendChunk(chunk, data);
+    };
+    
+    // Upload chunk function
+    const uploadChunk = async (chunk) => {
+      await readAndSend(chunk);
       
       completedChunks++;
       bytesUploaded += chunk.size;
       
-      this.onProgress({
+      this._emitProgress({
         chunksCompleted: completedChunks,
         totalChunks,
         bytesUploaded,
         totalBytes: fileSize,
         percentage: (completedChunks / totalChunks) * 100,
-      });
+      }, completedChunks === totalChunks);
+      
+      if (this.progressReporter) {
+        this.progressReporter.report(reportAs, bytesUploaded, fileSize);
+      }
     };
     
-    // Process with parallelism
-    const queue = [...chunks];
-    const workers = [];
-    
-    for (let i = 0; i < this.connections; i++) {
-      workers.push(this._processQueue(queue, uploadChunk));
-    }
-    
-    await Promise.all(workers);
+    // Process with parallelism - the tuner sets how many are in flight
+    const queue = chunks.filter(chunk => !receivedChunks.has(chunk.index));
+    await tuner.run(queue, uploadChunk);
     
     // Notify completion
-    const completeResponse = await fetch(`${this.baseUrl}/transfer/parallel/complete`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ transferId, fileHash }),
-    });
-    
-    const result = await completeResponse.json();
+    let result = await this._completeUpload(transferId, chunkHashes);
+    
+    // The receiver lost some chunks (e.g. acknowledged but not written) -
+    // send just those again and retry once
+    if (!result.success && Array.isArray(result.missingChunks) && result.missingChunks.length > 0) {
+      console.warn(`⚠️ Receiver is missing ${result.missingChunks.length} chunks, re-sending`);
+      const missing = new Set(result.missingChunks);
+      const retryQueue = chunks.filter(chunk => missing.has(chunk.index));
+      await tuner.run(retryQueue, readAndSend);
+      result = await this._completeUpload(transferId, chunkHashes);
+    }
     
     if (result.success) {
+      this._forgetResumeTransferId(file, relativePath);
       console.log(`✅ Upload complete: ${fileName}`);
+      if (this.progressReporter) {
+        this.progressReporter.complete(reportAs, fileSize);
+      }
       this.onComplete({ fileName, fileSize, success: true });
     } else {
       throw new Error(result.error || 'Upload verification failed');
@@ -181,169 +422,296 @@ class SyndroParallelUploader {
   }
 
   /**
-   * Process upload queue
+   * Upload one chunk, retrying with exponential backoff
+   *
+   * Network errors, timeouts, 5xx/429 and 409 (chunk failed the receiver's
+   * manifest check) are retried; any other error status fails immediately.
+   * Re-sending a chunk the receiver already wrote is harmless - it is
+   * acknowledged as a duplicate. Timings and failures feed the tuner.
+   * `hash` is the plaintext chunk's SHA-256, for the receiver to check.
    */
-  async _processQueue(queue, processor) {
-    while (queue.length > 0) {
-      const chunk = queue.shift();
-      if (chunk) {
-        await processor(chunk);
+  async _sendChunk(transferId, chunk, data, encrypted, compressed, hash) {
+    let attempt = 0;
+    
+    while (true) {
+      let retryable = true;
+      // A chunk that arrived corrupted says nothing about the link's load
+      let corrupted = false;
+      try {
+        const timing = {};
+        const response = await this._fetch(`${this.baseUrl}/transfer/chunk`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Transfer-Id': transferId,
+            'X-Chunk-Index': chunk.index.toString(),
+            'X-Original-Size': chunk.size.toString(),
+            'X-Encrypted': encrypted.toString(),
+            'X-Chunk-Hash': hash,
+            ...(compressed ? { 'X-Compressed': 'deflate-raw' } : {}),
+          },
+          body: data,
+        }, timing);
+        
+        if (!response.ok) {
+          retryable = response.status >= 500 ||
+            response.status === 408 ||
+            response.status === 409 ||
+            response.status === 429;
+          corrupted = response.status === 409;
+          throw new Error(`Chunk ${chunk.index} upload failed: ${response.status}`);
+        }
+        
+        this.tuner.record(data.byteLength, timing.ms);
+        return;
+      } catch (e) {
+        if (!retryable || attempt >= this.maxRetries ||
+            SyndroTransferControl.isCancellation(e)) {
+          throw e;
+        }
+        
+        if (!corrupted) {
+          this.tuner.recordFailure();
+        }
+        const delay = this._retryDelay(attempt);
+        attempt++;
+        console.warn(`⚠️ Chunk ${chunk.index} failed (${e.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
   }
 
   /**
-   * Calculate SHA-256 hash of file using streaming approach
-   * For large files (>1GB), uses partial hash for performance
-   * 
-   * @param {File} file - The file to hash
-   * @param {boolean} reportProgress - Whether to report progress via onProgress callback
-   * @returns {Promise<string>} - SHA-256 hash as hex string
+   * Exponential backoff with jitter
    */
-  async _calculateFileHash(file, reportProgress = true) {
-    const LARGE_FILE_THRESHOLD = 1024 * 1024 * 1024; // 1GB
-    const HASH_CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks for streaming
-    
-    // For very large files, use partial hash (first 1MB + last 1MB + size)
-    // This provides a unique identifier without reading the entire file
-    if (file.size > LARGE_FILE_THRESHOLD) {
-      console.log('📊 Large file detected, using partial hash for performance');
-      return this._calculatePartialHash(file, reportProgress);
-    }
-    
-    // For smaller files, use streaming hash to avoid memory issues
-    console.log('📝 Calculating file hash using streaming approach...');
-    
-    const totalChunks = Math.ceil(file.size / HASH_CHUNK_SIZE);
-    let offset = 0;
-    let chunkIndex = 0;
-    
-    // We'll collect all chunks and hash them together at the end
-    // This is more memory efficient than loading the whole file at once
-    const chunks = [];
+  _retryDelay(attempt) {
+    const exponential = this.retryBaseDelayMs * Math.pow(2, attempt);
+    const jitter = Math.random() * this.retryBaseDelayMs;
+    return Math.min(exponential + jitter, this.retryMaxDelayMs);
+  }
+
+  /**
+   * Tell the receiver all chunks are sent and get its verdict - it checks
+   * `chunkHashes` against the ones it verified each chunk with
+   */
+  async _completeUpload(transferId, chunkHashes) {
+    const completeResponse = await this._fetch(`${this.baseUrl}/transfer/parallel/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transferId, chunkHashes }),
+    });
     
-    while (offset < file.size) {
-      const end = Math.min(offset + HASH_CHUNK_SIZE, file.size);
-      const chunk = file.slice(offset, end);
-      const chunkBuffer = await chunk.arrayBuffer();
-      chunks.push(new Uint8Array(chunkBuffer));
-      
-      offset = end;
-      chunkIndex++;
+    return completeResponse.json();
+  }
+
+  /**
+   * Poll until the receiver accepts (or turns down) the transfer -
+   * resolves to its answer
+   */
+  async _waitForApproval(requestId) {
+    console.log('⏳ Waiting for the receiver to accept...');
+    this.onProgress({ phase: 'approval', message: 'Waiting for the receiver to accept...' });
+    
+    const deadline = Date.now() + this.approvalTimeoutMs;
+    
+    while (Date.now() < deadline) {
+      await this._control.checkpoint();
+      let answer = null;
+      try {
+        const response = await this._fetch(
+          `${this.baseUrl}/transfer/approval/${encodeURIComponent(requestId)}`
+        );
+        if (response.ok) {
+          answer = await response.json();
+        }
+      } catch (e) {
+        console.warn('⚠️ Error checking approval status:', e);
+      }
       
-      // Report progress
-      if (reportProgress) {
-        this.onProgress({
-          phase: 'hashing',
-          progress: (chunkIndex / totalChunks) * 100,
-          chunksProcessed: chunkIndex,
-          totalChunks: totalChunks,
-        });
+      const status = answer && answer.status;
+      if (status === 'approved') {
+        console.log('✅ Transfer accepted');
+        return answer;
+      }
+      if (status === 'rejected' || status === 'expired') {
+        throw new Error(`Transfer ${status} by receiver`);
       }
       
-      // Allow UI to update
-      await new Promise(resolve => setTimeout(resolve, 0));
+      await new Promise(resolve => setTimeout(resolve, 500));
     }
     
-    // Combine all chunks and hash
-    const combined = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
-    let pos = 0;
-    for (const chunk of chunks) {
-      combined.set(chunk, pos);
-      pos += chunk.length;
-    }
-    
-    const hashBuffer = await crypto.subtle.digest('SHA-256', combined);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    throw new Error('Transfer approval timed out');
   }
-  
+
   /**
-   * Calculate partial hash for large files (>1GB)
-   * Uses first 1MB + last 1MB + file size for unique identification
-   * This avoids loading the entire file into memory
-   * 
-   * @param {File} file - The file to hash
-   * @param {boolean} reportProgress - Whether to report progress
-   * @returns {Promise<string>} - Partial hash as hex string
+   * fetch() through the session, if there is one, and the upload's
+   * transfer control
+   *
+   * The body is read in full before returning, so a pause can't cut it
+   * off. `timing.ms` is set to how long the answered attempt took.
    */
-  async _calculatePartialHash(file, reportProgress = true) {
-    const PARTIAL_SIZE = 1024 * 1024; // 1MB
-    
-    if (reportProgress) {
-      this.onProgress({
-        phase: 'hashing',
-        progress: 0,
-        message: 'Calculating partial hash for large file...',
+  _fetch(url, init = {}, timing = null) {
+    const send = async (signal) => {
+      const started = performance.now();
+      const options = signal ? { ...init, signal } : init;
+      const response = await (this.session ? this.session.fetch(url, options) : fetch(url, options));
+      const body = [204, 205, 304].includes(response.status) ? null : await response.arrayBuffer();
+      if (timing) timing.ms = performance.now() - started;
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
       });
+    };
+    return this._control ? this._control.attempt(send) : send(null);
+  }
+
+  /**
+   * SHA-256 a chunk - resolves with { hash, data }, data being the chunk
+   * handed back (the pool's workers take it while they hash)
+   */
+  async _hashChunk(data) {
+    const result = this.cryptoPool
+      ? await this.cryptoPool.sha256(data)
+      : await SyndroCryptoJobs.run({ type: 'sha256', data });
+    if (!result.hash) {
+      throw new Error('No SHA-256 implementation available (load hash_worker.js)');
     }
-    
-    // Read first 1MB
-    const firstChunk = file.slice(0, Math.min(PARTIAL_SIZE, file.size));
-    const firstBuffer = new Uint8Array(await firstChunk.arrayBuffer());
-    
-    if (reportProgress) {
-      this.onProgress({
-        phase: 'hashing',
-        progress: 33,
-      });
+    return result;
+  }
+
+  /**
+   * Check a transfer on the receiver is this exact file before resuming it
+   *
+   * Every chunk the receiver holds is read and hashed against the hash it
+   * was checked with on arrival, filling in `chunkHashes` along the way. A
+   * chunk it holds without a hash can't be vouched for at completion, so
+   * the transfer starts over.
+   */
+  async _receiverHasSameFile(transferId, status, fileSize, chunks, readChunk, chunkHashes) {
+    if (status.fileSize !== fileSize || status.totalChunks !== chunks.length) {
+      return false;
     }
     
-    // Read last 1MB (if file is large enough)
-    let lastBuffer = new Uint8Array(0);
-    if (file.size > PARTIAL_SIZE) {
-      const lastChunk = file.slice(Math.max(PARTIAL_SIZE, file.size - PARTIAL_SIZE), file.size);
-      lastBuffer = new Uint8Array(await lastChunk.arrayBuffer());
+    const manifest = await this.getUploadManifest(transferId);
+    if (!manifest || !Array.isArray(manifest.chunkHashes) ||
+        manifest.chunkHashes.length !== chunks.length) {
+      return false;
     }
     
-    if (reportProgress) {
-      this.onProgress({
+    const held = status.receivedChunks;
+    for (let i = 0; i < held.length; i++) {
+      await this._control.checkpoint();
+      const index = held[i];
+      const expected = manifest.chunkHashes[index];
+      if (!expected || !chunks[index]) return false;
+      
+      const { hash } = await this._hashChunk(await readChunk(chunks[index]));
+      if (hash !== expected) return false;
+      chunkHashes[index] = hash;
+      
+      this._emitProgress({
         phase: 'hashing',
-        progress: 66,
-      });
+        progress: ((i + 1) / held.length) * 100,
+        chunksProcessed: i + 1,
+        totalChunks: held.length,
+      }, i + 1 === held.length);
+    }
+    return true;
+  }
+
+  /**
+   * Stable transferId for a file, remembered until its upload succeeds
+   */
+  _resumeTransferId(file, relativePath) {
+    const key = this._resumeKey(file, relativePath);
+    try {
+      const saved = localStorage.getItem(key);
+      if (saved) return saved;
+    } catch (e) {
+      // Storage disabled - uploads just won't resume across reloads
     }
     
-    // Combine: first chunk + last chunk + file size (as 8 bytes)
-    const sizeBytes = new ArrayBuffer(8);
-    new DataView(sizeBytes).setBigUint64(0, BigInt(file.size));
-    
-    const combined = new Uint8Array(firstBuffer.length + lastBuffer.length + 8);
-    combined.set(firstBuffer, 0);
-    combined.set(lastBuffer, firstBuffer.length);
-    combined.set(new Uint8Array(sizeBytes), firstBuffer.length + lastBuffer.length);
-    
-    const hashBuffer = await crypto.subtle.digest('SHA-256', combined);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    
-    if (reportProgress) {
-      this.onProgress({
-        phase: 'hashing',
-        progress: 100,
+    const transferId = `browser-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    try {
+      localStorage.setItem(key, transferId);
+    } catch (e) {
+      // Ignore - see above
+    }
+    return transferId;
+  }
+
+  _forgetResumeTransferId(file, relativePath) {
+    try {
+      localStorage.removeItem(this._resumeKey(file, relativePath));
+    } catch (e) {
+      // Ignore
+    }
+  }
+
+  _resumeKey(file, relativePath) {
+    return `syndro-upload:${relativePath || file.name}:${file.size}:${file.lastModified || 0}`;
+  }
+
+  /**
+   * The tuner, made on first use
+   */
+  async _getTuner() {
+    if (!this.tuner) {
+      const recommended = this.configUrl
+        ? await SyndroAdaptiveTuner.fetchConfig(this.configUrl)
+        : null;
+      this.tuner = new SyndroAdaptiveTuner({
+        connections: this.connections,
+        chunkSize: this.chunkSize,
+        ...recommended,
       });
     }
-    
-    // Prefix with 'p' to indicate partial hash
-    return 'p' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    return this.tuner;
   }
 
   /**
-   * Encrypt chunk using AES-256-GCM
+   * onProgress, unless the last one went out less than
+   * progressIntervalMs ago - `final` ones always go out
    */
-  async _encryptChunk(data) {
-    const nonce = crypto.getRandomValues(new Uint8Array(12));
-    
-    const encrypted = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: nonce, tagLength: 128 },
-      this.encryptionKey,
-      data
-    );
-    
-    // Combine: nonce (12) + ciphertext + tag (16)
-    const result = new Uint8Array(12 + encrypted.byteLength);
-    result.set(nonce, 0);
-    result.set(new Uint8Array(encrypted), 12);
+  _emitProgress(progress, final) {
+    const now = performance.now();
+    if (!final && now - this._lastProgressAt < this.progressIntervalMs) return;
+    this._lastProgressAt = now;
+    this.onProgress(progress);
+  }
+
+  /**
+   * Whether chunks can be compressed - deflate-raw needs a recent browser
+   */
+  _canCompress() {
+    if (!this.compression || typeof CompressionStream !== 'function') return false;
+    try {
+      new CompressionStream('deflate-raw');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  _negotiatedCompression(json) {
+    return json && json.compression === 'deflate-raw' ? 'deflate-raw' : null;
+  }
+  
+  /**
+   * deflate-raw a chunk - { data, compressed }, the chunk as it was if it
+   * didn't get smaller
+   */
+  async _compressChunk(data) {
+    if (this.cryptoPool) {
+      return this.cryptoPool.deflate(data);
+    }
     
-    return result;
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+    return deflated.length < data.length
+      ? { data: deflated, compressed: true }
+      : { data, compressed: false };
   }
 
   /**
@@ -0,0 +1,68 @@
+/**
+ * Syndro Progress Reporter
+ *
+ * Tells the app how far this page has got with each file, so the host sees
+ * a progress bar per guest. Reports are throttled and best effort - a lost
+ * one is simply superseded by the next, and none of them ever holds up the
+ * transfer itself.
+ *
+ * A file is identified as { fileId } (share links - the app names it from
+ * its own list) or { fileName } (receive links).
+ */
+
+class SyndroProgressReporter {
+  constructor(options = {}) {
+    this.url = options.url || '/api/progress';
+    // At most one report per file per interval, besides the final one
+    this.intervalMs = options.intervalMs || 2000;
+    this._lastSent = new Map();
+  }
+
+  /**
+   * Report progress - dropped if this file was reported too recently
+   */
+  report(file, bytes, total) {
+    const key = this._key(file);
+    const now = Date.now();
+    if (now - (this._lastSent.get(key) || 0) < this.intervalMs) return;
+    this._lastSent.set(key, now);
+    this._send({ ...file, bytes, total });
+  }
+
+  /**
+   * Report that the file is complete
+   */
+  complete(file, total) {
+    this._lastSent.delete(this._key(file));
+    this._send({ ...file, bytes: total, total, done: true });
+  }
+
+  /**
+   * Report that the transfer failed or was abandoned
+   */
+  fail(file, total) {
+    this._lastSent.delete(this._key(file));
+    this._send({ ...file, bytes: 0, total, failed: true });
+  }
+
+  _key(file) {
+    return file.fileId !== undefined ? 'id:' + file.fileId : 'name:' + file.fileName;
+  }
+
+  _send(body) {
+    try {
+      // keepalive lets the last report out even as the page closes
+      fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        keepalive: true,
+      }).catch(() => {});
+    } catch (e) {
+      // Reporting is optional - never let it break a transfer
+    }
+  }
+}
+
+// Export
+window.SyndroProgressReporter = SyndroProgressReporter;
@@ -133,6 +133,23 @@ class ReceivePageTemplate {
             fill: #F472B6;
         }
 
+        .picker-btn.folder {
+            grid-column: 1 / -1;
+            background: linear-gradient(135deg, rgba(52, 211, 153, 0.15), rgba(52, 211, 153, 0.05));
+            border-color: rgba(52, 211, 153, 0.3);
+            color: #34D399;
+        }
+
+        .picker-btn.folder:hover {
+            background: linear-gradient(135deg, rgba(52, 211, 153, 0.25), rgba(52, 211, 153, 0.1));
+            border-color: rgba(52, 211, 153, 0.6);
+            transform: translateY(-2px);
+        }
+
+        .picker-btn.folder svg {
+            fill: #34D399;
+        }
+
         .picker-btn:disabled {
             opacity: 0.5;
             cursor: not-allowed;
@@ -311,11 +328,21 @@ class ReceivePageTemplate {
             color: #A78BFA;
         }
 
+        .file-status.awaiting {
+            background: rgba(148, 163, 184, 0.15);
+            color: #94A3B8;
+        }
+
         .file-status.uploading {
             background: rgba(91, 141, 239, 0.15);
             color: #5B8DEF;
         }
 
+        .file-status.paused {
+            background: rgba(148, 163, 184, 0.15);
+            color: #CBD5E1;
+        }
+
         .file-status.success {
             background: rgba(34, 197, 94, 0.15);
             color: #22C55E;
@@ -356,6 +383,35 @@ class ReceivePageTemplate {
             fill: #F87171;
         }
 
+        .file-pause {
+            width: 32px;
+            height: 32px;
+            border-radius: 8px;
+            background: rgba(91, 141, 239, 0.15);
+            border: none;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: all 0.2s;
+            flex-shrink: 0;
+            margin-left: 12px;
+        }
+
+        .file-pause:hover {
+            background: rgba(91, 141, 239, 0.3);
+        }
+
+        .file-pause svg {
+            width: 18px;
+            height: 18px;
+            fill: #5B8DEF;
+        }
+
+        .file-pause + .file-remove {
+            margin-left: 8px;
+        }
+
         /* Progress bar under each file */
         .file-progress {
             margin-top: 10px;
@@ -732,6 +788,148 @@ class ReceivePageTemplate {
             }
         }
 
+        /* PIN / passphrase unlock */
+        .unlock {
+            background: rgba(20, 20, 32, 0.8);
+            border-radius: 16px;
+            padding: 28px 24px;
+            margin-top: 24px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+            text-align: center;
+        }
+
+        .unlock p {
+            color: #94A3B8;
+            font-size: 14px;
+            margin-bottom: 16px;
+        }
+
+        .unlock input {
+            width: 100%;
+            max-width: 280px;
+            padding: 12px 16px;
+            border-radius: 12px;
+            border: 1px solid rgba(123, 94, 242, 0.3);
+            background: rgba(10, 10, 15, 0.6);
+            color: #F8FAFC;
+            font-size: 18px;
+            text-align: center;
+            letter-spacing: 2px;
+            outline: none;
+        }
+
+        .unlock input:focus {
+            border-color: #7B5EF2;
+        }
+
+        .unlock button {
+            display: block;
+            margin: 16px auto 0;
+            background: linear-gradient(135deg, #5B8DEF, #7B5EF2);
+            color: white;
+            border: none;
+            padding: 12px 32px;
+            border-radius: 12px;
+            font-weight: 600;
+            font-size: 15px;
+            cursor: pointer;
+        }
+
+        .unlock button:disabled {
+            background: #475569;
+            cursor: not-allowed;
+        }
+
+        .unlock-error {
+            color: #F87171;
+            font-size: 13px;
+            min-height: 18px;
+            margin-top: 12px;
+        }
+
+        /* ========================================
+           TEXT COMPOSE
+        ======================================== */
+        .text-compose {
+            background: rgba(20, 20, 32, 0.8);
+            border-radius: 16px;
+            padding: 16px;
+            margin-top: 20px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+        }
+
+        .text-compose-title {
+            font-weight: 600;
+            font-size: 14px;
+            color: #94A3B8;
+            margin-bottom: 12px;
+        }
+
+        .text-compose textarea {
+            width: 100%;
+            min-height: 80px;
+            resize: vertical;
+            padding: 12px;
+            border-radius: 12px;
+            border: 1px solid rgba(123, 94, 242, 0.3);
+            background: rgba(10, 10, 15, 0.6);
+            color: #F8FAFC;
+            font-family: monospace;
+            font-size: 14px;
+            outline: none;
+        }
+
+        .text-compose textarea:focus {
+            border-color: #7B5EF2;
+        }
+
+        .text-compose-actions {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            margin-top: 12px;
+        }
+
+        .text-compose-status {
+            font-size: 13px;
+            color: #94A3B8;
+        }
+
+        .text-compose-status.error {
+            color: #F87171;
+        }
+
+        .text-compose button {
+            background: linear-gradient(135deg, #5B8DEF, #7B5EF2);
+            color: white;
+            border: none;
+            padding: 10px 24px;
+            border-radius: 12px;
+            font-weight: 600;
+            font-size: 14px;
+            cursor: pointer;
+        }
+
+        .text-compose button:disabled {
+            background: #475569;
+            cursor: not-allowed;
+        }
+
+        .text-sent-item {
+            margin-top: 8px;
+            padding: 10px 12px;
+            border-radius: 12px;
+            background: rgba(30, 30, 46, 0.5);
+            font-family: monospace;
+            font-size: 13px;
+            color: #CBD5E1;
+            white-space: pre-wrap;
+            word-break: break-word;
+            max-height: 120px;
+            overflow: hidden;
+        }
+
         .footer {
             text-align: center;
             padding: 24px;
@@ -752,9 +950,16 @@ class ReceivePageTemplate {
                 <svg viewBox="0 0 24 24"><path d="M9 16h6v-6h4l-7-7-7 7h4v6zm-4 2h14v2H5v-2z"/></svg>
             </div>
             <h1>Send Files</h1>
-            <p class="subtitle">Select files to send automatically</p>
+            <p class="subtitle">Select files - they are sent once the receiver accepts them</p>
         </div>
 
+        <form id="unlock" class="unlock" style="display: none;" onsubmit="submitUnlock(event)">
+            <p>🔒 The receiver protected this link. Enter the PIN or passphrase they gave you.</p>
+            <input id="unlock-input" type="password" autocomplete="off" aria-label="PIN or passphrase" maxlength="64">
+            <button id="unlock-btn" type="submit">Unlock</button>
+            <div id="unlock-error" class="unlock-error"></div>
+        </form>
+
         <!-- Main Content -->
         <div id="main-content">
             <!-- Drop Zone -->
@@ -780,11 +985,16 @@ class ReceivePageTemplate {
                     <svg viewBox="0 0 24 24"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>
                     Select Media
                 </button>
+                <button type="button" class="picker-btn folder" id="folder-btn">
+                    <svg viewBox="0 0 24 24"><path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/></svg>
+                    Select Folder
+                </button>
             </div>
 
             <!-- Hidden File Inputs -->
             <input type="file" id="files-input" class="file-input" multiple>
             <input type="file" id="media-input" class="file-input" multiple accept="image/*,video/*">
+            <input type="file" id="folder-input" class="file-input" webkitdirectory multiple>
 
             <!-- File List -->
             <div id="file-list" class="file-list">
@@ -803,6 +1013,18 @@ class ReceivePageTemplate {
                 </div>
                 <div class="summary-text" id="summary-text">Your files have been sent successfully</div>
             </div>
+
+            <!-- Text Compose -->
+            <form id="text-compose" class="text-compose" onsubmit="sendText(event)">
+                <div class="text-compose-title">Send text or a link</div>
+                <textarea id="text-input" maxlength="65536" aria-label="Text to send"
+                    placeholder="Paste a link, a Wi-Fi password, a code snippet..."></textarea>
+                <div class="text-compose-actions">
+                    <span id="text-status" class="text-compose-status"></span>
+                    <button id="text-send-btn" type="submit">Send</button>
+                </div>
+                <div id="text-sent"></div>
+            </form>
         </div>
 
         <!-- Image Preview Modal -->
@@ -833,11 +1055,16 @@ class ReceivePageTemplate {
         </div>
     </div>
 
+    <script src="/js/hash_worker.js"></script>
+    <script src="/js/crypto_worker.js"></script>
+    <script src="/js/adaptive_tuner.js"></script>
+    <script src="/js/chunk_format.js"></script>
+    <script src="/js/transfer_control.js"></script>
+    <script src="/js/parallel_upload.js"></script>
+    <script src="/js/progress_reporter.js"></script>
+    <script src="/js/snippets.js"></script>
+    <script src="/js/upload_queue.js"></script>
     <script>
-        // File data structure: { file, status, progress, error, url }
-        let fileItems = [];
-        let isUploading = false;
-
         // Media file extensions
         const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'heic', 'heif', 'svg'];
         const videoExtensions = ['mp4', 'mov', 'avi', 'mkv', 'webm', 'flv', 'm4v', '3gp', 'wmv'];
@@ -845,8 +1072,10 @@ class ReceivePageTemplate {
         // DOM Elements
         let filesInput = document.getElementById('files-input');
         let mediaInput = document.getElementById('media-input');
+        let folderInput = document.getElementById('folder-input');
         const filesBtn = document.getElementById('files-btn');
         const mediaBtn = document.getElementById('media-btn');
+        const folderBtn = document.getElementById('folder-btn');
         const dropZone = document.getElementById('drop-zone');
         const fileList = document.getElementById('file-list');
         const fileItemsContainer = document.getElementById('file-items');
@@ -868,6 +1097,16 @@ class ReceivePageTemplate {
         let currentImageIndex = 0;
         let imageFiles = [];
 
+        // Files being sent, uploaded one after another as they're added
+        const uploadQueue = new SyndroUploadQueue({
+            // Lets the receiving app show how far each upload has got
+            progressReporter: typeof SyndroProgressReporter === 'function' ? new SyndroProgressReporter() : null,
+            imageExtensions: imageExtensions,
+            isLocked: isLocked,
+            onLocked: showUnlock,
+            onChange: renderFileList
+        });
+
         // ========================================
         // EVENT LISTENERS
         // ========================================
@@ -882,6 +1121,16 @@ class ReceivePageTemplate {
             mediaInput.click();
         });
 
+        // Folder picking isn't available everywhere (e.g. iOS Safari)
+        if (!('webkitdirectory' in folderInput)) {
+            folderBtn.style.display = 'none';
+        }
+
+        folderBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            folderInput.click();
+        });
+
         // Drop zone click to open file picker
         dropZone.addEventListener('click', function(e) {
             // Don't trigger if clicking on hint text
@@ -891,6 +1140,7 @@ class ReceivePageTemplate {
 
         filesInput.addEventListener('change', handleFileSelect);
         mediaInput.addEventListener('change', handleFileSelect);
+        folderInput.addEventListener('change', handleFileSelect);
 
         clearAllBtn.addEventListener('click', clearAllFiles);
 
@@ -929,31 +1179,14 @@ class ReceivePageTemplate {
         // ========================================
 
         function handleFileSelect(event) {
-            const files = Array.from(event.target.files);
-            if (!files || files.length === 0) return;
-
-            // Add files that aren't already in the list
-            files.forEach(file => {
-                const exists = fileItems.some(f => f.file.name === file.name && f.file.size === file.size);
-                if (!exists) {
-                    const url = isImage(file.name) ? URL.createObjectURL(file) : null;
-                    fileItems.push({
-                        file: file,
-                        status: 'pending', // pending, uploading, success, error
-                        progress: 0,
-                        error: null,
-                        url: url
-                    });
-                }
-            });
+            const entries = SyndroUploadQueue.entriesFromInput(event.target);
+            if (entries.length === 0) return;
+
+            // Auto-uploads new files
+            uploadQueue.add(entries);
 
             // Clear the input
             event.target.value = '';
-
-            renderFileList();
-            
-            // Auto-upload new files
-            uploadPendingFiles();
         }
 
         function isImage(filename) {
@@ -980,6 +1213,7 @@ class ReceivePageTemplate {
         }
 
         function renderFileList() {
+            const fileItems = uploadQueue.items;
             if (fileItems.length === 0) {
                 fileList.classList.remove('active');
                 summary.classList.remove('active');
@@ -991,13 +1225,22 @@ class ReceivePageTemplate {
             // Update count
             const pendingCount = fileItems.filter(f => f.status === 'pending').length;
             const uploadingCount = fileItems.filter(f => f.status === 'uploading').length;
+            const pausedCount = fileItems.filter(f => f.status === 'paused').length;
             const successCount = fileItems.filter(f => f.status === 'success').length;
             const errorCount = fileItems.filter(f => f.status === 'error').length;
+            const rejectedCount = fileItems.filter(f => f.status === 'rejected').length;
+            const awaitingCount = fileItems.filter(f => f.status === 'new' || f.status === 'awaiting').length;
             
             let countText = `${fileItems.length} file${fileItems.length > 1 ? 's' : ''}`;
+            if (awaitingCount > 0) {
+                countText += ` • ${awaitingCount} waiting for approval`;
+            }
             if (uploadingCount > 0) {
                 countText += ` • ${uploadingCount} uploading`;
             }
+            if (pausedCount > 0) {
+                countText += ` • ${pausedCount} paused`;
+            }
             if (successCount > 0) {
                 countText += ` • ${successCount} sent`;
             }
@@ -1034,29 +1277,37 @@ class ReceivePageTemplate {
                 }
 
                 let statusHtml = '';
-                if (item.status === 'pending') {
+                if (item.status === 'new' || item.status === 'awaiting') {
+                    statusHtml = '<span class="file-status awaiting">WAITING FOR APPROVAL</span>';
+                } else if (item.status === 'pending') {
                     statusHtml = '<span class="file-status pending">PENDING</span>';
                 } else if (item.status === 'uploading') {
                     statusHtml = '<span class="file-status uploading">UPLOADING</span>';
+                } else if (item.status === 'paused') {
+                    statusHtml = '<span class="file-status paused">PAUSED</span>';
                 } else if (item.status === 'success') {
                     statusHtml = '<span class="file-status success">SENT</span>';
                 } else if (item.status === 'error') {
                     statusHtml = '<span class="file-status error">FAILED</span>';
+                } else if (item.status === 'rejected') {
+                    statusHtml = '<span class="file-status error">DECLINED</span>';
                 }
 
                 let progressHtml = '';
-                if (item.status === 'uploading' || item.status === 'success' || item.status === 'error') {
+                if (item.status === 'uploading' || item.status === 'paused' || item.status === 'success' || item.status === 'error' || item.status === 'rejected') {
                     let progressClass = '';
                     if (item.status === 'success') progressClass = 'success';
-                    if (item.status === 'error') progressClass = 'error';
+                    if (item.status === 'error' || item.status === 'rejected') progressClass = 'error';
                     
                     let progressText = '';
                     if (item.status === 'uploading') {
-                        progressText = `${item.progress}%`;
+                        progressText = item.statusText || `${item.progress}%`;
+                    } else if (item.status === 'paused') {
+                        progressText = `Paused at ${item.progress}%`;
                     } else if (item.status === 'success') {
                         progressText = 'Completed';
-                    } else if (item.status === 'error') {
-                        progressText = item.error || 'Failed';
+                    } else if (item.status === 'error' || item.status === 'rejected') {
+                        progressText = escapeHtml(item.error || 'Failed');
                     }
 
                     progressHtml = `
@@ -1068,20 +1319,34 @@ class ReceivePageTemplate {
                         </div>`;
                 }
 
-                const canRemove = item.status !== 'uploading';
+                // Chunked uploads can be paused; removing a running one cancels it
+                let pauseHtml = '';
+                if (item.status === 'paused') {
+                    pauseHtml = `
+                            <button type="button" class="file-pause" title="Resume" onclick="resumeFile(${index})">
+                                <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                            </button>`;
+                } else if (uploadQueue.canPause(index)) {
+                    pauseHtml = `
+                            <button type="button" class="file-pause" title="Pause" onclick="pauseFile(${index})">
+                                <svg viewBox="0 0 24 24"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>
+                            </button>`;
+                }
+                const removeTitle = item.status === 'uploading' || item.status === 'paused' ? 'Cancel' : 'Remove';
 
                 return `
                     <div class="file-item" data-index="${index}">
                         <div class="file-item-content">
                             ${thumbHtml}
                             <div class="file-info">
-                                <div class="file-name">${escapeHtml(file.name)}</div>
+                                <div class="file-name">${escapeHtml(item.relativePath || file.name)}</div>
                                 <div class="file-meta">
                                     <span class="file-size">${formatSize(file.size)}</span>
                                     ${statusHtml}
                                 </div>
                             </div>
-                            <button type="button" class="file-remove" ${canRemove ? '' : 'disabled'} onclick="removeFile(${index})">
+                            ${pauseHtml}
+                            <button type="button" class="file-remove" title="${removeTitle}" onclick="removeFile(${index})">
                                 <svg viewBox="0 0 24 24"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
                             </button>
                         </div>
@@ -1091,13 +1356,16 @@ class ReceivePageTemplate {
             }).join('');
 
             // Show summary if all files processed
-            const allProcessed = fileItems.every(f => f.status === 'success' || f.status === 'error');
+            const allProcessed = fileItems.every(f => f.status === 'success' || f.status === 'error' || f.status === 'rejected');
             if (allProcessed && fileItems.length > 0) {
                 summary.classList.add('active');
-                if (errorCount > 0) {
+                if (errorCount > 0 || rejectedCount > 0) {
                     summary.classList.add('has-errors');
                     summaryTitleText.textContent = 'Transfer Complete';
-                    summaryText.textContent = `${successCount} sent, ${errorCount} failed`;
+                    const parts = [`${successCount} sent`];
+                    if (errorCount > 0) parts.push(`${errorCount} failed`);
+                    if (rejectedCount > 0) parts.push(`${rejectedCount} declined`);
+                    summaryText.textContent = parts.join(', ');
                 } else {
                     summary.classList.remove('has-errors');
                     summaryTitleText.textContent = 'All files sent!';
@@ -1108,139 +1376,88 @@ class ReceivePageTemplate {
             }
         }
 
+        function pauseFile(index) {
+            uploadQueue.pause(index);
+        }
+
+        function resumeFile(index) {
+            uploadQueue.resume(index);
+        }
+
         function removeFile(index) {
-            const item = fileItems[index];
-            if (item.status === 'uploading') return;
-            
-            // Revoke object URL if exists
-            if (item.url) {
-                URL.revokeObjectURL(item.url);
-            }
-            
-            fileItems.splice(index, 1);
-            renderFileList();
+            // Cancels the upload if it's running
+            uploadQueue.remove(index);
         }
 
         function clearAllFiles() {
-            // Only clear files that are not uploading
-            const uploadingFiles = fileItems.filter(f => f.status === 'uploading');
-            
-            // Revoke all object URLs
-            fileItems.forEach(item => {
-                if (item.url && item.status !== 'uploading') {
-                    URL.revokeObjectURL(item.url);
-                }
-            });
-            
-            fileItems = uploadingFiles;
-            renderFileList();
+            uploadQueue.clear();
         }
 
         // ========================================
-        // UPLOAD
+        // UNLOCK
         // ========================================
 
-        async function uploadPendingFiles() {
-            if (isUploading) return;
-            
-            const pendingFiles = fileItems.filter(f => f.status === 'pending');
-            if (pendingFiles.length === 0) return;
-
-            isUploading = true;
-
-            for (const item of pendingFiles) {
-                // Check if item still exists and is pending
-                const currentIndex = fileItems.indexOf(item);
-                if (currentIndex === -1 || item.status !== 'pending') continue;
-
-                // Show "preparing" status for large files (> 100MB)
-                const LARGE_FILE_THRESHOLD = 100 * 1024 * 1024;
-                if (item.file.size > LARGE_FILE_THRESHOLD) {
-                    item.status = 'preparing';
-                    item.progress = 0;
-                    item.statusText = 'Preparing...';
-                    renderFileList();
-                    
-                    // Allow UI to update
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-
-                item.status = 'uploading';
-                item.progress = 0;
-                item.statusText = null;
-                renderFileList();
-
-                try {
-                    await uploadFile(item);
-                    item.status = 'success';
-                    item.progress = 100;
-                } catch (error) {
-                    item.status = 'error';
-                    item.error = error.message || 'Upload failed';
-                    item.progress = 100;
-                }
-                
-                renderFileList();
-            }
-
-            isUploading = false;
-            
-            // Check if there are new pending files added during upload
-            const newPending = fileItems.filter(f => f.status === 'pending');
-            if (newPending.length > 0) {
-                uploadPendingFiles();
+        // PIN-protected link: nothing can be sent until the guest unlocks it,
+        // then the session cookie goes along with every upload request
+        async function isLocked() {
+            try {
+                const response = await fetch('/api/session');
+                const data = await response.json();
+                return data.locked && !data.unlocked;
+            } catch (e) {
+                return false;
             }
         }
 
-        function uploadFile(item) {
-            return new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-                const formData = new FormData();
-                formData.append('file', item.file, item.file.name);
-
-                xhr.upload.addEventListener('progress', function(e) {
-                    if (e.lengthComputable) {
-                        item.progress = Math.round((e.loaded / e.total) * 100);
-                        renderFileList();
-                    }
-                });
-
-                xhr.addEventListener('load', function() {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        try {
-                            const result = JSON.parse(xhr.responseText);
-                            if (result.status === 'error') {
-                                reject(new Error(result.message || 'Upload failed'));
-                            } else {
-                                resolve(result);
-                            }
-                        } catch (e) {
-                            resolve({});
-                        }
-                    } else {
-                        reject(new Error(`Server error: ${xhr.status}`));
-                    }
-                });
+        function showUnlock() {
+            document.getElementById('main-content').style.display = 'none';
+            document.getElementById('unlock').style.display = 'block';
+            document.getElementById('unlock-input').focus();
+        }
 
-                xhr.addEventListener('error', function() {
-                    reject(new Error('Network error'));
-                });
+        async function submitUnlock(event) {
+            event.preventDefault();
+            const input = document.getElementById('unlock-input');
+            const button = document.getElementById('unlock-btn');
+            const error = document.getElementById('unlock-error');
+            if (!input.value) return;
 
-                xhr.addEventListener('abort', function() {
-                    reject(new Error('Upload cancelled'));
+            button.disabled = true;
+            error.textContent = '';
+            try {
+                const response = await fetch('/api/unlock', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ passcode: input.value }),
                 });
-
-                xhr.open('POST', '/upload');
-                xhr.send(formData);
-            });
+                if (response.ok) {
+                    input.value = '';
+                    document.getElementById('unlock').style.display = 'none';
+                    document.getElementById('main-content').style.display = '';
+                    uploadQueue.start();
+                    return;
+                }
+                error.textContent = response.status === 429
+                    ? 'Too many attempts. Wait a minute and try again.'
+                    : 'Wrong PIN or passphrase.';
+                input.select();
+            } catch (e) {
+                error.textContent = 'Could not reach the receiver.';
+            } finally {
+                button.disabled = false;
+            }
         }
 
+        isLocked().then(function(locked) {
+            if (locked) showUnlock();
+        });
+
         // ========================================
         // IMAGE MODAL
         // ========================================
 
         function openImageModal(fileIndex) {
-            const item = fileItems[fileIndex];
+            const item = uploadQueue.items[fileIndex];
             if (!item || !isImage(item.file.name) || !item.url) return;
 
             // Find index in imageFiles array
@@ -1335,38 +1552,65 @@ class ReceivePageTemplate {
             dragCounter = 0;
             dropZone.classList.remove('drag-over');
 
-            const files = Array.from(e.dataTransfer.files);
-            handleDroppedFiles(files);
+            SyndroUploadQueue.collectDropped(e.dataTransfer).then(handleDroppedFiles);
         });
 
         // Also support dropping anywhere on the page (fallback)
         document.body.addEventListener('drop', (e) => {
             e.preventDefault();
-            const files = Array.from(e.dataTransfer.files);
-            if (files.length > 0) {
-                handleDroppedFiles(files);
-            }
+            SyndroUploadQueue.collectDropped(e.dataTransfer).then(handleDroppedFiles);
         });
 
-        function handleDroppedFiles(files) {
-            if (!files || files.length === 0) return;
-
-            files.forEach(file => {
-                const exists = fileItems.some(f => f.file.name === file.name && f.file.size === file.size);
-                if (!exists) {
-                    const url = isImage(file.name) ? URL.createObjectURL(file) : null;
-                    fileItems.push({
-                        file: file,
-                        status: 'pending',
-                        progress: 0,
-                        error: null,
-                        url: url
-                    });
+        function handleDroppedFiles(entries) {
+            if (!entries || entries.length === 0) return;
+            uploadQueue.add(entries);
+        }
+
+        // ========================================
+        // TEXT
+        // ========================================
+
+        const snippets = new SyndroSnippets();
+        // What this page has sent, newest first
+        const sentTexts = [];
+
+        async function sendText(event) {
+            event.preventDefault();
+            const input = document.getElementById('text-input');
+            const button = document.getElementById('text-send-btn');
+            const status = document.getElementById('text-status');
+            const text = input.value;
+            if (!text.trim()) return;
+
+            button.disabled = true;
+            status.className = 'text-compose-status';
+            status.textContent = 'Sending...';
+            try {
+                await snippets.send(text, () => {
+                    status.textContent = 'Waiting for approval...';
+                });
+                input.value = '';
+                status.textContent = 'Sent!';
+                sentTexts.unshift(text);
+                if (sentTexts.length > 5) sentTexts.pop();
+                renderSentTexts();
+            } catch (error) {
+                if (await isLocked()) {
+                    status.textContent = '';
+                    showUnlock();
+                    return;
                 }
-            });
+                status.className = 'text-compose-status error';
+                status.textContent = error.message || 'Could not send';
+            } finally {
+                button.disabled = false;
+            }
+        }
 
-            renderFileList();
-            uploadPendingFiles();
+        function renderSentTexts() {
+            document.getElementById('text-sent').innerHTML = sentTexts
+                .map(text => `<div class="text-sent-item">${escapeHtml(text)}</div>`)
+                .join('');
         }
     </script>
 </body>
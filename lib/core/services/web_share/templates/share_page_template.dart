@@ -86,6 +86,88 @@ class SharePageTemplate {
             margin-right: 6px;
         }
 
+        /* Live share state - approval, expiry */
+        .share-status {
+            text-align: center;
+            padding: 14px 16px;
+            margin-top: 24px;
+            border-radius: 12px;
+            font-size: 14px;
+            color: #E2E8F0;
+            background: rgba(123, 94, 242, 0.12);
+            border: 1px solid rgba(123, 94, 242, 0.3);
+        }
+
+        .share-status.ended {
+            background: rgba(239, 68, 68, 0.12);
+            border-color: rgba(239, 68, 68, 0.35);
+        }
+
+        .share-expiry {
+            color: #64748B;
+            font-size: 12px;
+            margin-top: 8px;
+        }
+
+        /* PIN / passphrase unlock */
+        .unlock {
+            background: rgba(20, 20, 32, 0.8);
+            border-radius: 16px;
+            padding: 28px 24px;
+            margin-top: 24px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+            text-align: center;
+        }
+
+        .unlock p {
+            color: #94A3B8;
+            font-size: 14px;
+            margin-bottom: 16px;
+        }
+
+        .unlock input {
+            width: 100%;
+            max-width: 280px;
+            padding: 12px 16px;
+            border-radius: 12px;
+            border: 1px solid rgba(123, 94, 242, 0.3);
+            background: rgba(10, 10, 15, 0.6);
+            color: #F8FAFC;
+            font-size: 18px;
+            text-align: center;
+            letter-spacing: 2px;
+            outline: none;
+        }
+
+        .unlock input:focus {
+            border-color: #7B5EF2;
+        }
+
+        .unlock button {
+            display: block;
+            margin: 16px auto 0;
+            background: linear-gradient(135deg, #5B8DEF, #7B5EF2);
+            color: white;
+            border: none;
+            padding: 12px 32px;
+            border-radius: 12px;
+            font-weight: 600;
+            font-size: 15px;
+            cursor: pointer;
+        }
+
+        .unlock button:disabled {
+            background: #475569;
+            cursor: not-allowed;
+        }
+
+        .unlock-error {
+            color: #F87171;
+            font-size: 13px;
+            min-height: 18px;
+            margin-top: 12px;
+        }
+
         .file-list {
             background: rgba(20, 20, 32, 0.8);
             border-radius: 16px;
@@ -197,6 +279,21 @@ class SharePageTemplate {
             min-width: 0;
         }
 
+        .file-check {
+            display: flex;
+            align-items: center;
+            margin-right: 12px;
+            flex-shrink: 0;
+            cursor: pointer;
+        }
+
+        .file-check input {
+            width: 20px;
+            height: 20px;
+            accent-color: #7B5EF2;
+            cursor: pointer;
+        }
+
         .file-name {
             font-weight: 500;
             white-space: nowrap;
@@ -210,6 +307,16 @@ class SharePageTemplate {
             font-size: 13px;
         }
 
+        .file-policy {
+            color: #FBBF24;
+            font-size: 12px;
+            margin-top: 2px;
+        }
+
+        .file-policy.ended {
+            color: #F87171;
+        }
+
         .download-btn {
             background: linear-gradient(135deg, #5B8DEF, #7B5EF2);
             color: white;
@@ -231,6 +338,17 @@ class SharePageTemplate {
             box-shadow: 0 8px 20px rgba(123, 94, 242, 0.3);
         }
 
+        .download-btn.busy {
+            opacity: 0.8;
+            pointer-events: none;
+        }
+
+        .download-btn.unavailable {
+            background: #475569;
+            cursor: not-allowed;
+            pointer-events: none;
+        }
+
         .download-btn svg {
             width: 18px;
             height: 18px;
@@ -275,6 +393,141 @@ class SharePageTemplate {
             text-decoration: none;
         }
 
+        /* Text from the sender */
+        .snippet-section {
+            background: rgba(20, 20, 32, 0.8);
+            border-radius: 16px;
+            padding: 16px;
+            margin-top: 24px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+        }
+
+        .snippet-item {
+            display: flex;
+            align-items: flex-start;
+            gap: 12px;
+            padding: 10px 12px;
+            margin-top: 8px;
+            border-radius: 12px;
+            background: rgba(30, 30, 46, 0.5);
+        }
+
+        .snippet-text {
+            flex: 1;
+            min-width: 0;
+            font-family: monospace;
+            font-size: 13px;
+            color: #CBD5E1;
+            white-space: pre-wrap;
+            word-break: break-word;
+            max-height: 160px;
+            overflow: auto;
+        }
+
+        .snippet-text a {
+            color: #5B8DEF;
+        }
+
+        .copy-btn {
+            background: rgba(123, 94, 242, 0.15);
+            border: none;
+            color: #F8FAFC;
+            padding: 6px 12px;
+            border-radius: 8px;
+            font-size: 12px;
+            cursor: pointer;
+            flex-shrink: 0;
+        }
+
+        .copy-btn:hover {
+            background: rgba(123, 94, 242, 0.3);
+        }
+
+        /* Send back - two-way sessions */
+        .send-section {
+            background: rgba(20, 20, 32, 0.8);
+            border-radius: 16px;
+            padding: 16px;
+            margin-top: 24px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+        }
+
+        .send-title {
+            font-weight: 600;
+            margin-bottom: 12px;
+        }
+
+        .send-drop {
+            border: 2px dashed rgba(123, 94, 242, 0.4);
+            border-radius: 12px;
+            padding: 24px;
+            text-align: center;
+            color: #94A3B8;
+            font-size: 14px;
+            cursor: pointer;
+            transition: all 0.2s;
+        }
+
+        .send-drop:hover,
+        .send-drop.drag-over {
+            border-color: #7B5EF2;
+            background: rgba(123, 94, 242, 0.1);
+            color: #F8FAFC;
+        }
+
+        .send-item {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 10px 4px 4px;
+            font-size: 13px;
+        }
+
+        .send-item .file-name {
+            flex: 1;
+            margin-bottom: 0;
+        }
+
+        .send-status {
+            color: #94A3B8;
+            flex-shrink: 0;
+        }
+
+        .send-status.success { color: #22C55E; }
+        .send-status.error,
+        .send-status.rejected { color: #F87171; }
+        .send-status.paused { color: #CBD5E1; }
+
+        .send-action {
+            width: 26px;
+            height: 26px;
+            flex-shrink: 0;
+            border: none;
+            border-radius: 6px;
+            background: rgba(148, 163, 184, 0.15);
+            color: #CBD5E1;
+            font-size: 11px;
+            cursor: pointer;
+        }
+
+        .send-action:hover {
+            background: rgba(148, 163, 184, 0.3);
+        }
+
+        .send-progress {
+            height: 3px;
+            margin: 0 4px;
+            background: rgba(123, 94, 242, 0.15);
+            border-radius: 2px;
+            overflow: hidden;
+        }
+
+        .send-progress div {
+            height: 100%;
+            background: linear-gradient(135deg, #5B8DEF, #7B5EF2);
+            transition: width 0.2s;
+        }
+
         /* Download All Button */
         .download-all-container {
             text-align: center;
@@ -555,9 +808,114 @@ class SharePageTemplate {
             fill: white;
         }
 
+        /* PREVIEW PANEL */
+        .preview-btn {
+            background: rgba(123, 94, 242, 0.15);
+            color: #C4B5FD;
+            border: 1px solid rgba(123, 94, 242, 0.3);
+            padding: 12px 16px;
+            border-radius: 10px;
+            font-weight: 500;
+            font-size: 14px;
+            cursor: pointer;
+            transition: all 0.2s;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            flex-shrink: 0;
+            margin-right: 8px;
+        }
+
+        .preview-btn:hover {
+            background: rgba(123, 94, 242, 0.3);
+        }
+
+        .preview-btn svg {
+            width: 18px;
+            height: 18px;
+            fill: currentColor;
+        }
+
+        .preview-content {
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+            width: 100%;
+            max-width: 900px;
+            max-height: 100%;
+        }
+
+        .preview-body video {
+            width: 100%;
+            max-height: 65vh;
+            border-radius: 12px;
+            background: black;
+        }
+
+        .preview-body audio {
+            width: 100%;
+        }
+
+        .preview-frame {
+            width: 100%;
+            height: 70vh;
+            border: none;
+            border-radius: 12px;
+            background: white;
+        }
+
+        .preview-text {
+            background: rgba(20, 20, 32, 0.95);
+            color: #E2E8F0;
+            font-family: 'Courier New', monospace;
+            font-size: 13px;
+            padding: 16px;
+            border-radius: 12px;
+            border: 1px solid rgba(123, 94, 242, 0.2);
+            max-height: 65vh;
+            overflow: auto;
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+
+        .preview-message {
+            color: #94A3B8;
+            text-align: center;
+            padding: 40px 16px;
+        }
+
+        .preview-playlist {
+            max-height: 30vh;
+            overflow-y: auto;
+            border-radius: 12px;
+            background: rgba(20, 20, 32, 0.8);
+        }
+
+        .playlist-item {
+            padding: 10px 16px;
+            color: #CBD5E1;
+            font-size: 14px;
+            cursor: pointer;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .playlist-item:hover {
+            background: rgba(123, 94, 242, 0.15);
+        }
+
+        .playlist-item.active {
+            color: white;
+            background: rgba(123, 94, 242, 0.3);
+        }
+
         @media (max-width: 600px) {
+            .preview-btn span { display: none; }
+            .preview-btn { padding: 12px; }
             .download-btn span { display: none; }
             .download-btn { padding: 12px; }
+            .download-btn.busy span { display: inline; }
             .lightbox-nav { width: 40px; height: 40px; }
             .lightbox-prev { left: 10px; }
             .lightbox-next { right: 10px; }
@@ -581,8 +939,19 @@ class SharePageTemplate {
                 <svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/></svg>
                 <span id="viewer-ip-text">Loading...</span>
             </div>
+            <div id="encrypted-badge" class="viewer-ip" style="display: none;">🔐 End-to-end encrypted link</div>
+            <div id="share-expiry" class="share-expiry" style="display: none;"></div>
         </div>
 
+        <div id="share-status" class="share-status" style="display: none;"></div>
+
+        <form id="unlock" class="unlock" style="display: none;" onsubmit="submitUnlock(event)">
+            <p>🔒 The sender protected this share. Enter the PIN or passphrase they gave you.</p>
+            <input id="unlock-input" type="password" autocomplete="off" aria-label="PIN or passphrase" maxlength="64">
+            <button id="unlock-btn" type="submit">Unlock</button>
+            <div id="unlock-error" class="unlock-error"></div>
+        </form>
+
         <div id="download-all-container" class="download-all-container" style="display: none;">
             <button id="download-all-btn" class="download-all-btn" onclick="downloadAllFiles()">
                 <svg viewBox="0 0 24 24"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>
@@ -598,6 +967,21 @@ class SharePageTemplate {
             </div>
         </div>
 
+        <div id="snippet-section" class="snippet-section" style="display: none;">
+            <div class="send-title">Text from the sender</div>
+            <div id="snippet-items"></div>
+        </div>
+
+        <div id="send-section" class="send-section" style="display: none;">
+            <div class="send-title">Send files back</div>
+            <div id="send-drop" class="send-drop" onclick="document.getElementById('send-input').click()"
+                 ondragover="handleSendDragOver(event)" ondragleave="handleSendDragLeave(event)" ondrop="handleSendDrop(event)">
+                Drop files or folders here, or tap to choose
+            </div>
+            <input type="file" id="send-input" multiple hidden onchange="handleSendInput(event)">
+            <div id="send-items"></div>
+        </div>
+
         <div class="footer">
             Powered by <a href="#">Syndro</a>
         </div>
@@ -625,13 +1009,37 @@ class SharePageTemplate {
                 <div class="lightbox-actions">
                     <a id="lightbox-download" class="lightbox-download" href="" download>
                         <svg viewBox="0 0 24 24"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>
-                        Download
+                        <span>Download</span>
                     </a>
                 </div>
             </div>
         </div>
     </div>
 
+    <!-- PREVIEW PANEL - video, audio, PDF and text -->
+    <div id="preview" class="lightbox" onclick="handlePreviewClick(event)">
+        <button class="lightbox-close" onclick="closePreview()" aria-label="Close preview">
+            <svg viewBox="0 0 24 24"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+        </button>
+        <div class="preview-content">
+            <div id="preview-filename" class="lightbox-filename"></div>
+            <div id="preview-body" class="preview-body"></div>
+            <div id="preview-playlist" class="preview-playlist"></div>
+        </div>
+    </div>
+
+    <script src="/js/aes_gcm.js"></script>
+    <script src="/js/crypto_worker.js"></script>
+    <script src="/js/encrypted_download.js"></script>
+    <script src="/js/progress_reporter.js"></script>
+    <script src="/js/snippets.js"></script>
+    <script src="/js/hash_worker.js"></script>
+    <script src="/js/adaptive_tuner.js"></script>
+    <script src="/js/chunk_format.js"></script>
+    <script src="/js/transfer_control.js"></script>
+    <script src="/js/parallel_download.js"></script>
+    <script src="/js/parallel_upload.js"></script>
+    <script src="/js/upload_queue.js"></script>
     <script>
         const icons = {
             image: '<svg viewBox="0 0 24 24"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>',
@@ -645,12 +1053,30 @@ class SharePageTemplate {
             file: '<svg viewBox="0 0 24 24"><path d="M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/></svg>',
             download: '<svg viewBox="0 0 24 24"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>',
             folder: '<svg viewBox="0 0 24 24"><path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/></svg>',
+            play: '<svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>',
+            eye: '<svg viewBox="0 0 24 24"><path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>',
             zoom: '<svg viewBox="0 0 24 24"><path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14zm.5-7H9v2H7v1h2v2h1v-2h2V9h-2V7z"/></svg>'
         };
 
         let allFiles = [];
         let imageFiles = [];
         let currentImageIndex = 0;
+        const selectedFileIds = new Set();
+
+        // Encrypted link: everything arrives encrypted and is decrypted here
+        // with the key from the URL fragment, which never reaches the server
+        const encryptedShare = typeof SyndroDecryptor === 'function' && SyndroDecryptor.hasKeyInUrl();
+        let decryptor = null;
+
+        // Plain downloads are tracked by the app as it sends them; decrypted
+        // and chunked ones only finish here, so this page reports those itself
+        const progressReporter = typeof SyndroProgressReporter === 'function' ? new SyndroProgressReporter() : null;
+
+        // Live updates from /api/events
+        let approvalStatus = null;
+        let shareEnded = false;
+        let expiresAt = null;
+        let expiryTimer = null;
 
         // NEW: Load viewer IP
         async function loadViewerIP() {
@@ -669,6 +1095,188 @@ class SharePageTemplate {
             }
         }
 
+        function showViewerIP(ip) {
+            document.getElementById('viewer-ip-text').textContent = 'Your IP: ' + ip;
+            document.getElementById('viewer-ip').style.display = 'inline-block';
+        }
+
+        function showShareStatus(text, ended) {
+            const status = document.getElementById('share-status');
+            status.textContent = text;
+            status.classList.toggle('ended', !!ended);
+            status.style.display = text ? 'block' : 'none';
+        }
+
+        // The host adds and removes files, approves this device and stops
+        // sharing while the page is open - follow along instead of needing
+        // a reload. Without EventSource the page just loads once.
+        function connectEvents() {
+            if (typeof EventSource !== 'function') {
+                loadFiles();
+                loadViewerIP();
+                return;
+            }
+
+            const events = new EventSource('/api/events');
+
+            events.addEventListener('approval', (event) => {
+                const data = JSON.parse(event.data);
+                if (data.ip) showViewerIP(data.ip);
+                updateApproval(data.status);
+            });
+
+            events.addEventListener('files', () => {
+                if (approvalStatus === 'approved') loadFiles();
+            });
+
+            events.addEventListener('snippets', () => {
+                if (approvalStatus === 'approved') loadSnippets();
+            });
+
+            events.addEventListener('expiry', (event) => {
+                startExpiryCountdown(JSON.parse(event.data).remainingSeconds);
+            });
+
+            events.addEventListener('expired', () => {
+                events.close();
+                endShare('⏱️ This share has expired. Ask the sender for a new link.');
+            });
+
+            events.addEventListener('shutdown', () => {
+                events.close();
+                endShare('This share has ended. Ask the sender for a new link.');
+            });
+
+            // EventSource gives up on a 401 - the session ran out
+            events.onerror = async () => {
+                if (events.readyState === EventSource.CLOSED && !shareEnded && await isLocked()) {
+                    showUnlock();
+                }
+            };
+        }
+
+        // PIN-protected share: only this page loads until the guest unlocks
+        // it, then the session cookie goes along with every request
+        async function isLocked() {
+            try {
+                const response = await fetch('/api/session');
+                const data = await response.json();
+                return data.locked && !data.unlocked;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        function showUnlock() {
+            document.getElementById('file-list').style.display = 'none';
+            document.getElementById('snippet-section').style.display = 'none';
+            document.getElementById('send-section').style.display = 'none';
+            document.getElementById('download-all-container').style.display = 'none';
+            document.getElementById('unlock').style.display = 'block';
+            document.getElementById('unlock-input').focus();
+        }
+
+        async function submitUnlock(event) {
+            event.preventDefault();
+            const input = document.getElementById('unlock-input');
+            const button = document.getElementById('unlock-btn');
+            const error = document.getElementById('unlock-error');
+            if (!input.value) return;
+
+            button.disabled = true;
+            error.textContent = '';
+            try {
+                const response = await fetch('/api/unlock', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ passcode: input.value }),
+                });
+                if (response.ok) {
+                    input.value = '';
+                    document.getElementById('unlock').style.display = 'none';
+                    document.getElementById('file-list').style.display = '';
+                    // Start over, so the approval state loads the files again
+                    approvalStatus = null;
+                    connectEvents();
+                    return;
+                }
+                error.textContent = response.status === 429
+                    ? 'Too many attempts. Wait a minute and try again.'
+                    : 'Wrong PIN or passphrase.';
+                input.select();
+            } catch (e) {
+                error.textContent = 'Could not reach the sender.';
+            } finally {
+                button.disabled = false;
+            }
+        }
+
+        async function start() {
+            if (await isLocked()) {
+                showUnlock();
+            } else {
+                connectEvents();
+            }
+        }
+
+        function updateApproval(status) {
+            if (shareEnded || status === approvalStatus) return;
+            const previous = approvalStatus;
+            approvalStatus = status;
+
+            if (status === 'approved') {
+                showShareStatus('');
+                // First state, or the host just said yes
+                loadFiles();
+            } else if (status === 'pending') {
+                showShareStatus('⏳ Waiting for the sender to approve this device...');
+                document.getElementById('file-list').innerHTML = '<div class="loading"><div class="loading-spinner"></div>Awaiting approval</div>';
+            } else if (status === 'denied') {
+                showShareStatus('The sender declined this device.', true);
+                clearFiles(previous === null ? 'Access denied' : 'Access was declined');
+            }
+        }
+
+        function startExpiryCountdown(remainingSeconds) {
+            if (shareEnded) return;
+            expiresAt = Date.now() + remainingSeconds * 1000;
+            if (expiryTimer) return;
+            renderExpiry();
+            expiryTimer = setInterval(renderExpiry, 1000);
+        }
+
+        function renderExpiry() {
+            const element = document.getElementById('share-expiry');
+            const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+            const minutes = Math.floor(seconds / 60);
+            element.textContent = 'Link expires in ' + minutes + ':' + String(seconds % 60).padStart(2, '0');
+            element.style.display = 'block';
+        }
+
+        function endShare(message) {
+            if (shareEnded) return;
+            shareEnded = true;
+            if (expiryTimer) clearInterval(expiryTimer);
+            expiryTimer = null;
+            document.getElementById('share-expiry').style.display = 'none';
+            closeLightbox();
+            closePreview();
+            showShareStatus(message, true);
+            clearFiles('Files are no longer available');
+            renderSnippets([]);
+        }
+
+        function clearFiles(message) {
+            allFiles = [];
+            imageFiles = [];
+            selectedFileIds.clear();
+            if (policyTimer) clearInterval(policyTimer);
+            policyTimer = null;
+            document.getElementById('download-all-container').style.display = 'none';
+            document.getElementById('file-list').innerHTML = '<div class="empty">' + icons.folder + '<p>' + message + '</p></div>';
+            updateSendSection(false);
+        }
+
         function openLightbox(fileId) {
             const imageIndex = imageFiles.findIndex(f => f.id === fileId);
             if (imageIndex === -1) return;
@@ -688,12 +1296,18 @@ class SharePageTemplate {
             const lightboxDownload = document.getElementById('lightbox-download');
             const lightboxCounter = document.getElementById('lightbox-counter');
             lightboxImage.style.opacity = '0.5';
-            lightboxImage.src = file.thumbnailUrl;
+            if (encryptedShare) {
+                lightboxImage.src = file.lightboxUrl || '';
+                if (!file.lightboxUrl) loadEncryptedLightboxImage(file);
+            } else {
+                lightboxImage.src = file.thumbnailUrl + '?size=' + LIGHTBOX_IMAGE_SIZE;
+            }
             lightboxImage.alt = file.name;
             lightboxImage.onload = () => { lightboxImage.style.opacity = '1'; };
             lightboxFilename.textContent = file.name;
             lightboxFilesize.textContent = file.sizeFormatted;
             lightboxDownload.href = file.downloadUrl;
+            lightboxDownload.dataset.fileId = file.id;
             lightboxCounter.textContent = (currentImageIndex + 1) + ' / ' + imageFiles.length;
             updateNavigationButtons();
         }
@@ -731,6 +1345,188 @@ class SharePageTemplate {
             if (event.target.id === 'lightbox') closeLightbox();
         }
 
+        // ========================================
+        // PREVIEW PANEL
+        // ========================================
+
+        // Only the start of a long text file is shown
+        const TEXT_PREVIEW_BYTES = 256 * 1024;
+        // Encrypted previews decrypt the whole file in memory first
+        const ENCRYPTED_PREVIEW_LIMIT = 200 * 1024 * 1024;
+
+        let previewToken = 0;
+        let previewObjectUrl = null;
+
+        function previewButton(file) {
+            if (!file.preview) return '';
+            const isMedia = file.preview === 'video' || file.preview === 'audio';
+            return '<button class="preview-btn" onclick="openPreview(' + file.id + ')" title="Preview">' +
+                (isMedia ? icons.play : icons.eye) + '<span>' + (isMedia ? 'Play' : 'View') + '</span>' +
+            '</button>';
+        }
+
+        function showPreviewMessage(text) {
+            const message = document.createElement('div');
+            message.className = 'preview-message';
+            message.textContent = text;
+            const body = document.getElementById('preview-body');
+            body.innerHTML = '';
+            body.appendChild(message);
+        }
+
+        // URL the player can load - the Range-capable preview route, or a
+        // decrypted blob when the link is encrypted
+        async function previewSource(file, token) {
+            if (!encryptedShare) return file.previewUrl;
+            if (file.size > ENCRYPTED_PREVIEW_LIMIT) {
+                throw new Error('This file is too large to preview on an encrypted link - download it instead');
+            }
+            const blob = await decryptor.fetchDecrypted(file.previewUrl, (done, total) => {
+                if (token === previewToken && total) {
+                    showPreviewMessage('🔐 Decrypting... ' + Math.round(done / total * 100) + '%');
+                }
+            }, file.size);
+            if (token !== previewToken) return null;
+            previewObjectUrl = URL.createObjectURL(new Blob([blob], { type: file.mimeType }));
+            return previewObjectUrl;
+        }
+
+        async function previewText(file, token) {
+            // An empty file has nothing to fetch - and a Range request on it is a 416
+            let text = '';
+            if (file.size > 0 && encryptedShare) {
+                const blob = await decryptor.fetchDecrypted(file.previewUrl, null, file.size);
+                text = await blob.slice(0, TEXT_PREVIEW_BYTES).text();
+            } else if (file.size > 0) {
+                const response = await fetch(file.previewUrl, {
+                    headers: { 'Range': 'bytes=0-' + (TEXT_PREVIEW_BYTES - 1) }
+                });
+                if (!response.ok) throw new Error('Could not load file');
+                text = await response.text();
+            }
+            if (token !== previewToken) return;
+            const pre = document.createElement('pre');
+            pre.className = 'preview-text';
+            pre.textContent = file.size > TEXT_PREVIEW_BYTES
+                ? text + '\n\n… showing the first ' + (TEXT_PREVIEW_BYTES / 1024) + ' KB - download for the full file'
+                : text;
+            const body = document.getElementById('preview-body');
+            body.innerHTML = '';
+            body.appendChild(pre);
+        }
+
+        async function openPreview(fileId) {
+            const file = allFiles.find(f => f.id === fileId);
+            if (!file || !file.preview) return;
+
+            stopPreview();
+            const token = ++previewToken;
+            document.getElementById('preview-filename').textContent = file.name;
+            document.getElementById('preview').classList.add('active');
+            document.body.style.overflow = 'hidden';
+            showPreviewMessage('Loading...');
+            renderPlaylist(file);
+
+            try {
+                if (file.preview === 'text') {
+                    await previewText(file, token);
+                    return;
+                }
+
+                const source = await previewSource(file, token);
+                if (source === null || token !== previewToken) return;
+
+                const body = document.getElementById('preview-body');
+                body.innerHTML = '';
+
+                if (file.preview === 'pdf') {
+                    const frame = document.createElement('iframe');
+                    frame.className = 'preview-frame';
+                    frame.title = file.name;
+                    frame.src = source;
+                    body.appendChild(frame);
+                    return;
+                }
+
+                const player = document.createElement(file.preview === 'video' ? 'video' : 'audio');
+                player.id = 'preview-player';
+                player.controls = true;
+                player.autoplay = true;
+                player.playsInline = true;
+                player.preload = 'metadata';
+                player.onerror = () => {
+                    if (token === previewToken) {
+                        showPreviewMessage("This browser can't play " + file.name + ' - download it instead');
+                    }
+                };
+                if (file.preview === 'audio') {
+                    player.onended = () => playNextAudio(file.id);
+                }
+                player.src = source;
+                body.appendChild(player);
+            } catch (error) {
+                console.error('Preview failed:', error);
+                if (token === previewToken) showPreviewMessage(error.message || 'Preview failed');
+            }
+        }
+
+        // Other audio files, so an album plays through
+        function renderPlaylist(current) {
+            const playlist = document.getElementById('preview-playlist');
+            const audioFiles = allFiles.filter(f => f.preview === 'audio');
+            if (current.preview !== 'audio' || audioFiles.length < 2) {
+                playlist.style.display = 'none';
+                playlist.innerHTML = '';
+                return;
+            }
+            playlist.style.display = 'block';
+            playlist.innerHTML = audioFiles.map(f =>
+                '<div class="playlist-item' + (f.id === current.id ? ' active' : '') + '" onclick="openPreview(' + f.id + ')">' +
+                    escapeHtml(f.name) +
+                '</div>'
+            ).join('');
+        }
+
+        function playNextAudio(fileId) {
+            const audioFiles = allFiles.filter(f => f.preview === 'audio');
+            const index = audioFiles.findIndex(f => f.id === fileId);
+            if (index !== -1 && index < audioFiles.length - 1) {
+                openPreview(audioFiles[index + 1].id);
+            }
+        }
+
+        // Stop playback and drop the source, which also ends its Range request
+        function stopPreview() {
+            previewToken++;
+            const player = document.getElementById('preview-player');
+            if (player) {
+                player.pause();
+                player.removeAttribute('src');
+                player.load();
+            }
+            document.getElementById('preview-body').innerHTML = '';
+            if (previewObjectUrl) {
+                URL.revokeObjectURL(previewObjectUrl);
+                previewObjectUrl = null;
+            }
+        }
+
+        function closePreview() {
+            stopPreview();
+            document.getElementById('preview').classList.remove('active');
+            document.body.style.overflow = '';
+        }
+
+        function handlePreviewClick(event) {
+            if (event.target.id === 'preview') closePreview();
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && document.getElementById('preview').classList.contains('active')) {
+                closePreview();
+            }
+        });
+
         document.addEventListener('keydown', (e) => {
             const lightbox = document.getElementById('lightbox');
             if (!lightbox.classList.contains('active')) return;
@@ -760,97 +1556,517 @@ class SharePageTemplate {
             }
         }
 
+        // One request for everything: the server streams a ZIP, which
+        // browsers don't block like a burst of per-file downloads
         async function downloadAllFiles() {
-            if (allFiles.length === 0) return;
+            if (zipFiles().length === 0) return;
             const btn = document.getElementById('download-all-btn');
-            const btnText = document.getElementById('download-all-text');
             const progress = document.getElementById('download-progress');
+            const ids = Array.from(selectedFileIds).sort((a, b) => a - b);
+            const count = ids.length > 0 ? ids.length : zipFiles().length;
+            const zipUrl = ids.length > 0 ? '/download-all.zip?files=' + ids.join(',') : '/download-all.zip';
             btn.disabled = true;
-            btnText.innerHTML = '<div class="spinner"></div> <span>Downloading...</span>';
-            const totalFiles = allFiles.length;
-            let downloaded = 0;
-            for (const file of allFiles) {
+            if (encryptedShare) {
+                const reportAs = { fileName: 'syndro_files.zip' };
+                let zipSize = 0;
                 try {
-                    progress.textContent = `Downloading ${downloaded + 1} of ${totalFiles}: ${file.name}`;
-                    const a = document.createElement('a');
-                    a.href = file.downloadUrl;
-                    a.download = file.name;
-                    a.style.display = 'none';
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    downloaded++;
-                    if (downloaded < totalFiles) {
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    }
+                    await decryptor.downloadAndDecrypt(zipUrl, 'syndro_files.zip', (done, total) => {
+                        const percent = total ? Math.round(done / total * 100) : 0;
+                        progress.textContent = `🔐 Decrypting ${count} file${count > 1 ? 's' : ''}... ${percent}%`;
+                        zipSize = total || 0;
+                        if (progressReporter) progressReporter.report(reportAs, done, zipSize);
+                    });
+                    if (progressReporter) progressReporter.complete(reportAs, zipSize);
+                    progress.textContent = '';
                 } catch (error) {
-                    console.error('Error downloading file:', file.name, error);
+                    if (progressReporter) progressReporter.fail(reportAs, zipSize);
+                    console.error('Encrypted ZIP download failed:', error);
+                    progress.textContent = '❌ ' + error.message;
+                } finally {
+                    btn.disabled = false;
                 }
+                return;
             }
-            progress.textContent = `✅ All ${totalFiles} files downloaded!`;
-            btnText.textContent = 'Download All Files';
+            const a = document.createElement('a');
+            a.href = zipUrl;
+            a.download = '';
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            progress.textContent = `📦 Downloading ${count} file${count > 1 ? 's' : ''} as a ZIP`;
             setTimeout(() => {
                 btn.disabled = false;
                 progress.textContent = '';
             }, 2000);
         }
 
-        async function loadFiles() {
+        function toggleFileSelection(fileId, selected) {
+            if (selected) {
+                selectedFileIds.add(fileId);
+            } else {
+                selectedFileIds.delete(fileId);
+            }
+            document.getElementById('download-all-text').textContent = selectedFileIds.size > 0
+                ? `Download Selected (${selectedFileIds.size})`
+                : 'Download All Files';
+        }
+
+        // Files with download limits are left out of ZIPs by the server
+        function zipFiles() {
+            return allFiles.filter(f => !f.policy);
+        }
+
+        function selectionCheckbox(file) {
+            if (file.policy || zipFiles().length < 2) return '';
+            return '<label class="file-check" title="Select for ZIP download">' +
+                '<input type="checkbox" onchange="toggleFileSelection(' + file.id + ', this.checked)"' +
+                    (selectedFileIds.has(file.id) ? ' checked' : '') + '>' +
+            '</label>';
+        }
+
+        // Plain files this big come down in parallel chunks, resumable and
+        // each checked against the hash the app sends with it; smaller ones
+        // are a plain link
+        const CHUNKED_DOWNLOAD_MIN_BYTES = 16 * 1024 * 1024;
+
+        // Downloads run by this page, by file id - clicking a busy button
+        // cancels its download
+        const pageDownloads = new Map();
+
+        // Download one file with run(onProgress, signal), with progress on its button
+        async function downloadOnPage(file, link, run) {
+            if (link.classList.contains('busy')) {
+                const running = pageDownloads.get(file.id);
+                if (running) running.abort();
+                return;
+            }
+            const label = link.querySelector('span');
+            const originalLabel = label ? label.textContent : '';
+            const originalTitle = link.title;
+            const controller = new AbortController();
+            pageDownloads.set(file.id, controller);
+            link.classList.add('busy');
+            link.title = 'Cancel download';
+            const reportAs = { fileId: file.id };
+            try {
+                const result = await run((done, total) => {
+                    if (label && total) label.textContent = Math.round(done / total * 100) + '%';
+                    if (progressReporter) progressReporter.report(reportAs, done, file.size);
+                }, controller.signal);
+                // Handed to the browser - the app tracks it as it sends it
+                if (progressReporter && !(result && result.handedOff)) {
+                    progressReporter.complete(reportAs, file.size);
+                }
+            } catch (error) {
+                if (progressReporter) progressReporter.fail(reportAs, file.size);
+                if (error.name === 'AbortError') {
+                    console.log('🚫 Download cancelled:', file.name);
+                } else {
+                    console.error('Download failed:', error);
+                    alert('Download failed: ' + error.message);
+                }
+            } finally {
+                pageDownloads.delete(file.id);
+                link.classList.remove('busy');
+                link.title = originalTitle;
+                if (label) label.textContent = originalLabel;
+            }
+        }
+
+        function downloadEncryptedFile(file, link) {
+            return downloadOnPage(file, link, (onProgress, signal) =>
+                decryptor.downloadAndDecrypt(file.downloadUrl, file.name, onProgress, file.size, signal));
+        }
+
+        function downloadChunkedFile(file, link) {
+            return downloadOnPage(file, link, (onProgress, signal) => {
+                const downloader = new SyndroParallelDownloader({
+                    configUrl: null,
+                    onProgress: (progress) => onProgress(progress.bytesDownloaded, progress.totalBytes),
+                });
+                signal.addEventListener('abort', () => downloader.cancel());
+                return downloader.downloadFile({
+                    transferId: file.chunked.transferId,
+                    fileName: file.name,
+                    fileSize: file.size,
+                    chunkSize: file.chunked.chunkSize,
+                    totalChunks: file.chunked.totalChunks,
+                    chunkHashHeader: file.chunked.chunkHashHeader,
+                    downloadUrl: file.downloadUrl,
+                    encrypted: false,
+                });
+            });
+        }
+
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('a[data-file-id]');
+            if (!link) return;
+            const file = allFiles.find(f => f.id === Number(link.dataset.fileId));
+            if (encryptedShare) {
+                // The link itself only gives the ciphertext
+                event.preventDefault();
+                if (file) downloadEncryptedFile(file, link);
+            } else if (file && file.chunked && file.size >= CHUNKED_DOWNLOAD_MIN_BYTES &&
+                    typeof SyndroParallelDownloader === 'function') {
+                event.preventDefault();
+                downloadChunkedFile(file, link);
+            }
+        });
+
+        // ========================================
+        // THUMBNAILS
+        // ========================================
+
+        const GRID_THUMBNAIL_SIZE = 256;
+        const LIGHTBOX_IMAGE_SIZE = 2048;
+
+        let thumbnailObserver = null;
+        // Encrypted thumbnails are decrypted one at a time, in the order
+        // they scroll into view
+        let thumbnailQueue = Promise.resolve();
+
+        function thumbnailImage(file) {
+            return '<img data-thumb-id="' + file.id + '"' +
+                ' data-src="' + file.thumbnailUrl + '?size=' + GRID_THUMBNAIL_SIZE + '"' +
+                ' alt="' + escapeHtml(file.name) + '" onerror="thumbnailFailed(this)">';
+        }
+
+        // Only fetch thumbnails as they come near the screen
+        function observeThumbnails() {
+            const images = document.querySelectorAll('img[data-thumb-id]');
+            if (!('IntersectionObserver' in window)) {
+                images.forEach(loadThumbnail);
+                return;
+            }
+            if (thumbnailObserver) thumbnailObserver.disconnect();
+            thumbnailObserver = new IntersectionObserver((entries, observer) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    observer.unobserve(entry.target);
+                    loadThumbnail(entry.target);
+                });
+            }, { rootMargin: '200px' });
+            images.forEach(img => thumbnailObserver.observe(img));
+        }
+
+        function loadThumbnail(img) {
+            if (!encryptedShare) {
+                img.src = img.dataset.src;
+                return;
+            }
+            thumbnailQueue = thumbnailQueue.then(async () => {
+                try {
+                    const blob = await decryptor.fetchDecrypted(img.dataset.src);
+                    img.src = URL.createObjectURL(blob);
+                } catch (error) {
+                    console.error('Could not decrypt thumbnail:', error);
+                    thumbnailFailed(img);
+                }
+            });
+        }
+
+        // No thumbnail (e.g. a video the host can't read) - show the type icon
+        function thumbnailFailed(img) {
+            const file = allFiles.find(f => f.id === Number(img.dataset.thumbId));
+            const holder = img.closest('.file-thumbnail');
+            if (!file || !holder) return;
+            holder.outerHTML = '<div class="file-icon ' + file.type + '">' + (icons[file.type] || icons.file) + '</div>';
+        }
+
+        async function loadEncryptedLightboxImage(file) {
             try {
+                const blob = await decryptor.fetchDecrypted(file.thumbnailUrl + '?size=' + LIGHTBOX_IMAGE_SIZE);
+                file.lightboxUrl = URL.createObjectURL(blob);
+                if (imageFiles[currentImageIndex] === file) {
+                    document.getElementById('lightbox-image').src = file.lightboxUrl;
+                }
+            } catch (error) {
+                console.error('Could not decrypt image:', error);
+            }
+        }
+
+        async function fetchFileList() {
+            if (!encryptedShare) {
                 const response = await fetch('/api/files');
-                const data = await response.json();
+                return response.json();
+            }
+            if (!decryptor) {
+                decryptor = new SyndroDecryptor();
+                await decryptor.initFromUrl();
+                document.getElementById('encrypted-badge').style.display = 'inline-block';
+            }
+            const blob = await decryptor.fetchDecrypted('/api/files');
+            return JSON.parse(await blob.text());
+        }
+
+        async function loadFiles() {
+            try {
+                const data = await fetchFileList();
+                if (shareEnded) return;
+                loadSnippets();
                 const container = document.getElementById('file-list');
+                // Ids are list positions, so a changed list drops the selection
+                selectedFileIds.clear();
+                document.getElementById('download-all-text').textContent = 'Download All Files';
                 if (data.files.length === 0) {
-                    container.innerHTML = '<div class="empty">' + icons.folder + '<p>No files available</p></div>';
+                    clearFiles('No files available');
                     return;
                 }
+                updateSendSection(data.acceptsUploads);
                 allFiles = data.files;
-                imageFiles = data.files.filter(f => f.isImage);
-                if (allFiles.length > 1) {
-                    document.getElementById('download-all-container').style.display = 'block';
-                }
+                imageFiles = data.files.filter(f => f.isImage && f.thumbnailUrl);
+                document.getElementById('download-all-container').style.display =
+                    zipFiles().length > 1 ? 'block' : 'none';
                 container.innerHTML = data.files.map(file => {
-                    if (file.isImage) {
+                    if (file.isImage && file.thumbnailUrl) {
                         return '<div class="file-item">' +
+                            selectionCheckbox(file) +
                             '<div class="file-thumbnail" onclick="openLightbox(' + file.id + ')" title="Click to preview">' +
-                                '<img src="' + file.thumbnailUrl + '" alt="' + escapeHtml(file.name) + '" loading="lazy">' +
+                                thumbnailImage(file) +
                                 '<div class="click-hint">' + icons.zoom + '</div>' +
                             '</div>' +
                             '<div class="file-info">' +
                                 '<div class="file-name">' + escapeHtml(file.name) + '</div>' +
                                 '<div class="file-size">' + file.sizeFormatted + '</div>' +
+                                policyInfo(file) +
                             '</div>' +
-                            '<a href="' + file.downloadUrl + '" class="download-btn" download>' +
-                                icons.download + '<span>Download</span>' +
-                            '</a>' +
+                            previewButton(file) +
+                            downloadButton(file) +
+                        '</div>';
+                    } else if (file.type === 'video' && file.thumbnailUrl) {
+                        return '<div class="file-item">' +
+                            selectionCheckbox(file) +
+                            '<div class="file-thumbnail" onclick="openPreview(' + file.id + ')" title="Click to play">' +
+                                thumbnailImage(file) +
+                                '<div class="click-hint">' + icons.play + '</div>' +
+                            '</div>' +
+                            '<div class="file-info">' +
+                                '<div class="file-name">' + escapeHtml(file.name) + '</div>' +
+                                '<div class="file-size">' + file.sizeFormatted + '</div>' +
+                                policyInfo(file) +
+                            '</div>' +
+                            previewButton(file) +
+                            downloadButton(file) +
                         '</div>';
                     } else {
                         return '<div class="file-item">' +
+                            selectionCheckbox(file) +
                             '<div class="file-icon ' + file.type + '">' + (icons[file.type] || icons.file) + '</div>' +
                             '<div class="file-info">' +
                                 '<div class="file-name">' + escapeHtml(file.name) + '</div>' +
                                 '<div class="file-size">' + file.sizeFormatted + '</div>' +
+                                policyInfo(file) +
                             '</div>' +
-                            '<a href="' + file.downloadUrl + '" class="download-btn" download>' +
-                                icons.download + '<span>Download</span>' +
-                            '</a>' +
+                            previewButton(file) +
+                            downloadButton(file) +
                         '</div>';
                     }
                 }).join('');
+                observeThumbnails();
+                startPolicyCountdown();
             } catch (error) {
                 console.error('Error loading files:', error);
+                if (await isLocked()) {
+                    showUnlock();
+                    return;
+                }
                 document.getElementById('file-list').innerHTML = '<div class="empty">' + icons.file + '<p>Error loading files</p></div>';
             }
         }
 
+        // ========================================
+        // DOWNLOAD LIMITS
+        // ========================================
+
+        let policyTimer = null;
+
+        function downloadButton(file) {
+            if (!file.downloadUrl) {
+                return '<span class="download-btn unavailable">' + icons.download + '<span>Unavailable</span></span>';
+            }
+            return '<a href="' + file.downloadUrl + '" class="download-btn" data-file-id="' + file.id + '" download>' +
+                icons.download + '<span>Download</span>' +
+            '</a>';
+        }
+
+        // "One-time link · expires in 4:59" under the file size
+        function policyInfo(file) {
+            const policy = file.policy;
+            if (!policy) return '';
+            if (!policy.available) {
+                const reason = policy.expiresIn === 0 ? 'Expired' : 'No downloads left';
+                return '<div class="file-policy ended">' + reason + '</div>';
+            }
+
+            let limit = '';
+            if (policy.oneTime) {
+                limit = 'One-time link';
+            } else if (policy.downloadsLeft !== null) {
+                limit = policy.downloadsLeft + ' download' + (policy.downloadsLeft === 1 ? '' : 's') + ' left';
+            }
+            if (policy.expiresIn === null) {
+                return '<div class="file-policy">' + limit + '</div>';
+            }
+            const expiresAt = Date.now() + policy.expiresIn * 1000;
+            return '<div class="file-policy" data-limit="' + limit + '" data-expires-at="' + expiresAt + '">' +
+                policyText(limit, expiresAt) + '</div>';
+        }
+
+        function policyText(limit, expiresAt) {
+            const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+            const remaining = Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+            return limit ? limit + ' · expires in ' + remaining : 'Expires in ' + remaining;
+        }
+
+        // Tick the per-file countdowns; the server decides when a file is
+        // gone, so reload the list when one runs out
+        function startPolicyCountdown() {
+            if (policyTimer) clearInterval(policyTimer);
+            policyTimer = null;
+            if (!document.querySelector('.file-policy[data-expires-at]')) return;
+            policyTimer = setInterval(() => {
+                let expired = false;
+                document.querySelectorAll('.file-policy[data-expires-at]').forEach(element => {
+                    const expiresAt = Number(element.dataset.expiresAt);
+                    if (expiresAt <= Date.now()) expired = true;
+                    element.textContent = policyText(element.dataset.limit, expiresAt);
+                });
+                if (expired && !shareEnded) {
+                    clearInterval(policyTimer);
+                    policyTimer = null;
+                    loadFiles();
+                }
+            }, 1000);
+        }
+
+        // ========================================
+        // TEXT
+        // ========================================
+
+        // Links, passwords and snippets the sender put on the page
+        const snippetBoard = typeof SyndroSnippets === 'function' ? new SyndroSnippets() : null;
+        let snippets = [];
+
+        async function loadSnippets() {
+            if (!snippetBoard) return;
+            try {
+                const list = await snippetBoard.list();
+                if (!shareEnded) renderSnippets(list);
+            } catch (error) {
+                console.error('Error loading snippets:', error);
+            }
+        }
+
+        function renderSnippets(list) {
+            snippets = list;
+            document.getElementById('snippet-section').style.display = list.length > 0 ? 'block' : 'none';
+            document.getElementById('snippet-items').innerHTML = list.map((snippet, index) => {
+                const text = snippet.isLink
+                    ? '<a href="' + escapeHtml(snippet.text.trim()).replace(/"/g, '&quot;') + '" target="_blank" rel="noopener noreferrer">' + escapeHtml(snippet.text) + '</a>'
+                    : escapeHtml(snippet.text);
+                return '<div class="snippet-item">' +
+                        '<div class="snippet-text">' + text + '</div>' +
+                        '<button type="button" class="copy-btn" onclick="copySnippet(' + index + ', this)">Copy</button>' +
+                    '</div>';
+            }).join('');
+        }
+
+        async function copySnippet(index, button) {
+            const snippet = snippets[index];
+            if (!snippet) return;
+            const copied = await SyndroSnippets.copy(snippet.text);
+            button.textContent = copied ? 'Copied!' : 'Copy failed';
+            setTimeout(() => { button.textContent = 'Copy'; }, 2000);
+        }
+
+        // ========================================
+        // SEND BACK
+        // ========================================
+
+        // Two-way session: the sender also takes files, uploaded the same way
+        // as on a receive link. /api/progress is this page's download
+        // progress, so uploads report elsewhere.
+        const uploadQueue = typeof SyndroUploadQueue === 'function' ? new SyndroUploadQueue({
+            progressReporter: typeof SyndroProgressReporter === 'function'
+                ? new SyndroProgressReporter({ url: '/api/upload-progress' })
+                : null,
+            isLocked: isLocked,
+            onLocked: showUnlock,
+            onChange: renderSendItems,
+        }) : null;
+
+        function updateSendSection(acceptsUploads) {
+            const visible = !!acceptsUploads && uploadQueue !== null && !shareEnded;
+            document.getElementById('send-section').style.display = visible ? 'block' : 'none';
+            // Anything queued while the session was locked
+            if (visible) uploadQueue.start();
+        }
+
+        function handleSendInput(event) {
+            uploadQueue.add(SyndroUploadQueue.entriesFromInput(event.target));
+            event.target.value = '';
+        }
+
+        function handleSendDragOver(event) {
+            event.preventDefault();
+            document.getElementById('send-drop').classList.add('drag-over');
+        }
+
+        function handleSendDragLeave(event) {
+            document.getElementById('send-drop').classList.remove('drag-over');
+        }
+
+        function handleSendDrop(event) {
+            event.preventDefault();
+            document.getElementById('send-drop').classList.remove('drag-over');
+            SyndroUploadQueue.collectDropped(event.dataTransfer).then(entries => {
+                if (entries.length > 0) uploadQueue.add(entries);
+            });
+        }
+
+        function renderSendItems() {
+            document.getElementById('send-items').innerHTML = uploadQueue.items.map((item, index) => {
+                let status = 'Waiting';
+                if (item.status === 'new' || item.status === 'awaiting') {
+                    status = 'Waiting for approval';
+                } else if (item.status === 'preparing' || item.status === 'uploading') {
+                    status = item.statusText || item.progress + '%';
+                } else if (item.status === 'paused') {
+                    status = 'Paused at ' + item.progress + '%';
+                } else if (item.status === 'success') {
+                    status = 'Sent';
+                } else if (item.status === 'error' || item.status === 'rejected') {
+                    status = item.error || 'Failed';
+                }
+                // Chunked uploads can be paused; removing a running one cancels it
+                let actions = '';
+                if (item.status === 'paused') {
+                    actions += '<button type="button" class="send-action" title="Resume" onclick="uploadQueue.resume(' + index + ')">▶</button>';
+                } else if (uploadQueue.canPause(index)) {
+                    actions += '<button type="button" class="send-action" title="Pause" onclick="uploadQueue.pause(' + index + ')">❚❚</button>';
+                }
+                const running = item.status === 'uploading' || item.status === 'paused';
+                actions += '<button type="button" class="send-action" title="' + (running ? 'Cancel' : 'Remove') +
+                    '" onclick="uploadQueue.remove(' + index + ')">✕</button>';
+                return '<div class="send-item">' +
+                        '<div class="file-name">' + escapeHtml(item.relativePath || item.file.name) + '</div>' +
+                        '<div class="send-status ' + item.status + '">' + escapeHtml(status) + '</div>' +
+                        actions +
+                    '</div>' +
+                    (item.status === 'uploading' || item.status === 'paused'
+                        ? '<div class="send-progress"><div style="width: ' + item.progress + '%"></div></div>'
+                        : '');
+            }).join('');
+        }
+
         function escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
             return div.innerHTML;
         }
 
-        loadFiles();
-        loadViewerIP();
+        start();
     </script>
 </body>
 </html>
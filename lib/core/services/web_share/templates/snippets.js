@@ -0,0 +1,126 @@
+/**
+ * Syndro Snippets
+ *
+ * Text, links and passwords passed over a web share. The receive page
+ * sends snippets to the app; share pages list the app's snippets with a
+ * copy button.
+ *
+ * A snippet is { id, text, isLink, createdAt }. Where the app asks before
+ * taking uploads, a sent snippet waits for the host to accept it too, the
+ * way upload_queue.js waits on a batch of files.
+ */
+
+class SyndroSnippets {
+  constructor(options = {}) {
+    this.url = options.url || '/api/snippets';
+    // Matches SnippetBoard.maxSnippetLength
+    this.maxLength = options.maxLength || 64 * 1024;
+    // Matches UploadApprovals.requestPath
+    this.approvalUrl = options.approvalUrl || '/api/uploads/request';
+    this.approvalPollInterval = options.approvalPollInterval || 1500;
+  }
+
+  /**
+   * Send text to the app - resolves once the app has it, rejects with a
+   * message the page can show
+   *
+   * onWaiting is called if the text waits for the host's approval.
+   */
+  async send(text, onWaiting = null) {
+    if (!text || !text.trim()) {
+      throw new Error('Nothing to send');
+    }
+    if (text.length > this.maxLength) {
+      throw new Error('Too long to send');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: text }),
+    });
+    if (!response.ok) {
+      const error = new Error(response.status === 429
+        ? 'Too many requests. Wait a minute and try again.'
+        : `Server error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (response.status === 202) {
+      if (onWaiting) onWaiting();
+      await this._waitForApproval(await response.json());
+    }
+    console.log(`📋 Sent snippet (${text.length} chars)`);
+  }
+
+  // Poll a held snippet's request until the host decides
+  async _waitForApproval(result) {
+    while (result.status === 'pending') {
+      await new Promise(resolve => setTimeout(resolve, this.approvalPollInterval));
+      const poll = await fetch(`${this.approvalUrl}/${encodeURIComponent(result.requestId)}`, {
+        cache: 'no-store',
+      });
+      if (!poll.ok) {
+        const error = new Error(`Server error: ${poll.status}`);
+        error.status = poll.status;
+        throw error;
+      }
+      result = await poll.json();
+    }
+    if (!result.files || result.files[0] !== 'accepted') {
+      throw new Error('The receiver declined the text');
+    }
+  }
+
+  /**
+   * The app's snippets, oldest first
+   */
+  async list() {
+    const response = await fetch(this.url, { cache: 'no-store' });
+    if (!response.ok) {
+      const error = new Error(`Server error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    const data = await response.json();
+    return data.snippets || [];
+  }
+
+  /**
+   * Put text on the clipboard - resolves to whether it worked
+   *
+   * The Clipboard API needs a secure context, which a LAN http:// page
+   * isn't, so this falls back to a hidden textarea and execCommand.
+   */
+  static async copy(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch (e) {
+        console.warn('Clipboard API failed, falling back:', e);
+      }
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.top = '-1000px';
+    document.body.appendChild(textarea);
+    textarea.select();
+    textarea.setSelectionRange(0, text.length);
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (e) {
+      console.warn('Copy failed:', e);
+    }
+    document.body.removeChild(textarea);
+    return copied;
+  }
+}
+
+// Export
+window.SyndroSnippets = SyndroSnippets;
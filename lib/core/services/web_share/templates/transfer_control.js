@@ -0,0 +1,115 @@
+/**
+ * Syndro Transfer Control
+ *
+ * Pause, resume and cancel for one browser transfer, built on
+ * AbortController. Every request of the transfer runs through attempt(),
+ * which hands it the current signal:
+ * - pause() aborts the requests in flight; attempt() waits for resume()
+ *   and then runs them again
+ * - cancel() aborts them for good; attempt() and checkpoint() throw an
+ *   AbortError from then on
+ *
+ * Used by SyndroParallelUploader and SyndroParallelDownloader.
+ */
+
+class SyndroTransferControl {
+  constructor() {
+    this._controller = new AbortController();
+    this._paused = false;
+    this._cancelled = false;
+    this._waiters = [];
+  }
+
+  get isPaused() {
+    return this._paused;
+  }
+
+  get isCancelled() {
+    return this._cancelled;
+  }
+
+  /**
+   * Whether `error` is what a cancelled transfer fails with
+   */
+  static isCancellation(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Abort the requests in flight and hold new ones until resume() -
+   * false if already paused or cancelled
+   */
+  pause() {
+    if (this._paused || this._cancelled) return false;
+
+    this._paused = true;
+    this._controller.abort();
+    this._controller = new AbortController();
+    return true;
+  }
+
+  /**
+   * Let the transfer carry on - false if it wasn't paused
+   */
+  resume() {
+    if (!this._paused || this._cancelled) return false;
+
+    this._paused = false;
+    this._wakeWaiters();
+    return true;
+  }
+
+  /**
+   * Stop the transfer for good - false if it already was
+   */
+  cancel() {
+    if (this._cancelled) return false;
+
+    this._cancelled = true;
+    this._paused = false;
+    this._controller.abort();
+    this._wakeWaiters();
+    return true;
+  }
+
+  /**
+   * Wait while paused; throw once cancelled
+   */
+  async checkpoint() {
+    while (this._paused && !this._cancelled) {
+      await new Promise(resolve => this._waiters.push(resolve));
+    }
+    if (this._cancelled) {
+      throw new DOMException('Transfer cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Run `request(signal)`, again after resume() if a pause aborted it
+   *
+   * The request should read its whole response before resolving, so a
+   * pause can't cut a body off after the attempt is over.
+   */
+  async attempt(request) {
+    while (true) {
+      await this.checkpoint();
+      const signal = this._controller.signal;
+      try {
+        return await request(signal);
+      } catch (e) {
+        // Anything but our own abort is the caller's to handle; for ours
+        // checkpoint() waits out the pause or throws the cancellation
+        if (!signal.aborted) throw e;
+      }
+    }
+  }
+
+  _wakeWaiters() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+// Export
+window.SyndroTransferControl = SyndroTransferControl;
@@ -0,0 +1,519 @@
+/**
+ * Syndro Upload Queue
+ *
+ * The files a browser guest is sending to the app, uploaded one after
+ * another as they're added. Shared by the receive page and two-way share
+ * pages - each page renders `items` however it likes from `onChange`.
+ *
+ * An item is { file, relativePath, status, progress, error, statusText, url }
+ * - relativePath is set for files inside a selected/dropped folder
+ * - status is new, awaiting, pending, preparing, uploading, paused,
+ *   success, rejected or error
+ * - url is an object URL for images, for thumbnails
+ *
+ * New files are first announced to the app as a batch (approvalUrl); they
+ * wait there ("awaiting") until the host accepts or rejects each one, and
+ * only accepted files are uploaded.
+ *
+ * Uses SyndroParallelUploader (parallel_upload.js) where the browser can,
+ * otherwise a single multipart POST. Chunked uploads share one
+ * SyndroAdaptiveTuner (adaptive_tuner.js), so each file starts with the
+ * connections and chunk size the previous ones settled on.
+ *
+ * Chunked uploads can be paused - the queue moves on to the next file,
+ * and a resumed file carries on when its turn comes again. Removing an
+ * item that's uploading or paused cancels it, and the app deletes what it
+ * received of the file.
+ *
+ * Progress only calls onChange once per animation frame, however often
+ * the uploads report it, so re-rendering never holds up the page.
+ */
+
+class SyndroUploadQueue {
+  constructor(options = {}) {
+    this.items = [];
+    // Chunked upload settings - match ParallelConfig.appToBrowser, used
+    // when the app doesn't recommend any at configUrl
+    this.connections = options.connections || 4;
+    this.chunkSize = options.chunkSize || 2 * 1024 * 1024;
+    // Matches ReceiveServer.transferConfigPath
+    this.configUrl = options.configUrl || '/api/transfer-config';
+    this.uploadUrl = options.uploadUrl || '/upload';
+    // Matches UploadApprovals.requestPath
+    this.approvalUrl = options.approvalUrl || '/api/uploads/request';
+    this.approvalPollInterval = options.approvalPollInterval || 1500;
+    // Optional SyndroProgressReporter (progress_reporter.js)
+    this.progressReporter = options.progressReporter || null;
+    // Whether a failed upload was down to a PIN session running out - the
+    // file is then queued again and onLocked called
+    this.isLocked = options.isLocked || (async () => false);
+    this.onLocked = options.onLocked || (() => {});
+    this.onChange = options.onChange || (() => {});
+    this.imageExtensions = options.imageExtensions ||
+      ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'heic', 'heif', 'svg'];
+    this._running = false;
+    this._tuner = null;
+    this._progressFrame = null;
+  }
+
+  get isUploading() {
+    return this._running;
+  }
+
+  /**
+   * Queue { file, relativePath } entries that aren't queued yet, and start
+   */
+  add(entries) {
+    entries.forEach(({ file, relativePath }) => {
+      const exists = this.items.some(item =>
+        (item.relativePath || item.file.name) === (relativePath || file.name) &&
+        item.file.size === file.size
+      );
+      if (exists) return;
+
+      this.items.push({
+        file: file,
+        relativePath: relativePath || null,
+        status: 'new',
+        progress: 0,
+        error: null,
+        statusText: null,
+        url: this._isImage(file.name) ? URL.createObjectURL(file) : null,
+        // The running upload - a SyndroParallelUploader or an XMLHttpRequest
+        transfer: null,
+        task: null,
+      });
+    });
+
+    this.onChange();
+    this.start();
+  }
+
+  /**
+   * Whether the item at `index` is a chunked upload that can be paused
+   */
+  canPause(index) {
+    const item = this.items[index];
+    return !!item && item.status === 'uploading' &&
+      !!item.transfer && typeof item.transfer.pause === 'function';
+  }
+
+  /**
+   * Pause the upload at `index` and go on with the next file
+   */
+  pause(index) {
+    if (!this.canPause(index)) return;
+    const item = this.items[index];
+
+    item.transfer.pause();
+    if (!item.transfer.isPaused) return;
+    item.status = 'paused';
+    item.statusText = 'Paused';
+    this.onChange();
+    if (item.onPause) item.onPause();
+  }
+
+  /**
+   * Queue a paused upload again - it carries on where it stopped
+   */
+  resume(index) {
+    const item = this.items[index];
+    if (!item || item.status !== 'paused') return;
+
+    item.status = 'pending';
+    item.statusText = null;
+    this.onChange();
+    this.start();
+  }
+
+  /**
+   * Drop an item - one that's uploading or paused is cancelled
+   */
+  remove(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    this._cancel(item);
+    if (item.url) URL.revokeObjectURL(item.url);
+    this.items.splice(index, 1);
+    this.onChange();
+  }
+
+  /**
+   * Drop everything, cancelling uploads in progress
+   */
+  clear() {
+    this.items.forEach(item => {
+      this._cancel(item);
+      if (item.url) URL.revokeObjectURL(item.url);
+    });
+    this.items = [];
+    this.onChange();
+  }
+
+  /**
+   * Announce new items, and upload accepted ones in order - uploading is a
+   * no-op while already running
+   */
+  async start() {
+    this._announce();
+    if (this._running) return;
+    if (!this.items.some(item => item.status === 'pending')) return;
+
+    this._running = true;
+    const pendingItems = this.items.filter(item => item.status === 'pending');
+
+    for (const item of pendingItems) {
+      // Removed or picked up since the loop started
+      if (!this.items.includes(item) || item.status !== 'pending') continue;
+
+      // Show "preparing" for large files (> 100MB)
+      if (!item.task && item.file.size > 100 * 1024 * 1024) {
+        item.status = 'preparing';
+        item.progress = 0;
+        item.statusText = 'Preparing...';
+        this.onChange();
+
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      item.status = 'uploading';
+      item.progress = 0;
+      item.statusText = null;
+      this.onChange();
+
+      try {
+        if (item.task) {
+          // Paused earlier - carry on where it stopped
+          item.transfer.resume();
+        } else {
+          item.task = this._upload(item);
+          // Failures are handled below - also when the item is paused and
+          // left behind, it's awaited again on resume
+          item.task.catch(() => {});
+        }
+
+        const paused = new Promise(resolve => { item.onPause = resolve; });
+        const outcome = await Promise.race([item.task.then(() => 'done'), paused]);
+        item.onPause = null;
+        if (outcome !== 'done') continue;
+
+        item.transfer = null;
+        item.task = null;
+        item.status = 'success';
+        item.statusText = null;
+        item.progress = 100;
+      } catch (error) {
+        item.onPause = null;
+        item.transfer = null;
+        item.task = null;
+        // Removed - the upload was cancelled
+        if (!this.items.includes(item)) continue;
+
+        if (await this.isLocked()) {
+          // The session ran out - send it again once unlocked
+          item.status = 'pending';
+          item.progress = 0;
+          this._running = false;
+          this.onChange();
+          this.onLocked();
+          return;
+        }
+        item.status = 'error';
+        item.error = error.message || 'Upload failed';
+        item.progress = 100;
+      }
+
+      this.onChange();
+    }
+
+    this._running = false;
+
+    // Files added during the upload
+    this.start();
+  }
+
+  /**
+   * Ask the app about the new items and wait for its answer - accepted
+   * items become pending, the rest are rejected
+   */
+  async _announce() {
+    const batch = this.items.filter(item => item.status === 'new');
+    if (batch.length === 0) return;
+
+    batch.forEach(item => {
+      item.status = 'awaiting';
+      item.statusText = 'Waiting for approval...';
+    });
+    this.onChange();
+
+    let decisions;
+    try {
+      decisions = await this._requestApproval(batch);
+    } catch (error) {
+      if (await this.isLocked()) {
+        // Asked again once unlocked
+        batch.forEach(item => { item.status = 'new'; });
+        this.onChange();
+        this.onLocked();
+        return;
+      }
+      decisions = batch.map(() => null);
+      batch.forEach(item => { item.error = error.message || 'Could not ask the receiver'; });
+    }
+
+    batch.forEach((item, index) => {
+      // Removed while waiting
+      if (!this.items.includes(item) || item.status !== 'awaiting') return;
+      item.statusText = null;
+      if (decisions[index] === 'accepted') {
+        item.status = 'pending';
+      } else if (decisions[index] === 'rejected') {
+        item.status = 'rejected';
+        item.error = 'Declined by the receiver';
+        item.progress = 100;
+      } else {
+        item.status = 'error';
+        item.progress = 100;
+      }
+    });
+    this.onChange();
+    this.start();
+  }
+
+  // POST the batch, then poll until every file is decided - resolves to
+  // 'accepted' or 'rejected' per item
+  async _requestApproval(batch) {
+    const response = await fetch(this.approvalUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        files: batch.map(item => ({
+          name: item.file.name,
+          relativePath: item.relativePath || undefined,
+          size: item.file.size,
+          type: item.file.type || undefined,
+        })),
+      }),
+    });
+    if (!response.ok) {
+      const failure = await response.json().catch(() => ({}));
+      throw new Error(failure.error || `Server error: ${response.status}`);
+    }
+
+    let result = await response.json();
+    console.log(`📨 Asked to send ${batch.length} file(s), request ${result.requestId}`);
+    while (result.status === 'pending') {
+      await new Promise(resolve => setTimeout(resolve, this.approvalPollInterval));
+      const poll = await fetch(`${this.approvalUrl}/${encodeURIComponent(result.requestId)}`, {
+        cache: 'no-store',
+      });
+      if (!poll.ok) {
+        throw new Error(`Server error: ${poll.status}`);
+      }
+      result = await poll.json();
+    }
+    return result.files;
+  }
+
+  static supportsChunkedUpload() {
+    return typeof window.SyndroParallelUploader === 'function' &&
+      typeof window.SyndroAdaptiveTuner === 'function' &&
+      typeof window.SyndroTransferControl === 'function' &&
+      typeof window.SyndroChunkFormat === 'function' &&
+      typeof window.fetch === 'function' &&
+      typeof Blob.prototype.slice === 'function' &&
+      (typeof Worker === 'function' || typeof window.SyndroSha256 === 'function');
+  }
+
+  /**
+   * Entries from a file input - files from the folder picker carry their
+   * path inside the folder
+   */
+  static entriesFromInput(input) {
+    return Array.from(input.files || []).map(file => ({
+      file: file,
+      relativePath: file.webkitRelativePath || null,
+    }));
+  }
+
+  /**
+   * Entries from a drop - dropped folders only show up as entries, so
+   * they're walked for their files
+   */
+  static async collectDropped(dataTransfer) {
+    // Entries must be taken before the first await, the DataTransfer is
+    // emptied once the drop event returns
+    const items = Array.from(dataTransfer.items || []);
+    const rootEntries = items
+      .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+      .filter(entry => entry);
+
+    if (rootEntries.length === 0) {
+      return Array.from(dataTransfer.files).map(file => ({ file: file, relativePath: null }));
+    }
+
+    const entries = [];
+    for (const entry of rootEntries) {
+      try {
+        await SyndroUploadQueue._walkEntry(entry, entries);
+      } catch (error) {
+        console.warn(`Could not read ${entry.name}:`, error);
+      }
+    }
+    return entries;
+  }
+
+  static async _walkEntry(entry, entries) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      const relativePath = entry.fullPath.replace(/^\/+/, '');
+      entries.push({
+        file: file,
+        relativePath: relativePath.includes('/') ? relativePath : null,
+      });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns the listing in batches, empty when done
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await SyndroUploadQueue._walkEntry(child, entries);
+        }
+      } while (batch.length > 0);
+    }
+  }
+
+  _upload(item) {
+    return SyndroUploadQueue.supportsChunkedUpload()
+      ? this._uploadChunked(item)
+      : this._uploadMultipart(item);
+  }
+
+  // Stop an item's upload, if it has one running
+  _cancel(item) {
+    const transfer = item.transfer;
+    if (!transfer) return;
+
+    if (typeof transfer.cancel === 'function') {
+      transfer.cancel();
+    } else {
+      transfer.abort();
+    }
+  }
+
+  // Parallel chunks, resumable, each chunk verified on arrival
+  async _uploadChunked(item) {
+    const tuner = await this._getTuner();
+    if (!this.items.includes(item)) {
+      throw new DOMException('Upload cancelled', 'AbortError');
+    }
+
+    const uploader = new SyndroParallelUploader({
+      tuner: tuner,
+      session: null,
+      progressReporter: this.progressReporter,
+      onProgress: (progress) => {
+        if (progress.phase === 'hashing') {
+          item.statusText = `Preparing... ${Math.round(progress.progress)}%`;
+        } else if (progress.percentage !== undefined) {
+          item.statusText = null;
+          item.progress = Math.round(progress.percentage);
+        }
+        this._progressChanged();
+      },
+    });
+
+    item.transfer = uploader;
+    return uploader.uploadFile(item.file, { relativePath: item.relativePath });
+  }
+
+  async _getTuner() {
+    if (!this._tuner) {
+      const recommended = await SyndroAdaptiveTuner.fetchConfig(this.configUrl);
+      this._tuner = new SyndroAdaptiveTuner({
+        connections: this.connections,
+        chunkSize: this.chunkSize,
+        ...recommended,
+      });
+    }
+    return this._tuner;
+  }
+
+  // Single multipart request - fallback for very old browsers
+  _uploadMultipart(item) {
+    const reporter = this.progressReporter;
+    const reportAs = { fileName: item.relativePath || item.file.name };
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const formData = new FormData();
+      if (item.relativePath) {
+        // Must precede its file part - the server reads parts in order
+        formData.append('relativePath', item.relativePath);
+      }
+      formData.append('file', item.file, item.file.name);
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (!e.lengthComputable) return;
+        item.progress = Math.round((e.loaded / e.total) * 100);
+        this._progressChanged();
+        // The body carries a little form overhead beyond the file
+        if (reporter) {
+          reporter.report(reportAs, Math.min(e.loaded, item.file.size), item.file.size);
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status < 200 || xhr.status >= 300) {
+          reject(new Error(`Server error: ${xhr.status}`));
+          return;
+        }
+        try {
+          const result = JSON.parse(xhr.responseText);
+          if (result.status === 'error') {
+            reject(new Error(result.message || 'Upload failed'));
+          } else {
+            resolve(result);
+          }
+        } catch (e) {
+          resolve({});
+        }
+      });
+
+      xhr.addEventListener('error', () => reject(new Error('Network error')));
+      xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+
+      item.transfer = xhr;
+      xhr.open('POST', this.uploadUrl);
+      xhr.send(formData);
+    }).then((result) => {
+      if (reporter) reporter.complete(reportAs, item.file.size);
+      return result;
+    }, (error) => {
+      if (reporter) reporter.fail(reportAs, item.file.size);
+      throw error;
+    });
+  }
+
+  /**
+   * onChange on the next animation frame, once for all progress reported
+   * until then
+   */
+  _progressChanged() {
+    if (this._progressFrame !== null) return;
+    this._progressFrame = requestAnimationFrame(() => {
+      this._progressFrame = null;
+      this.onChange();
+    });
+  }
+
+  _isImage(filename) {
+    return this.imageExtensions.includes(filename.split('.').pop().toLowerCase());
+  }
+}
+
+// Export
+window.SyndroUploadQueue = SyndroUploadQueue;
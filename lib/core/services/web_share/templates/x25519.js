@@ -0,0 +1,153 @@
+/**
+ * Syndro X25519
+ *
+ * Pure-JS X25519 (RFC 7748) for pages without Web Crypto X25519 - browsers
+ * only expose crypto.subtle in secure contexts, and the share pages are
+ * served over plain http on the LAN. Same keys and shared secrets as the
+ * app's X25519 and crypto.subtle's; prefer crypto.subtle whenever it has
+ * X25519.
+ *
+ * BigInt arithmetic isn't constant-time, so a key pair is only ever used
+ * for one key exchange.
+ */
+
+class SyndroX25519 {
+  static _P = (1n << 255n) - 19n;
+  static _A24 = 121665n;
+  static _BASE_POINT = (() => {
+    const u = new Uint8Array(32);
+    u[0] = 9;
+    return u;
+  })();
+
+  /**
+   * A fresh key pair - { privateKey, publicKey }, 32 bytes each
+   */
+  static generateKeyPair() {
+    const privateKey = crypto.getRandomValues(new Uint8Array(32));
+    return { privateKey, publicKey: SyndroX25519.publicKey(privateKey) };
+  }
+
+  /**
+   * The public key for a 32-byte private key
+   */
+  static publicKey(privateKey) {
+    return SyndroX25519.scalarMult(privateKey, SyndroX25519._BASE_POINT);
+  }
+
+  /**
+   * The secret shared with the owner of `peerPublicKey`
+   *
+   * Throws for an all-zero result, which a peer gets by sending a
+   * low-order point - the secret would be known to anyone.
+   */
+  static sharedSecret(privateKey, peerPublicKey) {
+    if (peerPublicKey.length !== 32) {
+      throw new Error(`Invalid X25519 public key length: ${peerPublicKey.length}`);
+    }
+    const secret = SyndroX25519.scalarMult(privateKey, peerPublicKey);
+    if (secret.every(b => b === 0)) {
+      throw new Error('Invalid X25519 public key');
+    }
+    return secret;
+  }
+
+  /**
+   * The X25519 function: scalar `k` times the point with u-coordinate `u`,
+   * both 32 bytes little-endian
+   */
+  static scalarMult(k, u) {
+    const P = SyndroX25519._P;
+    const mod = (a) => {
+      const r = a % P;
+      return r < 0n ? r + P : r;
+    };
+
+    const scalar = SyndroX25519._decodeScalar(k);
+    const x1 = SyndroX25519._decodeU(u);
+    let x2 = 1n;
+    let z2 = 0n;
+    let x3 = x1;
+    let z3 = 1n;
+    let swap = 0n;
+
+    // Montgomery ladder, RFC 7748 section 5
+    for (let t = 254n; t >= 0n; t--) {
+      const bit = (scalar >> t) & 1n;
+      swap ^= bit;
+      if (swap) {
+        [x2, x3] = [x3, x2];
+        [z2, z3] = [z3, z2];
+      }
+      swap = bit;
+
+      const a = mod(x2 + z2);
+      const aa = mod(a * a);
+      const b = mod(x2 - z2);
+      const bb = mod(b * b);
+      const e = mod(aa - bb);
+      const c = mod(x3 + z3);
+      const d = mod(x3 - z3);
+      const da = mod(d * a);
+      const cb = mod(c * b);
+      const sum = mod(da + cb);
+      const difference = mod(da - cb);
+      x3 = mod(sum * sum);
+      z3 = mod(x1 * mod(difference * difference));
+      x2 = mod(aa * bb);
+      z2 = mod(e * mod(aa + SyndroX25519._A24 * e));
+    }
+    if (swap) {
+      [x2, x3] = [x3, x2];
+      [z2, z3] = [z3, z2];
+    }
+
+    return SyndroX25519._encodeU(mod(x2 * SyndroX25519._pow(z2, P - 2n)));
+  }
+
+  static _decodeScalar(k) {
+    const bytes = Uint8Array.from(k);
+    bytes[0] &= 248;
+    bytes[31] &= 127;
+    bytes[31] |= 64;
+    return SyndroX25519._fromLittleEndian(bytes);
+  }
+
+  static _decodeU(u) {
+    const bytes = Uint8Array.from(u);
+    bytes[31] &= 127;
+    return SyndroX25519._fromLittleEndian(bytes) % SyndroX25519._P;
+  }
+
+  static _encodeU(value) {
+    const bytes = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+      bytes[i] = Number(value & 0xffn);
+      value >>= 8n;
+    }
+    return bytes;
+  }
+
+  static _fromLittleEndian(bytes) {
+    let value = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      value = (value << 8n) | BigInt(bytes[i]);
+    }
+    return value;
+  }
+
+  static _pow(base, exponent) {
+    const P = SyndroX25519._P;
+    let result = 1n;
+    base %= P;
+    while (exponent > 0n) {
+      if (exponent & 1n) result = (result * base) % P;
+      base = (base * base) % P;
+      exponent >>= 1n;
+    }
+    return result;
+  }
+}
+
+// Export
+window.SyndroX25519 = SyndroX25519;
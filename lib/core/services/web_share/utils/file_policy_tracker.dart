@@ -0,0 +1,135 @@
+import '../models/file_share_policy.dart';
+import 'link_signer.dart';
+
+/// Outcome of asking to download a file under a [FileSharePolicy]
+enum FileAccessResult {
+  allowed,
+  invalidToken, // Missing, forged, or for another guest
+  expired,
+  exhausted, // No downloads left
+}
+
+/// Per-file download policies of a web share, keyed by file path
+///
+/// A restricted file is only served through a download URL carrying a
+/// token from [tokenFor], signed for one guest and - if the file expires -
+/// with its expiry in it. Downloads are counted as they start and given
+/// back with [release] if they fail, so a one-time link can't be fetched
+/// twice in parallel but survives a dropped connection.
+class FilePolicyTracker {
+  final LinkSigner _signer = LinkSigner();
+  final Map<String, _PolicyState> _states = {};
+
+  /// Set [filePath]'s policy, or lift it with null
+  ///
+  /// Expiry counts from now, and the download count starts over.
+  void set(String filePath, FileSharePolicy? policy) {
+    if (policy == null || policy.isUnrestricted) {
+      _states.remove(filePath);
+      return;
+    }
+    final expiresAfter = policy.expiresAfter;
+    _states[filePath] = _PolicyState(
+      policy,
+      expiresAfter != null ? DateTime.now().add(expiresAfter) : null,
+    );
+  }
+
+  /// The policy on [filePath], if any
+  FileSharePolicy? policyFor(String filePath) => _states[filePath]?.policy;
+
+  /// Whether [filePath] has a policy
+  bool isRestricted(String filePath) => _states.containsKey(filePath);
+
+  void clear() {
+    _states.clear();
+  }
+
+  /// Whether [filePath] can still be downloaded at all
+  bool isAvailable(String filePath) {
+    final state = _states[filePath];
+    return state == null || (!state.isExpired && !state.isExhausted);
+  }
+
+  /// Signed download token for [filePath], valid for [clientIp] only
+  String? tokenFor(String filePath, String clientIp) {
+    final state = _states[filePath];
+    if (state == null) return null;
+    final expiry = state.expiresAt?.millisecondsSinceEpoch ?? 0;
+    return '$expiry.${_signer.sign('$filePath|$clientIp|$expiry')}';
+  }
+
+  /// Remaining downloads and time, for the share page - null if unrestricted
+  Map<String, dynamic>? describe(String filePath) {
+    final state = _states[filePath];
+    if (state == null) return null;
+
+    final maxDownloads = state.policy.maxDownloads;
+    final expiresIn = state.expiresAt?.difference(DateTime.now()).inSeconds;
+    return {
+      'oneTime': state.policy.isOneTime,
+      'downloadsLeft':
+          maxDownloads != null ? maxDownloads - state.downloads : null,
+      'expiresIn': expiresIn == null || expiresIn > 0 ? expiresIn : 0,
+      'available': !state.isExpired && !state.isExhausted,
+    };
+  }
+
+  /// Check [token] and, if [filePath] can be downloaded, count a download
+  ///
+  /// Unrestricted files are always allowed and never counted.
+  FileAccessResult begin(String filePath, String clientIp, String? token) {
+    final state = _states[filePath];
+    if (state == null) return FileAccessResult.allowed;
+
+    final tokenExpiry =
+        token != null ? _verifyToken(token, filePath, clientIp) : null;
+    if (tokenExpiry == null) return FileAccessResult.invalidToken;
+    // The file's expiry may have been reset since the token was issued
+    if (state.isExpired ||
+        (tokenExpiry != 0 &&
+            DateTime.now().millisecondsSinceEpoch >= tokenExpiry)) {
+      return FileAccessResult.expired;
+    }
+    if (state.isExhausted) return FileAccessResult.exhausted;
+
+    state.downloads++;
+    return FileAccessResult.allowed;
+  }
+
+  /// Give back a download counted by [begin] that didn't complete
+  void release(String filePath) {
+    final state = _states[filePath];
+    if (state != null && state.downloads > 0) {
+      state.downloads--;
+    }
+  }
+
+  /// The expiry signed into [token] (0 for none), or null if it isn't valid
+  int? _verifyToken(String token, String filePath, String clientIp) {
+    final separator = token.indexOf('.');
+    if (separator <= 0) return null;
+
+    final expiry = token.substring(0, separator);
+    final expiryMs = int.tryParse(expiry);
+    if (expiryMs == null) return null;
+    final signature = token.substring(separator + 1);
+    return _signer.verify('$filePath|$clientIp|$expiry', signature)
+        ? expiryMs
+        : null;
+  }
+}
+
+class _PolicyState {
+  final FileSharePolicy policy;
+  final DateTime? expiresAt;
+  int downloads = 0;
+
+  _PolicyState(this.policy, this.expiresAt);
+
+  bool get isExpired =>
+      expiresAt != null && !DateTime.now().isBefore(expiresAt!);
+
+  bool get isExhausted =>
+      policy.maxDownloads != null && downloads >= policy.maxDownloads!;
+}
@@ -27,9 +27,25 @@ class FileTypeUtils {
     'dart', 'js', 'py', 'java', 'cpp', 'html', 'css', 'json', 'xml'
   ];
 
+  // Plain text the share page can show as-is
+  static const List<String> textPreviewExtensions = [
+    'txt', 'md', 'log', 'csv', 'json', 'xml', 'yaml', 'yml', 'ini', 'dart',
+    'js', 'ts', 'py', 'java', 'kt', 'c', 'h', 'cpp', 'go', 'rs', 'swift',
+    'sh', 'html', 'css', 'sql'
+  ];
+
   static const List<String> apkExtensions = ['apk', 'apks', 'apkm', 'xapk'];
   static const List<String> executableExtensions = ['exe', 'msi'];
 
+  // Compressed formats outside the archive, video and apk lists - deflating
+  // them again only costs time
+  static const List<String> compressedExtensions = [
+    'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif',
+    'mp3', 'aac', 'ogg', 'm4a', 'flac', 'opus',
+    'pdf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub',
+    'bz2', 'xz', 'zst', 'tgz', 'jar'
+  ];
+
   /// Get file type category from filename
   static String getFileType(String filename) {
     final ext = filename.split('.').last.toLowerCase();
@@ -46,6 +62,30 @@ class FileTypeUtils {
     return 'file';
   }
 
+  /// How the share page can preview a file: 'video', 'audio', 'pdf',
+  /// 'text', or null if it can only be downloaded
+  static String? getPreviewKind(String filename) {
+    final ext = filename.split('.').last.toLowerCase();
+
+    if (videoExtensions.contains(ext)) return 'video';
+    if (audioExtensions.contains(ext)) return 'audio';
+    if (ext == 'pdf') return 'pdf';
+    if (textPreviewExtensions.contains(ext)) return 'text';
+
+    return null;
+  }
+
+  /// Whether the file's format is already compressed (archives, video,
+  /// most images and audio), so compressing it for transfer won't help
+  static bool isCompressed(String filename) {
+    final ext = filename.split('.').last.toLowerCase();
+
+    return archiveExtensions.contains(ext) ||
+        videoExtensions.contains(ext) ||
+        apkExtensions.contains(ext) ||
+        compressedExtensions.contains(ext);
+  }
+
   /// Check if file is an image
   static bool isImage(String filename) {
     final ext = filename.split('.').last.toLowerCase();
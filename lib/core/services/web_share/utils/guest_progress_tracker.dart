@@ -0,0 +1,139 @@
+import 'dart:async';
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:flutter/foundation.dart';
+
+import '../models/guest_progress.dart';
+
+/// Per-guest, per-file progress for a web share server
+///
+/// Pages POST reports to /api/progress while they transfer; the server can
+/// also [record] what it sees itself. The app listens on [stream].
+class GuestProgressTracker {
+  /// Largest report body accepted
+  static const int maxReportBytes = 4096;
+  static const int _maxEntries = 1000;
+  static const int _maxFileNameLength = 255;
+
+  final Map<String, GuestProgress> _progress = {};
+  final StreamController<GuestProgress> _controller =
+      StreamController<GuestProgress>.broadcast();
+
+  /// Every progress update as it arrives
+  Stream<GuestProgress> get stream => _controller.stream;
+
+  /// Latest progress of every file every guest has touched
+  List<GuestProgress> get all => _progress.values.toList();
+
+  /// Store [progress] and pass it on to listeners
+  void record(GuestProgress progress) {
+    // FIX (Bug #11): Evict oldest entries if map grows too large
+    if (!_progress.containsKey(progress.key) &&
+        _progress.length >= _maxEntries) {
+      _progress.remove(_progress.keys.first);
+    }
+    _progress[progress.key] = progress;
+
+    if (!_controller.isClosed) {
+      _controller.add(progress);
+    }
+  }
+
+  /// Read a page's progress report from [request] and record it
+  ///
+  /// The body is JSON with `bytes`, `total` and `done` or `failed` once the
+  /// file is finished, plus either `fileName` or - when [resolveFileId] is
+  /// given - a `fileId` the server names from its own list rather than
+  /// trusting the page.
+  Future<void> handleReport(
+    HttpRequest request,
+    String clientIp,
+    GuestTransferDirection direction, {
+    ({String name, int size})? Function(int fileId)? resolveFileId,
+  }) async {
+    final report = await _readReport(request);
+    if (report == null) {
+      await _respond(request, HttpStatus.badRequest);
+      return;
+    }
+
+    final fileId = report['fileId'];
+    String? fileName;
+    int? totalBytes;
+
+    if (fileId is int && resolveFileId != null) {
+      final file = resolveFileId(fileId);
+      fileName = file?.name;
+      totalBytes = file?.size;
+    } else if (report['fileName'] is String) {
+      fileName = (report['fileName'] as String).trim();
+      totalBytes = _readInt(report['total']);
+    }
+
+    final bytes = _readInt(report['bytes']);
+    if (fileName == null ||
+        fileName.isEmpty ||
+        fileName.length > _maxFileNameLength ||
+        totalBytes == null ||
+        bytes == null) {
+      await _respond(request, HttpStatus.badRequest);
+      return;
+    }
+
+    record(GuestProgress(
+      ipAddress: clientIp,
+      fileName: fileName,
+      direction: direction,
+      bytesTransferred: bytes > totalBytes ? totalBytes : bytes,
+      totalBytes: totalBytes,
+      completed: report['done'] == true,
+      failed: report['failed'] == true,
+    ));
+
+    await _respond(request, HttpStatus.noContent);
+  }
+
+  /// Forget all progress, e.g. when the server stops
+  void clear() {
+    _progress.clear();
+  }
+
+  /// Close the stream
+  Future<void> dispose() async {
+    _progress.clear();
+    try {
+      if (!_controller.isClosed) {
+        await _controller.close();
+      }
+    } catch (e) {
+      debugPrint('Error closing guest progress controller: $e');
+    }
+  }
+
+  static Future<Map<String, dynamic>?> _readReport(HttpRequest request) async {
+    final builder = BytesBuilder(copy: false);
+    try {
+      await for (final data in request) {
+        builder.add(data);
+        if (builder.length > maxReportBytes) return null;
+      }
+      final decoded = jsonDecode(utf8.decode(builder.takeBytes()));
+      return decoded is Map<String, dynamic> ? decoded : null;
+    } catch (e) {
+      debugPrint('Invalid progress report: $e');
+      return null;
+    }
+  }
+
+  static int? _readInt(Object? value) {
+    if (value is! num || value < 0 || !value.isFinite) return null;
+    return value.toInt();
+  }
+
+  static Future<void> _respond(HttpRequest request, int statusCode) async {
+    request.response.statusCode = statusCode;
+    await request.response.close();
+  }
+}
@@ -0,0 +1,52 @@
+import 'dart:convert';
+import 'dart:math';
+import 'dart:typed_data';
+
+import 'package:crypto/crypto.dart';
+
+/// HMAC-SHA256 signatures for tokens a web share hands to browsers
+///
+/// Each signer has its own random secret, so tokens die with the share
+/// that issued them.
+class LinkSigner {
+  final Uint8List _secret;
+
+  LinkSigner() : _secret = _randomBytes(32);
+
+  /// URL-safe base64 signature of [payload], without padding
+  String sign(String payload) => encode(_mac(utf8.encode(payload)));
+
+  /// Whether [signature] is [payload]'s, compared in constant time
+  bool verify(String payload, String signature) {
+    final List<int> actual;
+    try {
+      actual = base64Url.decode(base64Url.normalize(signature));
+    } on FormatException {
+      return false;
+    }
+    return constantTimeEquals(_mac(utf8.encode(payload)), actual);
+  }
+
+  /// Compare without stopping at the first difference, so response timing
+  /// doesn't tell how much of a guess was right
+  static bool constantTimeEquals(List<int> a, List<int> b) {
+    if (a.length != b.length) return false;
+    var difference = 0;
+    for (var i = 0; i < a.length; i++) {
+      difference |= a[i] ^ b[i];
+    }
+    return difference == 0;
+  }
+
+  /// URL-safe base64 without padding
+  static String encode(List<int> bytes) =>
+      base64Url.encode(bytes).replaceAll('=', '');
+
+  List<int> _mac(List<int> data) => Hmac(sha256, _secret).convert(data).bytes;
+
+  static Uint8List _randomBytes(int length) {
+    final random = Random.secure();
+    return Uint8List.fromList(
+        List<int>.generate(length, (_) => random.nextInt(256)));
+  }
+}
@@ -1,48 +1,248 @@
 import 'dart:convert';
+import 'dart:typed_data';
 
 import 'package:flutter/foundation.dart';
 
+/// Thrown when a multipart body is malformed or ends early
+class MultipartException implements Exception {
+  final String message;
+
+  MultipartException(this.message);
+
+  @override
+  String toString() => 'MultipartException: $message';
+}
+
 /// Represents a single part from multipart form data
 class MultipartPart {
+  final String? name;
   final String? filename;
   final List<int> data;
 
-  MultipartPart({this.filename, required this.data});
+  MultipartPart({this.name, this.filename, required this.data});
 }
 
-/// Utility class for parsing multipart form data
-class MultipartParser {
-  /// Parse multipart form data from bytes
-  static List<MultipartPart> parse(List<int> bytes, String boundary) {
-    final parts = <MultipartPart>[];
-    final boundaryBytes = utf8.encode('--$boundary');
+/// Multipart event types
+enum MultipartEventType {
+  /// A part's headers were read - [MultipartEvent.name] and
+  /// [MultipartEvent.filename] are set
+  partStart,
+
+  /// Body bytes of the current part
+  data,
+
+  /// The current part's body is complete
+  partEnd,
+}
+
+/// One step of a multipart body, as emitted by [MultipartStreamParser]
+class MultipartEvent {
+  final MultipartEventType type;
+  final String? name;
+  final String? filename;
+  final Uint8List? data;
+
+  MultipartEvent._(this.type, {this.name, this.filename, this.data});
+}
+
+/// Incremental multipart/form-data parser
+///
+/// Feed the body in with [add] as it arrives and act on the returned events
+/// before the next chunk - a part's data never has to be in memory at once,
+/// so it can go straight to disk whatever its size. Only the tail that could
+/// be the start of a boundary is held back between chunks.
+class MultipartStreamParser {
+  /// Longest header block accepted for a single part
+  static const int maxHeaderBytes = 16 * 1024;
+
+  static const int _cr = 13;
+  static const int _lf = 10;
+  static const int _dash = 45;
+  static final Uint8List _headerEnd = Uint8List.fromList([_cr, _lf, _cr, _lf]);
+
+  /// CRLF + '--' + boundary: what ends every part body
+  final Uint8List _delimiter;
+  final Uint32List _skipTable;
+
+  _ParserState _state = _ParserState.preamble;
+
+  // Received bytes not consumed yet. Starts with a CRLF so the first
+  // boundary, which has none in front of it, matches [_delimiter] too
+  Uint8List _buffer = Uint8List.fromList([_cr, _lf]);
+
+  MultipartStreamParser(String boundary)
+      : _delimiter = Uint8List.fromList([_cr, _lf, _dash, _dash, ...utf8.encode(boundary)]),
+        _skipTable = Uint32List(256) {
+    // Boyer-Moore-Horspool shifts: body data is scanned a lot, so skip ahead
+    // by up to the delimiter length instead of checking every byte
+    _skipTable.fillRange(0, 256, _delimiter.length);
+    for (int i = 0; i < _delimiter.length - 1; i++) {
+      _skipTable[_delimiter[i]] = _delimiter.length - 1 - i;
+    }
+  }
+
+  /// Whether the closing boundary has been seen
+  bool get isDone => _state == _ParserState.done;
+
+  /// Parse the next [chunk] of the body
+  ///
+  /// Data events may be views into internal buffers - write or copy them
+  /// before calling [add] again.
+  List<MultipartEvent> add(List<int> chunk) {
+    final events = <MultipartEvent>[];
+    if (_state == _ParserState.done || chunk.isEmpty) return events;
+
+    if (_buffer.isEmpty) {
+      _buffer = chunk is Uint8List ? chunk : Uint8List.fromList(chunk);
+    } else {
+      final combined = Uint8List(_buffer.length + chunk.length);
+      combined.setRange(0, _buffer.length, _buffer);
+      combined.setRange(_buffer.length, combined.length, chunk);
+      _buffer = combined;
+    }
+
+    int offset = 0;
+    bool progressed = true;
+
+    while (progressed && _state != _ParserState.done) {
+      progressed = false;
 
-    int start = 0;
+      switch (_state) {
+        case _ParserState.preamble:
+        case _ParserState.body:
+          final index = _indexOfDelimiter(_buffer, offset);
+          if (index == -1) {
+            // Keep anything that could still turn into a delimiter
+            final safeEnd = _buffer.length - (_delimiter.length - 1);
+            if (_state == _ParserState.body && safeEnd > offset) {
+              events.add(MultipartEvent._(MultipartEventType.data,
+                  data: Uint8List.sublistView(_buffer, offset, safeEnd)));
+            }
+            if (safeEnd > offset) offset = safeEnd;
+            break;
+          }
 
-    while (true) {
-      final boundaryIndex = _indexOf(bytes, boundaryBytes, start);
-      if (boundaryIndex == -1) break;
+          if (_state == _ParserState.body) {
+            if (index > offset) {
+              events.add(MultipartEvent._(MultipartEventType.data,
+                  data: Uint8List.sublistView(_buffer, offset, index)));
+            }
+            events.add(MultipartEvent._(MultipartEventType.partEnd));
+          }
+          offset = index + _delimiter.length;
+          _state = _ParserState.afterBoundary;
+          progressed = true;
 
-      if (start > 0) {
-        // Extract part data (excluding CRLF before boundary)
-        final partBytes = bytes.sublist(start, boundaryIndex - 2);
-        final part = _parsePart(partBytes);
-        if (part != null) parts.add(part);
+        case _ParserState.afterBoundary:
+          if (_buffer.length - offset < 2) break;
+          final first = _buffer[offset];
+          final second = _buffer[offset + 1];
+          if (first == _dash && second == _dash) {
+            // Closing boundary - anything after it is epilogue
+            _state = _ParserState.done;
+            offset = _buffer.length;
+          } else if (first == _cr && second == _lf) {
+            offset += 2;
+            _state = _ParserState.headers;
+            progressed = true;
+          } else {
+            throw MultipartException('Malformed boundary line');
+          }
+
+        case _ParserState.headers:
+          int headerEnd;
+          int bodyStart;
+          if (_buffer.length - offset >= 2 &&
+              _buffer[offset] == _cr &&
+              _buffer[offset + 1] == _lf) {
+            // Part with no headers at all
+            headerEnd = offset;
+            bodyStart = offset + 2;
+          } else {
+            headerEnd = _indexOf(_buffer, _headerEnd, offset);
+            if (headerEnd == -1) {
+              if (_buffer.length - offset > maxHeaderBytes) {
+                throw MultipartException('Part headers too large');
+              }
+              break;
+            }
+            bodyStart = headerEnd + 4;
+          }
+
+          if (headerEnd - offset > maxHeaderBytes) {
+            throw MultipartException('Part headers too large');
+          }
+
+          events.add(_parseHeaders(
+              Uint8List.sublistView(_buffer, offset, headerEnd)));
+          offset = bodyStart;
+          _state = _ParserState.body;
+          progressed = true;
+
+        case _ParserState.done:
+          break;
       }
+    }
+
+    // Copy the unconsumed tail so the chunk itself can be released
+    _buffer = offset >= _buffer.length
+        ? Uint8List(0)
+        : Uint8List.fromList(Uint8List.sublistView(_buffer, offset));
 
-      start = boundaryIndex + boundaryBytes.length + 2;
+    return events;
+  }
+
+  /// Finish parsing - throws [MultipartException] if the body was cut off
+  void close() {
+    if (_state != _ParserState.done) {
+      throw MultipartException('Body ended before the closing boundary');
+    }
+  }
 
-      // Check for final boundary (--boundary--)
-      if (start < bytes.length - 2 &&
-          bytes[start - 2] == 45 &&
-          bytes[start - 1] == 45) {
-        break;
+  /// Parse multipart form data from bytes
+  ///
+  /// Holds every part in memory - for uploads, stream through [add] instead.
+  static List<MultipartPart> parse(List<int> bytes, String boundary) {
+    final parser = MultipartStreamParser(boundary);
+    final parts = <MultipartPart>[];
+    MultipartEvent? current;
+    BytesBuilder? data;
+
+    for (final event in parser.add(bytes)) {
+      switch (event.type) {
+        case MultipartEventType.partStart:
+          current = event;
+          data = BytesBuilder();
+        case MultipartEventType.data:
+          data?.add(event.data!);
+        case MultipartEventType.partEnd:
+          parts.add(MultipartPart(
+            name: current?.name,
+            filename: current?.filename,
+            data: data?.takeBytes() ?? const [],
+          ));
+          current = null;
+          data = null;
       }
     }
 
     return parts;
   }
 
+  int _indexOfDelimiter(Uint8List bytes, int start) {
+    final last = _delimiter.length - 1;
+    int i = start;
+    while (i <= bytes.length - _delimiter.length) {
+      int j = last;
+      while (j >= 0 && bytes[i + j] == _delimiter[j]) {
+        j--;
+      }
+      if (j < 0) return i;
+      i += _skipTable[bytes[i + last]];
+    }
+    return -1;
+  }
+
   /// Find pattern in bytes starting from given index
   static int _indexOf(List<int> bytes, List<int> pattern, int start) {
     for (int i = start; i <= bytes.length - pattern.length; i++) {
@@ -58,29 +258,15 @@ class MultipartParser {
     return -1;
   }
 
-  /// Parse a single multipart part
-  /// FIX (Bug #19): Parse headers from raw bytes to avoid UTF-8 corruption of binary data
-  static MultipartPart? _parsePart(List<int> bytes) {
-    // Find the header/body separator (\r\n\r\n) by scanning raw bytes
-    int separatorIndex = -1;
-    for (int i = 0; i <= bytes.length - 4; i++) {
-      if (bytes[i] == 13 &&     // \r
-          bytes[i + 1] == 10 && // \n
-          bytes[i + 2] == 13 && // \r
-          bytes[i + 3] == 10) { // \n
-        separatorIndex = i;
-        break;
-      }
-    }
-
-    if (separatorIndex == -1) return null;
-
-    // Only decode the headers portion as UTF-8 (headers are always ASCII-safe)
-    final headerBytes = bytes.sublist(0, separatorIndex);
-    final bodyBytes = bytes.sublist(separatorIndex + 4);
-
+  /// Read a part's name and filename from its raw header bytes
+  /// FIX (Bug #19): Only headers are decoded - body bytes stay untouched
+  static MultipartEvent _parseHeaders(List<int> headerBytes) {
     final headers = utf8.decode(headerBytes, allowMalformed: true);
 
+    // Field name - `[;\s]` so the "name=" inside "filename=" doesn't match
+    final nameMatch = RegExp(r'[;\s]name="([^"]*)"').firstMatch(headers);
+    final name = nameMatch?.group(1);
+
     String? filename;
     final filenameMatch = RegExp(r'filename="([^"]+)"').firstMatch(headers);
     if (filenameMatch != null) {
@@ -94,6 +280,9 @@ class MultipartParser {
       }
     }
 
-    return MultipartPart(filename: filename, data: bodyBytes);
+    return MultipartEvent._(MultipartEventType.partStart,
+        name: name, filename: filename);
   }
 }
+
+enum _ParserState { preamble, afterBoundary, headers, body, done }
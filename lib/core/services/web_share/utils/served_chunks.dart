@@ -0,0 +1,147 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:math';
+import 'dart:typed_data';
+
+import 'package:crypto/crypto.dart' as crypto;
+import 'package:flutter/foundation.dart';
+
+import '../../parallel/chunk_compression.dart';
+
+/// Shared files served in chunks, for the share page's parallel downloader
+/// (parallel_download.js)
+///
+/// A file is fetched chunk by chunk from `/transfer/chunk/<transferId>/<i>`.
+/// Each chunk carries its SHA-256 in [hashHeader], so a dropped or
+/// corrupted chunk is fetched again on its own - and nothing has to read
+/// the whole file before the first chunk goes out. The transferId carries
+/// the file's place in the share and its size and modified time - a file
+/// changed since it was listed is refused rather than mixed with chunks of
+/// the old one.
+///
+/// Chunks of files that aren't compressed already go out deflated to
+/// downloaders that ask for it - see [ChunkCompression].
+class ServedChunks {
+  ServedChunks._();
+
+  /// Size of every chunk but the last
+  static const int chunkSize = 1024 * 1024;
+
+  static const String chunkPath = '/transfer/chunk/';
+
+  /// Response header with the hex SHA-256 of the chunk
+  static const String hashHeader = 'X-Chunk-Hash';
+
+  /// Whether [requestPath] is a chunk route
+  static bool isChunkRequest(String requestPath) =>
+      requestPath.startsWith(chunkPath);
+
+  /// What the page needs to download the file listed at [index] in chunks
+  static Map<String, dynamic> describe(int index, FileStat stat) {
+    final transferId = _transferIdFor(index, stat);
+    return {
+      'transferId': transferId,
+      'chunkSize': chunkSize,
+      'totalChunks': _totalChunks(stat.size),
+      'chunkHashHeader': hashHeader,
+    };
+  }
+
+  static String _transferIdFor(int index, FileStat stat) =>
+      '$index-${stat.size}-${stat.modified.millisecondsSinceEpoch}';
+
+  static int _totalChunks(int fileSize) =>
+      (fileSize + chunkSize - 1) ~/ chunkSize;
+
+  /// Answer a GET for a chunk - see [isChunkRequest]
+  ///
+  /// [resolve] gives the shared file listed at an index, or null if there
+  /// is none or it can't be downloaded in chunks.
+  static Future<void> handleRequest(
+      HttpRequest request, File? Function(int index) resolve) async {
+    final parts = request.uri.path.substring(chunkPath.length).split('/');
+    if (parts.length != 2) {
+      await _sendError(request, HttpStatus.badRequest, 'Invalid request');
+      return;
+    }
+
+    final transferId = parts[0];
+    final index = int.tryParse(transferId.split('-').first);
+    final file = index != null ? resolve(index) : null;
+    final stat = file != null ? await file.stat() : null;
+    if (stat == null ||
+        stat.type == FileSystemEntityType.notFound ||
+        _transferIdFor(index!, stat) != transferId) {
+      await _sendError(request, HttpStatus.notFound, 'Transfer not found');
+      return;
+    }
+
+    await _serveChunk(request, file!, stat.size, parts[1]);
+  }
+
+  static Future<void> _serveChunk(
+      HttpRequest request, File file, int fileSize, String rawIndex) async {
+    final chunkIndex = int.tryParse(rawIndex);
+    if (chunkIndex == null ||
+        chunkIndex < 0 ||
+        chunkIndex >= _totalChunks(fileSize)) {
+      await _sendError(request, HttpStatus.badRequest, 'Invalid chunk index');
+      return;
+    }
+
+    final start = chunkIndex * chunkSize;
+    final end = min(start + chunkSize, fileSize);
+
+    // Read whole, to hash it before it goes out
+    final List<int> data;
+    try {
+      final builder = BytesBuilder(copy: false);
+      await file.openRead(start, end).forEach(builder.add);
+      data = builder.takeBytes();
+    } catch (e) {
+      debugPrint('Error reading chunk $chunkIndex of ${file.path}: $e');
+      await _sendError(request, HttpStatus.internalServerError,
+          'Could not read the file');
+      return;
+    }
+    if (data.length != end - start) {
+      await _sendError(request, HttpStatus.notFound, 'Transfer not found');
+      return;
+    }
+
+    final compression = ChunkCompression.negotiateServed(
+        request.headers.value(ChunkCompression.acceptHeader), file.path);
+    final compressed =
+        compression != null ? ChunkCompression.deflate(data) : null;
+    final body = compressed ?? data;
+
+    try {
+      request.response.headers.contentType = ContentType.binary;
+      request.response.headers.contentLength = body.length;
+      request.response.headers.set('Cache-Control', 'no-store');
+      request.response.headers
+          .set(hashHeader, crypto.sha256.convert(data).toString());
+      if (compressed != null) {
+        request.response.headers.set(ChunkCompression.header, compression!);
+        request.response.headers.set('X-Original-Size', data.length.toString());
+      }
+      request.response.add(body);
+      await request.response.close();
+    } catch (e) {
+      debugPrint('Error serving chunk $chunkIndex of ${file.path}: $e');
+      try {
+        await request.response.close();
+      } catch (closeError) {
+        debugPrint('Error closing response after stream error: $closeError');
+      }
+    }
+  }
+
+  static Future<void> _sendError(
+      HttpRequest request, int statusCode, String error) async {
+    request.response.statusCode = statusCode;
+    request.response.headers.contentType = ContentType.json;
+    request.response.write(jsonEncode({'success': false, 'error': error}));
+    await request.response.close();
+  }
+}
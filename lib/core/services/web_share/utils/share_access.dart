@@ -0,0 +1,176 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:flutter/foundation.dart';
+
+import 'link_signer.dart';
+
+/// PIN / passphrase protection for a web share or receive link
+///
+/// Guests unlock once with POST /api/unlock and get a session cookie: an
+/// HMAC-signed token tied to their IP that expires after [sessionLifetime].
+/// Browsers send it with every request from the page - downloads, images,
+/// video and uploads alike - so nothing else in the page has to know.
+class ShareAccess {
+  static const String cookieName = 'syndro_session';
+  static const Duration sessionLifetime = Duration(minutes: 30);
+  static const int minPasscodeLength = 4;
+  static const int maxPasscodeLength = 64;
+
+  /// How many requests a wrong passcode costs against the rate limit -
+  /// a 4-digit PIN can't be guessed at 60 tries a minute
+  static const int failedAttemptWeight = 10;
+
+  // The longest passcode at 4 UTF-8 bytes a character, plus its JSON -
+  // unlock requests come from guests who aren't authorized yet, so nothing
+  // longer is even read
+  static const int _maxUnlockBodyBytes = maxPasscodeLength * 4 + 64;
+
+  final String? _passcode;
+  final LinkSigner _signer = LinkSigner();
+
+  /// [passcode] null means the link is open to anyone who has it
+  ShareAccess({String? passcode}) : _passcode = passcode;
+
+  /// Whether guests must unlock before using the link
+  bool get isLocked => _passcode != null;
+
+  /// Why [passcode] can't be used, or null if it's fine
+  static String? validatePasscode(String passcode) {
+    if (passcode.length < minPasscodeLength) {
+      return 'Use at least $minPasscodeLength characters';
+    }
+    if (passcode.length > maxPasscodeLength) {
+      return 'Use at most $maxPasscodeLength characters';
+    }
+    return null;
+  }
+
+  /// Whether [request] carries a valid session - always true when unlocked
+  bool isAuthorized(HttpRequest request, String clientIp) {
+    if (!isLocked) return true;
+
+    try {
+      for (final cookie in request.cookies) {
+        if (cookie.name == cookieName &&
+            _verifyToken(cookie.value, clientIp)) {
+          return true;
+        }
+      }
+    } catch (e) {
+      // dart:io throws on a malformed Cookie header
+      debugPrint('Invalid cookie header: $e');
+    }
+    return false;
+  }
+
+  /// GET /api/session - whether the page has to show its unlock screen
+  Future<void> serveStatus(HttpRequest request, String clientIp) async {
+    await _sendJson(request, HttpStatus.ok, {
+      'locked': isLocked,
+      'unlocked': isAuthorized(request, clientIp),
+    });
+  }
+
+  /// POST /api/unlock with `{"passcode": "..."}`
+  ///
+  /// Sets the session cookie and returns true if the passcode matches. On
+  /// false, the caller charges [failedAttemptWeight] to the rate limit. A
+  /// body too long to hold a passcode is cut off and answered with 413.
+  Future<bool> handleUnlock(HttpRequest request, String clientIp) async {
+    final body = await _readBody(request, _maxUnlockBodyBytes);
+    if (body == null) {
+      await _sendJson(request, HttpStatus.requestEntityTooLarge,
+          {'success': false, 'error': 'Request too large'});
+      return false;
+    }
+
+    String? attempt;
+    try {
+      final decoded = jsonDecode(utf8.decode(body));
+      if (decoded is Map<String, dynamic> && decoded['passcode'] is String) {
+        attempt = decoded['passcode'] as String;
+      }
+    } catch (e) {
+      debugPrint('Invalid unlock request: $e');
+    }
+
+    if (!isLocked || attempt == null || !_matches(attempt)) {
+      await _sendJson(request, HttpStatus.unauthorized,
+          {'success': false, 'error': 'Wrong PIN or passphrase'});
+      return false;
+    }
+
+    final cookie = Cookie(cookieName, _issueToken(clientIp))
+      ..httpOnly = true
+      ..path = '/'
+      ..maxAge = sessionLifetime.inSeconds
+      ..sameSite = SameSite.strict;
+    request.response.cookies.add(cookie);
+    await _sendJson(request, HttpStatus.ok, {'success': true});
+    return true;
+  }
+
+  /// Answer a request that arrived without a valid session
+  static Future<void> rejectUnauthorized(HttpRequest request) async {
+    await _sendJson(request, HttpStatus.unauthorized,
+        {'error': 'This link is locked. Enter the PIN to continue.'});
+  }
+
+  /// Read a request body into memory, or null as soon as it exceeds
+  /// [maxBytes]
+  static Future<Uint8List?> _readBody(HttpRequest request, int maxBytes) async {
+    if (request.contentLength > maxBytes) return null;
+
+    final builder = BytesBuilder(copy: false);
+    await for (final chunk in request) {
+      builder.add(chunk);
+      if (builder.length > maxBytes) return null;
+    }
+    return builder.takeBytes();
+  }
+
+  /// Compare MACs rather than the strings, so response timing doesn't leak
+  /// the passcode or its length
+  bool _matches(String attempt) {
+    return _signer.verify(attempt, _signer.sign(_passcode!));
+  }
+
+  /// `base64url(ip|expiry).signature`
+  String _issueToken(String clientIp) {
+    final expiry =
+        DateTime.now().add(sessionLifetime).millisecondsSinceEpoch;
+    final payload = '$clientIp|$expiry';
+    return '${LinkSigner.encode(utf8.encode(payload))}.${_signer.sign(payload)}';
+  }
+
+  bool _verifyToken(String token, String clientIp) {
+    final parts = token.split('.');
+    if (parts.length != 2) return false;
+
+    try {
+      final payload =
+          utf8.decode(base64Url.decode(base64Url.normalize(parts[0])));
+      if (!_signer.verify(payload, parts[1])) return false;
+
+      final fields = payload.split('|');
+      if (fields.length != 2 || fields[0] != clientIp) return false;
+      final expiry = int.tryParse(fields[1]);
+      return expiry != null &&
+          DateTime.now().millisecondsSinceEpoch < expiry;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  static Future<void> _sendJson(
+      HttpRequest request, int statusCode, Map<String, dynamic> body) async {
+    request.response.statusCode = statusCode;
+    request.response.headers.contentType = ContentType.json;
+    request.response.headers
+        .set(HttpHeaders.cacheControlHeader, 'no-store');
+    request.response.write(jsonEncode(body));
+    await request.response.close();
+  }
+}
@@ -0,0 +1,167 @@
+import 'dart:async';
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:flutter/foundation.dart';
+
+import '../../../models/text_snippet.dart';
+
+/// Text snippets passed over a web share server
+///
+/// Guests POST `{"text": ...}` to /api/snippets and the app hears about it
+/// on [stream]. The app [post]s its own for pages to GET from the same path.
+class SnippetBoard {
+  /// Longest snippet accepted, in characters
+  static const int maxSnippetLength = 64 * 1024;
+  // UTF-8 takes up to 4 bytes a character, plus the JSON around it
+  static const int _maxBodyBytes = 4 * maxSnippetLength + 1024;
+  static const int _maxSnippets = 50;
+
+  final SnippetDirection _direction;
+  final List<TextSnippet> _snippets = [];
+  final StreamController<TextSnippet> _controller =
+      StreamController<TextSnippet>.broadcast();
+  int _counter = 0;
+
+  /// A board for snippets going [direction] - guests' go in, the app's out
+  SnippetBoard(this._direction);
+
+  /// Every snippet as it's posted
+  Stream<TextSnippet> get stream => _controller.stream;
+
+  /// Snippets on the board, oldest first
+  List<TextSnippet> get snippets => List.unmodifiable(_snippets);
+
+  /// Add [text] to the board - null if it's empty or too long
+  ///
+  /// Only the newest snippets are kept.
+  TextSnippet? post(String text, {String? ipAddress}) {
+    if (!_isPostable(text)) return null;
+
+    final snippet = TextSnippet(
+      // Unique across both boards, for the history table
+      id: '${_direction.name}-${DateTime.now().millisecondsSinceEpoch}-'
+          '${_counter++}',
+      text: text,
+      direction: _direction,
+      ipAddress: ipAddress,
+    );
+    if (_snippets.length >= _maxSnippets) {
+      _snippets.removeAt(0);
+    }
+    _snippets.add(snippet);
+
+    if (!_controller.isClosed) {
+      _controller.add(snippet);
+    }
+    return snippet;
+  }
+
+  static bool _isPostable(String text) =>
+      text.trim().isNotEmpty && text.length <= maxSnippetLength;
+
+  /// Take a snippet off the board
+  bool remove(String id) {
+    final before = _snippets.length;
+    _snippets.removeWhere((s) => s.id == id);
+    return _snippets.length != before;
+  }
+
+  /// Answer GET /api/snippets with everything on the board
+  Future<void> serveList(HttpRequest request) async {
+    request.response.headers.contentType = ContentType.json;
+    request.response.headers.set('Cache-Control', 'no-store');
+    request.response.write(jsonEncode({
+      'snippets': _snippets.map((s) => s.toJson()).toList(),
+    }));
+    await request.response.close();
+  }
+
+  /// Read a guest's POST /api/snippets and post it
+  ///
+  /// With [hold], the text is handed to it instead of posted: it answers
+  /// with a status for the page to poll (202), or null to refuse (429).
+  Future<void> handlePost(HttpRequest request, String clientIp,
+      {Map<String, dynamic>? Function(String text)? hold}) async {
+    final body = await _readBody(request);
+    final text = body?['text'];
+    if (text is! String) {
+      await _respond(request, HttpStatus.badRequest, 'Expected {"text": ...}');
+      return;
+    }
+
+    if (!_isPostable(text)) {
+      await _respond(
+        request,
+        text.length > maxSnippetLength
+            ? HttpStatus.requestEntityTooLarge
+            : HttpStatus.badRequest,
+        'Text must be 1 to $maxSnippetLength characters',
+      );
+      return;
+    }
+
+    if (hold != null) {
+      final status = hold(text);
+      if (status == null) {
+        await _respond(request, HttpStatus.tooManyRequests,
+            'Wait for the receiver to answer earlier requests');
+        return;
+      }
+      debugPrint('📋 Snippet from $clientIp (${text.length} chars) held for approval');
+      request.response.statusCode = HttpStatus.accepted;
+      request.response.headers.contentType = ContentType.json;
+      request.response.write(jsonEncode(status));
+      await request.response.close();
+      return;
+    }
+
+    final snippet = post(text, ipAddress: clientIp)!;
+    debugPrint('📋 Snippet from $clientIp (${text.length} chars)');
+    request.response.statusCode = HttpStatus.created;
+    request.response.headers.contentType = ContentType.json;
+    request.response.write(jsonEncode(snippet.toJson()));
+    await request.response.close();
+  }
+
+  /// Forget all snippets, e.g. when the server stops
+  void clear() {
+    _snippets.clear();
+  }
+
+  /// Close the stream
+  Future<void> dispose() async {
+    _snippets.clear();
+    try {
+      if (!_controller.isClosed) {
+        await _controller.close();
+      }
+    } catch (e) {
+      debugPrint('Error closing snippet controller: $e');
+    }
+  }
+
+  static Future<Map<String, dynamic>?> _readBody(HttpRequest request) async {
+    final builder = BytesBuilder(copy: false);
+    try {
+      await for (final data in request) {
+        builder.add(data);
+        if (builder.length > _maxBodyBytes) return null;
+      }
+      final decoded = jsonDecode(utf8.decode(builder.takeBytes()));
+      return decoded is Map<String, dynamic> ? decoded : null;
+    } catch (e) {
+      debugPrint('Invalid snippet: $e');
+      return null;
+    }
+  }
+
+  static Future<void> _respond(
+      HttpRequest request, int statusCode, String message) async {
+    request.response.statusCode = statusCode;
+    request.response.headers.contentType = ContentType.json;
+    request.response.write(jsonEncode({'error': message}));
+    await request.response.close();
+  }
+}
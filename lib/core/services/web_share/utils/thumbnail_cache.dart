@@ -0,0 +1,191 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:math' as math;
+import 'dart:typed_data';
+import 'dart:ui' as ui;
+
+import 'package:crypto/crypto.dart';
+import 'package:flutter/foundation.dart';
+import 'package:flutter_image_compress/flutter_image_compress.dart';
+import 'package:path/path.dart' as path;
+import 'package:path_provider/path_provider.dart';
+import 'package:video_thumbnail/video_thumbnail.dart';
+
+import '../../../utils/synchronized.dart';
+import 'file_type_utils.dart';
+
+/// A generated thumbnail, ready to send
+class Thumbnail {
+  final Uint8List bytes;
+  final String contentType;
+
+  Thumbnail(this.bytes, this.contentType);
+}
+
+/// Downscaled image thumbnails and video poster frames for the share page
+///
+/// Each one is made once per file, size and modification time and kept on
+/// disk until [clear], so reloads and other guests get it straight away.
+/// Generation runs one file at a time - a phone decoding a grid of 200 photos
+/// at once would run out of memory.
+class ThumbnailCache {
+  /// Sizes the share page may ask for - roughly the short edge in pixels
+  static const List<int> sizes = [128, 256, 512, 1024, 2048];
+  static const int defaultSize = 256;
+  static const int _quality = 75;
+
+  // File extension -> content type, for everything the cache writes
+  static const Map<String, String> _formats = {
+    'jpg': 'image/jpeg',
+    'webp': 'image/webp',
+    'png': 'image/png',
+  };
+
+  final SynchronizedLock<Thumbnail?> _generateLock =
+      SynchronizedLock<Thumbnail?>();
+  Directory? _directory;
+
+  /// Snap a requested size up to the nearest allowed one
+  static int normalizeSize(int? requested) {
+    if (requested == null) return defaultSize;
+    for (final size in sizes) {
+      if (size >= requested) return size;
+    }
+    return sizes.last;
+  }
+
+  /// Whether this platform can grab video poster frames
+  static bool get supportsVideoPosters => Platform.isAndroid || Platform.isIOS;
+
+  /// Thumbnail of [file] at [size], or null if none can be made
+  Future<Thumbnail?> get(File file, int size) async {
+    final ext = path.extension(file.path).replaceFirst('.', '').toLowerCase();
+    final isVideo = FileTypeUtils.videoExtensions.contains(ext);
+    if (isVideo && !supportsVideoPosters) return null;
+
+    try {
+      final stat = await file.stat();
+      final key = sha1
+          .convert(utf8.encode(
+              '${file.path}|${stat.size}|${stat.modified.millisecondsSinceEpoch}|$size'))
+          .toString();
+      final directory = await _cacheDirectory();
+
+      final cached = await _readCached(directory, key);
+      if (cached != null) return cached;
+
+      return await _generateLock.synchronized(() async {
+        // Made by another request while this one waited
+        final cached = await _readCached(directory, key);
+        if (cached != null) return cached;
+
+        final thumbnail = isVideo
+            ? await _videoPoster(file, size)
+            : await _imageThumbnail(file, ext, size);
+        if (thumbnail == null) return null;
+
+        final fileExt = _formats.entries
+            .firstWhere((format) => format.value == thumbnail.contentType)
+            .key;
+        await File(path.join(directory.path, '$key.$fileExt'))
+            .writeAsBytes(thumbnail.bytes);
+        return thumbnail;
+      });
+    } catch (e) {
+      debugPrint('⚠️ Could not make thumbnail for ${path.basename(file.path)}: $e');
+      return null;
+    }
+  }
+
+  /// Delete every cached thumbnail
+  Future<void> clear() async {
+    final directory = _directory;
+    _directory = null;
+    if (directory == null) return;
+
+    try {
+      if (await directory.exists()) {
+        await directory.delete(recursive: true);
+      }
+    } catch (e) {
+      debugPrint('Error clearing thumbnail cache: $e');
+    }
+  }
+
+  Future<Directory> _cacheDirectory() async {
+    if (_directory != null) return _directory!;
+    final temp = await getTemporaryDirectory();
+    final directory = Directory(path.join(temp.path, 'syndro_thumbnails'));
+    await directory.create(recursive: true);
+    _directory = directory;
+    return directory;
+  }
+
+  Future<Thumbnail?> _readCached(Directory directory, String key) async {
+    for (final format in _formats.entries) {
+      final file = File(path.join(directory.path, '$key.${format.key}'));
+      if (await file.exists()) {
+        return Thumbnail(await file.readAsBytes(), format.value);
+      }
+    }
+    return null;
+  }
+
+  Future<Thumbnail?> _imageThumbnail(File file, String ext, int size) async {
+    if (Platform.isAndroid || Platform.isIOS || Platform.isMacOS) {
+      // WebP keeps transparency, which JPEG would turn black
+      final keepAlpha = const ['png', 'gif', 'webp'].contains(ext);
+      final bytes = await FlutterImageCompress.compressWithFile(
+        file.absolute.path,
+        minWidth: size,
+        minHeight: size,
+        quality: _quality,
+        format: keepAlpha ? CompressFormat.webp : CompressFormat.jpeg,
+      );
+      if (bytes != null) {
+        return Thumbnail(bytes, keepAlpha ? 'image/webp' : 'image/jpeg');
+      }
+    }
+
+    // Desktop: decode at the target size with the engine's own codecs
+    return _imageThumbnailWithEngine(file, size);
+  }
+
+  Future<Thumbnail?> _imageThumbnailWithEngine(File file, int size) async {
+    final buffer = await ui.ImmutableBuffer.fromUint8List(await file.readAsBytes());
+    final descriptor = await ui.ImageDescriptor.encoded(buffer);
+
+    try {
+      // Scale the short edge down to [size] - never up
+      final scale = size / math.min(descriptor.width, descriptor.height);
+      final codec = await descriptor.instantiateCodec(
+        targetWidth: scale < 1 ? (descriptor.width * scale).round() : null,
+        targetHeight: scale < 1 ? (descriptor.height * scale).round() : null,
+      );
+
+      try {
+        final frame = await codec.getNextFrame();
+        final data = await frame.image.toByteData(format: ui.ImageByteFormat.png);
+        frame.image.dispose();
+        if (data == null) return null;
+        return Thumbnail(data.buffer.asUint8List(), 'image/png');
+      } finally {
+        codec.dispose();
+      }
+    } finally {
+      descriptor.dispose();
+      buffer.dispose();
+    }
+  }
+
+  Future<Thumbnail?> _videoPoster(File file, int size) async {
+    final bytes = await VideoThumbnail.thumbnailData(
+      video: file.path,
+      imageFormat: ImageFormat.JPEG,
+      maxWidth: size,
+      quality: _quality,
+    );
+    if (bytes == null) return null;
+    return Thumbnail(bytes, 'image/jpeg');
+  }
+}
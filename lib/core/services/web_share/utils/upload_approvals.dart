@@ -0,0 +1,301 @@
+import 'dart:async';
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:flutter/foundation.dart';
+
+import '../../file_service.dart';
+import '../models/upload_confirmation.dart';
+
+/// Per-file host approval of browser uploads
+///
+/// The page POSTs the batch it wants to send to /api/uploads/request and
+/// polls GET /api/uploads/request/{id} for the host's decisions, like
+/// /transfer/approval/{id} for native peers. Uploads must then [claim] an
+/// accepted file, so nothing the host didn't agree to reaches the disk.
+/// Guests' text snippets go through the same dialog, see [holdSnippet].
+class UploadApprovals {
+  static const String requestPath = '/api/uploads/request';
+  static const int maxFilesPerRequest = 1000;
+  // Open requests one guest may have - each one is a dialog for the host
+  static const int _maxOpenRequestsPerClient = 3;
+  static const int _maxBodyBytes = 1024 * 1024;
+  static const int _maxNameLength = 1024;
+  // Answered requests are kept this long for pages still polling
+  static const Duration _retention = Duration(hours: 1);
+
+  final Map<String, UploadPendingConfirmation> _requests = {};
+  final FileService _fileService = FileService();
+  final StreamController<UploadPendingConfirmation> _controller =
+      StreamController<UploadPendingConfirmation>.broadcast();
+  int _counter = 0;
+
+  /// When false, every announced file is accepted straight away
+  bool requireApproval = true;
+
+  /// New upload requests for the host to decide on
+  Stream<UploadPendingConfirmation> get stream => _controller.stream;
+
+  /// Requests the host still has to decide on
+  List<UploadPendingConfirmation> get pending =>
+      _requests.values.where((r) => r.isPending).toList();
+
+  /// Request [id], while it's kept
+  UploadPendingConfirmation? find(String id) => _requests[id];
+
+  /// Accept the files at [accepted] indexes of request [id] and reject
+  /// the rest - false if it's unknown or no longer pending
+  bool decide(String id, Set<int> accepted) {
+    final request = _requests[id];
+    if (request == null || !request.isPending) return false;
+
+    for (var i = 0; i < request.files.length; i++) {
+      final file = request.files[i];
+      if (file.decision != UploadFileDecision.pending) continue;
+      file.decision = accepted.contains(i)
+          ? UploadFileDecision.accepted
+          : UploadFileDecision.rejected;
+    }
+    debugPrint('📝 Upload request $id: ${accepted.length} of '
+        '${request.files.length} file(s) accepted');
+    return true;
+  }
+
+  /// Accept every file of request [id]
+  bool acceptAll(String id) {
+    final request = _requests[id];
+    if (request == null) return false;
+    return decide(id, {for (var i = 0; i < request.files.length; i++) i});
+  }
+
+  /// Reject every file of request [id]
+  bool rejectAll(String id) => decide(id, const {});
+
+  /// Snippets of request [id] the host accepted and nobody took yet -
+  /// each is returned once
+  List<String> takeAcceptedSnippets(String id) {
+    final request = _requests[id];
+    if (request == null) return const [];
+
+    final texts = <String>[];
+    for (final file in request.files) {
+      if (file.isSnippet &&
+          file.decision == UploadFileDecision.accepted &&
+          !file.claimed) {
+        file.claimed = true;
+        texts.add(file.text!);
+      }
+    }
+    return texts;
+  }
+
+  /// Take an accepted, not yet uploaded file of [clientIp]'s called [name]
+  ///
+  /// [relativePath] is the upload's folder path after
+  /// [FileService.sanitizeRelativePath] - a file is only taken for the
+  /// path it was announced with. [size] is checked when known; otherwise
+  /// the caller must check the returned file's size itself. Give it back
+  /// with [release] if the upload couldn't start.
+  UploadRequestFile? claim(String clientIp, String name,
+      {String? relativePath, int? size}) {
+    for (final request in _requests.values) {
+      if (request.ipAddress != clientIp) continue;
+      for (final file in request.files) {
+        if (file.decision == UploadFileDecision.accepted &&
+            !file.claimed &&
+            !file.isSnippet &&
+            file.name == name &&
+            file.relativePath == relativePath &&
+            (size == null || file.size == size)) {
+          file.claimed = true;
+          return file;
+        }
+      }
+    }
+    return null;
+  }
+
+  /// Make a claimed file available again
+  void release(UploadRequestFile file) {
+    file.claimed = false;
+  }
+
+  /// Read a guest's POST /api/uploads/request
+  ///
+  /// Body: `{"files": [{"name", "size", "relativePath"?, "type"?}]}`.
+  /// Answers 201 with the request's status, see [serveStatus].
+  Future<void> handleRequest(HttpRequest request, String clientIp) async {
+    _purge();
+
+    final body = await _readBody(request);
+    final entries = body?['files'];
+    if (entries is! List ||
+        entries.isEmpty ||
+        entries.length > maxFilesPerRequest) {
+      await _respond(request, HttpStatus.badRequest,
+          {'error': 'Expected 1 to $maxFilesPerRequest files'});
+      return;
+    }
+
+    final files = <UploadRequestFile>[];
+    for (final entry in entries) {
+      final file = _parseFile(entry);
+      if (file == null) {
+        await _respond(
+            request, HttpStatus.badRequest, {'error': 'Invalid file entry'});
+        return;
+      }
+      files.add(file);
+    }
+
+    final confirmation = _open(clientIp, files);
+    if (confirmation == null) {
+      await _respond(request, HttpStatus.tooManyRequests,
+          {'error': 'Wait for the receiver to answer earlier files'});
+      return;
+    }
+
+    await _respond(request, HttpStatus.created, _statusJson(confirmation));
+  }
+
+  /// Ask the host about a guest's text snippet, as a request of its own
+  ///
+  /// Returns the request's status, for the guest to poll like a file
+  /// batch, or null if [clientIp] has too many requests open. Once
+  /// accepted the caller gets the text from [takeAcceptedSnippets].
+  Map<String, dynamic>? holdSnippet(String clientIp, String text) {
+    _purge();
+    final confirmation =
+        _open(clientIp, [UploadRequestFile.snippet(text)]);
+    return confirmation == null ? null : _statusJson(confirmation);
+  }
+
+  /// Answer GET /api/uploads/request/{id} - only for the guest who asked
+  Future<void> serveStatus(HttpRequest request, String clientIp) async {
+    final confirmation = _requests[request.uri.pathSegments.last];
+    if (confirmation == null || confirmation.ipAddress != clientIp) {
+      await _respond(
+          request, HttpStatus.notFound, {'error': 'Unknown upload request'});
+      return;
+    }
+    await _respond(request, HttpStatus.ok, _statusJson(confirmation));
+  }
+
+  /// Forget every request, e.g. when the server stops
+  void clear() {
+    _requests.clear();
+  }
+
+  /// Close the stream
+  Future<void> dispose() async {
+    _requests.clear();
+    try {
+      if (!_controller.isClosed) {
+        await _controller.close();
+      }
+    } catch (e) {
+      debugPrint('Error closing upload request controller: $e');
+    }
+  }
+
+  // Record a new request and put it to the host - null if the guest has
+  // too many open already
+  UploadPendingConfirmation? _open(
+      String clientIp, List<UploadRequestFile> files) {
+    final open = _requests.values
+        .where((r) => r.ipAddress == clientIp && r.isPending)
+        .length;
+    if (open >= _maxOpenRequestsPerClient) return null;
+
+    final confirmation = UploadPendingConfirmation(
+      id: '${DateTime.now().millisecondsSinceEpoch}-${_counter++}',
+      ipAddress: clientIp,
+      files: files,
+    );
+    _requests[confirmation.id] = confirmation;
+
+    if (requireApproval) {
+      debugPrint('📨 Upload request from $clientIp: ${files.length} file(s)');
+      if (!_controller.isClosed) {
+        _controller.add(confirmation);
+      }
+    } else {
+      acceptAll(confirmation.id);
+    }
+    return confirmation;
+  }
+
+  Map<String, dynamic> _statusJson(UploadPendingConfirmation confirmation) {
+    final expired = confirmation.isExpired;
+    return {
+      'requestId': confirmation.id,
+      'status': confirmation.isPending
+          ? 'pending'
+          : (expired ? 'expired' : 'decided'),
+      // Undecided files of an expired request are as good as rejected
+      'files': confirmation.files
+          .map((f) => f.decision == UploadFileDecision.pending && expired
+              ? UploadFileDecision.rejected.name
+              : f.decision.name)
+          .toList(),
+    };
+  }
+
+  UploadRequestFile? _parseFile(Object? entry) {
+    if (entry is! Map<String, dynamic>) return null;
+    final name = entry['name'];
+    final size = entry['size'];
+    final relativePath = entry['relativePath'];
+    final type = entry['type'];
+
+    if (name is! String || name.isEmpty || name.length > _maxNameLength) {
+      return null;
+    }
+    if (size is! int || size < 0) return null;
+    if (relativePath != null &&
+        (relativePath is! String || relativePath.length > _maxNameLength)) {
+      return null;
+    }
+    if (type != null && (type is! String || type.length > 255)) return null;
+
+    return UploadRequestFile(
+      name: name,
+      // As uploads' paths are checked against it in [claim]
+      relativePath:
+          _fileService.sanitizeRelativePath(relativePath as String?),
+      size: size,
+      type: type as String?,
+    );
+  }
+
+  // Drop requests no page will ask about again
+  void _purge() {
+    final cutoff = DateTime.now().subtract(_retention);
+    _requests.removeWhere((_, r) => r.requestedAt.isBefore(cutoff));
+  }
+
+  static Future<Map<String, dynamic>?> _readBody(HttpRequest request) async {
+    final builder = BytesBuilder(copy: false);
+    try {
+      await for (final data in request) {
+        builder.add(data);
+        if (builder.length > _maxBodyBytes) return null;
+      }
+      final decoded = jsonDecode(utf8.decode(builder.takeBytes()));
+      return decoded is Map<String, dynamic> ? decoded : null;
+    } catch (e) {
+      debugPrint('Invalid upload request: $e');
+      return null;
+    }
+  }
+
+  static Future<void> _respond(
+      HttpRequest request, int statusCode, Map<String, dynamic> body) async {
+    request.response.statusCode = statusCode;
+    request.response.headers.contentType = ContentType.json;
+    request.response.headers.set('Cache-Control', 'no-store');
+    request.response.write(jsonEncode(body));
+    await request.response.close();
+  }
+}
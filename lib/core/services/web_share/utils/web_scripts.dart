@@ -0,0 +1,58 @@
+import 'dart:io';
+
+import 'package:flutter/foundation.dart';
+import 'package:flutter/services.dart' show rootBundle;
+
+/// Browser scripts from templates/, bundled as assets and served under /js/
+class WebScripts {
+  static const String _assetDirectory = 'lib/core/services/web_share/templates';
+
+  /// Scripts that may be served - anything else under /js/ is a 404
+  static const Set<String> available = {
+    'adaptive_tuner.js',
+    'aes_gcm.js',
+    'browser_session.js',
+    'chunk_format.js',
+    'crypto_worker.js',
+    'encrypted_download.js',
+    'hash_worker.js',
+    'parallel_download.js',
+    'parallel_upload.js',
+    'progress_reporter.js',
+    'snippets.js',
+    'transfer_control.js',
+    'upload_queue.js',
+    'x25519.js',
+  };
+
+  static final Map<String, String> _cache = {};
+
+  /// Whether [requestPath] is a script route
+  static bool isScriptPath(String requestPath) => requestPath.startsWith('/js/');
+
+  /// Serve `/js/<name>`, or 404 if it isn't a bundled script
+  static Future<void> serve(HttpRequest request, String requestPath) async {
+    final name = requestPath.substring('/js/'.length);
+
+    if (!available.contains(name)) {
+      request.response.statusCode = HttpStatus.notFound;
+      await request.response.close();
+      return;
+    }
+
+    try {
+      final source = _cache[name] ??=
+          await rootBundle.loadString('$_assetDirectory/$name');
+
+      request.response.headers.contentType =
+          ContentType('application', 'javascript', charset: 'utf-8');
+      request.response.headers.set('Cache-Control', 'no-cache');
+      request.response.write(source);
+      await request.response.close();
+    } catch (e) {
+      debugPrint('Error serving script $name: $e');
+      request.response.statusCode = HttpStatus.internalServerError;
+      await request.response.close();
+    }
+  }
+}
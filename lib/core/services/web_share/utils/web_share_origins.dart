@@ -0,0 +1,28 @@
+/// Ports of the web share servers running in this app
+///
+/// A browser peer (browser_session.js) runs on a share or receive page,
+/// which is on another port than the transfer server. The transfer server
+/// answers cross-origin requests only from those pages - see [allows] -
+/// so no other site a guest has open can talk to it.
+class WebShareOrigins {
+  WebShareOrigins._();
+
+  static final Set<int> _ports = {};
+
+  /// Called by a web share server once it's bound to [port]
+  static void register(int port) => _ports.add(port);
+
+  /// Called by a web share server as it stops
+  static void unregister(int port) => _ports.remove(port);
+
+  /// Whether [origin] - a request's Origin header - is a page served by a
+  /// running web share server on [host], the host the request was sent to
+  static bool allows(String? origin, String host) {
+    if (origin == null) return false;
+
+    final uri = Uri.tryParse(origin);
+    if (uri == null || uri.scheme != 'http' || !uri.hasPort) return false;
+
+    return uri.host == host && _ports.contains(uri.port);
+  }
+}
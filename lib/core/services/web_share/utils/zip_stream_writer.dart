@@ -0,0 +1,363 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+/// Thrown when an archive can't be written as planned
+class ZipStreamException implements Exception {
+  final String message;
+
+  ZipStreamException(this.message);
+
+  @override
+  String toString() => 'ZipStreamException: $message';
+}
+
+/// A file to add to a streamed ZIP archive
+class ZipEntry {
+  /// Path inside the archive, '/'-separated
+  final String name;
+  final int size;
+  final DateTime modified;
+
+  /// Opens the entry's data - must yield exactly [size] bytes
+  final Stream<List<int>> Function() open;
+
+  ZipEntry({
+    required this.name,
+    required this.size,
+    required this.modified,
+    required this.open,
+  });
+
+  /// Entry backed by a file on disk, using its current size
+  static Future<ZipEntry> fromFile(File file, String name) async {
+    final stat = await file.stat();
+    return ZipEntry(
+      name: name,
+      size: stat.size,
+      modified: stat.modified,
+      open: () => file.openRead(0, stat.size),
+    );
+  }
+}
+
+/// Writes a ZIP archive on the fly, one entry after another
+///
+/// Entries are stored uncompressed with their CRC-32 in a data descriptor,
+/// so every file is read exactly once and nothing is buffered or written to
+/// disk. Since nothing is compressed, [archiveSize] knows the exact length
+/// up front for Content-Length. ZIP64 records are added only where an entry
+/// or offset passes 4 GB, or there are more than 65535 entries.
+class ZipStreamWriter {
+  static const int _localHeaderSignature = 0x04034b50;
+  static const int _dataDescriptorSignature = 0x08074b50;
+  static const int _centralHeaderSignature = 0x02014b50;
+  static const int _zip64EndSignature = 0x06064b50;
+  static const int _zip64LocatorSignature = 0x07064b50;
+  static const int _endSignature = 0x06054b50;
+
+  static const int _versionDefault = 20;
+  static const int _versionZip64 = 45;
+  // Bit 3: sizes and CRC follow in a data descriptor, bit 11: UTF-8 names
+  static const int _flags = 0x0808;
+  static const int _zip64ExtraId = 0x0001;
+
+  static const int _max16 = 0xFFFF;
+  static const int _max32 = 0xFFFFFFFF;
+
+  /// Exact byte length of the archive [write] produces for [entries]
+  static int archiveSize(List<ZipEntry> entries) => _plan(entries).totalSize;
+
+  /// Stream the archive for [entries]
+  ///
+  /// Throws [ZipStreamException] if an entry yields a different number of
+  /// bytes than its size (e.g. the file changed while being zipped).
+  static Stream<List<int>> write(List<ZipEntry> entries) async* {
+    final plan = _plan(entries);
+
+    for (final planned in plan.entries) {
+      yield _localHeader(planned);
+
+      final crc = Crc32();
+      var bytesWritten = 0;
+      await for (final chunk in planned.entry.open()) {
+        bytesWritten += chunk.length;
+        if (bytesWritten > planned.entry.size) break;
+        crc.add(chunk);
+        yield chunk;
+      }
+
+      if (bytesWritten != planned.entry.size) {
+        throw ZipStreamException(
+            '${planned.entry.name} changed size while being zipped');
+      }
+
+      planned.crc = crc.value;
+      yield _dataDescriptor(planned);
+    }
+
+    yield _centralDirectory(plan);
+  }
+
+  static _ArchivePlan _plan(List<ZipEntry> entries) {
+    final planned = <_PlannedEntry>[];
+    var offset = 0;
+
+    for (final entry in entries) {
+      if (entry.size < 0) {
+        throw ZipStreamException('Invalid size for ${entry.name}');
+      }
+
+      final nameBytes = utf8.encode(entry.name);
+      if (nameBytes.length > _max16) {
+        throw ZipStreamException('Entry name too long: ${entry.name}');
+      }
+
+      final zip64 = entry.size >= _max32 || offset >= _max32;
+      final item = _PlannedEntry(entry, nameBytes, offset, zip64);
+      planned.add(item);
+      offset += item.localSize;
+    }
+
+    final centralDirectorySize =
+        planned.fold<int>(0, (sum, item) => sum + item.centralSize);
+    final needsZip64End = planned.length >= _max16 ||
+        offset >= _max32 ||
+        centralDirectorySize >= _max32 ||
+        planned.any((item) => item.zip64);
+
+    return _ArchivePlan(
+      entries: planned,
+      centralDirectoryOffset: offset,
+      centralDirectorySize: centralDirectorySize,
+      needsZip64End: needsZip64End,
+    );
+  }
+
+  static Uint8List _localHeader(_PlannedEntry item) {
+    final record = _RecordBuilder()
+      ..uint32(_localHeaderSignature)
+      ..uint16(item.zip64 ? _versionZip64 : _versionDefault)
+      ..uint16(_flags)
+      ..uint16(0) // stored
+      ..uint16(item.dosTime)
+      ..uint16(item.dosDate)
+      ..uint32(0) // CRC-32 - in the data descriptor
+      ..uint32(item.zip64 ? _max32 : 0)
+      ..uint32(item.zip64 ? _max32 : 0)
+      ..uint16(item.nameBytes.length)
+      ..uint16(item.zip64 ? 20 : 0)
+      ..bytes(item.nameBytes);
+
+    if (item.zip64) {
+      // Sizes are unknown to a reader at this point, like the CRC
+      record
+        ..uint16(_zip64ExtraId)
+        ..uint16(16)
+        ..uint64(0)
+        ..uint64(0);
+    }
+
+    return record.toBytes();
+  }
+
+  static Uint8List _dataDescriptor(_PlannedEntry item) {
+    final record = _RecordBuilder()
+      ..uint32(_dataDescriptorSignature)
+      ..uint32(item.crc);
+
+    if (item.zip64) {
+      record
+        ..uint64(item.entry.size)
+        ..uint64(item.entry.size);
+    } else {
+      record
+        ..uint32(item.entry.size)
+        ..uint32(item.entry.size);
+    }
+
+    return record.toBytes();
+  }
+
+  static Uint8List _centralDirectory(_ArchivePlan plan) {
+    final record = _RecordBuilder();
+
+    for (final item in plan.entries) {
+      final version = item.zip64 ? _versionZip64 : _versionDefault;
+      record
+        ..uint32(_centralHeaderSignature)
+        ..uint16(_versionZip64) // made by
+        ..uint16(version)
+        ..uint16(_flags)
+        ..uint16(0)
+        ..uint16(item.dosTime)
+        ..uint16(item.dosDate)
+        ..uint32(item.crc)
+        ..uint32(item.zip64 ? _max32 : item.entry.size)
+        ..uint32(item.zip64 ? _max32 : item.entry.size)
+        ..uint16(item.nameBytes.length)
+        ..uint16(item.zip64 ? 28 : 0)
+        ..uint16(0) // comment
+        ..uint16(0) // disk
+        ..uint16(0) // internal attributes
+        ..uint32(0) // external attributes
+        ..uint32(item.zip64 ? _max32 : item.offset)
+        ..bytes(item.nameBytes);
+
+      if (item.zip64) {
+        record
+          ..uint16(_zip64ExtraId)
+          ..uint16(24)
+          ..uint64(item.entry.size)
+          ..uint64(item.entry.size)
+          ..uint64(item.offset);
+      }
+    }
+
+    final entryCount = plan.entries.length;
+
+    if (plan.needsZip64End) {
+      final zip64EndOffset =
+          plan.centralDirectoryOffset + plan.centralDirectorySize;
+      record
+        ..uint32(_zip64EndSignature)
+        ..uint64(44) // size of the rest of this record
+        ..uint16(_versionZip64)
+        ..uint16(_versionZip64)
+        ..uint32(0)
+        ..uint32(0)
+        ..uint64(entryCount)
+        ..uint64(entryCount)
+        ..uint64(plan.centralDirectorySize)
+        ..uint64(plan.centralDirectoryOffset)
+        ..uint32(_zip64LocatorSignature)
+        ..uint32(0)
+        ..uint64(zip64EndOffset)
+        ..uint32(1);
+    }
+
+    record
+      ..uint32(_endSignature)
+      ..uint16(0)
+      ..uint16(0)
+      ..uint16(entryCount >= _max16 ? _max16 : entryCount)
+      ..uint16(entryCount >= _max16 ? _max16 : entryCount)
+      ..uint32(plan.centralDirectorySize >= _max32
+          ? _max32
+          : plan.centralDirectorySize)
+      ..uint32(plan.centralDirectoryOffset >= _max32
+          ? _max32
+          : plan.centralDirectoryOffset)
+      ..uint16(0); // comment
+
+    return record.toBytes();
+  }
+}
+
+/// Incremental CRC-32 (IEEE), as used by ZIP
+class Crc32 {
+  static final Uint32List _table = _buildTable();
+
+  int _crc = 0xFFFFFFFF;
+
+  void add(List<int> data) {
+    var crc = _crc;
+    for (final byte in data) {
+      crc = _table[(crc ^ byte) & 0xFF] ^ (crc >> 8);
+    }
+    _crc = crc;
+  }
+
+  int get value => _crc ^ 0xFFFFFFFF;
+
+  static Uint32List _buildTable() {
+    final table = Uint32List(256);
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) {
+        c = (c & 1) != 0 ? 0xEDB88320 ^ (c >> 1) : c >> 1;
+      }
+      table[n] = c;
+    }
+    return table;
+  }
+}
+
+class _PlannedEntry {
+  final ZipEntry entry;
+  final List<int> nameBytes;
+  final int offset;
+  final bool zip64;
+  int crc = 0;
+
+  _PlannedEntry(this.entry, this.nameBytes, this.offset, this.zip64);
+
+  int get localSize =>
+      30 + nameBytes.length + (zip64 ? 20 : 0) + entry.size + (zip64 ? 24 : 16);
+
+  int get centralSize => 46 + nameBytes.length + (zip64 ? 28 : 0);
+
+  /// MS-DOS time - 2 second resolution, local time
+  int get dosTime {
+    final time = _dosDateTime;
+    return (time.hour << 11) | (time.minute << 5) | (time.second ~/ 2);
+  }
+
+  /// MS-DOS date - years 1980 to 2107
+  int get dosDate {
+    final time = _dosDateTime;
+    return ((time.year - 1980) << 9) | (time.month << 5) | time.day;
+  }
+
+  DateTime get _dosDateTime {
+    final local = entry.modified.toLocal();
+    if (local.year < 1980) return DateTime(1980);
+    if (local.year > 2107) return DateTime(2107, 12, 31, 23, 59, 58);
+    return local;
+  }
+}
+
+class _ArchivePlan {
+  final List<_PlannedEntry> entries;
+  final int centralDirectoryOffset;
+  final int centralDirectorySize;
+  final bool needsZip64End;
+
+  _ArchivePlan({
+    required this.entries,
+    required this.centralDirectoryOffset,
+    required this.centralDirectorySize,
+    required this.needsZip64End,
+  });
+
+  int get totalSize =>
+      centralDirectoryOffset +
+      centralDirectorySize +
+      (needsZip64End ? 56 + 20 : 0) +
+      22;
+}
+
+/// Little-endian record writer
+class _RecordBuilder {
+  final BytesBuilder _builder = BytesBuilder(copy: false);
+  final ByteData _scratch = ByteData(8);
+
+  void uint16(int value) {
+    _scratch.setUint16(0, value, Endian.little);
+    _builder.add(_scratch.buffer.asUint8List(0, 2).toList());
+  }
+
+  void uint32(int value) {
+    _scratch.setUint32(0, value, Endian.little);
+    _builder.add(_scratch.buffer.asUint8List(0, 4).toList());
+  }
+
+  void uint64(int value) {
+    _scratch.setUint64(0, value, Endian.little);
+    _builder.add(_scratch.buffer.asUint8List(0, 8).toList());
+  }
+
+  void bytes(List<int> value) => _builder.add(value);
+
+  Uint8List toBytes() => _builder.toBytes();
+}
@@ -1,14 +1,27 @@
 import 'dart:async';
 import 'dart:io';
 
+import 'package:flutter/foundation.dart';
+
+import '../../models/text_snippet.dart';
+import '../../utils/byte_formatter.dart';
+import '../desktop_notification_service.dart';
+import '../live_activity_service.dart';
+import 'models/file_share_policy.dart';
+import 'models/guest_progress.dart';
 import 'models/received_file.dart';
 import 'models/pending_files_manager.dart';
 import 'servers/share_server.dart';
 import 'servers/receive_server.dart';
 
+export 'models/file_share_policy.dart';
+export 'models/guest_progress.dart';
 export 'models/received_file.dart';
 export 'models/pending_files_manager.dart';
+export 'models/upload_confirmation.dart';
 export 'servers/share_server.dart' show ConnectionEvent, ConnectionEventType, PendingConfirmation;
+export 'utils/share_access.dart' show ShareAccess;
+export 'utils/snippet_board.dart' show SnippetBoard;
 
 /// Main facade for web sharing functionality
 ///
@@ -16,11 +29,27 @@ export 'servers/share_server.dart' show ConnectionEvent, ConnectionEventType, Pe
 /// It provides a unified interface for:
 /// - Sharing files (others can download from you)
 /// - Receiving files (others can upload to you)
+/// - Two-way sessions (both, through one link)
+/// - Text snippets (links, passwords, code) both ways
 /// - Managing pending files (save/discard)
 class WebShareService {
   final ShareServer _shareServer = ShareServer();
   final ReceiveServer _receiveServer = ReceiveServer();
 
+  late final List<StreamSubscription<GuestProgress>> _progressSubscriptions;
+
+  // The guest transfer mirrored to the lock screen - only one at a time
+  String? _liveActivityKey;
+  bool _startingLiveActivity = false;
+  GuestProgress? _liveActivityLast;
+
+  WebShareService() {
+    _progressSubscriptions = [
+      _shareServer.guestProgressStream.listen(_onGuestProgress),
+      _receiveServer.guestProgressStream.listen(_onGuestProgress),
+    ];
+  }
+
   /// Stream of received files
   Stream<ReceivedFile> get receivedFilesStream =>
       _receiveServer.receivedFilesStream;
@@ -41,6 +70,18 @@ class WebShareService {
   Stream<int> get activeConnectionCountStream =>
       _shareServer.activeConnectionCountStream;
 
+  /// Stream of how far each browser guest has got downloading each file
+  Stream<GuestProgress> get guestDownloadProgressStream =>
+      _shareServer.guestProgressStream;
+
+  /// Stream of how far each browser guest has got uploading each file
+  Stream<GuestProgress> get guestUploadProgressStream =>
+      _receiveServer.guestProgressStream;
+
+  /// Stream of text snippets guests send from the receive page
+  Stream<TextSnippet> get incomingSnippetStream =>
+      _receiveServer.snippetStream;
+
   /// Stream of pending connection confirmation requests
   /// Listen to this to show approval/deny dialogs when someone tries to download
   Stream<PendingConfirmation> get confirmationRequestStream =>
@@ -64,6 +105,26 @@ class WebShareService {
   void setRequireConfirmation(bool require) =>
       _shareServer.setRequireConfirmation(require);
 
+  /// Stream of files browser guests ask to upload, in batches
+  /// Listen to this to let the user accept or reject each file - the page
+  /// only sends what's accepted
+  Stream<UploadPendingConfirmation> get uploadRequestStream =>
+      _receiveServer.uploadConfirmationRequestStream;
+
+  /// Upload requests still waiting on the user
+  List<UploadPendingConfirmation> get pendingUploadRequests =>
+      _receiveServer.pendingUploadConfirmations;
+
+  /// Accept the files at [accepted] indexes of an upload request and
+  /// reject the rest
+  /// Returns false if the request is unknown or no longer pending
+  bool decideUpload(String requestId, Set<int> accepted) =>
+      _receiveServer.decideUpload(requestId, accepted);
+
+  /// Enable or disable asking the user before guests' files are uploaded
+  void setRequireUploadConfirmation(bool require) =>
+      _receiveServer.setRequireConfirmation(require);
+
   /// Current number of active connections
   int get activeConnectionCount => _shareServer.activeConnectionCount;
 
@@ -93,15 +154,75 @@ class WebShareService {
   /// Creates an HTTP server that serves the provided files for download.
   /// Returns the URL that others can use to download the files.
   ///
+  /// With [encrypted], everything is sent AES-256-GCM encrypted and the URL
+  /// ends in `#key=...` - only someone with the full link can read the files.
+  /// With a [passcode], the page asks for it before showing anything.
+  ///
   /// Example:
   /// ```dart
   /// final url = await webShareService.startSharing([file1, file2]);
   /// print('Share URL: $url'); // http://192.168.1.100:8766
   /// ```
-  Future<String?> startSharing(List<File> files) async {
+  Future<String?> startSharing(
+    List<File> files, {
+    bool encrypted = false,
+    String? passcode,
+  }) async {
     // Stop any existing sharing/receiving
     await stopSharing();
-    return _shareServer.startSharing(files);
+    return _shareServer.startSharing(files,
+        encrypted: encrypted, passcode: passcode);
+  }
+
+  /// Share files and take files back through the same link
+  ///
+  /// Guests see the shared files and a drop zone on one page. What they
+  /// send arrives as pending files, like [startReceiving], and is saved to
+  /// [downloadDirectory] or discarded as usual. Guests must be approved
+  /// before they can upload, same as before they can download.
+  Future<String?> startTwoWaySession(
+    List<File> files,
+    String downloadDirectory, {
+    String? passcode,
+  }) async {
+    await stopSharing();
+    if (!await _receiveServer.prepareUploads(downloadDirectory)) return null;
+    return _shareServer.startSharing(files,
+        passcode: passcode, uploads: _receiveServer);
+  }
+
+  /// Whether the running share lets guests send files back
+  bool get acceptsUploads => _shareServer.acceptsUploads;
+
+  /// Change what's being shared without restarting the server
+  ///
+  /// The link, approved guests and open share pages all carry on - pages
+  /// pick up the new list live. Returns false if nothing is being shared.
+  Future<bool> updateSharedFiles(List<File> files) async {
+    return _shareServer.updateFiles(files);
+  }
+
+  /// Limit how one shared file may be downloaded - a count, an expiry, or
+  /// both; null lifts the limits
+  void setFilePolicy(File file, FileSharePolicy? policy) {
+    _shareServer.setFilePolicy(file, policy);
+  }
+
+  /// Put text on the share page for guests to copy
+  ///
+  /// Returns null if nothing is being shared, the text is empty or too
+  /// long, or the link is encrypted.
+  TextSnippet? shareSnippet(String text) => _shareServer.postSnippet(text);
+
+  /// Take a snippet off the share page
+  bool removeSharedSnippet(String id) => _shareServer.removeSnippet(id);
+
+  /// Snippets on the share page, oldest first
+  List<TextSnippet> get sharedSnippets => _shareServer.snippets;
+
+  /// Set or remove the PIN of the running share without a new link
+  void setSharePasscode(String? passcode) {
+    _shareServer.setPasscode(passcode);
   }
 
   /// Start receiving files via HTTP server
@@ -109,16 +230,28 @@ class WebShareService {
   /// Creates an HTTP server that accepts file uploads from others.
   /// Files are stored in a temp location until saved/discarded.
   /// Returns the URL that others can use to upload files.
+  /// With a [passcode], the page asks for it before allowing uploads.
   ///
   /// Example:
   /// ```dart
   /// final url = await webShareService.startReceiving('/path/to/downloads');
   /// print('Receive URL: $url'); // http://192.168.1.100:8767
   /// ```
-  Future<String?> startReceiving(String downloadDirectory) async {
+  Future<String?> startReceiving(
+    String downloadDirectory, {
+    String? passcode,
+  }) async {
     // Stop any existing sharing/receiving
     await stopSharing();
-    return _receiveServer.startReceiving(downloadDirectory);
+    return _receiveServer.startReceiving(downloadDirectory,
+        passcode: passcode);
+  }
+
+  /// Set or remove the PIN of the running receive link
+  ///
+  /// Pending files are kept - the server isn't restarted.
+  void setReceivePasscode(String? passcode) {
+    _receiveServer.setPasscode(passcode);
   }
 
   /// Save a single pending file to final destination
@@ -165,7 +298,87 @@ class WebShareService {
 
   /// Dispose all resources
   Future<void> dispose() async {
+    for (final subscription in _progressSubscriptions) {
+      await subscription.cancel();
+    }
     await _shareServer.dispose();
     await _receiveServer.dispose();
   }
+
+  /// Mirror guest transfers to the lock screen, and tell the host when a
+  /// guest has finished downloading
+  void _onGuestProgress(GuestProgress progress) {
+    if (progress.completed &&
+        progress.direction == GuestTransferDirection.download) {
+      DesktopNotificationService.show(
+        title: '✅ Guest finished downloading',
+        body: '${progress.ipAddress} downloaded ${progress.fileName} '
+            '(${ByteFormatter.format(progress.totalBytes)})',
+      );
+    }
+
+    _updateLiveActivity(progress);
+  }
+
+  Future<void> _updateLiveActivity(GuestProgress progress) async {
+    try {
+      if (_liveActivityKey == null) {
+        // Another transfer may already own the Live Activity
+        if (!progress.isActive ||
+            _startingLiveActivity ||
+            LiveActivityService.hasActiveActivity) {
+          return;
+        }
+
+        _startingLiveActivity = true;
+        try {
+          final activityId = await LiveActivityService.startTransferActivity(
+            fileName: progress.fileName,
+            totalBytes: progress.totalBytes,
+            senderName: progress.ipAddress,
+            isIncoming: progress.direction == GuestTransferDirection.upload,
+          );
+          if (activityId != null) {
+            _liveActivityKey = progress.key;
+            _liveActivityLast = progress;
+          }
+        } finally {
+          _startingLiveActivity = false;
+        }
+        return;
+      }
+
+      if (progress.key != _liveActivityKey) return;
+
+      if (progress.isActive) {
+        final last = _liveActivityLast;
+        var speed = 0.0;
+        if (last != null) {
+          final seconds =
+              progress.updatedAt.difference(last.updatedAt).inMilliseconds / 1000;
+          if (seconds > 0) {
+            speed = (progress.bytesTransferred - last.bytesTransferred) / seconds;
+          }
+        }
+        _liveActivityLast = progress;
+        await LiveActivityService.updateTransferState(
+          bytesTransferred: progress.bytesTransferred,
+          totalBytes: progress.totalBytes,
+          speed: speed < 0 ? 0 : speed,
+        );
+        return;
+      }
+
+      _liveActivityKey = null;
+      _liveActivityLast = null;
+      await LiveActivityService.endActivity(
+        success: progress.completed,
+        message: progress.completed
+            ? '${progress.ipAddress} finished'
+            : 'Transfer interrupted',
+      );
+    } catch (e) {
+      debugPrint('Error updating Live Activity for guest transfer: $e');
+    }
+  }
 }
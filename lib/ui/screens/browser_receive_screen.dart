@@ -3,20 +3,28 @@ import 'dart:io';
 
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
+import 'package:flutter_riverpod/flutter_riverpod.dart';
 import 'package:permission_handler/permission_handler.dart';
 import 'package:qr_flutter/qr_flutter.dart';
 
 import '../theme/app_theme.dart';
+import '../widgets/guest_progress_widget.dart';
+import '../widgets/share_passcode_dialog.dart';
+import '../widgets/snippet_list.dart';
+import '../widgets/upload_approval_dialog.dart';
+import '../../core/models/text_snippet.dart';
+import '../../core/providers/incoming_files_provider.dart';
 import '../../core/services/web_share/web_share_service.dart';
 
-class BrowserReceiveScreen extends StatefulWidget {
+class BrowserReceiveScreen extends ConsumerStatefulWidget {
   const BrowserReceiveScreen({super.key});
 
   @override
-  State<BrowserReceiveScreen> createState() => _BrowserReceiveScreenState();
+  ConsumerState<BrowserReceiveScreen> createState() =>
+      _BrowserReceiveScreenState();
 }
 
-class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
+class _BrowserReceiveScreenState extends ConsumerState<BrowserReceiveScreen> {
   final WebShareService _webShareService = WebShareService();
   String? _receiveUrl;
   bool _isLoading = true;
@@ -25,9 +33,18 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
   List<ReceivedFile> _pendingFiles = [];
   StreamSubscription<List<ReceivedFile>>? _filesSubscription;
   StreamSubscription<ReceivedFile>? _fileEventSubscription;
+  StreamSubscription<GuestProgress>? _guestProgressSubscription;
+  StreamSubscription<TextSnippet>? _snippetSubscription;
+  StreamSubscription<UploadPendingConfirmation>? _uploadRequestSubscription;
+  // Uploads still in flight, as the guests' pages report them - finished
+  // ones show up as pending files instead
+  final Map<String, GuestProgress> _uploadProgress = {};
   bool _isSaving = false;
   bool _isSavingAll = false;
 
+  // PIN or passphrase guests must enter first - null when the link is open
+  String? _passcode;
+
   @override
   void initState() {
     super.initState();
@@ -50,6 +67,27 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
     } catch (e) {
       debugPrint('Error cancelling file event subscription: $e');
     }
+
+    try {
+      _guestProgressSubscription?.cancel();
+      _guestProgressSubscription = null;
+    } catch (e) {
+      debugPrint('Error cancelling guest progress subscription: $e');
+    }
+
+    try {
+      _snippetSubscription?.cancel();
+      _snippetSubscription = null;
+    } catch (e) {
+      debugPrint('Error cancelling snippet subscription: $e');
+    }
+
+    try {
+      _uploadRequestSubscription?.cancel();
+      _uploadRequestSubscription = null;
+    } catch (e) {
+      debugPrint('Error cancelling upload request subscription: $e');
+    }
     
     try {
       _webShareService.dispose();
@@ -122,7 +160,10 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
       final downloadDir = await _getDownloadDirectory();
       _downloadPath = downloadDir;
 
-      final url = await _webShareService.startReceiving(downloadDir);
+      final url = await _webShareService.startReceiving(
+        downloadDir,
+        passcode: _passcode,
+      );
 
       if (url != null) {
         _filesSubscription =
@@ -148,6 +189,31 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
           }
         });
 
+        _guestProgressSubscription =
+            _webShareService.guestUploadProgressStream.listen((progress) {
+          if (!mounted) return;
+          setState(() {
+            if (progress.completed) {
+              _uploadProgress.remove(progress.key);
+            } else {
+              _uploadProgress[progress.key] = progress;
+            }
+          });
+        });
+
+        // Guests announce their files first and only send what's accepted
+        _uploadRequestSubscription =
+            _webShareService.uploadRequestStream.listen((request) {
+          if (mounted) _showUploadApprovalDialog(request);
+        });
+
+        // Snippets outlive this screen - they go to the app's incoming
+        // items and history
+        _snippetSubscription =
+            _webShareService.incomingSnippetStream.listen((snippet) {
+          ref.read(incomingFilesProvider.notifier).addSnippet(snippet);
+        });
+
         setState(() {
           _receiveUrl = url;
           _isLoading = false;
@@ -166,6 +232,19 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
     }
   }
 
+  Future<void> _editPasscode() async {
+    await showDialog<void>(
+      context: context,
+      builder: (context) => SharePasscodeDialog(
+        currentPasscode: _passcode,
+        onSave: (passcode) {
+          setState(() => _passcode = passcode);
+          _webShareService.setReceivePasscode(passcode);
+        },
+      ),
+    );
+  }
+
   Future<String> _getDownloadDirectory() async {
     if (Platform.isAndroid) {
       const publicDownload = '/storage/emulated/0/Download';
@@ -203,6 +282,29 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
     return '/storage/emulated/0/Download';
   }
 
+  void _showUploadApprovalDialog(UploadPendingConfirmation request) {
+    showDialog(
+      context: context,
+      barrierDismissible: false,
+      builder: (context) => UploadApprovalDialog(
+        request: request,
+        accentColor: AppTheme.primaryColor,
+        onDecide: (accepted) {
+          // Too late if the guest's page gave up waiting
+          if (!_webShareService.decideUpload(request.id, accepted) &&
+              mounted) {
+            ScaffoldMessenger.of(this.context).showSnackBar(
+              const SnackBar(
+                content: Text('That upload request has expired'),
+                behavior: SnackBarBehavior.floating,
+              ),
+            );
+          }
+        },
+      ),
+    );
+  }
+
   void _copyLink() {
     if (_receiveUrl != null) {
       Clipboard.setData(ClipboardData(text: _receiveUrl!));
@@ -562,6 +664,9 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
       );
     }
 
+    final snippets = ref.watch(
+        incomingFilesProvider.select((state) => state.snippets));
+
     return SingleChildScrollView(
       padding: const EdgeInsets.all(24),
       child: Column(
@@ -580,7 +685,7 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
                 SizedBox(width: 12),
                 Expanded(
                   child: Text(
-                    'Open the link on any device to send files to this device',
+                    'Open the link on any device to send files or text to this device',
                     style: TextStyle(fontSize: 14),
                   ),
                 ),
@@ -759,6 +864,23 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
                     ],
                   ),
                 ),
+                const SizedBox(height: 8),
+                ListTile(
+                  contentPadding: EdgeInsets.zero,
+                  leading: Icon(
+                    _passcode != null ? Icons.pin : Icons.pin_outlined,
+                    color: AppTheme.primaryColor,
+                  ),
+                  title: const Text('PIN protection'),
+                  subtitle: Text(
+                    _passcode != null
+                        ? 'Guests enter $_passcode before they can send'
+                        : 'Off - anyone with the link can send files',
+                    style: const TextStyle(fontSize: 12),
+                  ),
+                  trailing: const Icon(Icons.chevron_right),
+                  onTap: _editPasscode,
+                ),
               ],
             ),
           ),
@@ -800,6 +922,27 @@ class _BrowserReceiveScreenState extends State<BrowserReceiveScreen> {
 
           const SizedBox(height: 32),
 
+          if (_uploadProgress.isNotEmpty) ...[
+            GuestProgressList(
+              title: 'Incoming uploads',
+              progress: _uploadProgress.values.toList(),
+              accentColor: AppTheme.primaryColor,
+            ),
+            const SizedBox(height: 32),
+          ],
+
+          if (snippets.isNotEmpty) ...[
+            SnippetList(
+              title: 'Text from guests',
+              snippets: snippets,
+              accentColor: AppTheme.primaryColor,
+              onRemove: (snippet) => ref
+                  .read(incomingFilesProvider.notifier)
+                  .dismissSnippet(snippet.id),
+            ),
+            const SizedBox(height: 32),
+          ],
+
           // Pending Files Section
           if (_pendingFiles.isNotEmpty) ...[
             _buildPendingFilesSection(),
@@ -8,6 +8,15 @@ import 'package:path_provider/path_provider.dart';
 import 'package:qr_flutter/qr_flutter.dart';
 
 import '../theme/app_theme.dart';
+import '../widgets/file_policy_dialog.dart';
+import '../widgets/guest_progress_widget.dart';
+import '../widgets/share_passcode_dialog.dart';
+import '../widgets/snippet_compose_dialog.dart';
+import '../widgets/snippet_list.dart';
+import '../widgets/upload_approval_dialog.dart';
+import '../../core/database/database_helper.dart';
+import '../../core/models/text_snippet.dart';
+import '../../core/services/file_service.dart';
 import '../../core/services/web_share/web_share_service.dart';
 
 /// Enum to define the share mode
@@ -38,12 +47,41 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
   String? _error;
   bool _isOperationInProgress = false;
 
+  // Encrypted link - the page decrypts with the key in the URL fragment
+  bool _encryptedLink = false;
+
+  // PIN or passphrase guests must enter first - null when the link is open
+  String? _passcode;
+
+  // Two-way session - guests can send files back from the share page; what
+  // they send waits here until saved or discarded
+  bool _twoWay = false;
+  List<ReceivedFile> _receivedFiles = [];
+  bool _isSavingReceived = false;
+
+  // Text on the share page for guests to copy - posted again when the
+  // share restarts
+  List<TextSnippet> _snippets = [];
+
+  // Download limits by file path - kept for removed files, so Undo and a
+  // restarted share bring them back
+  final Map<String, FileSharePolicy> _filePolicies = {};
+
   late List<File> _files;
   int _activeConnections = 0;
 
   StreamSubscription<int>? _connectionCountSubscription;
   StreamSubscription<ConnectionEvent>? _connectionEventSubscription;
   StreamSubscription<PendingConfirmation>? _confirmationRequestSubscription;
+  StreamSubscription<GuestProgress>? _guestProgressSubscription;
+  StreamSubscription<GuestProgress>? _guestUploadSubscription;
+  StreamSubscription<List<ReceivedFile>>? _receivedFilesSubscription;
+  StreamSubscription<UploadPendingConfirmation>? _uploadRequestSubscription;
+
+  // Latest download progress per guest and file, as the server reports it
+  final Map<String, GuestProgress> _guestProgress = {};
+  // Same for files guests send back in a two-way session
+  final Map<String, GuestProgress> _guestUploads = {};
 
   // NEW: Store connected clients with their info
   final List<Map<String, String>> _connectedClients = [];
@@ -90,6 +128,24 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
     } catch (e) {
       debugPrint('Error cancelling confirmation request subscription: $e');
     }
+
+    try {
+      _guestProgressSubscription?.cancel();
+      _guestProgressSubscription = null;
+    } catch (e) {
+      debugPrint('Error cancelling guest progress subscription: $e');
+    }
+
+    try {
+      _guestUploadSubscription?.cancel();
+      _guestUploadSubscription = null;
+      _receivedFilesSubscription?.cancel();
+      _receivedFilesSubscription = null;
+      _uploadRequestSubscription?.cancel();
+      _uploadRequestSubscription = null;
+    } catch (e) {
+      debugPrint('Error cancelling two-way session subscriptions: $e');
+    }
     
     try {
       _webShareService.stopSharing();
@@ -200,6 +256,64 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
       if (!mounted) return;
       _showConnectionConfirmationDialog(confirmation);
     });
+
+    _guestProgressSubscription =
+        _webShareService.guestDownloadProgressStream.listen((progress) {
+      if (!mounted) return;
+      setState(() {
+        _guestProgress[progress.key] = progress;
+      });
+    });
+
+    _guestUploadSubscription =
+        _webShareService.guestUploadProgressStream.listen((progress) {
+      if (!mounted) return;
+      setState(() {
+        _guestUploads[progress.key] = progress;
+      });
+    });
+
+    _receivedFilesSubscription =
+        _webShareService.pendingFilesStream.listen((files) {
+      if (!mounted) return;
+      setState(() {
+        _receivedFiles = files
+            .where((f) => f.status == FileReceiveStatus.pending)
+            .toList();
+      });
+    });
+
+    // Two-way session: guests ask before sending files back
+    _uploadRequestSubscription =
+        _webShareService.uploadRequestStream.listen((request) {
+      if (!mounted) return;
+      _showUploadApprovalDialog(request);
+    });
+  }
+
+  /// Show dialog to accept or reject the files a guest wants to send back
+  void _showUploadApprovalDialog(UploadPendingConfirmation request) {
+    showDialog(
+      context: context,
+      barrierDismissible: false,
+      builder: (context) => UploadApprovalDialog(
+        request: request,
+        accentColor: _accentColor,
+        onDecide: (accepted) {
+          if (!_webShareService.decideUpload(request.id, accepted)) {
+            _showConnectionSnackBar(
+              'That upload request has expired',
+              AppTheme.errorColor,
+            );
+          } else if (accepted.isEmpty) {
+            _showConnectionSnackBar(
+              '❌ Files from ${request.ipAddress} rejected',
+              Colors.red,
+            );
+          }
+        },
+      ),
+    );
   }
 
   /// Show dialog to approve or deny a connection request
@@ -443,11 +557,31 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
     });
 
     try {
-      final url = await _webShareService.startSharing(_files);
+      final url = _twoWay
+          ? await _webShareService.startTwoWaySession(
+              _files,
+              await FileService().getDownloadDirectory(),
+              passcode: _passcode,
+            )
+          : await _webShareService.startSharing(
+              _files,
+              encrypted: _encryptedLink,
+              passcode: _passcode,
+            );
 
       if (!mounted) return;
       if (url != null) {
+        // A new server starts without limits
+        _filePolicies.forEach((filePath, policy) {
+          _webShareService.setFilePolicy(File(filePath), policy);
+        });
+        // Encrypted links refuse snippets, so those are dropped
+        final snippets = _snippets
+            .map((snippet) => _webShareService.shareSnippet(snippet.text))
+            .whereType<TextSnippet>()
+            .toList();
         setState(() {
+          _snippets = snippets;
           _shareUrl = url;
           _isLoading = false;
         });
@@ -469,10 +603,87 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
   Future<void> _restartSharing() async {
     // Clear connected clients on restart
     _connectedClients.clear();
+    _guestProgress.clear();
+    _guestUploads.clear();
     await _webShareService.stopSharing();
     await _startSharing();
   }
 
+  /// Push the current file list to the running share, falling back to a
+  /// restart if the server has gone away
+  Future<void> _updateSharedFiles() async {
+    final updated = await _webShareService.updateSharedFiles(List.of(_files));
+    if (!updated) await _restartSharing();
+  }
+
+  Future<void> _editPasscode() async {
+    await showDialog<void>(
+      context: context,
+      builder: (context) => SharePasscodeDialog(
+        currentPasscode: _passcode,
+        onSave: (passcode) {
+          // Same link - guests just have to unlock again
+          setState(() => _passcode = passcode);
+          _webShareService.setSharePasscode(passcode);
+        },
+      ),
+    );
+  }
+
+  Future<void> _composeSnippet() async {
+    await showDialog<void>(
+      context: context,
+      builder: (context) => SnippetComposeDialog(
+        onSend: (text) async {
+          final snippet = _webShareService.shareSnippet(text);
+          if (snippet == null) {
+            ScaffoldMessenger.of(context).showSnackBar(
+              const SnackBar(
+                content: Text('Could not send text'),
+                backgroundColor: AppTheme.errorColor,
+                behavior: SnackBarBehavior.floating,
+              ),
+            );
+            return;
+          }
+          setState(() => _snippets = [..._snippets, snippet]);
+          try {
+            await DatabaseHelper.instance.insertSnippet(snippet);
+          } catch (e) {
+            debugPrint('Error saving snippet to history: $e');
+          }
+        },
+      ),
+    );
+  }
+
+  void _removeSnippet(TextSnippet snippet) {
+    _webShareService.removeSharedSnippet(snippet.id);
+    setState(() {
+      _snippets = _snippets.where((s) => s.id != snippet.id).toList();
+    });
+  }
+
+  Future<void> _editFilePolicy(File file) async {
+    await showDialog<void>(
+      context: context,
+      builder: (context) => FilePolicyDialog(
+        fileName: file.path.split(Platform.pathSeparator).last,
+        currentPolicy: _filePolicies[file.path],
+        onSave: (policy) {
+          setState(() {
+            if (policy == null) {
+              _filePolicies.remove(file.path);
+            } else {
+              _filePolicies[file.path] = policy;
+            }
+          });
+          _webShareService.setFilePolicy(file, policy);
+        },
+      ),
+    );
+  }
+
   Future<void> _addMoreFiles() async {
     if (_isOperationInProgress) return;
     _isOperationInProgress = true;
@@ -525,7 +736,7 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
         _files.addAll(newFiles);
       });
 
-      await _restartSharing();
+      await _updateSharedFiles();
 
       if (mounted) {
         final label =
@@ -580,7 +791,7 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
         _files.removeAt(index);
       });
 
-      await _restartSharing();
+      await _updateSharedFiles();
 
       if (mounted) {
         ScaffoldMessenger.of(context).showSnackBar(
@@ -598,7 +809,7 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
                   setState(() {
                     _files.insert(index, removedFile);
                   });
-                  await _restartSharing();
+                  await _updateSharedFiles();
                 } finally {
                   _isOperationInProgress = false;
                 }
@@ -625,7 +836,92 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
     }
   }
 
+  Future<void> _saveReceivedFiles() async {
+    if (_isSavingReceived) return;
+    setState(() => _isSavingReceived = true);
+
+    try {
+      final result = await _webShareService.saveAllFiles();
+      if (!mounted) return;
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: Text(result.allSuccessful
+              ? '✅ Saved ${result.successCount} file(s)'
+              : '⚠️ Saved ${result.successCount}, failed ${result.failCount}'),
+          backgroundColor: result.allSuccessful
+              ? AppTheme.successColor
+              : AppTheme.warningColor,
+          behavior: SnackBarBehavior.floating,
+        ),
+      );
+    } finally {
+      if (mounted) setState(() => _isSavingReceived = false);
+    }
+  }
+
+  Future<void> _discardReceivedFiles() async {
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (context) => AlertDialog(
+        backgroundColor: AppTheme.surfaceColor,
+        title: const Text('Discard All Files?'),
+        content: Text(
+            'Are you sure you want to discard ${_receivedFiles.length} file(s)?'),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.pop(context, false),
+            child: const Text('Cancel'),
+          ),
+          TextButton(
+            onPressed: () => Navigator.pop(context, true),
+            style: TextButton.styleFrom(foregroundColor: AppTheme.errorColor),
+            child: const Text('Discard All'),
+          ),
+        ],
+      ),
+    );
+
+    if (confirmed == true) {
+      await _webShareService.discardAllFiles();
+    }
+  }
+
   Future<void> _stopSharing() async {
+    if (_receivedFiles.isNotEmpty) {
+      final action = await showDialog<String>(
+        context: context,
+        builder: (context) => AlertDialog(
+          backgroundColor: AppTheme.surfaceColor,
+          title: const Text('Unsaved Files'),
+          content: Text(
+              'Guests sent ${_receivedFiles.length} file(s) you haven\'t saved. What would you like to do?'),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(context, 'cancel'),
+              child: const Text('Cancel'),
+            ),
+            TextButton(
+              onPressed: () => Navigator.pop(context, 'discard'),
+              style: TextButton.styleFrom(foregroundColor: AppTheme.errorColor),
+              child: const Text('Discard & Exit'),
+            ),
+            ElevatedButton(
+              onPressed: () => Navigator.pop(context, 'save'),
+              child: const Text('Save All & Exit'),
+            ),
+          ],
+        ),
+      );
+
+      if (action == null || action == 'cancel') return;
+
+      if (action == 'save') {
+        await _webShareService.saveAllFiles();
+      } else {
+        await _webShareService.discardAllFiles();
+      }
+    }
+
     await _webShareService.stopSharing();
     // Clear FilePicker cache to free storage
     await _clearFilePickerCache();
@@ -1102,12 +1398,118 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
                     ],
                   ),
                 ),
+                const SizedBox(height: 8),
+                SwitchListTile(
+                  contentPadding: EdgeInsets.zero,
+                  secondary: Icon(
+                    _encryptedLink ? Icons.lock : Icons.lock_open,
+                    color: _accentColor,
+                  ),
+                  title: const Text('Encrypted link'),
+                  subtitle: const Text(
+                    'Files are encrypted; the key is only in the QR code and link',
+                    style: TextStyle(fontSize: 12),
+                  ),
+                  value: _encryptedLink,
+                  onChanged: _isLoading
+                      ? null
+                      : (value) async {
+                          // A new link is needed either way - old ones stop working
+                          setState(() {
+                            _encryptedLink = value;
+                            // Uploads aren't encrypted with the link's key
+                            if (value) _twoWay = false;
+                          });
+                          await _restartSharing();
+                        },
+                ),
+                SwitchListTile(
+                  contentPadding: EdgeInsets.zero,
+                  secondary: Icon(Icons.swap_vert, color: _accentColor),
+                  title: const Text('Let guests send files back'),
+                  subtitle: Text(
+                    _encryptedLink
+                        ? 'Not available with an encrypted link'
+                        : 'The page also gets a drop zone; you save what arrives',
+                    style: const TextStyle(fontSize: 12),
+                  ),
+                  value: _twoWay,
+                  onChanged: _isLoading || _encryptedLink
+                      ? null
+                      : (value) async {
+                          // Files already received stay until saved or discarded
+                          setState(() => _twoWay = value);
+                          await _restartSharing();
+                        },
+                ),
+                ListTile(
+                  contentPadding: EdgeInsets.zero,
+                  leading: Icon(
+                    _passcode != null ? Icons.pin : Icons.pin_outlined,
+                    color: _accentColor,
+                  ),
+                  title: const Text('PIN protection'),
+                  subtitle: Text(
+                    _passcode != null
+                        ? 'Guests enter $_passcode to open the link'
+                        : 'Off - anyone with the link can open it',
+                    style: const TextStyle(fontSize: 12),
+                  ),
+                  trailing: const Icon(Icons.chevron_right),
+                  onTap: _isLoading ? null : _editPasscode,
+                ),
+                ListTile(
+                  contentPadding: EdgeInsets.zero,
+                  leading: Icon(Icons.notes, color: _accentColor),
+                  title: const Text('Send text'),
+                  subtitle: Text(
+                    _encryptedLink
+                        ? 'Not available with an encrypted link'
+                        : 'A link, password or snippet guests can copy',
+                    style: const TextStyle(fontSize: 12),
+                  ),
+                  trailing: const Icon(Icons.chevron_right),
+                  onTap: _isLoading || _encryptedLink ? null : _composeSnippet,
+                ),
               ],
             ),
           ),
 
           const SizedBox(height: 24),
 
+          if (_guestProgress.isNotEmpty) ...[
+            GuestProgressList(
+              title: 'Guest downloads',
+              progress: _guestProgress.values.toList(),
+              accentColor: _accentColor,
+            ),
+            const SizedBox(height: 24),
+          ],
+
+          if (_guestUploads.isNotEmpty) ...[
+            GuestProgressList(
+              title: 'Guest uploads',
+              progress: _guestUploads.values.toList(),
+              accentColor: _accentColor,
+            ),
+            const SizedBox(height: 24),
+          ],
+
+          if (_receivedFiles.isNotEmpty) ...[
+            _buildReceivedFiles(),
+            const SizedBox(height: 24),
+          ],
+
+          if (_snippets.isNotEmpty) ...[
+            SnippetList(
+              title: 'Text on the page',
+              snippets: _snippets,
+              accentColor: _accentColor,
+              onRemove: _removeSnippet,
+            ),
+            const SizedBox(height: 24),
+          ],
+
           Row(
             children: [
               Icon(
@@ -1162,6 +1564,7 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
                 final isImage = _isImage(file.path);
                 final isVideo = _isVideo(file.path);
                 final fileType = _getFileType(fileName);
+                final policy = _filePolicies[file.path];
 
                 return FutureBuilder<FileStat>(
                   future: file.stat(),
@@ -1243,10 +1646,32 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
                                     ),
                                   ],
                                 ),
+                                if (policy != null) ...[
+                                  const SizedBox(height: 4),
+                                  Text(
+                                    policy.summary,
+                                    style: const TextStyle(
+                                      fontSize: 11,
+                                      color: AppTheme.warningColor,
+                                    ),
+                                  ),
+                                ],
                               ],
                             ),
                           ),
 
+                          IconButton(
+                            onPressed: () => _editFilePolicy(file),
+                            icon: Icon(policy != null
+                                ? Icons.timer
+                                : Icons.timer_outlined),
+                            iconSize: 20,
+                            color: policy != null
+                                ? AppTheme.warningColor
+                                : AppTheme.textTertiary,
+                            tooltip: 'Download limits',
+                          ),
+
                           IconButton(
                             onPressed: () => _removeFile(index),
                             icon: const Icon(Icons.close),
@@ -1333,6 +1758,82 @@ class _BrowserShareScreenState extends State<BrowserShareScreen> {
     );
   }
 
+  /// Files guests sent back in a two-way session, waiting to be saved
+  Widget _buildReceivedFiles() {
+    return Container(
+      padding: const EdgeInsets.all(16),
+      decoration: BoxDecoration(
+        color: AppTheme.surfaceColor,
+        borderRadius: BorderRadius.circular(16),
+      ),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Row(
+            children: [
+              Icon(Icons.download_for_offline, color: _accentColor, size: 20),
+              const SizedBox(width: 8),
+              Text(
+                'Received ${_receivedFiles.length} '
+                '${_receivedFiles.length == 1 ? 'file' : 'files'}',
+                style: Theme.of(context).textTheme.titleMedium?.copyWith(
+                      fontWeight: FontWeight.w600,
+                    ),
+              ),
+            ],
+          ),
+          const SizedBox(height: 8),
+          for (final file in _receivedFiles)
+            Padding(
+              padding: const EdgeInsets.symmetric(vertical: 4),
+              child: Row(
+                children: [
+                  Expanded(
+                    child: Text(
+                      file.relativePath ?? file.name,
+                      maxLines: 1,
+                      overflow: TextOverflow.ellipsis,
+                    ),
+                  ),
+                  const SizedBox(width: 8),
+                  Text(
+                    _formatFileSize(file.size),
+                    style: Theme.of(context).textTheme.bodySmall?.copyWith(
+                          color: AppTheme.textTertiary,
+                        ),
+                  ),
+                ],
+              ),
+            ),
+          const SizedBox(height: 12),
+          Row(
+            children: [
+              Expanded(
+                child: ElevatedButton.icon(
+                  onPressed: _isSavingReceived ? null : _saveReceivedFiles,
+                  icon: const Icon(Icons.save_alt),
+                  label: const Text('Save All'),
+                ),
+              ),
+              const SizedBox(width: 12),
+              Expanded(
+                child: OutlinedButton.icon(
+                  onPressed: _isSavingReceived ? null : _discardReceivedFiles,
+                  icon: const Icon(Icons.delete_outline),
+                  label: const Text('Discard All'),
+                  style: OutlinedButton.styleFrom(
+                    foregroundColor: AppTheme.errorColor,
+                    side: const BorderSide(color: AppTheme.errorColor),
+                  ),
+                ),
+              ),
+            ],
+          ),
+        ],
+      ),
+    );
+  }
+
   Widget _buildFileIcon(String fileType) {
     return Container(
       width: 56,
@@ -0,0 +1,123 @@
+import 'package:flutter/material.dart';
+
+import '../../core/services/web_share/web_share_service.dart';
+
+/// Dialog for limiting how one shared file may be downloaded
+class FilePolicyDialog extends StatefulWidget {
+  final String fileName;
+  final FileSharePolicy? currentPolicy;
+  final Function(FileSharePolicy?) onSave;
+
+  const FilePolicyDialog({
+    super.key,
+    required this.fileName,
+    this.currentPolicy,
+    required this.onSave,
+  });
+
+  @override
+  State<FilePolicyDialog> createState() => _FilePolicyDialogState();
+}
+
+class _FilePolicyDialogState extends State<FilePolicyDialog> {
+  // null means no limit
+  static const List<int?> _downloadOptions = [null, 1, 3, 5, 10];
+  static const List<Duration?> _expiryOptions = [
+    null,
+    Duration(minutes: 10),
+    Duration(minutes: 30),
+    Duration(hours: 1),
+  ];
+
+  int? _maxDownloads;
+  Duration? _expiresAfter;
+
+  @override
+  void initState() {
+    super.initState();
+    _maxDownloads = widget.currentPolicy?.maxDownloads;
+    _expiresAfter = widget.currentPolicy?.expiresAfter;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: const Text('Download Limits'),
+      content: Column(
+        mainAxisSize: MainAxisSize.min,
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Text(
+            widget.fileName,
+            maxLines: 1,
+            overflow: TextOverflow.ellipsis,
+            style: Theme.of(context).textTheme.bodySmall,
+          ),
+          const SizedBox(height: 16),
+          const Text('Downloads'),
+          const SizedBox(height: 8),
+          Wrap(
+            spacing: 8,
+            runSpacing: 8,
+            children: [
+              for (final option in _downloadOptions)
+                ChoiceChip(
+                  label: Text(switch (option) {
+                    null => 'Unlimited',
+                    1 => 'One-time',
+                    _ => '$option',
+                  }),
+                  selected: _maxDownloads == option,
+                  onSelected: (_) => setState(() => _maxDownloads = option),
+                ),
+            ],
+          ),
+          const SizedBox(height: 16),
+          const Text('Expires after'),
+          const SizedBox(height: 8),
+          Wrap(
+            spacing: 8,
+            runSpacing: 8,
+            children: [
+              for (final option in _expiryOptions)
+                ChoiceChip(
+                  label: Text(option == null
+                      ? 'Never'
+                      : option.inHours > 0
+                          ? '${option.inHours} h'
+                          : '${option.inMinutes} min'),
+                  selected: _expiresAfter == option,
+                  onSelected: (_) => setState(() => _expiresAfter = option),
+                ),
+            ],
+          ),
+          const SizedBox(height: 12),
+          Text(
+            'Limited files are left out of "Download All" and can\'t be '
+            'previewed. Saving restarts the count and the timer.',
+            style: Theme.of(context).textTheme.bodySmall,
+          ),
+        ],
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(),
+          child: const Text('Cancel'),
+        ),
+        FilledButton(
+          onPressed: _save,
+          child: const Text('Save'),
+        ),
+      ],
+    );
+  }
+
+  void _save() {
+    final policy = FileSharePolicy(
+      maxDownloads: _maxDownloads,
+      expiresAfter: _expiresAfter,
+    );
+    widget.onSave(policy.isUnrestricted ? null : policy);
+    Navigator.of(context).pop();
+  }
+}
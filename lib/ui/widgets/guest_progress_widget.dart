@@ -0,0 +1,122 @@
+import 'package:flutter/material.dart';
+
+import '../../core/services/web_share/web_share_service.dart';
+import '../../core/utils/byte_formatter.dart';
+import '../theme/app_theme.dart';
+
+/// Per-guest, per-file progress bars for browser shares and receive links
+class GuestProgressList extends StatelessWidget {
+  final String title;
+  final List<GuestProgress> progress;
+  final Color accentColor;
+
+  const GuestProgressList({
+    super.key,
+    required this.title,
+    required this.progress,
+    required this.accentColor,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    if (progress.isEmpty) {
+      return const SizedBox.shrink();
+    }
+
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        Row(
+          children: [
+            Icon(Icons.sync_alt, color: accentColor, size: 20),
+            const SizedBox(width: 8),
+            Text(
+              title,
+              style: Theme.of(context).textTheme.titleMedium?.copyWith(
+                    fontWeight: FontWeight.w600,
+                  ),
+            ),
+          ],
+        ),
+        const SizedBox(height: 12),
+        Container(
+          decoration: BoxDecoration(
+            color: AppTheme.surfaceColor,
+            borderRadius: BorderRadius.circular(16),
+          ),
+          child: ListView.separated(
+            shrinkWrap: true,
+            physics: const NeverScrollableScrollPhysics(),
+            itemCount: progress.length,
+            separatorBuilder: (_, __) => const Divider(height: 1),
+            itemBuilder: (context, index) => _buildItem(progress[index]),
+          ),
+        ),
+      ],
+    );
+  }
+
+  Widget _buildItem(GuestProgress item) {
+    final Color color;
+    final String status;
+    if (item.completed) {
+      color = AppTheme.successColor;
+      status = 'Done';
+    } else if (item.failed) {
+      color = AppTheme.errorColor;
+      status = 'Stopped';
+    } else {
+      color = accentColor;
+      status = '${(item.fraction * 100).round()}%';
+    }
+
+    return Padding(
+      padding: const EdgeInsets.symmetric(horizontal: 16, vertical: 12),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Row(
+            children: [
+              Expanded(
+                child: Text(
+                  item.fileName,
+                  maxLines: 1,
+                  overflow: TextOverflow.ellipsis,
+                  style: const TextStyle(fontWeight: FontWeight.w500),
+                ),
+              ),
+              const SizedBox(width: 8),
+              Text(
+                status,
+                style: TextStyle(
+                  color: color,
+                  fontWeight: FontWeight.w600,
+                  fontSize: 12,
+                ),
+              ),
+            ],
+          ),
+          const SizedBox(height: 6),
+          ClipRRect(
+            borderRadius: BorderRadius.circular(4),
+            child: LinearProgressIndicator(
+              value: item.fraction,
+              minHeight: 6,
+              backgroundColor: color.withValues(alpha: 0.15),
+              valueColor: AlwaysStoppedAnimation<Color>(color),
+            ),
+          ),
+          const SizedBox(height: 6),
+          Text(
+            '${item.ipAddress} · ${ByteFormatter.format(item.bytesTransferred)} '
+            'of ${ByteFormatter.format(item.totalBytes)}',
+            style: const TextStyle(
+              color: AppTheme.textTertiary,
+              fontSize: 12,
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+}
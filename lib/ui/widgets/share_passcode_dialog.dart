@@ -0,0 +1,101 @@
+import 'package:flutter/material.dart';
+
+import '../../core/services/web_share/web_share_service.dart';
+
+/// Dialog for setting the PIN or passphrase of a browser share link
+class SharePasscodeDialog extends StatefulWidget {
+  final String? currentPasscode;
+  final Function(String?) onSave;
+
+  const SharePasscodeDialog({
+    super.key,
+    this.currentPasscode,
+    required this.onSave,
+  });
+
+  @override
+  State<SharePasscodeDialog> createState() => _SharePasscodeDialogState();
+}
+
+class _SharePasscodeDialogState extends State<SharePasscodeDialog> {
+  late TextEditingController _controller;
+  String? _error;
+
+  @override
+  void initState() {
+    super.initState();
+    _controller = TextEditingController(text: widget.currentPasscode ?? '');
+    _controller.addListener(() {
+      if (_error != null) {
+        setState(() => _error = null);
+      }
+    });
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: const Text('PIN Protection'),
+      content: Column(
+        mainAxisSize: MainAxisSize.min,
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Text(
+            'Guests have to enter this before the page shows anything. '
+            'Tell it to them separately from the link.',
+            style: Theme.of(context).textTheme.bodySmall,
+          ),
+          const SizedBox(height: 16),
+          TextField(
+            controller: _controller,
+            autofocus: true,
+            maxLength: ShareAccess.maxPasscodeLength,
+            decoration: InputDecoration(
+              labelText: 'PIN or passphrase',
+              hintText: 'At least ${ShareAccess.minPasscodeLength} characters',
+              errorText: _error,
+            ),
+            onSubmitted: (_) => _save(),
+          ),
+        ],
+      ),
+      actions: [
+        if (widget.currentPasscode != null)
+          TextButton(
+            onPressed: () {
+              widget.onSave(null); // Remove protection
+              Navigator.of(context).pop();
+            },
+            child: const Text('Remove'),
+          ),
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(),
+          child: const Text('Cancel'),
+        ),
+        FilledButton(
+          onPressed: _save,
+          child: const Text('Save'),
+        ),
+      ],
+    );
+  }
+
+  void _save() {
+    final passcode = _controller.text.trim();
+    final error = ShareAccess.validatePasscode(passcode);
+    if (error != null) {
+      setState(() => _error = error);
+      return;
+    }
+    if (passcode != widget.currentPasscode) {
+      widget.onSave(passcode);
+    }
+    Navigator.of(context).pop();
+  }
+}
@@ -0,0 +1,89 @@
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+
+import '../../core/services/web_share/web_share_service.dart';
+
+/// Dialog for putting a link, password or bit of text on a share page
+class SnippetComposeDialog extends StatefulWidget {
+  final Function(String) onSend;
+
+  const SnippetComposeDialog({
+    super.key,
+    required this.onSend,
+  });
+
+  @override
+  State<SnippetComposeDialog> createState() => _SnippetComposeDialogState();
+}
+
+class _SnippetComposeDialogState extends State<SnippetComposeDialog> {
+  final TextEditingController _controller = TextEditingController();
+
+  @override
+  void initState() {
+    super.initState();
+    _controller.addListener(() => setState(() {}));
+  }
+
+  @override
+  void dispose() {
+    _controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: const Text('Send Text'),
+      content: Column(
+        mainAxisSize: MainAxisSize.min,
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Text(
+            'Guests can copy it from the share page.',
+            style: Theme.of(context).textTheme.bodySmall,
+          ),
+          const SizedBox(height: 16),
+          TextField(
+            controller: _controller,
+            autofocus: true,
+            minLines: 3,
+            maxLines: 8,
+            maxLength: SnippetBoard.maxSnippetLength,
+            decoration: InputDecoration(
+              labelText: 'Link, password or text',
+              counterText: '',
+              suffixIcon: IconButton(
+                icon: const Icon(Icons.content_paste),
+                tooltip: 'Paste',
+                onPressed: _paste,
+              ),
+            ),
+          ),
+        ],
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(),
+          child: const Text('Cancel'),
+        ),
+        FilledButton(
+          onPressed: _controller.text.trim().isEmpty ? null : _send,
+          child: const Text('Send'),
+        ),
+      ],
+    );
+  }
+
+  Future<void> _paste() async {
+    final data = await Clipboard.getData(Clipboard.kTextPlain);
+    final text = data?.text;
+    if (text == null || text.isEmpty) return;
+    _controller.text = text;
+  }
+
+  void _send() {
+    widget.onSend(_controller.text);
+    Navigator.of(context).pop();
+  }
+}
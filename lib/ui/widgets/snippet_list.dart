@@ -0,0 +1,114 @@
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+
+import '../../core/models/text_snippet.dart';
+import '../theme/app_theme.dart';
+
+/// Text snippets passed over a web share, each with a copy button
+class SnippetList extends StatelessWidget {
+  final String title;
+  final List<TextSnippet> snippets;
+  final Color accentColor;
+  // Dismiss from the incoming list, or take off the share page
+  final ValueChanged<TextSnippet>? onRemove;
+
+  const SnippetList({
+    super.key,
+    required this.title,
+    required this.snippets,
+    required this.accentColor,
+    this.onRemove,
+  });
+
+  @override
+  Widget build(BuildContext context) {
+    if (snippets.isEmpty) {
+      return const SizedBox.shrink();
+    }
+
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        Row(
+          children: [
+            Icon(Icons.notes, color: accentColor, size: 20),
+            const SizedBox(width: 8),
+            Text(
+              title,
+              style: Theme.of(context).textTheme.titleMedium?.copyWith(
+                    fontWeight: FontWeight.w600,
+                  ),
+            ),
+          ],
+        ),
+        const SizedBox(height: 12),
+        Container(
+          decoration: BoxDecoration(
+            color: AppTheme.surfaceColor,
+            borderRadius: BorderRadius.circular(16),
+          ),
+          child: ListView.separated(
+            shrinkWrap: true,
+            physics: const NeverScrollableScrollPhysics(),
+            itemCount: snippets.length,
+            separatorBuilder: (_, __) => const Divider(height: 1),
+            itemBuilder: (context, index) =>
+                _buildItem(context, snippets[index]),
+          ),
+        ),
+      ],
+    );
+  }
+
+  Widget _buildItem(BuildContext context, TextSnippet snippet) {
+    return ListTile(
+      leading: Icon(
+        snippet.isLink ? Icons.link : Icons.short_text,
+        color: accentColor,
+      ),
+      title: Text(
+        snippet.text,
+        maxLines: 4,
+        overflow: TextOverflow.ellipsis,
+        style: const TextStyle(fontFamily: 'monospace', fontSize: 13),
+      ),
+      subtitle: snippet.ipAddress != null
+          ? Text(
+              'From ${snippet.ipAddress}',
+              style: const TextStyle(
+                fontSize: 12,
+                color: AppTheme.textSecondary,
+              ),
+            )
+          : null,
+      trailing: Row(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          IconButton(
+            icon: const Icon(Icons.copy, size: 20),
+            tooltip: 'Copy',
+            onPressed: () => _copy(context, snippet),
+          ),
+          if (onRemove != null)
+            IconButton(
+              icon: const Icon(Icons.close, size: 20),
+              tooltip: 'Remove',
+              onPressed: () => onRemove!(snippet),
+            ),
+        ],
+      ),
+    );
+  }
+
+  void _copy(BuildContext context, TextSnippet snippet) {
+    Clipboard.setData(ClipboardData(text: snippet.text));
+    ScaffoldMessenger.of(context).showSnackBar(
+      const SnackBar(
+        content: Text('Copied to clipboard'),
+        backgroundColor: AppTheme.successColor,
+        behavior: SnackBarBehavior.floating,
+        duration: Duration(seconds: 2),
+      ),
+    );
+  }
+}
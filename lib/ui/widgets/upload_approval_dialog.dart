@@ -0,0 +1,139 @@
+import 'package:flutter/material.dart';
+
+import '../../core/services/web_share/web_share_service.dart';
+import '../../core/utils/byte_formatter.dart';
+import '../theme/app_theme.dart';
+
+/// Dialog for accepting or rejecting the files a browser guest wants to
+/// upload - every file starts ticked
+class UploadApprovalDialog extends StatefulWidget {
+  final UploadPendingConfirmation request;
+  final Color accentColor;
+  // Indexes of the accepted files - empty rejects everything
+  final Function(Set<int>) onDecide;
+
+  const UploadApprovalDialog({
+    super.key,
+    required this.request,
+    required this.accentColor,
+    required this.onDecide,
+  });
+
+  @override
+  State<UploadApprovalDialog> createState() => _UploadApprovalDialogState();
+}
+
+class _UploadApprovalDialogState extends State<UploadApprovalDialog> {
+  late final Set<int> _accepted;
+
+  @override
+  void initState() {
+    super.initState();
+    _accepted = {
+      for (var i = 0; i < widget.request.files.length; i++) i,
+    };
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final files = widget.request.files;
+    final acceptedSize = _accepted.fold<int>(
+        0, (sum, index) => sum + files[index].size);
+
+    return AlertDialog(
+      backgroundColor: AppTheme.surfaceColor,
+      shape: RoundedRectangleBorder(
+        borderRadius: BorderRadius.circular(16),
+        side: BorderSide(
+          color: widget.accentColor.withValues(alpha: 0.3),
+        ),
+      ),
+      title: Row(
+        children: [
+          Icon(Icons.upload_file, color: widget.accentColor),
+          const SizedBox(width: 8),
+          const Text('Incoming Files', style: TextStyle(fontSize: 18)),
+        ],
+      ),
+      content: SizedBox(
+        width: double.maxFinite,
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            Text(
+              '${widget.request.ipAddress} wants to send '
+              '${files.length} file(s). Only ticked files are uploaded.',
+              style: const TextStyle(color: AppTheme.textSecondary),
+            ),
+            const SizedBox(height: 12),
+            Flexible(
+              child: ListView.builder(
+                shrinkWrap: true,
+                itemCount: files.length,
+                itemBuilder: (context, index) {
+                  final file = files[index];
+                  return CheckboxListTile(
+                    contentPadding: EdgeInsets.zero,
+                    dense: true,
+                    activeColor: widget.accentColor,
+                    value: _accepted.contains(index),
+                    onChanged: (value) => setState(() {
+                      if (value == true) {
+                        _accepted.add(index);
+                      } else {
+                        _accepted.remove(index);
+                      }
+                    }),
+                    title: Text(
+                      file.displayName,
+                      maxLines: 2,
+                      overflow: TextOverflow.ellipsis,
+                    ),
+                    subtitle: Text(
+                      [
+                        ByteFormatter.format(file.size),
+                        if (file.type != null) file.type!,
+                      ].join(' • '),
+                      style: const TextStyle(fontSize: 12),
+                    ),
+                  );
+                },
+              ),
+            ),
+            const SizedBox(height: 8),
+            Text(
+              '${_accepted.length} selected • '
+              '${ByteFormatter.format(acceptedSize)}',
+              style: const TextStyle(
+                fontSize: 12,
+                color: AppTheme.textSecondary,
+              ),
+            ),
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => _decide(const {}),
+          child: const Text('Reject All', style: TextStyle(color: Colors.red)),
+        ),
+        ElevatedButton(
+          onPressed: _accepted.isEmpty ? null : () => _decide(_accepted),
+          style: ElevatedButton.styleFrom(
+            backgroundColor: widget.accentColor,
+            foregroundColor: Colors.white,
+          ),
+          child: Text(_accepted.length == files.length
+              ? 'Accept All'
+              : 'Accept ${_accepted.length}'),
+        ),
+      ],
+    );
+  }
+
+  void _decide(Set<int> accepted) {
+    widget.onDecide(Set.of(accepted));
+    Navigator.of(context).pop();
+  }
+}
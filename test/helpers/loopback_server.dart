@@ -0,0 +1,79 @@
+import 'dart:async';
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+/// An HTTP server on a free loopback port, for tests that drive the web
+/// share handlers with real requests
+class LoopbackServer {
+  final HttpServer _server;
+
+  LoopbackServer._(this._server);
+
+  /// Start serving every request with [handler]
+  static Future<LoopbackServer> start(
+      FutureOr<void> Function(HttpRequest request) handler) async {
+    final server = await HttpServer.bind(InternetAddress.loopbackIPv4, 0);
+    server.listen(handler);
+    return LoopbackServer._(server);
+  }
+
+  int get port => _server.port;
+
+  /// Send one request on a fresh client and read the whole response
+  ///
+  /// [body] is bytes, or a string sent as UTF-8.
+  Future<LoopbackResponse> send(
+    String method,
+    String path, {
+    Object? body,
+    ContentType? contentType,
+    Map<String, String> headers = const {},
+    Cookie? cookie,
+  }) async {
+    final bytes = switch (body) {
+      null => null,
+      String text => utf8.encode(text),
+      List<int> data => data,
+      _ => throw ArgumentError.value(body, 'body', 'Not bytes or a string'),
+    };
+
+    final client = HttpClient();
+    try {
+      final request = await client.open(
+          method, InternetAddress.loopbackIPv4.address, port, path);
+      if (contentType != null) request.headers.contentType = contentType;
+      headers.forEach(request.headers.set);
+      if (cookie != null) request.cookies.add(cookie);
+      if (bytes != null) {
+        request.contentLength = bytes.length;
+        request.add(bytes);
+      }
+      final response = await request.close();
+      final builder = BytesBuilder(copy: false);
+      await response.forEach(builder.add);
+      return LoopbackResponse._(response, builder.takeBytes());
+    } finally {
+      client.close();
+    }
+  }
+
+  Future<void> close() => _server.close(force: true);
+}
+
+/// A response read in full by [LoopbackServer.send]
+class LoopbackResponse {
+  final int statusCode;
+  final HttpHeaders headers;
+  final List<Cookie> cookies;
+  final Uint8List body;
+
+  LoopbackResponse._(HttpClientResponse response, this.body)
+      : statusCode = response.statusCode,
+        headers = response.headers,
+        cookies = response.cookies;
+
+  String get text => utf8.decode(body);
+
+  Map<String, dynamic> get json => jsonDecode(text) as Map<String, dynamic>;
+}
@@ -3,7 +3,9 @@ import 'dart:typed_data';
 
 import 'package:flutter_test/flutter_test.dart';
 import 'package:syndro/core/services/encryption_service.dart';
+import 'package:syndro/core/services/file_service.dart';
 import 'package:syndro/core/services/parallel/parallel_config.dart';
+import 'package:syndro/core/services/parallel/parallel_receiver_handler.dart';
 import 'package:crypto/crypto.dart' as crypto;
 
 void main() {
@@ -186,5 +188,86 @@ void main() {
       expect(reassembledHash, equals(originalHash),
           reason: 'Reassembled data should match original');
     });
+
+    test('should give browsers room to tune around the recommended config',
+        () async {
+      final browser = ParallelConfig.appToBrowser.toBrowserJson();
+      expect(browser['connections'], equals(4));
+      expect(browser['chunkSize'], equals(2 * 1024 * 1024));
+      expect(browser['maxConnections'],
+          equals(ParallelConfig.browserMaxConnections));
+      expect(browser['minChunkSize'],
+          equals(ParallelConfig.browserMinChunkSize));
+      expect(browser['maxChunkSize'],
+          equals(ParallelConfig.browserMaxChunkSize));
+
+      // Bounds scale with the starting point on low-end hosts
+      final lowEnd = ParallelConfig.ultraLowEnd.toBrowserJson();
+      expect(lowEnd['maxConnections'], equals(2));
+      expect(lowEnd['minChunkSize'], equals(256 * 1024));
+      expect(lowEnd['maxChunkSize'], equals(1024 * 1024));
+
+      // Never more than browsers are recommended anyway
+      final recommended = await ParallelConfig.forBrowserClients();
+      expect(recommended.isBrowser, isTrue);
+      expect(recommended.connections,
+          lessThanOrEqualTo(ParallelConfig.appToBrowser.connections));
+      expect(recommended.chunkSize,
+          lessThanOrEqualTo(ParallelConfig.appToBrowser.chunkSize));
+    });
+
+    test('should refuse an encrypted transfer downgraded to legacy chunks',
+        () async {
+      final receiver = ParallelReceiverHandler(FileService(),
+          targetDirectory: tempDir.path);
+      addTearDown(receiver.dispose);
+      final offer = {
+        'transferId': 'downgrade-test',
+        'fileName': 'secret.bin',
+        'fileSize': 1024,
+        'fileHash': 'pending',
+        'totalChunks': 1,
+        'chunkSize': 1024,
+        'encrypted': true,
+        'chunkFormat': ChunkContext.formatVersion,
+      };
+
+      // The sender's offer with chunkFormat stripped on the way
+      final stripped = await receiver
+          .handleInitiate(Map.of(offer)..remove('chunkFormat'));
+      expect(stripped['success'], isFalse);
+      expect(receiver.getSession('downgrade-test'), isNull);
+
+      // The receiver's answer with chunkFormat stripped on the way
+      final answer = await receiver.handleInitiate(offer);
+      expect(answer['chunkFormat'], equals(ChunkContext.formatVersion));
+      expect(ChunkContext.requireAgreed(answer),
+          equals(ChunkContext.formatVersion));
+      expect(
+          () => ChunkContext.requireAgreed(
+              Map.of(answer)..remove('chunkFormat')),
+          throwsA(isA<EncryptionException>()));
+    });
+
+    test('should take legacy chunks from a sender known to need them',
+        () async {
+      final receiver = ParallelReceiverHandler(FileService(),
+          targetDirectory: tempDir.path);
+      addTearDown(receiver.dispose);
+
+      // An app from before chunk binding offers no chunkFormat at all
+      final answer = await receiver.handleInitiate({
+        'transferId': 'legacy-sender-test',
+        'fileName': 'old.bin',
+        'fileSize': 1024,
+        'fileHash': 'pending',
+        'totalChunks': 1,
+        'chunkSize': 1024,
+        'encrypted': true,
+      }, acceptLegacyChunks: true);
+
+      expect(answer['success'], isTrue);
+      expect(answer['chunkFormat'], equals(ChunkContext.legacyFormatVersion));
+    });
   });
 }
@@ -0,0 +1,110 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:math';
+import 'dart:typed_data';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/parallel/chunk_compression.dart';
+
+void main() {
+  group('ChunkCompression', () {
+    Uint8List deflateRaw(List<int> data) =>
+        Uint8List.fromList(ZLibEncoder(raw: true).convert(data));
+
+    test('should agree to deflate-raw only when offered', () {
+      expect(
+          ChunkCompression.negotiate({
+            'compression': ['deflate-raw'],
+          }, 'server.log'),
+          equals(ChunkCompression.deflateRaw));
+      expect(ChunkCompression.negotiate({}, 'server.log'), isNull);
+      expect(
+          ChunkCompression.negotiate({
+            'compression': ['br'],
+          }, 'server.log'),
+          isNull);
+      expect(
+          ChunkCompression.negotiate({'compression': 'deflate-raw'},
+              'server.log'),
+          isNull);
+    });
+
+    test('should skip files that are compressed already', () {
+      final offer = {
+        'compression': ['deflate-raw'],
+      };
+
+      for (final name in ['a.zip', 'b.MP4', 'c.jpg', 'd.png', 'e.apk']) {
+        expect(ChunkCompression.negotiate(offer, name), isNull, reason: name);
+      }
+      for (final name in ['a.csv', 'b.bmp', 'c.wav', 'Makefile']) {
+        expect(ChunkCompression.negotiate(offer, name),
+            equals(ChunkCompression.deflateRaw),
+            reason: name);
+      }
+    });
+
+    test('should serve deflate-raw only to downloaders that accept it', () {
+      expect(ChunkCompression.negotiateServed('deflate-raw', 'server.log'),
+          equals(ChunkCompression.deflateRaw));
+      expect(ChunkCompression.negotiateServed('br, deflate-raw', 'data.csv'),
+          equals(ChunkCompression.deflateRaw));
+      expect(ChunkCompression.negotiateServed(null, 'server.log'), isNull);
+      expect(ChunkCompression.negotiateServed('br', 'server.log'), isNull);
+      expect(ChunkCompression.negotiateServed('deflate-raw', 'video.mp4'),
+          isNull);
+    });
+
+    test('should deflate a chunk only when it gets smaller', () {
+      final chunk = utf8.encode('time,level,message\n' * 5000);
+      final random = Random(42);
+      final noise =
+          Uint8List.fromList(List.generate(4096, (_) => random.nextInt(256)));
+
+      final deflated = ChunkCompression.deflate(chunk);
+
+      expect(deflated!.length, lessThan(chunk.length));
+      expect(ChunkCompression.inflate(deflated, chunk.length), equals(chunk));
+      expect(ChunkCompression.deflate(noise), isNull);
+    });
+
+    test('should inflate what the browser deflates', () {
+      final chunk = utf8.encode('time,level,message\n' * 5000);
+
+      final inflated =
+          ChunkCompression.inflate(deflateRaw(chunk), chunk.length);
+
+      expect(inflated, equals(chunk));
+    });
+
+    test('should inflate up to the chunk size and not a byte more', () {
+      const chunkSize = 256 * 1024;
+
+      expect(
+          ChunkCompression.inflate(deflateRaw(Uint8List(chunkSize)), chunkSize),
+          hasLength(chunkSize));
+      expect(
+          () => ChunkCompression.inflate(
+              deflateRaw(Uint8List(chunkSize + 1)), chunkSize),
+          throwsFormatException);
+      // 16 MB of zeros, from a few KB on the wire
+      expect(
+          () => ChunkCompression.inflate(
+              deflateRaw(Uint8List(16 * 1024 * 1024)), chunkSize),
+          throwsFormatException);
+    });
+
+    test('should refuse chunks that inflate past the chunk size or are corrupt',
+        () {
+      // 4 MB of zeros deflates to a few KB
+      final bomb = deflateRaw(Uint8List(4 * 1024 * 1024));
+
+      expect(() => ChunkCompression.inflate(bomb, 1024 * 1024),
+          throwsFormatException);
+      expect(
+          () => ChunkCompression.inflate(
+              Uint8List.fromList(List.filled(64, 0xff)), 1024),
+          throwsFormatException);
+    });
+  });
+}
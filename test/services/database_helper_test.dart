@@ -1,13 +1,171 @@
+import 'dart:io';
+
 import 'package:flutter_test/flutter_test.dart';
+import 'package:path/path.dart' as p;
+import 'package:sqflite_common_ffi/sqflite_ffi.dart';
 import 'package:syndro/core/database/database_helper.dart';
+import 'package:syndro/core/models/text_snippet.dart';
 
 void main() {
   group('DatabaseHelper', () {
     test('should be a singleton', () {
       final instance1 = DatabaseHelper.instance;
       final instance2 = DatabaseHelper.instance;
-      
+
       expect(identical(instance1, instance2), isTrue);
     });
   });
+
+  group('DatabaseHelper snippets', () {
+    late Directory tempDir;
+    late String path;
+    late DatabaseHelper helper;
+
+    setUpAll(() {
+      sqfliteFfiInit();
+      databaseFactory = databaseFactoryFfi;
+    });
+
+    setUp(() async {
+      tempDir = await Directory.systemTemp.createTemp('syndro_db_');
+      path = p.join(tempDir.path, 'syndro.db');
+      helper = DatabaseHelper.at(path);
+    });
+
+    tearDown(() async {
+      await helper.close();
+      await tempDir.delete(recursive: true);
+    });
+
+    // Guest snippets, one a minute apart, oldest first
+    List<TextSnippet> snippetsFrom(String ipAddress, int count,
+        {int startMinute = 0}) {
+      final start = DateTime(2026, 1, 1);
+      return List.generate(
+          count,
+          (i) => TextSnippet(
+                id: '$ipAddress-$i',
+                text: 'snippet $i',
+                direction: SnippetDirection.incoming,
+                ipAddress: ipAddress,
+                createdAt: start.add(Duration(minutes: startMinute + i)),
+              ));
+    }
+
+    test('should add the snippets table to a version 2 database', () async {
+      // What version 2 of the app left on disk
+      final old = await databaseFactory.openDatabase(path,
+          options: OpenDatabaseOptions(
+            version: 2,
+            onCreate: (db, version) async {
+              await db.execute('''
+                CREATE TABLE transfers (
+                  id TEXT PRIMARY KEY,
+                  sender_id TEXT NOT NULL,
+                  receiver_id TEXT NOT NULL,
+                  sender_name TEXT,
+                  receiver_name TEXT,
+                  status TEXT NOT NULL,
+                  total_bytes INTEGER NOT NULL,
+                  bytes_transferred INTEGER NOT NULL,
+                  file_count INTEGER NOT NULL,
+                  created_at INTEGER NOT NULL,
+                  completed_at INTEGER,
+                  error_message TEXT
+                )
+              ''');
+              await db.insert('transfers', {
+                'id': 't1',
+                'sender_id': 'a',
+                'receiver_id': 'b',
+                'status': 'completed',
+                'total_bytes': 10,
+                'bytes_transferred': 10,
+                'file_count': 1,
+                'created_at': 0,
+              });
+            },
+          ));
+      await old.close();
+
+      final db = await helper.database;
+
+      expect(await db.getVersion(), equals(3));
+      expect(await db.query('transfers'), hasLength(1));
+      final indexes = await db.query('sqlite_master',
+          columns: ['name'],
+          where: 'type = ? AND tbl_name = ?',
+          whereArgs: ['index', 'snippets']);
+      expect(indexes.map((row) => row['name']),
+          contains('idx_snippets_created_at'));
+      expect(await helper.getSnippetHistory(), isEmpty);
+    });
+
+    test('should save snippets and list them newest first', () async {
+      final guest = snippetsFrom('10.0.0.7', 2);
+      final outgoing = TextSnippet(
+        id: 'mine',
+        text: 'https://example.com',
+        direction: SnippetDirection.outgoing,
+        createdAt: DateTime(2026, 1, 2),
+      );
+
+      for (final snippet in [...guest, outgoing]) {
+        await helper.insertSnippet(snippet);
+      }
+      final history = await helper.getSnippetHistory();
+
+      expect(history.map((s) => s.id),
+          equals(['mine', '10.0.0.7-1', '10.0.0.7-0']));
+      expect(history.first.direction, equals(SnippetDirection.outgoing));
+      expect(history.first.ipAddress, isNull);
+      expect(history.last.ipAddress, equals('10.0.0.7'));
+      expect(history.last.createdAt, equals(guest.first.createdAt));
+    });
+
+    test('should keep only the newest snippets of each guest', () async {
+      const limit = DatabaseHelper.maxStoredSnippetsPerClient;
+      for (final snippet in snippetsFrom('10.0.0.7', limit + 5)) {
+        await helper.insertSnippet(snippet);
+      }
+      await helper.insertSnippet(snippetsFrom('10.0.0.8', 1).single);
+
+      final history = await helper.getSnippetHistory(limit: 1000);
+      final first = history.where((s) => s.ipAddress == '10.0.0.7');
+
+      expect(first, hasLength(limit));
+      expect(first.map((s) => s.id), isNot(contains('10.0.0.7-4')));
+      expect(first.map((s) => s.id), contains('10.0.0.7-5'));
+      // Another guest's snippets aren't pushed out
+      expect(history.where((s) => s.ipAddress == '10.0.0.8'), hasLength(1));
+    });
+
+    test('should keep only the newest snippets overall', () async {
+      const limit = DatabaseHelper.maxStoredSnippets;
+      const perGuest = DatabaseHelper.maxStoredSnippetsPerClient;
+      // Enough guests to pass the overall limit without any one of them
+      // reaching its own
+      var minute = 0;
+      for (var guest = 0; guest * perGuest < limit + perGuest; guest++) {
+        for (final snippet in snippetsFrom('10.0.1.$guest', perGuest,
+            startMinute: minute)) {
+          await helper.insertSnippet(snippet);
+        }
+        minute += perGuest;
+      }
+      await helper.insertSnippet(TextSnippet(
+        id: 'mine',
+        text: 'from the app',
+        direction: SnippetDirection.outgoing,
+        createdAt: DateTime(2027, 1, 1),
+      ));
+
+      final history = await helper.getSnippetHistory(limit: 1000);
+
+      expect(history, hasLength(limit));
+      expect(history.first.id, equals('mine'));
+      // The first guest's were the oldest
+      expect(history.where((s) => s.ipAddress == '10.0.1.0'), isEmpty);
+    });
+  });
 }
@@ -88,6 +88,95 @@ void main() {
     });
   });
 
+  group('ChunkContext', () {
+    late EncryptionService encryptionService;
+
+    setUp(() {
+      encryptionService = EncryptionService();
+    });
+
+    ChunkContext place(String transferId, int index, int totalChunks) =>
+        ChunkContext(
+          transferId: transferId,
+          index: index,
+          totalChunks: totalChunks,
+        );
+
+    test('should lay out the additional data like the browser', () {
+      // Same bytes as SyndroChunkFormat.aad('ab', 2, 3) in chunk_format.js
+      final aad = place('ab', 2, 3).toAad();
+      final hex = aad.map((b) => b.toRadixString(16).padLeft(2, '0')).join();
+
+      expect(utf8.decode(aad.sublist(0, 15)), equals('syndro-chunk-v2'));
+      // id length, "ab", index, total chunks, last chunk
+      expect(hex.substring(30), equals('00026162000000020000000301'));
+    });
+
+    test('should open a chunk only at the place it was sealed for', () async {
+      final key = await encryptionService.generateRandomKey();
+      final data = Uint8List.fromList(utf8.encode('chunk one of three'));
+
+      final sealed = await encryptionService.encryptChunk(data, key,
+          context: place('transfer-a', 1, 3));
+      expect(sealed[0], equals(ChunkContext.formatVersion));
+      expect(
+          await encryptionService.decryptChunk(sealed, key,
+              context: place('transfer-a', 1, 3)),
+          equals(data));
+
+      // Another index, another transfer, or a different chunk count
+      for (final other in [
+        place('transfer-a', 0, 3),
+        place('transfer-b', 1, 3),
+        place('transfer-a', 1, 2),
+      ]) {
+        expect(
+          () => encryptionService.decryptChunk(sealed, key, context: other),
+          throwsA(isA<EncryptionException>()),
+        );
+      }
+    });
+
+    test('should reject legacy chunks once the format is negotiated',
+        () async {
+      final key = await encryptionService.generateRandomKey();
+      final data = Uint8List.fromList([1, 2, 3, 4]);
+
+      final legacy = await encryptionService.encryptChunk(data, key);
+
+      expect(
+        () => encryptionService.decryptChunk(legacy, key,
+            context: place('transfer-a', 0, 1)),
+        throwsA(isA<EncryptionException>()),
+      );
+      // Still readable where the legacy format is in use
+      expect(await encryptionService.decryptChunk(legacy, key), equals(data));
+    });
+
+    test('should only use the format when the other side echoes it', () {
+      expect(ChunkContext.negotiated({'chunkFormat': 2}),
+          equals(ChunkContext.formatVersion));
+      expect(ChunkContext.negotiated({'success': true}),
+          equals(ChunkContext.legacyFormatVersion));
+      expect(ChunkContext.negotiated(null),
+          equals(ChunkContext.legacyFormatVersion));
+    });
+
+    test('should refuse to fall back to legacy for encrypted transfers', () {
+      expect(ChunkContext.requireAgreed({'chunkFormat': 2}),
+          equals(ChunkContext.formatVersion));
+      for (final answer in [
+        {'success': true},
+        {'chunkFormat': 1},
+        null,
+      ]) {
+        expect(() => ChunkContext.requireAgreed(answer),
+            throwsA(isA<EncryptionException>()),
+            reason: '$answer');
+      }
+    });
+  });
+
   group('TOFU Pin Verification', () {
     late EncryptionService encryptionService;
 
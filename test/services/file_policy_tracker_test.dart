@@ -0,0 +1,88 @@
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/models/file_share_policy.dart';
+import 'package:syndro/core/services/web_share/utils/file_policy_tracker.dart';
+
+void main() {
+  group('FilePolicyTracker', () {
+    const filePath = '/shared/contract.pdf';
+    const guestIp = '10.0.0.7';
+    late FilePolicyTracker tracker;
+
+    setUp(() {
+      tracker = FilePolicyTracker();
+    });
+
+    test('should allow unrestricted files without a token', () {
+      expect(tracker.begin(filePath, guestIp, null),
+          equals(FileAccessResult.allowed));
+      expect(tracker.describe(filePath), isNull);
+      expect(tracker.tokenFor(filePath, guestIp), isNull);
+    });
+
+    test('should serve a one-time link exactly once', () {
+      tracker.set(filePath, const FileSharePolicy.oneTime());
+      final token = tracker.tokenFor(filePath, guestIp);
+
+      expect(tracker.begin(filePath, guestIp, token),
+          equals(FileAccessResult.allowed));
+      expect(tracker.begin(filePath, guestIp, token),
+          equals(FileAccessResult.exhausted));
+      expect(tracker.describe(filePath)!['available'], isFalse);
+    });
+
+    test('should give back a download that did not complete', () {
+      tracker.set(filePath, const FileSharePolicy.oneTime());
+      final token = tracker.tokenFor(filePath, guestIp);
+
+      tracker.begin(filePath, guestIp, token);
+      tracker.release(filePath);
+
+      expect(tracker.describe(filePath)!['downloadsLeft'], equals(1));
+      expect(tracker.begin(filePath, guestIp, token),
+          equals(FileAccessResult.allowed));
+    });
+
+    test('should reject missing, forged and other guests\' tokens', () {
+      tracker.set(filePath, const FileSharePolicy(maxDownloads: 3));
+      final token = tracker.tokenFor(filePath, guestIp)!;
+
+      expect(tracker.begin(filePath, guestIp, null),
+          equals(FileAccessResult.invalidToken));
+      expect(tracker.begin(filePath, '10.0.0.8', token),
+          equals(FileAccessResult.invalidToken));
+      expect(tracker.begin('/shared/other.pdf', guestIp, token),
+          equals(FileAccessResult.allowed)); // Unrestricted file
+      expect(tracker.begin(filePath, guestIp, '0.${token.split('.').last}x'),
+          equals(FileAccessResult.invalidToken));
+      expect(tracker.describe(filePath)!['downloadsLeft'], equals(3));
+    });
+
+    test('should refuse downloads once the file expires', () {
+      tracker.set(filePath, const FileSharePolicy(expiresAfter: Duration.zero));
+      final token = tracker.tokenFor(filePath, guestIp);
+
+      expect(tracker.begin(filePath, guestIp, token),
+          equals(FileAccessResult.expired));
+      expect(tracker.isAvailable(filePath), isFalse);
+    });
+
+    test('should treat an unrestricted policy as none', () {
+      tracker.set(filePath, const FileSharePolicy());
+
+      expect(tracker.isRestricted(filePath), isFalse);
+    });
+
+    test('should describe remaining downloads and time', () {
+      tracker.set(
+          filePath,
+          const FileSharePolicy(
+              maxDownloads: 5, expiresAfter: Duration(minutes: 10)));
+
+      final description = tracker.describe(filePath)!;
+      expect(description['oneTime'], isFalse);
+      expect(description['downloadsLeft'], equals(5));
+      expect(description['expiresIn'], inInclusiveRange(598, 600));
+      expect(description['available'], isTrue);
+    });
+  });
+}
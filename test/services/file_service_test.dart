@@ -38,6 +38,39 @@ void main() {
       });
     });
 
+    group('sanitizeRelativePath', () {
+      test('should keep a normal folder path', () {
+        final result = fileService.sanitizeRelativePath('Photos/2024/img.jpg');
+        expect(result, equals('Photos/2024/img.jpg'));
+      });
+
+      test('should normalize backslashes and empty segments', () {
+        final result = fileService.sanitizeRelativePath('Photos\\\\2024/./img.jpg');
+        expect(result, equals('Photos/2024/img.jpg'));
+      });
+
+      test('should neutralize parent directory references', () {
+        final result = fileService.sanitizeRelativePath('../../etc/passwd');
+        expect(result, isNotNull);
+        expect(result!.split('/').contains('..'), isFalse);
+      });
+
+      test('should not keep absolute paths absolute', () {
+        final result = fileService.sanitizeRelativePath('/etc/passwd');
+        expect(result, equals('etc/passwd'));
+      });
+
+      test('should return null for a bare file name', () {
+        expect(fileService.sanitizeRelativePath('img.jpg'), isNull);
+        expect(fileService.sanitizeRelativePath(null), isNull);
+      });
+
+      test('should reject overly deep paths', () {
+        final deep = List.filled(FileService.maxRelativePathDepth + 1, 'a').join('/');
+        expect(fileService.sanitizeRelativePath(deep), isNull);
+      });
+    });
+
     group('isPathWithinDirectory', () {
       test('should return true for path within directory', () {
         final result = fileService.isPathWithinDirectory(
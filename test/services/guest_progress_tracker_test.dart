@@ -0,0 +1,104 @@
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/models/guest_progress.dart';
+import 'package:syndro/core/services/web_share/utils/guest_progress_tracker.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('GuestProgressTracker', () {
+    late GuestProgressTracker tracker;
+    late LoopbackServer server;
+
+    setUp(() async {
+      tracker = GuestProgressTracker();
+      server = await LoopbackServer.start((request) {
+        tracker.handleReport(
+          request,
+          '10.0.0.7',
+          GuestTransferDirection.download,
+          resolveFileId: (id) =>
+              id == 0 ? (name: 'photo.jpg', size: 1000) : null,
+        );
+      });
+    });
+
+    tearDown(() async {
+      await server.close();
+      await tracker.dispose();
+    });
+
+    Future<int> post(String body) async =>
+        (await server.send('POST', '/api/progress', body: body)).statusCode;
+
+    test('should name a file by id from the server list', () async {
+      final next = tracker.stream.first;
+
+      // Page-supplied name and total are ignored when fileId resolves
+      final status = await post(jsonEncode(
+          {'fileId': 0, 'fileName': 'other.exe', 'total': 5, 'bytes': 400}));
+      final progress = await next;
+
+      expect(status, equals(HttpStatus.noContent));
+      expect(progress.ipAddress, equals('10.0.0.7'));
+      expect(progress.fileName, equals('photo.jpg'));
+      expect(progress.totalBytes, equals(1000));
+      expect(progress.fraction, closeTo(0.4, 0.001));
+      expect(progress.isActive, isTrue);
+    });
+
+    test('should accept reports by file name', () async {
+      final next = tracker.stream.first;
+
+      await post(jsonEncode(
+          {'fileName': 'Photos/a.jpg', 'total': 200, 'bytes': 200, 'done': true}));
+      final progress = await next;
+
+      expect(progress.fileName, equals('Photos/a.jpg'));
+      expect(progress.completed, isTrue);
+      expect(tracker.all, hasLength(1));
+    });
+
+    test('should clamp bytes to the file size', () async {
+      final next = tracker.stream.first;
+
+      await post(jsonEncode({'fileId': 0, 'bytes': 5000}));
+      final progress = await next;
+
+      expect(progress.bytesTransferred, equals(1000));
+    });
+
+    test('should reject malformed reports', () async {
+      expect(await post('not json'), equals(HttpStatus.badRequest));
+      expect(await post(jsonEncode({'fileId': 3, 'bytes': 1})),
+          equals(HttpStatus.badRequest));
+      expect(await post(jsonEncode({'fileName': 'a.txt', 'bytes': -1, 'total': 5})),
+          equals(HttpStatus.badRequest));
+      expect(
+          await post(jsonEncode(
+              {'fileName': 'x' * (GuestProgressTracker.maxReportBytes + 1)})),
+          equals(HttpStatus.badRequest));
+      expect(tracker.all, isEmpty);
+    });
+
+    test('should keep only the latest progress per guest and file', () {
+      for (final bytes in [100, 200, 300]) {
+        tracker.record(GuestProgress(
+          ipAddress: '10.0.0.7',
+          fileName: 'video.mp4',
+          direction: GuestTransferDirection.download,
+          bytesTransferred: bytes,
+          totalBytes: 300,
+        ));
+      }
+
+      expect(tracker.all, hasLength(1));
+      expect(tracker.all.single.bytesTransferred, equals(300));
+
+      tracker.clear();
+      expect(tracker.all, isEmpty);
+    });
+  });
+}
@@ -0,0 +1,127 @@
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/utils/multipart_parser.dart';
+
+const _boundary = '----SyndroTestBoundary7MA4YWxk';
+
+List<int> _body(List<(String headers, List<int> data)> parts) {
+  final builder = BytesBuilder();
+  for (final (headers, data) in parts) {
+    builder.add(utf8.encode('--$_boundary\r\n$headers\r\n\r\n'));
+    builder.add(data);
+    builder.add(utf8.encode('\r\n'));
+  }
+  builder.add(utf8.encode('--$_boundary--\r\n'));
+  return builder.toBytes();
+}
+
+String _fileHeaders(String filename) =>
+    'Content-Disposition: form-data; name="files"; filename="$filename"\r\n'
+    'Content-Type: application/octet-stream';
+
+/// Feed [body] to a streaming parser [chunkSize] bytes at a time and
+/// reassemble each part's data
+List<List<int>> _streamParts(List<int> body, int chunkSize) {
+  final parser = MultipartStreamParser(_boundary);
+  final parts = <List<int>>[];
+  BytesBuilder? current;
+
+  for (int i = 0; i < body.length; i += chunkSize) {
+    final end = i + chunkSize > body.length ? body.length : i + chunkSize;
+    for (final event in parser.add(body.sublist(i, end))) {
+      switch (event.type) {
+        case MultipartEventType.partStart:
+          current = BytesBuilder();
+        case MultipartEventType.data:
+          current!.add(event.data!);
+        case MultipartEventType.partEnd:
+          parts.add(current!.takeBytes());
+      }
+    }
+  }
+
+  parser.close();
+  return parts;
+}
+
+void main() {
+  group('MultipartStreamParser', () {
+    test('should parse fields and files', () {
+      final body = _body([
+        ('Content-Disposition: form-data; name="relativePath"', utf8.encode('Photos/a.jpg')),
+        (_fileHeaders('a.jpg'), utf8.encode('image data')),
+      ]);
+
+      final parts = MultipartStreamParser.parse(body, _boundary);
+
+      expect(parts, hasLength(2));
+      expect(parts[0].name, equals('relativePath'));
+      expect(parts[0].filename, isNull);
+      expect(utf8.decode(parts[0].data), equals('Photos/a.jpg'));
+      expect(parts[1].name, equals('files'));
+      expect(parts[1].filename, equals('a.jpg'));
+      expect(utf8.decode(parts[1].data), equals('image data'));
+    });
+
+    test('should give the same parts whatever the chunk size', () {
+      // Data that looks like the start of a boundary must survive intact
+      final tricky = [
+        ...List<int>.generate(3000, (i) => i % 256),
+        ...utf8.encode('\r\n--$_boundary'.substring(0, 20)),
+        13, 10, 45, 45,
+      ];
+      final body = _body([
+        (_fileHeaders('one.bin'), tricky),
+        (_fileHeaders('empty.bin'), const []),
+        (_fileHeaders('two.bin'), utf8.encode('second')),
+      ]);
+
+      for (final chunkSize in [1, 2, 7, 64, 1000, body.length]) {
+        final parts = _streamParts(body, chunkSize);
+        expect(parts, hasLength(3), reason: 'chunk size $chunkSize');
+        expect(parts[0], equals(tricky), reason: 'chunk size $chunkSize');
+        expect(parts[1], isEmpty, reason: 'chunk size $chunkSize');
+        expect(utf8.decode(parts[2]), equals('second'),
+            reason: 'chunk size $chunkSize');
+      }
+    });
+
+    test('should ignore preamble and epilogue', () {
+      final body = [
+        ...utf8.encode('This is a preamble\r\n'),
+        ..._body([(_fileHeaders('a.txt'), utf8.encode('hello'))]),
+        ...utf8.encode('epilogue'),
+      ];
+
+      final parts = MultipartStreamParser.parse(body, _boundary);
+      expect(parts, hasLength(1));
+      expect(utf8.decode(parts.single.data), equals('hello'));
+    });
+
+    test('should decode URL-encoded filenames', () {
+      final body = _body([(_fileHeaders('my%20file.txt'), utf8.encode('x'))]);
+
+      final parts = MultipartStreamParser.parse(body, _boundary);
+      expect(parts.single.filename, equals('my file.txt'));
+    });
+
+    test('should fail when the body is cut off', () {
+      final body = _body([(_fileHeaders('a.txt'), utf8.encode('hello'))]);
+      final parser = MultipartStreamParser(_boundary)
+        ..add(body.sublist(0, body.length - 10));
+
+      expect(parser.isDone, isFalse);
+      expect(parser.close, throwsA(isA<MultipartException>()));
+    });
+
+    test('should reject oversized part headers', () {
+      final parser = MultipartStreamParser(_boundary);
+      final headers = utf8.encode(
+          '--$_boundary\r\nX-Padding: ${'a' * (MultipartStreamParser.maxHeaderBytes + 1)}');
+
+      expect(() => parser.add(headers), throwsA(isA<MultipartException>()));
+    });
+  });
+}
@@ -0,0 +1,144 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:crypto/crypto.dart';
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/parallel/chunk_compression.dart';
+import 'package:syndro/core/services/web_share/utils/served_chunks.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('ServedChunks', () {
+    late Directory tempDir;
+    late File file;
+    late Uint8List content;
+    LoopbackServer? server;
+
+    setUp(() async {
+      tempDir = await Directory.systemTemp.createTemp('syndro_chunks_');
+      // Two full chunks and a short one
+      content = Uint8List(2 * ServedChunks.chunkSize + 1000);
+      for (var i = 0; i < content.length; i++) {
+        content[i] = (i * 31) & 0xff;
+      }
+      file = File('${tempDir.path}/video.mp4');
+      await file.writeAsBytes(content);
+
+      server = await LoopbackServer.start((request) =>
+          ServedChunks.handleRequest(
+              request, (index) => index == 0 ? file : null));
+    });
+
+    tearDown(() async {
+      await server?.close();
+      server = null;
+      await tempDir.delete(recursive: true);
+    });
+
+    Future<(int, Uint8List, HttpHeaders)> get(String path,
+        {Map<String, String> headers = const {}}) async {
+      final response = await server!.send('GET', path, headers: headers);
+      return (response.statusCode, response.body, response.headers);
+    }
+
+    Future<Map<String, dynamic>> describe() async =>
+        ServedChunks.describe(0, await file.stat());
+
+    test('should describe a file as whole chunks and a short last one', () async {
+      final description = await describe();
+
+      expect(description['totalChunks'], equals(3));
+      expect(description['chunkSize'], equals(ServedChunks.chunkSize));
+      expect(description['chunkHashHeader'], equals(ServedChunks.hashHeader));
+    });
+
+    test('should serve each chunk of the file', () async {
+      final transferId = (await describe())['transferId'];
+
+      final (status, first, _) =
+          await get('${ServedChunks.chunkPath}$transferId/0');
+      final (_, last, _) = await get('${ServedChunks.chunkPath}$transferId/2');
+
+      expect(status, equals(HttpStatus.ok));
+      expect(first, equals(content.sublist(0, ServedChunks.chunkSize)));
+      expect(last, equals(content.sublist(2 * ServedChunks.chunkSize)));
+    });
+
+    test('should send the SHA-256 of each chunk with it', () async {
+      final transferId = (await describe())['transferId'];
+
+      final (_, _, first) = await get('${ServedChunks.chunkPath}$transferId/0');
+      final (_, _, last) = await get('${ServedChunks.chunkPath}$transferId/2');
+
+      expect(
+          first.value(ServedChunks.hashHeader),
+          equals(sha256
+              .convert(content.sublist(0, ServedChunks.chunkSize))
+              .toString()));
+      expect(
+          last.value(ServedChunks.hashHeader),
+          equals(sha256
+              .convert(content.sublist(2 * ServedChunks.chunkSize))
+              .toString()));
+    });
+
+    test('should deflate chunks of compressible files when asked', () async {
+      final log = utf8.encode('time,level,message\n' * 10000);
+      file = File('${tempDir.path}/server.log');
+      await file.writeAsBytes(log);
+      final transferId = (await describe())['transferId'];
+      final path = '${ServedChunks.chunkPath}$transferId/0';
+
+      final (_, plain, plainHeaders) = await get(path);
+      final (_, body, headers) = await get(path,
+          headers: {ChunkCompression.acceptHeader: ChunkCompression.deflateRaw});
+
+      expect(plain, equals(log));
+      expect(plainHeaders.value(ChunkCompression.header), isNull);
+      expect(headers.value(ChunkCompression.header),
+          equals(ChunkCompression.deflateRaw));
+      expect(headers.value('X-Original-Size'), equals('${log.length}'));
+      expect(body.length, lessThan(log.length));
+      expect(ChunkCompression.inflate(body, log.length), equals(log));
+      // The hash covers what the chunk inflates to
+      expect(headers.value(ServedChunks.hashHeader),
+          equals(sha256.convert(log).toString()));
+    });
+
+    test('should not deflate files that are compressed already', () async {
+      final transferId = (await describe())['transferId'];
+
+      final (_, body, headers) = await get(
+          '${ServedChunks.chunkPath}$transferId/0',
+          headers: {ChunkCompression.acceptHeader: ChunkCompression.deflateRaw});
+
+      expect(headers.value(ChunkCompression.header), isNull);
+      expect(body, equals(content.sublist(0, ServedChunks.chunkSize)));
+    });
+
+    test('should refuse a file changed since it was listed', () async {
+      final transferId = (await describe())['transferId'];
+      await file.writeAsBytes([1, 2, 3], mode: FileMode.append);
+
+      final (status, _, _) =
+          await get('${ServedChunks.chunkPath}$transferId/0');
+
+      expect(status, equals(HttpStatus.notFound));
+    });
+
+    test('should refuse chunks out of range and files it is not given',
+        () async {
+      final transferId = (await describe())['transferId'] as String;
+
+      final (outOfRange, _, _) =
+          await get('${ServedChunks.chunkPath}$transferId/3');
+      final (otherFile, _, _) = await get(
+          '${ServedChunks.chunkPath}1${transferId.substring(1)}/0');
+
+      expect(outOfRange, equals(HttpStatus.badRequest));
+      expect(otherFile, equals(HttpStatus.notFound));
+    });
+  });
+}
@@ -0,0 +1,130 @@
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/utils/share_access.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('ShareAccess', () {
+    late ShareAccess access;
+    LoopbackServer? server;
+
+    // Serves /api/unlock, /api/session and one protected path
+    Future<void> startServer(ShareAccess shareAccess) async {
+      access = shareAccess;
+      server = await LoopbackServer.start((request) async {
+        const clientIp = '10.0.0.7';
+        if (request.uri.path == '/api/unlock') {
+          await access.handleUnlock(request, clientIp);
+        } else if (request.uri.path == '/api/session') {
+          await access.serveStatus(request, clientIp);
+        } else if (access.isAuthorized(request, clientIp)) {
+          await request.response.close();
+        } else {
+          await ShareAccess.rejectUnauthorized(request);
+        }
+      });
+    }
+
+    tearDown(() async {
+      await server?.close();
+      server = null;
+    });
+
+    Future<LoopbackResponse> send(String method, String path,
+            {String? body, Cookie? cookie}) =>
+        server!.send(method, path, body: body, cookie: cookie);
+
+    Future<LoopbackResponse> unlock(String passcode) =>
+        send('POST', '/api/unlock', body: jsonEncode({'passcode': passcode}));
+
+    test('should let everything through without a passcode', () async {
+      await startServer(ShareAccess());
+
+      expect(access.isLocked, isFalse);
+      final response = await send('GET', '/api/files');
+      expect(response.statusCode, equals(HttpStatus.ok));
+    });
+
+    test('should reject requests until unlocked', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+
+      final response = await send('GET', '/api/files');
+      expect(response.statusCode, equals(HttpStatus.unauthorized));
+    });
+
+    test('should reject a wrong passcode without a cookie', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+
+      final response = await unlock('1234');
+      expect(response.statusCode, equals(HttpStatus.unauthorized));
+      expect(response.cookies, isEmpty);
+
+      final malformed = await send('POST', '/api/unlock', body: 'not json');
+      expect(malformed.statusCode, equals(HttpStatus.unauthorized));
+    });
+
+    test('should accept the session cookie from a right passcode', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+
+      final response = await unlock('4821');
+      expect(response.statusCode, equals(HttpStatus.ok));
+
+      final cookie = response.cookies
+          .singleWhere((c) => c.name == ShareAccess.cookieName);
+      expect(cookie.httpOnly, isTrue);
+
+      final files = await send('GET', '/api/files', cookie: cookie);
+      expect(files.statusCode, equals(HttpStatus.ok));
+    });
+
+    test('should reject a tampered session cookie', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+
+      final cookie = (await unlock('4821'))
+          .cookies
+          .singleWhere((c) => c.name == ShareAccess.cookieName);
+      final parts = cookie.value.split('.');
+
+      // Same signature, another IP in the payload
+      final forged = base64Url
+          .encode(utf8.encode('10.0.0.8|${DateTime.now().millisecondsSinceEpoch + 60000}'))
+          .replaceAll('=', '');
+      final response = await send('GET', '/api/files',
+          cookie: Cookie(ShareAccess.cookieName, '$forged.${parts[1]}'));
+      expect(response.statusCode, equals(HttpStatus.unauthorized));
+    });
+
+    test('should not accept sessions from another share', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+      final cookie = (await unlock('4821'))
+          .cookies
+          .singleWhere((c) => c.name == ShareAccess.cookieName);
+
+      // A new ShareAccess has a new signing secret
+      access = ShareAccess(passcode: '4821');
+      final response = await send('GET', '/api/files', cookie: cookie);
+      expect(response.statusCode, equals(HttpStatus.unauthorized));
+    });
+
+    test('should refuse an unlock body too long to hold a passcode', () async {
+      await startServer(ShareAccess(passcode: '4821'));
+
+      final response = await send('POST', '/api/unlock',
+          body: jsonEncode({'passcode': '4821', 'padding': 'x' * 4096}));
+      expect(response.statusCode, equals(HttpStatus.requestEntityTooLarge));
+      expect(response.cookies, isEmpty);
+    });
+
+    test('should validate passcode length', () {
+      expect(ShareAccess.validatePasscode('123'), isNotNull);
+      expect(ShareAccess.validatePasscode('1234'), isNull);
+      expect(
+          ShareAccess.validatePasscode(
+              'x' * (ShareAccess.maxPasscodeLength + 1)),
+          isNotNull);
+    });
+  });
+}
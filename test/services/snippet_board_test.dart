@@ -0,0 +1,121 @@
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/models/text_snippet.dart';
+import 'package:syndro/core/services/web_share/utils/snippet_board.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('SnippetBoard', () {
+    late SnippetBoard board;
+    LoopbackServer? server;
+
+    setUp(() {
+      board = SnippetBoard(SnippetDirection.incoming);
+    });
+
+    tearDown(() async {
+      await server?.close();
+      server = null;
+      await board.dispose();
+    });
+
+    // Serves GET and POST /api/snippets like the web share servers
+    Future<void> startServer() async {
+      server = await LoopbackServer.start((request) async {
+        if (request.method == 'POST') {
+          await board.handlePost(request, '10.0.0.7');
+        } else {
+          await board.serveList(request);
+        }
+      });
+    }
+
+    Future<(int, String)> send(String method, {List<int>? body}) async {
+      final response = await server!.send(method, '/api/snippets', body: body);
+      return (response.statusCode, response.text);
+    }
+
+    test('should take a guest snippet and announce it', () async {
+      await startServer();
+      final announced = board.stream.first;
+
+      final (status, body) = await send('POST',
+          body: utf8.encode(jsonEncode({'text': 'https://example.com/a'})));
+
+      expect(status, equals(HttpStatus.created));
+      expect(jsonDecode(body)['isLink'], isTrue);
+
+      final snippet = await announced;
+      expect(snippet.text, equals('https://example.com/a'));
+      expect(snippet.ipAddress, equals('10.0.0.7'));
+      expect(snippet.direction, equals(SnippetDirection.incoming));
+    });
+
+    test('should refuse empty, oversized and malformed snippets', () async {
+      await startServer();
+
+      final (empty, _) =
+          await send('POST', body: utf8.encode(jsonEncode({'text': '  '})));
+      final (tooLong, _) = await send('POST',
+          body: utf8.encode(jsonEncode(
+              {'text': 'x' * (SnippetBoard.maxSnippetLength + 1)})));
+      final (notJson, _) = await send('POST', body: utf8.encode('hello'));
+
+      expect(empty, equals(HttpStatus.badRequest));
+      expect(tooLong, equals(HttpStatus.requestEntityTooLarge));
+      expect(notJson, equals(HttpStatus.badRequest));
+      expect(board.snippets, isEmpty);
+    });
+
+    test('should hand snippets to the approval hold instead of posting',
+        () async {
+      final held = <String>[];
+      server = await LoopbackServer.start((request) =>
+          board.handlePost(request, '10.0.0.7', hold: (text) {
+            // One open request per guest here
+            if (held.isNotEmpty) return null;
+            held.add(text);
+            return {'requestId': '1', 'status': 'pending'};
+          }));
+
+      final (accepted, body) =
+          await send('POST', body: utf8.encode(jsonEncode({'text': 'hi'})));
+      final (refused, _) =
+          await send('POST', body: utf8.encode(jsonEncode({'text': 'again'})));
+
+      expect(accepted, equals(HttpStatus.accepted));
+      expect(jsonDecode(body)['status'], equals('pending'));
+      expect(refused, equals(HttpStatus.tooManyRequests));
+      expect(held, equals(['hi']));
+      expect(board.snippets, isEmpty);
+    });
+
+    test('should list posted snippets without guest addresses', () async {
+      await startServer();
+      final first = board.post('Wi-Fi: hunter2', ipAddress: '10.0.0.7')!;
+      board.post('second');
+      board.remove(first.id);
+
+      final (status, body) = await send('GET');
+
+      expect(status, equals(HttpStatus.ok));
+      final snippets = jsonDecode(body)['snippets'] as List;
+      expect(snippets, hasLength(1));
+      expect(snippets.single['text'], equals('second'));
+      expect(snippets.single.containsKey('ipAddress'), isFalse);
+    });
+
+    test('should keep only the newest snippets', () {
+      for (var i = 0; i < 60; i++) {
+        board.post('snippet $i');
+      }
+
+      expect(board.snippets, hasLength(50));
+      expect(board.snippets.first.text, equals('snippet 10'));
+      expect(board.snippets.map((s) => s.id).toSet(), hasLength(50));
+    });
+  });
+}
@@ -0,0 +1,315 @@
+import 'dart:convert';
+import 'dart:io';
+import 'dart:typed_data';
+
+import 'package:crypto/crypto.dart';
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/parallel/chunk_compression.dart';
+import 'package:syndro/core/services/parallel/parallel_receiver_handler.dart';
+import 'package:syndro/core/services/web_share/servers/receive_server.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('ReceiveServer uploads for a two-way share', () {
+    late ReceiveServer receiver;
+    late Directory finalDirectory;
+    LoopbackServer? server;
+
+    setUp(() async {
+      receiver = ReceiveServer();
+      finalDirectory = await Directory.systemTemp.createTemp('syndro_two_way_');
+    });
+
+    tearDown(() async {
+      await server?.close();
+      server = null;
+      await receiver.dispose();
+      if (await finalDirectory.exists()) {
+        await finalDirectory.delete(recursive: true);
+      }
+    });
+
+    // Stands in for the share server: upload requests go to the receiver,
+    // everything else gets a 404
+    Future<void> startServer() async {
+      server = await LoopbackServer.start((request) async {
+        if (ReceiveServer.isUploadRequest(request)) {
+          await receiver.handleUploadRequest(request, '10.0.0.7');
+        } else {
+          request.response.statusCode = HttpStatus.notFound;
+          await request.response.close();
+        }
+      });
+    }
+
+    Future<LoopbackResponse> send(
+      String method,
+      String path, {
+      ContentType? contentType,
+      Map<String, String> headers = const {},
+      List<int>? body,
+    }) =>
+        server!.send(method, path,
+            contentType: contentType, headers: headers, body: body);
+
+    test('should only pick out upload requests', () async {
+      await startServer();
+
+      expect((await send('GET', '/api/files')).statusCode,
+          equals(HttpStatus.notFound));
+      expect((await send('GET', '/upload')).statusCode,
+          equals(HttpStatus.notFound));
+      // /api/progress is the share page's download progress
+      expect((await send('POST', '/api/progress')).statusCode,
+          equals(HttpStatus.notFound));
+      expect((await send('POST', '/download/0/a.txt')).statusCode,
+          equals(HttpStatus.notFound));
+    });
+
+    const boundary = 'syndro-test-boundary';
+    final photoUpload = utf8.encode('--$boundary\r\n'
+        'Content-Disposition: form-data; name="file"; filename="photo.txt"\r\n'
+        'Content-Type: text/plain\r\n'
+        '\r\n'
+        'hello from a guest\r\n'
+        '--$boundary--\r\n');
+
+    Future<LoopbackResponse> uploadPhoto() => send(
+          'POST',
+          '/upload',
+          contentType: ContentType('multipart', 'form-data',
+              parameters: {'boundary': boundary}),
+          body: photoUpload,
+        );
+
+    Future<LoopbackResponse> announcePhoto() => send(
+          'POST',
+          '/api/uploads/request',
+          body: utf8.encode(jsonEncode({
+            'files': [
+              {'name': 'photo.txt', 'size': 18, 'type': 'text/plain'},
+            ],
+          })),
+        );
+
+    test('should take an approved multipart upload without a server of its own',
+        () async {
+      expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+      expect(receiver.isReceiving, isFalse);
+      await startServer();
+
+      expect((await announcePhoto()).statusCode, equals(HttpStatus.created));
+      final request = receiver.pendingUploadConfirmations.single;
+      expect(request.ipAddress, equals('10.0.0.7'));
+      expect(receiver.confirmUpload(request.id), isTrue);
+
+      final response = await uploadPhoto();
+
+      expect(response.statusCode, equals(HttpStatus.ok));
+      final pending = receiver.pendingFilesManager.unsavedFiles;
+      expect(pending, hasLength(1));
+      expect(pending.single.name, equals('photo.txt'));
+      expect(pending.single.size, equals(18));
+    });
+
+    test('should refuse files the host has not accepted', () async {
+      expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+      await startServer();
+
+      // Never announced
+      expect((await uploadPhoto()).statusCode, equals(HttpStatus.forbidden));
+
+      // Announced and rejected
+      await announcePhoto();
+      final request = receiver.pendingUploadConfirmations.single;
+      expect(receiver.denyUpload(request.id), isTrue);
+      expect((await uploadPhoto()).statusCode, equals(HttpStatus.forbidden));
+
+      expect(receiver.pendingFilesManager.unsavedFiles, isEmpty);
+    });
+
+    test('should drop a cancelled chunked upload', () async {
+      expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+      await startServer();
+      await announcePhoto();
+      receiver.confirmUpload(receiver.pendingUploadConfirmations.single.id);
+
+      List<int> json(Map<String, dynamic> body) => utf8.encode(jsonEncode(body));
+      final initiated = await send('POST', '/transfer/parallel/initiate',
+          body: json({
+            'transferId': 'web-photo',
+            'fileName': 'photo.txt',
+            'fileSize': 18,
+            'chunkSize': 64 * 1024,
+            'totalChunks': 1,
+          }));
+      expect(initiated.statusCode, equals(HttpStatus.ok));
+
+      final cancelled = await send('POST', '/transfer/parallel/cancel',
+          body: json({'transferId': 'web-photo'}));
+
+      expect(cancelled.statusCode, equals(HttpStatus.ok));
+      expect((await send('GET', '/transfer/parallel/status/web-photo')).statusCode,
+          equals(HttpStatus.notFound));
+      // Already gone
+      expect(
+          (await send('POST', '/transfer/parallel/cancel',
+                  body: json({'transferId': 'web-photo'})))
+              .statusCode,
+          equals(HttpStatus.notFound));
+      expect(receiver.pendingFilesManager.unsavedFiles, isEmpty);
+    });
+
+    test('should write a chunk sent twice at once only once', () async {
+      expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+      await startServer();
+      await announcePhoto();
+      receiver.confirmUpload(receiver.pendingUploadConfirmations.single.id);
+
+      final content = utf8.encode('hello from a guest');
+      await send('POST', '/transfer/parallel/initiate',
+          body: utf8.encode(jsonEncode({
+            'transferId': 'web-photo',
+            'fileName': 'photo.txt',
+            'fileSize': content.length,
+            'chunkSize': 64 * 1024,
+            'totalChunks': 1,
+          })));
+
+      Future<Map<String, dynamic>> sendChunk() async =>
+          (await send('POST', '/transfer/chunk',
+                  headers: {
+                    'X-Transfer-Id': 'web-photo',
+                    'X-Chunk-Index': '0',
+                    'X-Original-Size': '${content.length}',
+                  },
+                  body: content))
+              .json;
+
+      final results = await Future.wait([sendChunk(), sendChunk()]);
+
+      expect(results.every((r) => r['success'] == true), isTrue);
+      expect(results.where((r) => r['duplicate'] == true), hasLength(1));
+      expect(results.map((r) => r['chunksReceived']), everyElement(equals(1)));
+    });
+
+    test('should refuse a compressed chunk that inflates past the chunk size',
+        () async {
+      expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+      await startServer();
+      await announcePhoto();
+      receiver.confirmUpload(receiver.pendingUploadConfirmations.single.id);
+
+      const chunkSize = 64 * 1024;
+      final initResponse = await send('POST', '/transfer/parallel/initiate',
+          body: utf8.encode(jsonEncode({
+            'transferId': 'web-bomb',
+            'fileName': 'photo.txt',
+            'fileSize': 18,
+            'chunkSize': chunkSize,
+            'totalChunks': 1,
+            'compression': [ChunkCompression.deflateRaw],
+          })));
+      expect(initResponse.statusCode, equals(HttpStatus.ok));
+
+      // A megabyte of zeros deflates to about a kilobyte
+      final bomb = ZLibEncoder(raw: true).convert(Uint8List(16 * chunkSize));
+      final result = (await send('POST', '/transfer/chunk',
+              headers: {
+                'X-Transfer-Id': 'web-bomb',
+                'X-Chunk-Index': '0',
+                'X-Original-Size': '18',
+                ChunkCompression.header: ChunkCompression.deflateRaw,
+              },
+              body: bomb))
+          .json;
+
+      expect(result['success'], isFalse);
+      expect(result['error'], equals('Chunk decompression failed'));
+    });
+
+    group('with each chunk\'s hash sent along', () {
+      final content = utf8.encode('hello from a guest');
+      final contentHash = sha256.convert(content).toString();
+
+      Future<void> initiate() async {
+        expect(await receiver.prepareUploads(finalDirectory.path), isTrue);
+        await startServer();
+        await announcePhoto();
+        receiver.confirmUpload(receiver.pendingUploadConfirmations.single.id);
+
+        final initiated = await send('POST', '/transfer/parallel/initiate',
+            body: utf8.encode(jsonEncode({
+              'transferId': 'web-photo',
+              'fileName': 'photo.txt',
+              'fileSize': content.length,
+              'chunkSize': 64 * 1024,
+              'totalChunks': 1,
+            })));
+        expect(initiated.statusCode, equals(HttpStatus.ok));
+      }
+
+      Future<LoopbackResponse> sendChunk(String? hash) =>
+          send('POST', '/transfer/chunk',
+              headers: {
+                'X-Transfer-Id': 'web-photo',
+                'X-Chunk-Index': '0',
+                'X-Original-Size': '${content.length}',
+                if (hash != null) ParallelReceiverHandler.chunkHashHeader: hash,
+              },
+              body: content);
+
+      Future<LoopbackResponse> complete(List<String> chunkHashes) =>
+          send('POST', '/transfer/parallel/complete',
+              body: utf8.encode(jsonEncode({
+                'transferId': 'web-photo',
+                'chunkHashes': chunkHashes,
+              })));
+
+      test('should resend a chunk that does not match its hash', () async {
+        await initiate();
+
+        final corrupted = await sendChunk(sha256.convert([1, 2, 3]).toString());
+        expect(corrupted.statusCode, equals(HttpStatus.conflict));
+
+        expect((await sendChunk(contentHash)).statusCode, equals(HttpStatus.ok));
+        expect((await complete([contentHash])).statusCode,
+            equals(HttpStatus.ok));
+        expect(receiver.pendingFilesManager.unsavedFiles.single.name,
+            equals('photo.txt'));
+      });
+
+      test('should refuse completion with hashes other than the chunks had',
+          () async {
+        await initiate();
+        expect((await sendChunk(contentHash)).statusCode, equals(HttpStatus.ok));
+
+        final response = await complete([sha256.convert([1]).toString()]);
+
+        expect(response.statusCode, equals(HttpStatus.badRequest));
+        expect(receiver.pendingFilesManager.unsavedFiles, isEmpty);
+      });
+
+      test('should refuse completion by hashes for a chunk sent without one',
+          () async {
+        await initiate();
+        expect((await sendChunk(null)).statusCode, equals(HttpStatus.ok));
+
+        final response = await complete([contentHash]);
+
+        expect(response.statusCode, equals(HttpStatus.badRequest));
+        expect(receiver.pendingFilesManager.unsavedFiles, isEmpty);
+      });
+    });
+
+    test('should refuse uploads before prepareUploads', () async {
+      await startServer();
+
+      final response = await send('POST', '/transfer/parallel/initiate',
+          body: utf8.encode('{}'));
+
+      expect(response.statusCode, equals(HttpStatus.internalServerError));
+    });
+  });
+}
@@ -0,0 +1,201 @@
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/models/upload_confirmation.dart';
+import 'package:syndro/core/services/web_share/utils/upload_approvals.dart';
+
+import '../helpers/loopback_server.dart';
+
+void main() {
+  group('UploadApprovals', () {
+    late UploadApprovals approvals;
+    LoopbackServer? server;
+    var clientIp = '10.0.0.7';
+
+    setUp(() {
+      approvals = UploadApprovals();
+      clientIp = '10.0.0.7';
+    });
+
+    tearDown(() async {
+      await server?.close();
+      server = null;
+      await approvals.dispose();
+    });
+
+    // Serves the request and status endpoints like the receive server
+    Future<void> startServer() async {
+      server = await LoopbackServer.start((request) async {
+        if (request.method == 'POST') {
+          await approvals.handleRequest(request, clientIp);
+        } else {
+          await approvals.serveStatus(request, clientIp);
+        }
+      });
+    }
+
+    Future<(int, Map<String, dynamic>)> send(String method, String path,
+        {Object? body}) async {
+      final response = await server!
+          .send(method, path, body: body != null ? jsonEncode(body) : null);
+      return (response.statusCode, response.json);
+    }
+
+    Future<(int, Map<String, dynamic>)> announce(List<Map> files) =>
+        send('POST', UploadApprovals.requestPath, body: {'files': files});
+
+    test('should announce a batch and report per-file decisions', () async {
+      await startServer();
+      final announced = approvals.stream.first;
+
+      final (status, created) = await announce([
+        {'name': 'a.jpg', 'size': 10, 'type': 'image/jpeg'},
+        {'name': 'b.zip', 'size': 20, 'relativePath': 'dir/b.zip'},
+      ]);
+
+      expect(status, equals(HttpStatus.created));
+      expect(created['status'], equals('pending'));
+      expect(created['files'], equals(['pending', 'pending']));
+
+      final request = await announced;
+      expect(request.files[1].displayName, equals('dir/b.zip'));
+      expect(approvals.decide(request.id, {0}), isTrue);
+      // Already decided
+      expect(approvals.decide(request.id, {1}), isFalse);
+
+      final (_, polled) =
+          await send('GET', '${UploadApprovals.requestPath}/${request.id}');
+      expect(polled['status'], equals('decided'));
+      expect(polled['files'], equals(['accepted', 'rejected']));
+    });
+
+    test('should only let accepted files be claimed, once', () async {
+      await startServer();
+      await announce([
+        {'name': 'a.jpg', 'size': 10},
+        {'name': 'b.zip', 'size': 20},
+      ]);
+      final request = approvals.pending.single;
+      approvals.decide(request.id, {0});
+
+      expect(approvals.claim('10.0.0.8', 'a.jpg', size: 10), isNull);
+      expect(approvals.claim(clientIp, 'a.jpg', size: 11), isNull);
+      expect(approvals.claim(clientIp, 'b.zip', size: 20), isNull);
+
+      final claimed = approvals.claim(clientIp, 'a.jpg', size: 10);
+      expect(claimed, isNotNull);
+      expect(approvals.claim(clientIp, 'a.jpg', size: 10), isNull);
+
+      approvals.release(claimed!);
+      expect(approvals.claim(clientIp, 'a.jpg'), same(claimed));
+    });
+
+    test('should only let a folder file be claimed for its own path',
+        () async {
+      await startServer();
+      await announce([
+        {'name': 'b.zip', 'size': 20, 'relativePath': 'dir/./b.zip'},
+      ]);
+      approvals.acceptAll(approvals.pending.single.id);
+
+      expect(approvals.claim(clientIp, 'b.zip', size: 20), isNull);
+      expect(
+          approvals.claim(clientIp, 'b.zip',
+              relativePath: 'other/b.zip', size: 20),
+          isNull);
+      expect(
+          approvals.claim(clientIp, 'b.zip',
+              relativePath: 'dir/b.zip', size: 20),
+          isNotNull);
+    });
+
+    test('should hold a snippet until the host accepts it', () async {
+      final announced = approvals.stream.first;
+
+      final status = approvals.holdSnippet(clientIp, 'wifi: hunter2\nmore');
+      expect(status!['status'], equals('pending'));
+
+      final request = await announced;
+      expect(request.files.single.name, equals('wifi: hunter2'));
+      expect(request.files.single.type, equals('text/plain'));
+      expect(approvals.takeAcceptedSnippets(request.id), isEmpty);
+      // Not a file that can be uploaded
+      expect(approvals.claim(clientIp, 'wifi: hunter2'), isNull);
+
+      approvals.acceptAll(request.id);
+      expect(approvals.takeAcceptedSnippets(request.id),
+          equals(['wifi: hunter2\nmore']));
+      expect(approvals.takeAcceptedSnippets(request.id), isEmpty);
+    });
+
+    test('should accept everything when approval is off', () async {
+      approvals.requireApproval = false;
+      await startServer();
+
+      final (_, created) = await announce([
+        {'name': 'a.jpg', 'size': 10},
+      ]);
+
+      expect(created['status'], equals('decided'));
+      expect(created['files'], equals(['accepted']));
+      expect(approvals.pending, isEmpty);
+    });
+
+    test('should refuse malformed batches and hide others\' requests',
+        () async {
+      await startServer();
+
+      final (noFiles, _) = await announce([]);
+      final (badSize, _) = await announce([
+        {'name': 'a.jpg', 'size': -1},
+      ]);
+      final (noName, _) = await announce([
+        {'size': 10},
+      ]);
+      expect(noFiles, equals(HttpStatus.badRequest));
+      expect(badSize, equals(HttpStatus.badRequest));
+      expect(noName, equals(HttpStatus.badRequest));
+
+      await announce([
+        {'name': 'a.jpg', 'size': 10},
+      ]);
+      final request = approvals.pending.single;
+      clientIp = '10.0.0.8';
+      final (status, _) =
+          await send('GET', '${UploadApprovals.requestPath}/${request.id}');
+      expect(status, equals(HttpStatus.notFound));
+    });
+
+    test('should limit how many requests one guest has open', () async {
+      await startServer();
+
+      for (var i = 0; i < 3; i++) {
+        final (status, _) = await announce([
+          {'name': 'file$i', 'size': 1},
+        ]);
+        expect(status, equals(HttpStatus.created));
+      }
+      final (status, _) = await announce([
+        {'name': 'one-more', 'size': 1},
+      ]);
+
+      expect(status, equals(HttpStatus.tooManyRequests));
+      expect(approvals.pending, hasLength(3));
+    });
+
+    test('should treat an expired request as rejected', () {
+      final request = UploadPendingConfirmation(
+        id: 'old',
+        ipAddress: clientIp,
+        files: [UploadRequestFile(name: 'a.jpg', size: 10)],
+        requestedAt: DateTime.now()
+            .subtract(UploadPendingConfirmation.timeout)
+            .subtract(const Duration(seconds: 1)),
+      );
+
+      expect(request.isExpired, isTrue);
+      expect(request.isPending, isFalse);
+    });
+  });
+}
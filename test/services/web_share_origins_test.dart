@@ -0,0 +1,41 @@
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/utils/web_share_origins.dart';
+
+void main() {
+  group('WebShareOrigins', () {
+    const host = '192.168.1.5';
+
+    tearDown(() {
+      WebShareOrigins.unregister(8766);
+    });
+
+    test('should allow pages of a running web share server', () {
+      WebShareOrigins.register(8766);
+
+      expect(WebShareOrigins.allows('http://192.168.1.5:8766', host), isTrue);
+    });
+
+    test('should refuse once the server stops', () {
+      WebShareOrigins.register(8766);
+      WebShareOrigins.unregister(8766);
+
+      expect(WebShareOrigins.allows('http://192.168.1.5:8766', host), isFalse);
+    });
+
+    test('should refuse other ports, hosts and schemes', () {
+      WebShareOrigins.register(8766);
+
+      expect(WebShareOrigins.allows('http://192.168.1.5:8080', host), isFalse);
+      expect(WebShareOrigins.allows('http://192.168.1.9:8766', host), isFalse);
+      expect(WebShareOrigins.allows('https://192.168.1.5:8766', host), isFalse);
+      expect(WebShareOrigins.allows('http://192.168.1.5', host), isFalse);
+    });
+
+    test('should refuse requests without an origin', () {
+      WebShareOrigins.register(8766);
+
+      expect(WebShareOrigins.allows(null, host), isFalse);
+      expect(WebShareOrigins.allows('null', host), isFalse);
+    });
+  });
+}
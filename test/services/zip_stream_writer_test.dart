@@ -0,0 +1,121 @@
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:flutter_test/flutter_test.dart';
+import 'package:syndro/core/services/web_share/utils/zip_stream_writer.dart';
+
+ZipEntry _entry(String name, List<int> data, {int? size}) {
+  return ZipEntry(
+    name: name,
+    size: size ?? data.length,
+    modified: DateTime(2024, 5, 17, 13, 45, 30),
+    open: () => Stream.value(data),
+  );
+}
+
+Future<Uint8List> _collect(Stream<List<int>> stream) async {
+  final builder = BytesBuilder();
+  await for (final chunk in stream) {
+    builder.add(chunk);
+  }
+  return builder.toBytes();
+}
+
+void main() {
+  group('Crc32', () {
+    test('should match the reference CRC-32', () {
+      final crc = Crc32()..add(utf8.encode('hello'));
+      expect(crc.value, equals(0x3610A686));
+    });
+
+    test('should give the same value when fed incrementally', () {
+      final whole = Crc32()..add(utf8.encode('hello world'));
+      final parts = Crc32()
+        ..add(utf8.encode('hello '))
+        ..add(utf8.encode('world'));
+      expect(parts.value, equals(whole.value));
+    });
+  });
+
+  group('ZipStreamWriter', () {
+    test('should produce exactly archiveSize bytes', () async {
+      final entries = [
+        _entry('hello.txt', utf8.encode('hello')),
+        _entry('folder/data.bin', List<int>.generate(5000, (i) => i % 256)),
+      ];
+
+      final bytes = await _collect(ZipStreamWriter.write(entries));
+      expect(bytes.length, equals(ZipStreamWriter.archiveSize(entries)));
+    });
+
+    test('should write a readable central directory', () async {
+      final entries = [
+        _entry('hello.txt', utf8.encode('hello')),
+        _entry('ünïcode.txt', utf8.encode('abc')),
+      ];
+
+      final bytes = await _collect(ZipStreamWriter.write(entries));
+      final view = ByteData.sublistView(bytes);
+
+      // Local header first, end of central directory last
+      expect(view.getUint32(0, Endian.little), equals(0x04034b50));
+      final end = bytes.length - 22;
+      expect(view.getUint32(end, Endian.little), equals(0x06054b50));
+      expect(view.getUint16(end + 10, Endian.little), equals(2));
+
+      final centralOffset = view.getUint32(end + 16, Endian.little);
+      expect(view.getUint32(centralOffset, Endian.little), equals(0x02014b50));
+      expect(view.getUint32(centralOffset + 16, Endian.little),
+          equals(0x3610A686));
+      expect(view.getUint32(centralOffset + 24, Endian.little), equals(5));
+      expect(view.getUint32(centralOffset + 42, Endian.little), equals(0));
+
+      final nameLength = view.getUint16(centralOffset + 28, Endian.little);
+      final name = utf8.decode(
+          bytes.sublist(centralOffset + 46, centralOffset + 46 + nameLength));
+      expect(name, equals('hello.txt'));
+
+      // File data sits right after the local header
+      final data = bytes.sublist(30 + nameLength, 30 + nameLength + 5);
+      expect(utf8.decode(data), equals('hello'));
+    });
+
+    test('should handle an empty archive', () async {
+      final bytes = await _collect(ZipStreamWriter.write([]));
+      expect(bytes.length, equals(22));
+      expect(ZipStreamWriter.archiveSize([]), equals(22));
+    });
+
+    test('should use ZIP64 records for entries over 4 GB', () {
+      final large = _entry('large.bin', const [], size: 5 * 1024 * 1024 * 1024);
+      final small = _entry('small.txt', utf8.encode('hello'));
+
+      final plainSize = ZipStreamWriter.archiveSize([small]);
+      final withLarge = ZipStreamWriter.archiveSize([large, small]);
+
+      // The small entry starts past 4 GB, so it needs ZIP64 records too
+      const largeLocal = 30 + 9 + 20 + 24;
+      const largeCentral = 46 + 9 + 28;
+      const smallZip64Extras = 20 + 8 + 28;
+      const zip64End = 56 + 20;
+      expect(
+        withLarge,
+        equals(plainSize +
+            large.size +
+            largeLocal +
+            largeCentral +
+            smallZip64Extras +
+            zip64End),
+      );
+    });
+
+    test('should fail when an entry is shorter than its size', () async {
+      final entries = [_entry('short.txt', utf8.encode('abc'), size: 10)];
+
+      expect(
+        _collect(ZipStreamWriter.write(entries)),
+        throwsA(isA<ZipStreamException>()),
+      );
+    });
+  });
+}
@@ -0,0 +1,126 @@
+// Browser-script tests, run with Node's own runner: node --test test/web/
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const templates = path.join(__dirname, '../../lib/core/services/web_share/templates');
+
+function loadPage() {
+  const context = vm.createContext({ window: {} });
+  const script = 'aes_gcm.js';
+  vm.runInContext(fs.readFileSync(path.join(templates, script), 'utf8'), context, { filename: script });
+  return context.window.SyndroAesGcm;
+}
+
+const bytes = (hex) => new Uint8Array(Buffer.from(hex, 'hex'));
+const hex = (data) => Buffer.from(data).toString('hex');
+
+// The GCM specification's test cases (McGrew & Viega), numbered as there
+const vectors = [
+  {
+    name: 'case 2: AES-128, one zero block',
+    key: '00000000000000000000000000000000',
+    nonce: '000000000000000000000000',
+    plaintext: '00000000000000000000000000000000',
+    aad: '',
+    ciphertext: '0388dace60b6a392f328c2b971b2fe78',
+    tag: 'ab6e47d42cec13bdf53a67b21257bddf',
+  },
+  {
+    name: 'case 4: AES-128 with additional data',
+    key: 'feffe9928665731c6d6a8f9467308308',
+    nonce: 'cafebabefacedbaddecaf888',
+    plaintext: 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+      '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39',
+    aad: 'feedfacedeadbeeffeedfacedeadbeefabaddad2',
+    ciphertext: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e' +
+      '21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091',
+    tag: '5bc94fbc3221a5db94fae95ae7121a47',
+  },
+  {
+    name: 'case 13: AES-256, nothing to encrypt',
+    key: '0000000000000000000000000000000000000000000000000000000000000000',
+    nonce: '000000000000000000000000',
+    plaintext: '',
+    aad: '',
+    ciphertext: '',
+    tag: '530f8afbc74536b9a963b4f1c4cb738b',
+  },
+  {
+    name: 'case 14: AES-256, one zero block',
+    key: '0000000000000000000000000000000000000000000000000000000000000000',
+    nonce: '000000000000000000000000',
+    plaintext: '00000000000000000000000000000000',
+    aad: '',
+    ciphertext: 'cea7403d4d606b6e074ec5d3baf39d18',
+    tag: 'd0d1c8a799996bf0265b98b5d48ab919',
+  },
+  {
+    name: 'case 16: AES-256 with additional data',
+    key: 'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308',
+    nonce: 'cafebabefacedbaddecaf888',
+    plaintext: 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+      '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39',
+    aad: 'feedfacedeadbeeffeedfacedeadbeefabaddad2',
+    ciphertext: '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa' +
+      '8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662',
+    tag: '76fc6ece0f4e1768cddf8853bb2d551b',
+  },
+];
+
+for (const vector of vectors) {
+  test(`matches the GCM test vector, ${vector.name}`, () => {
+    const SyndroAesGcm = loadPage();
+    const cipher = new SyndroAesGcm(bytes(vector.key));
+
+    const sealed = cipher.encrypt(bytes(vector.nonce), bytes(vector.plaintext), bytes(vector.aad));
+    assert.strictEqual(hex(sealed), vector.ciphertext + vector.tag);
+
+    const opened = cipher.decrypt(bytes(vector.nonce), sealed, bytes(vector.aad));
+    assert.strictEqual(hex(opened), vector.plaintext);
+  });
+}
+
+test('agrees with Web Crypto across lengths that end mid-block', async () => {
+  const SyndroAesGcm = loadPage();
+  const key = crypto.getRandomValues(new Uint8Array(32));
+  const cipher = new SyndroAesGcm(key);
+  const webKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt']);
+
+  for (const length of [1, 15, 17, 255, 4097]) {
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const data = crypto.getRandomValues(new Uint8Array(length));
+    const aad = crypto.getRandomValues(new Uint8Array(length % 40));
+
+    const expected = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad }, webKey, data);
+    assert.strictEqual(hex(cipher.encrypt(nonce, data, aad)), hex(expected), `length ${length}`);
+  }
+});
+
+test('refuses tampered ciphertext, tag or additional data', () => {
+  const SyndroAesGcm = loadPage();
+  const vector = vectors[4];
+  const cipher = new SyndroAesGcm(bytes(vector.key));
+  const nonce = bytes(vector.nonce);
+  const sealed = bytes(vector.ciphertext + vector.tag);
+
+  const flipped = (data, index) => {
+    const copy = Uint8Array.from(data);
+    copy[index] ^= 1;
+    return copy;
+  };
+
+  assert.throws(() => cipher.decrypt(nonce, flipped(sealed, 0), bytes(vector.aad)));
+  assert.throws(() => cipher.decrypt(nonce, flipped(sealed, sealed.length - 1), bytes(vector.aad)));
+  assert.throws(() => cipher.decrypt(nonce, sealed, flipped(bytes(vector.aad), 0)));
+  assert.throws(() => cipher.decrypt(nonce, sealed.subarray(0, 15)), /too short/);
+});
+
+test('refuses keys of the wrong length', () => {
+  const SyndroAesGcm = loadPage();
+
+  assert.throws(() => new SyndroAesGcm(new Uint8Array(31)), /Invalid AES key length/);
+});
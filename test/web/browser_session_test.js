@@ -0,0 +1,135 @@
+// Browser-script tests, run with Node's own runner: node --test test/web/
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const templates = path.join(__dirname, '../../lib/core/services/web_share/templates');
+
+// A share page on plain http: no crypto.subtle, so the key exchange and
+// AES-GCM run on the scripts' own fallbacks
+function loadPage(fetch) {
+  const pageCrypto = { getRandomValues: (array) => crypto.getRandomValues(array) };
+  const context = vm.createContext({
+    window: { crypto: pageCrypto, location: { origin: 'http://192.168.1.5:8766' } },
+    crypto: pageCrypto,
+    navigator: { userAgent: 'Mozilla/5.0 Firefox/130.0' },
+    localStorage: new Map(),
+    fetch,
+    Headers,
+    TextEncoder,
+    console: { log() {}, warn() {}, error() {} },
+  });
+  context.localStorage.getItem = (name) => context.localStorage.get(name) ?? null;
+  context.localStorage.setItem = (name, value) => context.localStorage.set(name, value);
+  for (const script of ['x25519.js', 'aes_gcm.js', 'chunk_format.js', 'browser_session.js']) {
+    vm.runInContext(fs.readFileSync(path.join(templates, script), 'utf8'), context, { filename: script });
+  }
+  return context.window;
+}
+
+// The app's side of /key-exchange, as TransferServiceImpl answers it
+function appServer(page, { chunkFormat = 2 } = {}) {
+  const app = page.SyndroX25519.generateKeyPair();
+  const server = { exchanges: 0, requests: [], sessions: new Map(), forget: false };
+
+  server.fetch = async (url, init = {}) => {
+    if (url.endsWith('/key-exchange')) {
+      const body = JSON.parse(init.body);
+      server.exchanges++;
+      server.sessions.set(body.deviceId,
+        page.SyndroX25519.sharedSecret(app.privateKey, new Uint8Array(body.publicKey)));
+      return Response.json({
+        deviceId: 'phone',
+        publicKey: Array.from(app.publicKey),
+        chunkFormat,
+      });
+    }
+
+    const deviceId = new Headers(init.headers).get('x-device-id');
+    server.requests.push({ url, deviceId });
+    if (server.forget) {
+      server.forget = false;
+      server.sessions.clear();
+    }
+    return new Response(null, { status: server.sessions.has(deviceId) ? 200 : 401 });
+  };
+  return server;
+}
+
+test('exchanges keys with the app without Web Crypto', async () => {
+  let server;
+  const page = loadPage((url, init) => server.fetch(url, init));
+  server = appServer(page);
+  const session = new page.SyndroBrowserSession({ baseUrl: 'http://192.168.1.5:8765' });
+
+  assert.ok(await page.SyndroBrowserSession.isSupported());
+  await Promise.all([session.establish(), session.establish()]);
+
+  assert.strictEqual(server.exchanges, 1);
+  assert.strictEqual(session.peerDeviceId, 'phone');
+  assert.match(session.deviceId, /^browser-[0-9a-f]{32}$/);
+  assert.deepStrictEqual([...session.key], [...server.sessions.get(session.deviceId)]);
+});
+
+test('seals chunks the app can open with its side of the secret', async () => {
+  let server;
+  const page = loadPage((url, init) => server.fetch(url, init));
+  server = appServer(page);
+  const session = new page.SyndroBrowserSession({ baseUrl: 'http://192.168.1.5:8765' });
+  await session.establish();
+
+  const data = new TextEncoder().encode('hello from the browser');
+  const sealed = await page.SyndroChunkFormat.seal(session.key, data, 'transfer-1', 0, 2);
+
+  const appKey = await crypto.subtle.importKey(
+    'raw', server.sessions.get(session.deviceId), { name: 'AES-GCM' }, false, ['decrypt']);
+  const opened = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: sealed.subarray(1, 13),
+      additionalData: page.SyndroChunkFormat.aad('transfer-1', 0, 2),
+    },
+    appKey,
+    sealed.subarray(13));
+  assert.strictEqual(Buffer.from(opened).toString(), 'hello from the browser');
+});
+
+test('sends its device ID and exchanges keys again when the app forgot it', async () => {
+  let server;
+  const page = loadPage((url, init) => server.fetch(url, init));
+  server = appServer(page);
+  const session = new page.SyndroBrowserSession({ baseUrl: 'http://192.168.1.5:8765' });
+
+  const first = await session.fetch('http://192.168.1.5:8765/transfer/parallel/status/t1');
+  assert.strictEqual(first.status, 200);
+
+  server.forget = true;
+  const second = await session.fetch('http://192.168.1.5:8765/transfer/parallel/status/t1');
+  assert.strictEqual(second.status, 200);
+
+  assert.strictEqual(server.exchanges, 2);
+  assert.deepStrictEqual(server.requests.map(r => r.deviceId), Array(3).fill(session.deviceId));
+});
+
+test('keeps the same device ID across page loads', async () => {
+  const page = loadPage(async () => new Response(null, { status: 404 }));
+
+  const first = new page.SyndroBrowserSession();
+  const second = new page.SyndroBrowserSession();
+
+  assert.strictEqual(first.deviceId, second.deviceId);
+  assert.strictEqual(first.deviceName, 'Firefox Browser');
+});
+
+test('refuses an app that would fall back to legacy chunks', async () => {
+  let server;
+  const page = loadPage((url, init) => server.fetch(url, init));
+  server = appServer(page, { chunkFormat: 1 });
+  const session = new page.SyndroBrowserSession({ baseUrl: 'http://192.168.1.5:8765' });
+
+  await assert.rejects(session.establish(), /did not agree to chunk format/);
+  assert.strictEqual(session.key, null);
+});
@@ -0,0 +1,113 @@
+// Browser-script tests, run with Node's own runner: node --test test/web/
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const templates = path.join(__dirname, '../../lib/core/services/web_share/templates');
+
+const key = new Uint8Array(32).fill(7);
+
+function loadPage(fetch) {
+  const context = vm.createContext({
+    window: {
+      location: { hash: '#key=' + Buffer.from(key).toString('base64url') },
+      crypto,
+    },
+    crypto,
+    fetch,
+    atob,
+    Blob,
+    performance,
+    console: { log() {}, warn() {}, error() {} },
+  });
+  const script = 'encrypted_download.js';
+  vm.runInContext(fs.readFileSync(path.join(templates, script), 'utf8'), context, { filename: script });
+  return context.window.SyndroDecryptor;
+}
+
+// What share_server.dart sends: [size | nonce | ciphertext | mac] per chunk
+async function encryptFrames(chunks) {
+  const aesKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt']);
+  const frames = [];
+  for (const chunk of chunks) {
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, aesKey, chunk));
+    const frame = new Uint8Array(4 + 12 + sealed.length);
+    new DataView(frame.buffer).setUint32(0, 12 + sealed.length);
+    frame.set(nonce, 4);
+    frame.set(sealed, 16);
+    frames.push(frame);
+  }
+  return frames;
+}
+
+function respond(frames, headers = {}) {
+  let cancelled = false;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (frames.length === 0) controller.close();
+      else controller.enqueue(frames.shift());
+    },
+    cancel() { cancelled = true; },
+  });
+  return { response: new Response(body, { headers }), wasCancelled: () => cancelled };
+}
+
+test('decrypts a download framed like the app sends it', async () => {
+  const frames = await encryptFrames([new Uint8Array(1000).fill(1), new Uint8Array(10).fill(2)]);
+  const SyndroDecryptor = loadPage(async () => respond(frames).response);
+  const decryptor = new SyndroDecryptor({ cryptoPool: null });
+  await decryptor.initFromUrl();
+
+  const blob = await decryptor.fetchDecrypted('/download/0/notes.txt', null, 1010);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  assert.strictEqual(bytes.length, 1010);
+  assert.strictEqual(bytes[999], 1);
+  assert.strictEqual(bytes[1000], 2);
+});
+
+test('refuses a frame bigger than the app ever sends', async () => {
+  const header = new Uint8Array(4);
+  new DataView(header.buffer).setUint32(0, 0xfffffff0);
+  const sent = respond([header, new Uint8Array(64)]);
+  const SyndroDecryptor = loadPage(async () => sent.response);
+  const decryptor = new SyndroDecryptor({ cryptoPool: null });
+  await decryptor.initFromUrl();
+
+  await assert.rejects(
+    decryptor.fetchDecrypted('/download/0/notes.txt'),
+    /Invalid chunk size/);
+  assert.ok(sent.wasCancelled());
+});
+
+test('refuses a download over the cap before reading it', async () => {
+  const frames = await encryptFrames([new Uint8Array(2048)]);
+  const sent = respond(frames, { 'X-Original-Size': String(2048) });
+  let fetched = 0;
+  const SyndroDecryptor = loadPage(async () => {
+    fetched++;
+    return sent.response;
+  });
+  const decryptor = new SyndroDecryptor({ cryptoPool: null, maxDecryptedBytes: 1024 });
+  await decryptor.initFromUrl();
+
+  await assert.rejects(decryptor.fetchDecrypted('/download/0/a.bin', null, 2048), /Too large/);
+  assert.strictEqual(fetched, 0);
+
+  // The ZIP's size only comes with the response
+  await assert.rejects(decryptor.fetchDecrypted('/download-all.zip'), /Too large/);
+  assert.ok(sent.wasCancelled());
+});
+
+test('stops a download that decrypts to more than the cap', async () => {
+  const frames = await encryptFrames([new Uint8Array(800), new Uint8Array(800)]);
+  const SyndroDecryptor = loadPage(async () => respond(frames).response);
+  const decryptor = new SyndroDecryptor({ cryptoPool: null, maxDecryptedBytes: 1024 });
+  await decryptor.initFromUrl();
+
+  await assert.rejects(decryptor.fetchDecrypted('/download-all.zip'), /Too large/);
+});
@@ -0,0 +1,219 @@
+// Browser-script tests, run with Node's own runner: node --test test/web/
+//
+// The scripts are loaded into a bare context standing in for the page,
+// with fetch() and the DOM faked as far as they are used.
+
+const assert = require('node:assert');
+const { createHash } = require('node:crypto');
+const zlib = require('node:zlib');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const templates = path.join(__dirname, '../../lib/core/services/web_share/templates');
+
+function loadPage(window, fetch = async (url) => {
+  throw new Error(`Unexpected fetch: ${url}`);
+}) {
+  const clicked = [];
+  const saved = new Map();
+  const document = {
+    body: { appendChild() {}, removeChild() {} },
+    createElement: () => ({ click() { clicked.push({ href: this.href, download: this.download }); } }),
+  };
+  const context = vm.createContext({
+    window: { location: { origin: 'http://192.168.1.20:8080' }, crypto, ...window },
+    document,
+    navigator: {},
+    crypto,
+    fetch,
+    console: { log() {}, warn() {}, error() {} },
+    // Retry backoff runs, the object URL's minute-long revoke doesn't
+    setTimeout: (fn, ms) => (ms < 1000 ? setTimeout(fn, ms) : 0),
+    performance,
+    AbortController,
+    DOMException,
+    Blob,
+    DecompressionStream,
+    Response,
+    URL: class extends URL {
+      static createObjectURL(blob) {
+        const url = `blob:${saved.size}`;
+        saved.set(url, blob);
+        return url;
+      }
+      static revokeObjectURL() {}
+    },
+  });
+  for (const script of ['transfer_control.js', 'adaptive_tuner.js', 'parallel_download.js']) {
+    vm.runInContext(fs.readFileSync(path.join(templates, script), 'utf8'), context, { filename: script });
+  }
+  const SyndroParallelDownloader = context.window.SyndroParallelDownloader;
+  return { SyndroParallelDownloader, clicked, saved };
+}
+
+// Serves `content` as the share server does, in chunkSize pieces with
+// their SHA-256, deflated if asked - the first request for each index in
+// `failOnce` gets a 503, in `corruptOnce` a flipped byte
+function chunkServer(content, chunkSize, { failOnce = [], corruptOnce = [] } = {}) {
+  const requested = [];
+  const fetch = async (url, init = {}) => {
+    const match = /\/transfer\/chunk\/[^/]+\/(\d+)$/.exec(url);
+    if (!match) throw new Error(`Unexpected fetch: ${url}`);
+    const index = Number(match[1]);
+    requested.push(index);
+    const first = requested.filter(i => i === index).length === 1;
+    if (first && failOnce.includes(index)) {
+      return new Response('', { status: 503 });
+    }
+    let chunk = content.slice(index * chunkSize, (index + 1) * chunkSize);
+    const headers = { 'X-Chunk-Hash': createHash('sha256').update(chunk).digest('hex') };
+    if ((init.headers || {})['X-Accept-Compression'] === 'deflate-raw') {
+      chunk = new Uint8Array(zlib.deflateRawSync(chunk));
+      headers['X-Compressed'] = 'deflate-raw';
+    }
+    if (first && corruptOnce.includes(index)) {
+      chunk[0] ^= 0xff;
+    }
+    return new Response(chunk, { headers });
+  };
+  return { fetch, requested };
+}
+
+const manifestUrl = '/transfer/chunk-manifest/0-4294967296-1700000000000';
+
+const fileInfo = {
+  transferId: '0-4294967296-1700000000000',
+  fileName: 'holiday.mp4',
+  fileSize: 4294967296,
+  chunkSize: 1048576,
+  totalChunks: 4096,
+  chunkHashHeader: 'X-Chunk-Hash',
+  downloadUrl: '/download/0/holiday.mp4',
+  encrypted: false,
+};
+
+test('assembles a file under the cap from its chunks', async () => {
+  const content = new Uint8Array(2500).map((_, i) => i & 0xff);
+  const server = chunkServer(content, 1000);
+  const { SyndroParallelDownloader, clicked, saved } = loadPage({}, server.fetch);
+  const downloader = new SyndroParallelDownloader({ configUrl: null, resumable: false, cryptoPool: null });
+
+  const result = await downloader.downloadFile({
+    ...fileInfo,
+    fileSize: 2500,
+    chunkSize: 1000,
+    totalChunks: 3,
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual([...server.requested].sort(), [0, 1, 2]);
+  assert.strictEqual(clicked.length, 1);
+  assert.strictEqual(clicked[0].download, 'holiday.mp4');
+  const blob = saved.get(clicked[0].href);
+  assert.deepStrictEqual(new Uint8Array(await blob.arrayBuffer()), content);
+});
+
+test('fetches a failed chunk again on its own', async () => {
+  const content = new Uint8Array(2500).map((_, i) => (i * 7) & 0xff);
+  const server = chunkServer(content, 1000, { failOnce: [1] });
+  const { SyndroParallelDownloader, clicked, saved } = loadPage({}, server.fetch);
+  const downloader = new SyndroParallelDownloader({
+    configUrl: null, resumable: false, cryptoPool: null, retryBaseDelayMs: 1,
+  });
+
+  await downloader.downloadFile({
+    ...fileInfo,
+    fileSize: 2500,
+    chunkSize: 1000,
+    totalChunks: 3,
+  });
+
+  assert.deepStrictEqual([...server.requested].sort(), [0, 1, 1, 2]);
+  const blob = saved.get(clicked[0].href);
+  assert.deepStrictEqual(new Uint8Array(await blob.arrayBuffer()), content);
+});
+
+test('fetches a chunk that does not match its hash again', async () => {
+  const content = new Uint8Array(2500).map((_, i) => (i * 13) & 0xff);
+  const server = chunkServer(content, 1000, { corruptOnce: [2] });
+  const { SyndroParallelDownloader, clicked, saved } = loadPage({}, server.fetch);
+  const downloader = new SyndroParallelDownloader({
+    configUrl: null, resumable: false, cryptoPool: null, retryBaseDelayMs: 1,
+  });
+
+  await downloader.downloadFile({ ...fileInfo, fileSize: 2500, chunkSize: 1000, totalChunks: 3 });
+
+  assert.deepStrictEqual([...server.requested].sort(), [0, 1, 2, 2]);
+  const blob = saved.get(clicked[0].href);
+  assert.deepStrictEqual(new Uint8Array(await blob.arrayBuffer()), content);
+});
+
+test('inflates chunks the sender deflates', async () => {
+  const content = new TextEncoder().encode('time,level,message\n'.repeat(200));
+  const server = chunkServer(content, 1000, { corruptOnce: [1] });
+  const { SyndroParallelDownloader, clicked, saved } = loadPage({}, server.fetch);
+  const downloader = new SyndroParallelDownloader({
+    configUrl: null, resumable: false, cryptoPool: null, retryBaseDelayMs: 1,
+  });
+
+  await downloader.downloadFile({ ...fileInfo, fileSize: content.length, chunkSize: 1000, totalChunks: 4 });
+
+  // The corrupted one doesn't inflate, or doesn't match, and is fetched again
+  assert.deepStrictEqual([...server.requested].sort(), [0, 1, 1, 2, 3]);
+  const blob = saved.get(clicked[0].href);
+  assert.deepStrictEqual(new Uint8Array(await blob.arrayBuffer()), content);
+});
+
+test('refuses a chunk that inflates past its size', async () => {
+  const { SyndroParallelDownloader } = loadPage({});
+  const downloader = new SyndroParallelDownloader({ configUrl: null });
+
+  await assert.rejects(
+    downloader._inflate(new Uint8Array(zlib.deflateRawSync(new Uint8Array(4096))), 1000),
+    /inflates past 1000 bytes/);
+});
+
+test('fails a chunk that comes without its advertised hash', async () => {
+  const { SyndroParallelDownloader } = loadPage({}, async () => new Response(new Uint8Array(10)));
+  const downloader = new SyndroParallelDownloader({ configUrl: null, resumable: false, cryptoPool: null });
+
+  await assert.rejects(
+    downloader.downloadFile({ ...fileInfo, fileSize: 10, chunkSize: 1000, totalChunks: 1 }),
+    /without its hash/);
+});
+
+test('hands a file over the cap to the browser without fetching it', async () => {
+  const { SyndroParallelDownloader, clicked } = loadPage({});
+
+  const result = await new SyndroParallelDownloader({ configUrl: null }).downloadFile(fileInfo);
+
+  assert.strictEqual(result.handedOff, true);
+  assert.deepStrictEqual(clicked, [{ href: '/download/0/holiday.mp4', download: 'holiday.mp4' }]);
+});
+
+test('refuses to hand an encrypted download to the browser', async () => {
+  const { SyndroParallelDownloader, clicked } = loadPage({});
+
+  await assert.rejects(
+    new SyndroParallelDownloader({ configUrl: null }).downloadFile({ ...fileInfo, encrypted: true }),
+    /no plain link/);
+  assert.deepStrictEqual(clicked, []);
+});
+
+test('fails a download whose advertised manifest cannot be fetched', async () => {
+  const { SyndroParallelDownloader } = loadPage({}, async () => new Response('', { status: 500 }));
+  const downloader = new SyndroParallelDownloader({ configUrl: null });
+
+  await assert.rejects(downloader._fetchManifest({ ...fileInfo, manifestUrl }), /manifest unavailable/);
+  assert.strictEqual(await downloader._fetchManifest(fileInfo), null);
+});
+
+test('fails a download whose manifest does not fit the file', async () => {
+  const { SyndroParallelDownloader } = loadPage({}, async () =>
+    new Response(JSON.stringify({ success: true, chunkHashes: ['00'] })));
+  const downloader = new SyndroParallelDownloader({ configUrl: null });
+
+  await assert.rejects(downloader._fetchManifest({ ...fileInfo, manifestUrl }), /does not match/);
+});
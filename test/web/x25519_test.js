@@ -0,0 +1,93 @@
+// Browser-script tests, run with Node's own runner: node --test test/web/
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const templates = path.join(__dirname, '../../lib/core/services/web_share/templates');
+
+function loadPage() {
+  const context = vm.createContext({ window: {}, crypto });
+  const script = 'x25519.js';
+  vm.runInContext(fs.readFileSync(path.join(templates, script), 'utf8'), context, { filename: script });
+  return context.window.SyndroX25519;
+}
+
+const bytes = (hex) => new Uint8Array(Buffer.from(hex, 'hex'));
+const hex = (data) => Buffer.from(data).toString('hex');
+
+// RFC 7748 section 5.2
+test('matches the RFC 7748 test vectors', () => {
+  const SyndroX25519 = loadPage();
+
+  assert.strictEqual(
+    hex(SyndroX25519.scalarMult(
+      bytes('a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4'),
+      bytes('e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c'))),
+    'c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552');
+  assert.strictEqual(
+    hex(SyndroX25519.scalarMult(
+      bytes('4b66e9d4d1b4673c5ad22691957d6af5c11b6421e0ea01d42ca4169e7918ba0d'),
+      bytes('e5210f12786811d3f4b7959d0538ae2c31dbe7106fc03c3efc4cd549c715a493'))),
+    '95cbde9476e8907d7aade45cb4b873f88b595a68799fa152e6f8f7647aac7957');
+});
+
+test('matches the RFC 7748 iterated vector', () => {
+  const SyndroX25519 = loadPage();
+  let k = bytes('0900000000000000000000000000000000000000000000000000000000000000');
+  let u = k;
+
+  for (let i = 1; i <= 1000; i++) {
+    [k, u] = [SyndroX25519.scalarMult(k, u), k];
+    if (i === 1) {
+      assert.strictEqual(hex(k), '422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079');
+    }
+  }
+
+  assert.strictEqual(hex(k), '684cf59ba83309552800ef566f2f4d3c1c3887c49360e3875f2eb94d99532c51');
+});
+
+// RFC 7748 section 6.1
+test('derives the same secret on both sides', () => {
+  const SyndroX25519 = loadPage();
+  const alice = bytes('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a');
+  const bob = bytes('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb');
+
+  const alicePublic = SyndroX25519.publicKey(alice);
+  const bobPublic = SyndroX25519.publicKey(bob);
+  assert.strictEqual(hex(alicePublic), '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a');
+  assert.strictEqual(hex(bobPublic), 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f');
+
+  const shared = '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742';
+  assert.strictEqual(hex(SyndroX25519.sharedSecret(alice, bobPublic)), shared);
+  assert.strictEqual(hex(SyndroX25519.sharedSecret(bob, alicePublic)), shared);
+});
+
+test('agrees with Node\'s own X25519 on fresh keys', () => {
+  const SyndroX25519 = loadPage();
+  const nodeCrypto = require('node:crypto');
+  const ours = SyndroX25519.generateKeyPair();
+  const theirs = nodeCrypto.generateKeyPairSync('x25519');
+  const theirPublic = theirs.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+
+  const expected = nodeCrypto.diffieHellman({
+    privateKey: theirs.privateKey,
+    publicKey: nodeCrypto.createPublicKey({
+      key: Buffer.concat([Buffer.from('302a300506032b656e032100', 'hex'), Buffer.from(ours.publicKey)]),
+      format: 'der',
+      type: 'spki',
+    }),
+  });
+
+  assert.strictEqual(hex(SyndroX25519.sharedSecret(ours.privateKey, new Uint8Array(theirPublic))), hex(expected));
+});
+
+test('refuses a low-order public key', () => {
+  const SyndroX25519 = loadPage();
+  const { privateKey } = SyndroX25519.generateKeyPair();
+
+  assert.throws(() => SyndroX25519.sharedSecret(privateKey, new Uint8Array(32)), /Invalid X25519 public key/);
+  assert.throws(() => SyndroX25519.sharedSecret(privateKey, new Uint8Array(31)), /length/);
+});